@@ -1,11 +1,9 @@
 import React from 'react';
 import moment from 'moment';
-import Calendar from './Calendar.jsx';
+import Calendar from '../../src/components/calendar/Calendar.jsx';
 import './date-picker.scss';
-import { Wrapper } from '../../src/components/Icons.jsx';
-import CalendarIC from '../icons/ic-calendar.svg';
+import { CalendarIcon } from '../../src/components/Icons.jsx';
 
-const CalendarIcon = Wrapper(CalendarIC);
 const  DatePickerInput = ({ value, format, id, name, class_name, is_read_only, placeholder, onChange, onClick, mode }) => {
     const input_value = format ? moment(value, 'YYYY-MM-DD').format(format) : value;
     return (
@@ -116,7 +116,9 @@ class App extends Component {
         super(props);
         this.notifier = new ChartNotifier();
         const layoutString = localStorage.getItem(`layout-${chartId}`),
-            layout = JSON.parse(layoutString !== '' ? layoutString : '{}');
+            stored = JSON.parse(layoutString !== '' ? layoutString : '{}'),
+            // the chart stores the layout as { schemaVersion, updatedAt, data }
+            layout = (stored && stored.data) || stored;
         let chartType;
         let granularity;
         let endEpoch;
@@ -177,10 +179,12 @@ class App extends Component {
     removeAllComparisons = () => {
         try {
             const layoutString = localStorage.getItem(`layout-${chartId}`),
-                layout = JSON.parse(layoutString !== '' ? layoutString : '{}');
+                stored = JSON.parse(layoutString !== '' ? layoutString : '{}'),
+                // the chart stores the layout as { schemaVersion, updatedAt, data }
+                layout = (stored && stored.data) || stored;
 
             layout.symbols.splice(1, layout.symbols.length - 1);
-            localStorage.setItem(`layout-${chartId}`, JSON.stringify(layout));
+            localStorage.setItem(`layout-${chartId}`, JSON.stringify(stored));
         } catch (e) {
             console.log(e);
         }
@@ -284,6 +288,7 @@ class App extends Component {
                 onMessage={this.onMessage}
                 activeSymbols={ActiveMarkets}
                 enableRouting
+                enableUrlState
                 removeAllComparisons={settings.historical}
                 topWidgets={this.renderTopWidgets}
                 toolbarWidget={this.renderToolbarWidget}
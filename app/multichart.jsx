@@ -1,6 +1,7 @@
 import { configure } from 'mobx';
 import { // eslint-disable-line import/no-extraneous-dependencies
     SmartChart,
+    ChartGroup,
     // TradeStartLine,
     // TradeEndLine,
     ChartTypes,
@@ -66,37 +67,38 @@ const requestSubscribe = streamManager.subscribe.bind(streamManager);
 const requestForget = streamManager.forget.bind(streamManager);
 
 const App = () => (
-    <div className="grid">
-        <div className="chart-instance">
-            <SmartChart
-                onSymbolChange={symbol => console.log('Symbol has changed to:', symbol)}
-                isMobile={isMobile}
-                requestAPI={requestAPI}
-                requestSubscribe={requestSubscribe}
-                requestForget={requestForget}
-            />
-        </div>
-        <div className="side-chart">
-            <SmartChart
-                isMobile={isMobile}
-                requestAPI={requestAPI}
-                requestSubscribe={requestSubscribe}
-                requestForget={requestForget}
-                id="side"
-            />
-        </div>
-        <div className="bottom-chart">
-            <SmartChart
-                chartControlsWidgets={renderControls}
-                settings={{ theme: 'dark' }}
-                isMobile={isMobile}
-                requestAPI={requestAPI}
-                requestSubscribe={requestSubscribe}
-                requestForget={requestForget}
-                id="bottom"
-            />
-        </div>
-    </div>
+    <ChartGroup layout="1+3" syncSymbol>
+        <SmartChart
+            onSymbolChange={symbol => console.log('Symbol has changed to:', symbol)}
+            isMobile={isMobile}
+            requestAPI={requestAPI}
+            requestSubscribe={requestSubscribe}
+            requestForget={requestForget}
+        />
+        <SmartChart
+            isMobile={isMobile}
+            requestAPI={requestAPI}
+            requestSubscribe={requestSubscribe}
+            requestForget={requestForget}
+            id="side"
+        />
+        <SmartChart
+            chartControlsWidgets={renderControls}
+            settings={{ theme: 'dark' }}
+            isMobile={isMobile}
+            requestAPI={requestAPI}
+            requestSubscribe={requestSubscribe}
+            requestForget={requestForget}
+            id="bottom"
+        />
+        <SmartChart
+            isMobile={isMobile}
+            requestAPI={requestAPI}
+            requestSubscribe={requestSubscribe}
+            requestForget={requestForget}
+            id="fourth"
+        />
+    </ChartGroup>
 );
 
 ReactDOM.render(
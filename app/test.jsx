@@ -115,7 +115,9 @@ class App extends Component {
         super(props);
         this.notifier = new ChartNotifier();
         const layoutString = localStorage.getItem(`layout-${chartId}`),
-            layout = JSON.parse(layoutString !== '' ? layoutString : '{}');
+            stored = JSON.parse(layoutString !== '' ? layoutString : '{}'),
+            // the chart stores the layout as { schemaVersion, updatedAt, data }
+            layout = (stored && stored.data) || stored;
         let chartType;
         let isChartTypeCandle;
         let granularity = 0;
@@ -193,10 +195,12 @@ class App extends Component {
     removeAllComparisons = () => {
         try {
             const layoutString = localStorage.getItem(`layout-${chartId}`),
-                layout = JSON.parse(layoutString !== '' ? layoutString : '{}');
+                stored = JSON.parse(layoutString !== '' ? layoutString : '{}'),
+                // the chart stores the layout as { schemaVersion, updatedAt, data }
+                layout = (stored && stored.data) || stored;
 
             layout.symbols.splice(1, layout.symbols.length - 1);
-            localStorage.setItem(`layout-${chartId}`, JSON.stringify(layout));
+            localStorage.setItem(`layout-${chartId}`, JSON.stringify(stored));
         } catch (e) {
             console.log(e);
         }
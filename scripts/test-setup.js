@@ -0,0 +1,15 @@
+/*
+ * Provides the unit tests with what webpack provides to the sources: style,
+ * icon and translation imports, and the `t` translation global.
+ */
+const path = require('path');
+
+const empty = (module) => { module.exports = {}; };
+['.css', '.scss', '.po', '.pot'].forEach((ext) => { require.extensions[ext] = empty; });
+// svg-sprite-loader gives the symbol of each icon
+require.extensions['.svg'] = (module, filename) => {
+    const id = path.basename(filename, '.svg');
+    module.exports = { id, viewBox: '0 0 16 16', url: `#${id}` };
+};
+
+global.t = require('../src/Translation').t;
@@ -9,11 +9,20 @@ import {
     DrawToolsRectangleIcon,
     DrawToolsTrendIcon,
     DrawToolsVerticalIcon,
+    DrawToolsAnnotationIcon,
+    DrawToolsArrowIcon,
+    DrawToolsCalloutIcon,
+    DrawToolsDateRangeIcon,
+    DrawToolsEllipseIcon,
+    DrawToolsLongPositionIcon,
+    DrawToolsPriceRangeIcon,
+    DrawToolsShortPositionIcon,
     IndicatorCatMomentumIcon,
     IndicatorCatTrendLightIcon,
     IndicatorCatVolatilityIcon,
     IndicatorCatAveragesIcon,
     IndicatorCatOtherIcon,
+    IndicatorCatVolumeIcon,
     IndicatorAwesomeOscillatorIcon,
     IndicatorDTrendedIcon,
     IndicatorGatorIcon,
@@ -44,15 +53,23 @@ import {
 } from './components/Icons.jsx';
 
 export const drawTools = {
-    channel:    { id: 'channel',     text: t.translate('Channel'), icon: DrawToolsChannelIcon },
-    segment:    { id: 'continuous',  text: t.translate('Continuous'), icon: DrawToolsContinuousIcon },
-    fibfan:     { id: 'fibfan',      text: t.translate('Fib Fan'), icon: DrawToolsFibonaccifanIcon },
-    horizontal: { id: 'horizontal',  text: t.translate('Horizontal'), icon: DrawToolsHorizontalIcon },
-    line:       { id: 'line',        text: t.translate('Line'), icon: DrawToolsLineIcon },
-    ray:        { id: 'ray',         text: t.translate('Ray'), icon: DrawToolsRayIcon },
-    rectangle:  { id: 'rectangle',   text: t.translate('Rectangle'), icon: DrawToolsRectangleIcon },
-    tirone:     { id: 'tirone',      text: t.translate('Trend'), icon: DrawToolsTrendIcon },
-    vertical:   { id: 'vertical',    text: t.translate('Vertical'), icon: DrawToolsVerticalIcon },
+    annotation:    { id: 'annotation',    text: t.translate('Text'), icon: DrawToolsAnnotationIcon },
+    arrow:         { id: 'arrow',         text: t.translate('Arrow'), icon: DrawToolsArrowIcon },
+    callout:       { id: 'callout',       text: t.translate('Callout'), icon: DrawToolsCalloutIcon },
+    channel:       { id: 'channel',       text: t.translate('Channel'), icon: DrawToolsChannelIcon },
+    segment:       { id: 'continuous',    text: t.translate('Continuous'), icon: DrawToolsContinuousIcon },
+    daterange:     { id: 'daterange',     text: t.translate('Date Range'), icon: DrawToolsDateRangeIcon },
+    ellipse:       { id: 'ellipse',       text: t.translate('Ellipse'), icon: DrawToolsEllipseIcon },
+    fibfan:        { id: 'fibfan',        text: t.translate('Fib Fan'), icon: DrawToolsFibonaccifanIcon },
+    horizontal:    { id: 'horizontal',    text: t.translate('Horizontal'), icon: DrawToolsHorizontalIcon },
+    line:          { id: 'line',          text: t.translate('Line'), icon: DrawToolsLineIcon },
+    longposition:  { id: 'longposition',  text: t.translate('Long Position'), icon: DrawToolsLongPositionIcon },
+    pricerange:    { id: 'pricerange',    text: t.translate('Price Range'), icon: DrawToolsPriceRangeIcon },
+    ray:           { id: 'ray',           text: t.translate('Ray'), icon: DrawToolsRayIcon },
+    rectangle:     { id: 'rectangle',     text: t.translate('Rectangle'), icon: DrawToolsRectangleIcon },
+    shortposition: { id: 'shortposition', text: t.translate('Short Position'), icon: DrawToolsShortPositionIcon },
+    tirone:        { id: 'tirone',        text: t.translate('Trend'), icon: DrawToolsTrendIcon },
+    vertical:      { id: 'vertical',      text: t.translate('Vertical'), icon: DrawToolsVerticalIcon },
 };
 
 export const IndicatorsTree = [
@@ -104,6 +121,19 @@ export const IndicatorsTree = [
             { id: 'Rainbow MA', name: t.translate('Rainbow Moving Average'), description: t.translate('There isn\'t any description here.'), icon: IndicatorRainbowIcon },
         ],
     },
+    {
+        id: 'volume',
+        name: t.translate('Volume'),
+        icon: IndicatorCatVolumeIcon,
+        items: [
+            { id: 'volume', name: t.translate('Volume'), description: t.translate('There isn\'t any description here.'), icon: IndicatorCatVolumeIcon },
+            { id: 'vol undr', name: t.translate('Volume Underlay'), description: t.translate('There isn\'t any description here.'), icon: IndicatorCatVolumeIcon },
+            { id: 'On Bal Vol', name: t.translate('On Balance Volume'), description: t.translate('There isn\'t any description here.'), icon: IndicatorCatVolumeIcon },
+            { id: 'VWAP', name: t.translate('VWAP'), description: t.translate('There isn\'t any description here.'), icon: IndicatorCatVolumeIcon },
+            { id: 'Chaikin MF', name: t.translate('Chaikin Money Flow'), description: t.translate('There isn\'t any description here.'), icon: IndicatorCatVolumeIcon },
+            { id: 'vol profile', name: t.translate('Volume Profile'), description: t.translate('There isn\'t any description here.'), icon: IndicatorCatVolumeIcon },
+        ],
+    },
     {
         id: 'others',
         name: t.translate('Others'),
@@ -117,21 +147,16 @@ export const IndicatorsTree = [
 
 export const ExcludedStudies = {
     Beta: true,
-    // volume is not supported in chart
+    // volume studies that are not listed in VolumeStudies
     Klinger: true,
     'Trade Vol': true,
     'Vol ROC': true,
     'Price Vol': true,
     'Pos Vol': true,
     'Neg Vol': true,
-    'On Bal Vol': true,
     'Vol Osc': true,
-    volume: true,
-    'vol undr': true,
-    'vol profile': true,
     'W MFI': true,
     EOM: true,
-    'Chaikin MF': true,
     Twiggs: true,
     // end volume
     'Aroon Osc': true,
@@ -193,7 +218,6 @@ export const ExcludedStudies = {
     'Rel Vig': true,
     'Elder Impulse': true,
     'Pivot Points': true,
-    VWAP: true,
     AVWAP: true,
     'P Rel': true,
     'Perf Idx': true,
@@ -214,6 +238,20 @@ export const ExcludedStudies = {
     'VT HZ Filter': true,
 };
 
+// Studies that need volume; they are only available when the data of the active symbol has it
+export const VolumeStudies = {
+    volume: true,
+    'vol undr': true,
+    'On Bal Vol': true,
+    VWAP: true,
+    'Chaikin MF': true,
+    'vol profile': true,
+};
+
+// Number of study panels that share the space under the main chart; the chart
+// area becomes scrollable when there are more
+export const STUDY_PANELS_IN_VIEW = 5;
+
 export const ChartTypes = [
     { id: 'mountain',      text: t.translate('Area'),   candleOnly: false, icon: TypeAreaIcon   },
     { id: 'candle',        text: t.translate('Candle'), candleOnly: true,  icon: TypeCandleIcon },
@@ -231,6 +269,15 @@ export const Intervals = [
                 num: 1,
             },
         ],
+    }, {
+        key: 'second',
+        single: t.translate('second'),
+        plural: t.translate('seconds'),
+        items: [
+            { interval: 5, num: 5 },
+            { interval: 15, num: 15 },
+            { interval: 30, num: 30 },
+        ],
     }, {
         key: 'minute',
         single: t.translate('minute'),
@@ -243,6 +290,7 @@ export const Intervals = [
             { interval: 600, num: 10 },
             { interval: 900, num: 15 },
             { interval: 1800, num: 30 },
+            { interval: 2700, num: 45 },
         ],
     }, {
         key: 'hour',
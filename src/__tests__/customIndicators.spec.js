@@ -0,0 +1,79 @@
+import { describe, it, before, after } from 'mocha';
+import { expect } from 'chai';
+import { registerIndicator, getIndicatorsTree } from '../customIndicators';
+import { IndicatorsTree } from '../Constant';
+import { getUTCDate } from '../utils';
+
+const calculate = dataSet => dataSet.map(({ close }) => close * 2);
+const findItem = (tree, id) => [].concat(...tree.map(category => category.items)).find(item => item.id === id);
+
+describe('customIndicators test', function () {
+    before(function () {
+        global.CIQ = { Studies: { studyLibrary: {} } };
+        global.window = { CIQ: global.CIQ };
+    });
+
+    after(function () {
+        delete global.CIQ;
+        delete global.window;
+    });
+
+    it('Test indicators need an id, a calculate function and a valid panel', function () {
+        expect(() => registerIndicator({ calculate })).to.throw('registerIndicator requires an id.');
+        expect(() => registerIndicator({ id: 'double' })).to.throw('Indicator double requires a calculate function.');
+        expect(() => registerIndicator({ id: 'double', calculate, panel: 'top' })).to.throw('Indicator double has an invalid panel: top');
+        expect(CIQ.Studies.studyLibrary.double).to.equal(undefined);
+    });
+
+    it('Test indicators are added to the tree', function () {
+        registerIndicator({ id: 'double', name: 'Double', calculate, category: 'trend' });
+        registerIndicator({ id: 'half', calculate: dataSet => dataSet.map(({ close }) => close / 2), category: 'Mine' });
+        const tree = getIndicatorsTree();
+
+        const trend = tree.find(category => category.id === 'trend');
+        expect(trend.items[trend.items.length - 1]).to.include({ id: 'double', name: 'Double', icon: trend.icon });
+        expect(tree[tree.length - 1]).to.deep.include({ id: 'Mine', name: 'Mine', items: [{ id: 'half', name: 'half', description: '', icon: tree[tree.length - 1].icon }] });
+        // the built-in tree is left as it is
+        expect(findItem(IndicatorsTree, 'double')).to.equal(undefined);
+    });
+
+    it('Test an indicator registered again replaces the previous one', function () {
+        registerIndicator({ id: 'double', name: 'Twice', calculate });
+        const tree = getIndicatorsTree();
+        const items = [].concat(...tree.map(category => category.items)).filter(item => item.id === 'double');
+        expect(items).to.deep.equal([{ id: 'double', name: 'Twice', description: '', icon: items[0].icon }]);
+        expect(CIQ.Studies.studyLibrary.double).to.include({ name: 'Twice', overlay: false });
+    });
+
+    it('Test the results of calculate are set on the quotes', function () {
+        const quoteAt = (epoch, close) => ({ DT: new Date(getUTCDate(epoch)), Open: 1, High: 2, Low: 0.5, Close: close });
+        const run = (study, outputs) => {
+            const quotes = [quoteAt(1560000000, 1), quoteAt(1560000060, 2), quoteAt(1560000120, 3)];
+            const sd = { name: `${study} (1)`, inputs: { Period: 1 }, outputs, chart: { scrubbed: quotes } };
+            CIQ.Studies.studyLibrary[study].calculateFN({}, sd);
+            return quotes;
+        };
+
+        let received;
+        registerIndicator({
+            id: 'received',
+            calculate: (dataSet, inputs) => { received = { dataSet, inputs }; },
+        });
+        run('received', { Result: 'auto' });
+        expect(received.inputs).to.deep.equal({ Period: 1 });
+        expect(received.dataSet[0]).to.deep.equal({ epoch: 1560000000, open: 1, high: 2, low: 0.5, close: 1 });
+
+        // a value per quote goes to the first output
+        expect(run('double', { Result: 'auto' }).map(quote => quote['Result double (1)'])).to.deep.equal([2, 4, 6]);
+
+        // objects set each output; missing and non-numeric values are left out
+        registerIndicator({
+            id: 'band',
+            outputs: { Upper: 'auto', Lower: 'auto' },
+            calculate: dataSet => dataSet.map(({ close }, idx) => (idx === 0 ? null : { Upper: close + 1, Lower: idx === 1 ? 'n/a' : close - 1 })),
+        });
+        const quotes = run('band', { Upper: 'auto', Lower: 'auto' });
+        expect(quotes.map(quote => quote['Upper band (1)'])).to.deep.equal([undefined, 3, 4]);
+        expect(quotes.map(quote => quote['Lower band (1)'])).to.deep.equal([undefined, undefined, 2]);
+    });
+});
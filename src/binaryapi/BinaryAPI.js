@@ -1,8 +1,15 @@
-export default class BinaryAPI {
-    static get DEFAULT_COUNT() { return 1000; }
+import DataSource from './DataSource';
+
+// Default DataSource; translates the requests into Binary.com API calls.
+export default class BinaryAPI extends DataSource {
+    static get SUPPORTED_GRANULARITIES() {
+        return [60, 120, 180, 300, 600, 900, 1800, 3600, 7200, 14400, 28800, 86400];
+    }
+
     streamRequests = {};
     tradingTimesCache = null;
     constructor(requestAPI, requestSubscribe, requestForget, requestForgetStream) {
+        super();
         this.requestAPI = requestAPI;
         this.requestSubscribe = requestSubscribe;
         this.requestForget = requestForget;
@@ -31,12 +38,12 @@ export default class BinaryAPI {
         return response;
     }
 
-    getTickHistory(params) {
+    getHistory(params) {
         const request = BinaryAPI.createTickHistoryRequest(params);
         return this.requestAPI(request);
     }
 
-    subscribeTickHistory(params, callback) {
+    subscribe(params, callback) {
         const key = this._getKey(params);
         const request = BinaryAPI.createTickHistoryRequest({ ...params, subscribe: 1 });
         this.streamRequests[key] = { request, callback };
@@ -53,6 +60,10 @@ export default class BinaryAPI {
         return this.requestForget(request, callback);
     }
 
+    getSupportedGranularities() {
+        return BinaryAPI.SUPPORTED_GRANULARITIES;
+    }
+
     forgetStream(subscription_id) {
         if (this.requestForgetStream && typeof this.requestForgetStream === 'function') {
             return this.requestForgetStream(subscription_id);
@@ -0,0 +1,66 @@
+/*
+ * DataSource is the contract between SmartCharts and wherever its market data
+ * comes from. `Feed`, `ActiveSymbols`, `TradingTimes` and `ServerTime` only
+ * talk to this interface; `BinaryAPI` is the default implementation that
+ * speaks the Binary.com websocket API. Library users can pass their own
+ * implementation to `<SmartChart dataSource={...} />`.
+ *
+ * Responses are expected in the following shapes:
+ *
+ *  - getActiveSymbols: { active_symbols: [{ symbol, display_name, market, market_display_name,
+ *                        submarket_display_name, exchange_is_open, pip }] }
+ *  - getTradingTimes:  { trading_times: { markets: [{ submarkets: [{ symbols: [{ symbol,
+ *                        times: { open: ['HH:mm:ss'], close: ['HH:mm:ss'] }, feed_license, delay_amount }] }] }] } }
+ *  - getServerTime:    { time } // epoch in seconds
+ *  - getHistory:       { history: { times: [epoch], prices: [price] } } for ticks (granularity 0), or
+ *                      { candles: [{ epoch, open, high, low, close, volume? }] } for candles
+ *  - subscribe:        callback is first called with a `getHistory` response, then with
+ *                      { tick: { epoch, quote, volume? } } or { ohlc: { open_time, open, high, low, close, volume? } }
+ *                      for each update.
+ *
+ * Any response may instead be `{ error: { code, message } }`.
+ */
+class DataSource {
+    static get DEFAULT_COUNT() { return 1000; }
+
+    getActiveSymbols() {
+        throw new Error('Please override!');
+    }
+
+    // `date` is either 'today' or a date string formatted as YYYY-MM-DD
+    getTradingTimes(/* date */) {
+        throw new Error('Please override!');
+    }
+
+    getServerTime() {
+        throw new Error('Please override!');
+    }
+
+    // `params` is { symbol, granularity, start, end, count }; when `start` is
+    // not set, the latest `count` ticks/candles before `end` are expected.
+    getHistory(/* params */) {
+        throw new Error('Please override!');
+    }
+
+    // `params` is the same as `getHistory`. Only one subscription per symbol
+    // and granularity is made at a time.
+    subscribe(/* params, callback */) {
+        throw new Error('Please override!');
+    }
+
+    // `params` is { symbol, granularity } of a previous `subscribe` call
+    forget(/* params */) {
+        throw new Error('Please override!');
+    }
+
+    // Returns the candle granularities (in seconds) that `getHistory` and `subscribe`
+    // support; candles of other granularities are then built from finer data.
+    // Returning undefined means every granularity is supported.
+    getSupportedGranularities() {}
+
+    // Called when a stream response arrives after the chart is destroyed;
+    // `subscription_id` is the `subscription.id` field of that response.
+    forgetStream(/* subscription_id */) {}
+}
+
+export default DataSource;
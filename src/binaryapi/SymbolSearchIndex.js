@@ -0,0 +1,135 @@
+// Relevance of a query word matching a field; fuzzy matches score lower per typo
+const SCORES = {
+    exact: 100,
+    prefix: 80,
+    wordPrefix: 70,
+    substring: 50,
+    fuzzy: 40,
+};
+// Weights of the fields a symbol is matched on
+const WEIGHTS = {
+    code: 1,
+    name: 1,
+    alias: 0.9,
+    market: 0.5,
+};
+
+const normalize = text => (text || '').toLowerCase().trim();
+const splitWords = text => normalize(text).split(/[^a-z0-9]+/).filter(word => word);
+
+// Damerau-Levenshtein (optimal string alignment) distance, giving up above `max`
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) { return max + 1; }
+    let prevPrev = [];
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) { return max + 1; }
+        prevPrev = prev;
+        prev = current;
+    }
+    return prev[b.length];
+}
+
+// Number of typos tolerated in a query word
+const maxTypos = (word) => {
+    if (word.length >= 7) { return 2; }
+    return word.length >= 4 ? 1 : 0;
+};
+
+// Returns the score of a query word against a field's text and words
+function matchField(query, { text, words }) {
+    if (text === query) { return SCORES.exact; }
+    if (text.startsWith(query)) { return SCORES.prefix; }
+    if (words.some(word => word.startsWith(query))) { return SCORES.wordPrefix; }
+    if (query.length > 1 && text.includes(query)) { return SCORES.substring; }
+
+    const typos = maxTypos(query);
+    if (!typos) { return 0; }
+    let best = typos + 1;
+    for (const word of [text, ...words]) {
+        // compare against the start of longer words, so that typos in prefixes still match
+        const candidate = word.length > query.length ? word.slice(0, query.length) : word;
+        best = Math.min(best, editDistance(query, candidate, typos));
+    }
+    return best <= typos ? SCORES.fuzzy - (best - 1) * 10 : 0;
+}
+
+/*
+ * Ranks symbols by how well they match a search query. Symbols are matched on
+ * their code (with and without its lowercase prefix, e.g. `frxXAUUSD` and `XAUUSD`),
+ * display name, market and submarket names and aliases. Each word of the query
+ * must match one of them; small typos are tolerated.
+ */
+export default class SymbolSearchIndex {
+    constructor(symbols = [], aliases = {}) {
+        this.entries = symbols.map(symbolObj => ({
+            symbolObj,
+            fields: {
+                code: SymbolSearchIndex.indexTexts([symbolObj.symbol, symbolObj.symbol.replace(/^[a-z]+_?/, '')]),
+                name: SymbolSearchIndex.indexTexts([symbolObj.name]),
+                market: SymbolSearchIndex.indexTexts([symbolObj.market_display_name, symbolObj.submarket_display_name]),
+                alias: [],
+            },
+        }));
+        this.setAliases(aliases);
+    }
+
+    static indexTexts(texts) {
+        return texts
+            .filter(text => text)
+            .map(text => ({ text: normalize(text), words: splitWords(text) }));
+    }
+
+    // `aliases` maps an alias to a symbol code or a list of them, e.g. { gold: 'frxXAUUSD' }
+    setAliases(aliases = {}) {
+        const bySymbol = {};
+        for (const alias in aliases) {
+            [].concat(aliases[alias]).forEach((symbol) => {
+                bySymbol[symbol] = [...(bySymbol[symbol] || []), alias];
+            });
+        }
+        this.entries = this.entries.map(entry => ({
+            ...entry,
+            fields: {
+                ...entry.fields,
+                alias: SymbolSearchIndex.indexTexts(bySymbol[entry.symbolObj.symbol] || []),
+            },
+        }));
+    }
+
+    // Returns the matching symbol objects, best matches first
+    search(query) {
+        const queries = normalize(query).split(/\s+/).filter(word => word);
+        if (!queries.length) { return []; }
+
+        const results = [];
+        this.entries.forEach((entry, idx) => {
+            let score = 0;
+            for (const word of queries) {
+                let best = 0;
+                for (const field in entry.fields) {
+                    for (const value of entry.fields[field]) {
+                        best = Math.max(best, matchField(word, value) * WEIGHTS[field]);
+                    }
+                }
+                if (!best) { return; }
+                score += best;
+            }
+            results.push({ score, idx, symbolObj: entry.symbolObj });
+        });
+
+        return results
+            .sort((a, b) => (b.score - a.score) || (a.idx - b.idx))
+            .map(result => result.symbolObj);
+    }
+}
@@ -1,6 +1,12 @@
 import EventEmitter from 'event-emitter-es6';
 import ServerTime from '../utils/ServerTime';
 import PendingPromise from '../utils/PendingPromise';
+import { getDatesBetween, parseSessions, getDayEvents } from '../utils/tradingSessions';
+
+// Trading times of at most this many days are requested at once
+const MAX_PARALLEL_REQUESTS = 7;
+// Trading times of today and later days may still change; they are looked up again after this many milliseconds
+const UPCOMING_TIMES_TTL = 60 * 60 * 1000;
 
 class TradingTimes {
     static get EVENT_MARKET_OPEN_CLOSE_CHANGE() { return 'EVENT_MARKET_OPEN_CLOSE_CHANGE'; }
@@ -8,6 +14,7 @@ class TradingTimes {
     isInitialized = false;
     tradingTimesPromise = new PendingPromise();
     timeUpdateCallback;
+    _timesByDate = {};
 
     constructor(api, shouldFetchTradingTimes = true) {
         this._shouldFetchTradingTimes = shouldFetchTradingTimes;
@@ -201,6 +208,80 @@ class TradingTimes {
         return nextDate;
     }
 
+    /*
+     * Sessions ([{ open, close }] epochs) of `symbol` from epoch `start` to epoch `end`,
+     * looked up in the trading times of each of these days. Days whose trading times
+     * cannot be retrieved are taken as open all day.
+     */
+    async getSessions(symbol, start, end) {
+        const dates = getDatesBetween(start, end);
+        const days = [];
+        for (let i = 0; i < dates.length; i += MAX_PARALLEL_REQUESTS) {
+            const batch = dates.slice(i, i + MAX_PARALLEL_REQUESTS).map(date => this._getTimesOn(date));
+            days.push(...await Promise.all(batch)); // eslint-disable-line no-await-in-loop
+        }
+        return days.reduce((sessions, timesMap, idx) => {
+            const { times } = timesMap ? (timesMap[symbol] || {}) : { times: { open: ['00:00:00'], close: ['23:59:59'] } };
+            return times ? sessions.concat(parseSessions(dates[idx], times)) : sessions;
+        }, []);
+    }
+
+    /*
+     * Schedule of `symbol` on `date` (YYYY-MM-DD): its sessions and the descriptions
+     * of its events on that day (e.g. holidays and early closes). Resolves to
+     * undefined if the trading times of that day cannot be retrieved.
+     */
+    async getSchedule(symbol, date) {
+        const timesMap = await this._getTimesOn(date);
+        if (!timesMap) { return undefined; }
+        const { times, events } = timesMap[symbol] || {};
+        return {
+            date,
+            sessions: times ? parseSessions(date, times) : [],
+            events: getDayEvents(events, date),
+        };
+    }
+
+    /*
+     * Map of the times and events of each symbol on `date`, or undefined if they cannot
+     * be retrieved. The past days are cached as they do not change; today and later days
+     * are cached for UPCOMING_TIMES_TTL.
+     */
+    _getTimesOn(date) {
+        const now = this._serverTime.getLocalDate();
+        const cached = this._timesByDate[date];
+        if (cached && !(cached.expiresAt <= now)) { return cached.promise; }
+
+        const isPast = date < now.toISOString().substring(0, 10);
+        const promise = this._api.getTradingTimes(date).then((response) => {
+            if (response.error) {
+                const { error } = response;
+                throw new Error(`[${error.code}] "${error.message}"`);
+            }
+            if (!response.trading_times || !response.trading_times.markets) {
+                throw new Error('the response has no trading times');
+            }
+
+            const timesMap = {};
+            for (const { submarkets } of response.trading_times.markets) {
+                for (const { symbols } of submarkets) {
+                    for (const { symbol, times, events } of symbols) {
+                        timesMap[symbol] = { times, events };
+                    }
+                }
+            }
+            return timesMap;
+        }).catch((error) => {
+            console.error(`Error getting trading times on ${date}: ${error.message || error}`);
+            if (this._timesByDate[date] && this._timesByDate[date].promise === promise) {
+                delete this._timesByDate[date];
+            }
+            return undefined;
+        });
+        this._timesByDate[date] = { promise, expiresAt: isPast ? undefined : new Date(+now + UPCOMING_TIMES_TTL) };
+        return promise;
+    }
+
     onMarketOpenCloseChanged(callback) {
         this._emitter.on(TradingTimes.EVENT_MARKET_OPEN_CLOSE_CHANGE, callback);
     }
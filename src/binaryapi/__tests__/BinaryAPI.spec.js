@@ -0,0 +1,59 @@
+import { describe, it } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import BinaryAPI from '../BinaryAPI';
+import DataSource from '../DataSource';
+
+chai.use(sinonChai);
+
+describe('BinaryAPI test', function () {
+    it('BinaryAPI is a DataSource', function () {
+        const api = new BinaryAPI();
+        expect(api).to.be.an.instanceof(DataSource);
+        expect(() => new DataSource().getHistory({})).to.throw('Please override!');
+    });
+
+    it('Test getHistory requests candles for granularity > 0', function () {
+        const requestAPI = sinon.fake.resolves({});
+        const api = new BinaryAPI(requestAPI);
+        api.getHistory({ symbol: 'R_50', granularity: 60, start: 1524809040, end: 1524809160 });
+        expect(requestAPI).to.have.been.calledWith({
+            ticks_history: 'R_50',
+            style: 'candles',
+            granularity: 60,
+            adjust_start_time: 1,
+            start: 1524809040,
+            end: 1524809160,
+        });
+    });
+
+    it('Test getHistory requests ticks for granularity 0', function () {
+        const requestAPI = sinon.fake.resolves({});
+        const api = new BinaryAPI(requestAPI);
+        api.getHistory({ symbol: 'R_50', granularity: 0, count: 3 });
+        expect(requestAPI).to.have.been.calledWith({
+            ticks_history: 'R_50',
+            style: 'ticks',
+            end: 'latest',
+            count: 3,
+            adjust_start_time: 1,
+        });
+    });
+
+    it('Test forget passes the subscribed request and callback', function () {
+        const requestSubscribe = sinon.fake();
+        const requestForget = sinon.fake();
+        const callback = () => {};
+        const api = new BinaryAPI(undefined, requestSubscribe, requestForget);
+        api.subscribe({ symbol: 'R_50', granularity: 0 }, callback);
+        const request = requestSubscribe.lastCall.args[0];
+        expect(request.subscribe).to.be.equal(1);
+
+        api.forget({ symbol: 'R_50', granularity: 0 });
+        expect(requestForget).to.have.been.calledWith(sinon.match(request), callback);
+
+        api.forget({ symbol: 'R_50', granularity: 0 });
+        expect(requestForget).to.have.callCount(1);
+    });
+});
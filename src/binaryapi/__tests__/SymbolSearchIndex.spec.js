@@ -0,0 +1,59 @@
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import SymbolSearchIndex, { editDistance } from '../SymbolSearchIndex';
+
+const symbols = [
+    { symbol: 'frxEURUSD', name: 'EUR/USD', market_display_name: 'Forex', submarket_display_name: 'Major Pairs' },
+    { symbol: 'frxXAUUSD', name: 'Gold/USD', market_display_name: 'Commodities', submarket_display_name: 'Metals' },
+    { symbol: 'R_50', name: 'Volatility 50 Index', market_display_name: 'Synthetic Indices', submarket_display_name: 'Continuous Indices' },
+    { symbol: 'R_100', name: 'Volatility 100 Index', market_display_name: 'Synthetic Indices', submarket_display_name: 'Continuous Indices' },
+    { symbol: 'OTC_DJI', name: 'Wall Street Index', market_display_name: 'Stock Indices', submarket_display_name: 'American indices' },
+];
+
+const codes = results => results.map(symbolObj => symbolObj.symbol);
+
+describe('SymbolSearchIndex test', function () {
+    beforeEach(function () {
+        this.index = new SymbolSearchIndex(symbols, { gold: 'frxXAUUSD', dow: ['OTC_DJI'] });
+    });
+
+    it('computes the edit distance with transpositions', function () {
+        expect(editDistance('gold', 'gold')).to.equal(0);
+        expect(editDistance('glod', 'gold')).to.equal(1);
+        expect(editDistance('gols', 'gold')).to.equal(1);
+        expect(editDistance('abcdef', 'uvwxyz', 2)).to.equal(3);
+    });
+
+    it('matches symbol codes with and without their prefix', function () {
+        expect(codes(this.index.search('xauusd'))).to.deep.equal(['frxXAUUSD']);
+        expect(codes(this.index.search('frxEUR'))).to.deep.equal(['frxEURUSD']);
+    });
+
+    it('matches display names, markets and aliases', function () {
+        expect(codes(this.index.search('wall street'))).to.deep.equal(['OTC_DJI']);
+        expect(codes(this.index.search('metals'))).to.deep.equal(['frxXAUUSD']);
+        expect(codes(this.index.search('dow'))).to.deep.equal(['OTC_DJI']);
+        expect(codes(this.index.search('gold'))[0]).to.equal('frxXAUUSD');
+    });
+
+    it('requires every word of the query to match', function () {
+        expect(codes(this.index.search('volatility 100'))).to.deep.equal(['R_100']);
+        expect(this.index.search('volatility euro')).to.deep.equal([]);
+    });
+
+    it('tolerates typos', function () {
+        expect(codes(this.index.search('volatilty'))).to.deep.equal(['R_50', 'R_100']);
+        expect(codes(this.index.search('glod'))).to.deep.equal(['frxXAUUSD']);
+    });
+
+    it('ranks exact matches above partial matches', function () {
+        expect(codes(this.index.search('r_100'))[0]).to.equal('R_100');
+        expect(codes(this.index.search('usd'))).to.deep.equal(['frxEURUSD', 'frxXAUUSD']);
+    });
+
+    it('updates the aliases', function () {
+        this.index.setAliases({ fiber: 'frxEURUSD' });
+        expect(codes(this.index.search('fiber'))).to.deep.equal(['frxEURUSD']);
+        expect(this.index.search('dow')).to.deep.equal([]);
+    });
+});
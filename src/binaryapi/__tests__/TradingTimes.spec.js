@@ -4,6 +4,7 @@ import sinon from 'sinon';
 import sinonChai from 'chai-sinon';
 import TradingTimes from '../TradingTimes';
 import DummyBinaryAPI from './DummyBinaryAPI';
+import ServerTime from '../../utils/ServerTime';
 
 chai.use(sinonChai);
 
@@ -150,4 +151,86 @@ describe('TradingTimes test', async function () {
             this.clock.tick('00:01:00'); // Monday, 00:00:00
         }, 0);
     });
+
+    it('Test getSessions looks up the sessions of several days', async function () {
+        const friday = 1535068800; // 2018-08-24T00:00:00Z
+        const hour = 3600;
+        const sessions = await this.tt.getSessions('STI', friday + 10 * hour, friday + 3 * 24 * hour + 10 * hour);
+        expect(sessions).to.deep.equal([
+            { open: friday + hour, close: friday + 9 * hour },
+            { open: friday + 3 * 24 * hour + hour, close: friday + 3 * 24 * hour + 9 * hour },
+        ]);
+    });
+
+    it('Test getSchedule gives the sessions and events of a day', async function () {
+        const friday = 1535068800; // 2018-08-24T00:00:00Z
+        const schedule = await this.tt.getSchedule('frxAUDJPY', '2018-08-24');
+        expect(schedule).to.deep.equal({
+            date: '2018-08-24',
+            sessions: [{ open: friday, close: friday + 21 * 3600 }],
+            events: ['Closes early (at 21:00)'],
+        });
+        expect((await this.tt.getSchedule('STI', '2018-08-25')).sessions).to.deep.equal([]);
+    });
+
+    describe('Trading times of other days', function () {
+        beforeEach(function () {
+            sinon.stub(console, 'error');
+        });
+
+        afterEach(function () {
+            console.error.restore();
+        });
+
+        it('Test days whose trading times cannot be retrieved are looked up again', async function () {
+            const { getTradingTimes } = this.dummyBinaryApi;
+            this.dummyBinaryApi.getTradingTimes = sinon.fake.rejects(new Error('disconnected'));
+            expect(await this.tt.getSchedule('STI', '2018-08-20')).to.equal(undefined);
+            this.dummyBinaryApi.getTradingTimes = sinon.fake.resolves({ msg_type: 'trading_times' });
+            expect(await this.tt.getSchedule('STI', '2018-08-20')).to.equal(undefined);
+            this.dummyBinaryApi.getTradingTimes = sinon.fake.resolves({ error: { code: 'RateLimit', message: 'too many requests' } });
+            expect(await this.tt.getSchedule('STI', '2018-08-20')).to.equal(undefined);
+            expect(console.error).to.have.callCount(3);
+
+            this.dummyBinaryApi.getTradingTimes = getTradingTimes;
+            expect((await this.tt.getSchedule('STI', '2018-08-20')).sessions).to.have.lengthOf(1);
+        });
+
+        it('Test only the trading times of past days are cached for good', async function () {
+            const { getTradingTimes } = this.dummyBinaryApi;
+            await this.tt.getSchedule('STI', '2018-08-23');
+            await this.tt.getSchedule('STI', '2018-08-24');
+            expect(getTradingTimes).to.have.been.calledWith('2018-08-23');
+            expect(getTradingTimes).to.have.been.calledWith('2018-08-24');
+
+            getTradingTimes.resetHistory();
+            const serverTime = ServerTime.getInstance();
+            serverTime.serverTimeAtResponse += 2 * 3600;
+            try {
+                await this.tt.getSchedule('STI', '2018-08-23');
+                await this.tt.getSchedule('STI', '2018-08-24');
+            } finally {
+                serverTime.serverTimeAtResponse -= 2 * 3600;
+            }
+            expect(getTradingTimes).to.have.callCount(1);
+            expect(getTradingTimes).to.have.been.calledWith('2018-08-24');
+        });
+
+        it('Test getSessions requests the trading times of a few days at once', async function () {
+            const { getTradingTimes } = this.dummyBinaryApi;
+            let pending = 0;
+            let maxPending = 0;
+            this.dummyBinaryApi.getTradingTimes = sinon.fake(async (date) => {
+                maxPending = Math.max(maxPending, ++pending);
+                const response = await getTradingTimes(date);
+                pending--;
+                return response;
+            });
+            const friday = 1535068800; // 2018-08-24T00:00:00Z
+            const sessions = await this.tt.getSessions('R_50', friday - 30 * 86400, friday);
+            expect(this.dummyBinaryApi.getTradingTimes).to.have.callCount(31);
+            expect(maxPending).to.be.at.most(7);
+            expect(sessions).to.have.lengthOf(31);
+        });
+    });
 });
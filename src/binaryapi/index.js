@@ -1,9 +1,13 @@
 import ActiveSymbols from './ActiveSymbols';
 import TradingTimes from './TradingTimes';
 import BinaryAPI from './BinaryAPI';
+import DataSource from './DataSource';
+import SymbolSearchIndex from './SymbolSearchIndex';
 
 export {
     ActiveSymbols,
     TradingTimes,
     BinaryAPI,
+    DataSource,
+    SymbolSearchIndex,
 };
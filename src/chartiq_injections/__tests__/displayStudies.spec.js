@@ -0,0 +1,50 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import { displayStudies } from '../displayStudies';
+
+chai.use(sinonChai);
+
+describe('displayStudies test', function () {
+    beforeEach(function () {
+        // the studies each display call was given
+        this.displayed = [];
+        this.display = sinon.fake((stx) => { this.displayed.push(Object.keys(stx.layout.studies)); });
+        global.CIQ = { Studies: { displayStudies: this.display } };
+        displayStudies();
+        this.studies = { rsi: { panel: 'rsi' }, ma: { panel: 'chart' }, macd: { panel: 'macd' } };
+        this.stx = { layout: { studies: this.studies }, panels: { chart: {}, rsi: {}, macd: {} } };
+    });
+
+    afterEach(function () {
+        delete global.CIQ;
+    });
+
+    it('Test the studies are displayed at once when none is skipped or timed', function () {
+        CIQ.Studies.displayStudies(this.stx, {}, false);
+        expect(this.displayed).to.deep.equal([['rsi', 'ma', 'macd']]);
+    });
+
+    it('Test disabled studies and studies in collapsed panels are skipped', function () {
+        this.studies.ma.disabled = true;
+        this.stx.panels.macd.collapsed = true;
+        CIQ.Studies.displayStudies(this.stx, {}, false);
+        expect(this.displayed).to.deep.equal([['rsi']]);
+        expect(this.stx.layout.studies).to.equal(this.studies);
+    });
+
+    it('Test the draw time of each study is added up', function () {
+        this.stx.studyDrawTimes = { rsi: 1 };
+        CIQ.Studies.displayStudies(this.stx, {}, false);
+        expect(this.displayed).to.deep.equal([['rsi'], ['ma'], ['macd']]);
+        expect(Object.keys(this.stx.studyDrawTimes)).to.deep.equal(['rsi', 'ma', 'macd']);
+        expect(this.stx.studyDrawTimes.rsi).to.be.at.least(1);
+    });
+
+    it('Test the original function is only wrapped once', function () {
+        const wrapped = CIQ.Studies.displayStudies;
+        displayStudies();
+        expect(CIQ.Studies.displayStudies).to.equal(wrapped);
+    });
+});
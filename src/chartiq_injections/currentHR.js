@@ -45,6 +45,11 @@ CIQ.ChartEngine.prototype.drawCurrentHR = function () {
                 backgroundColor = this.canvasStyle('stx_current_hr_up').backgroundColor;
                 color = this.canvasStyle('stx_current_hr_up').color;
             }
+            // the price of a stale feed is greyed out
+            if (this.isFeedStale) {
+                backgroundColor = this.canvasStyle('stx_current_hr_stale').backgroundColor;
+                color = this.canvasStyle('stx_current_hr_stale').color;
+            }
             if (chart.transformFunc) currentClose = chart.transformFunc(this, chart, currentClose);
             var txt;
             // If a chart panel, then always display at least the number of decimal places as calculated by masterData (panel.chart.decimalPlaces)
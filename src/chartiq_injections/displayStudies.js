@@ -0,0 +1,42 @@
+export const displayStudies = () => {
+    // inject() is called for each chart; only wrap the original function once
+    if (CIQ.Studies.displayStudies.isWrapped) { return; }
+    const display = CIQ.Studies.displayStudies;
+
+    // Displays the studies one at a time, so that disabled studies and studies in
+    // collapsed panels are skipped and the draw time of each study is added to
+    // `stx.studyDrawTimes` (when it is set) for the draw-time budget of StudyLegendStore.
+    const wrapped = function (stx, chart, underlays) {
+        const studies = stx.layout.studies;
+        if (!studies) { return; }
+        const isSkipped = (sd) => {
+            const panel = stx.panels[sd.panel];
+            return sd.disabled || (panel && panel.collapsed);
+        };
+        if (!stx.studyDrawTimes && !Object.keys(studies).some(id => isSkipped(studies[id]))) {
+            display(stx, chart, underlays);
+            return;
+        }
+
+        try {
+            Object.keys(studies).forEach((id) => {
+                const sd = studies[id];
+                if (isSkipped(sd)) { return; }
+
+                const single = { [id]: sd };
+                stx.layout.studies = single;
+                const start = performance.now();
+                display(stx, chart, underlays);
+                if (stx.studyDrawTimes) {
+                    stx.studyDrawTimes[id] = (stx.studyDrawTimes[id] || 0) + performance.now() - start;
+                }
+                // orphaned panel studies are deleted while importing a layout
+                if (!single[id]) { delete studies[id]; }
+            });
+        } finally {
+            stx.layout.studies = studies;
+        }
+    };
+    wrapped.isWrapped = true;
+    CIQ.Studies.displayStudies = wrapped;
+};
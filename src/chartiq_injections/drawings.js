@@ -0,0 +1,331 @@
+import { countBars, formatPriceChange, formatDuration, measurePosition } from '../utils/drawingMeasures';
+import { ARROW_COLORS } from '../utils';
+
+const LABEL_LINE_HEIGHT = 14;
+const LABEL_PADDING = 4;
+
+function getDecimalPlaces(stx) {
+    const { symbolObject } = stx.chart;
+    return (symbolObject && symbolObject.decimal_places !== undefined) ? symbolObject.decimal_places : 2;
+}
+
+// Pixels of the two points of a drawing, or undefined if its panel no longer exists
+function getPixels(drawing) {
+    const { stx } = drawing;
+    const panel = stx.panels[drawing.panelName];
+    if (!panel || !drawing.p0 || !drawing.p1) { return; }
+    return {
+        panel,
+        x0: stx.pixelFromTick(drawing.p0[0], panel.chart),
+        x1: stx.pixelFromTick(drawing.p1[0], panel.chart),
+        y0: stx.pixelFromValueAdjusted(panel, drawing.p0[0], drawing.p0[1]),
+        y1: stx.pixelFromValueAdjusted(panel, drawing.p1[0], drawing.p1[1]),
+    };
+}
+
+function drawArrow(context, x0, y0, x1, y1, color) {
+    const angle = Math.atan2(y1 - y0, x1 - x0);
+    context.beginPath();
+    context.strokeStyle = color;
+    context.lineWidth = 1;
+    context.moveTo(x0, y0);
+    context.lineTo(x1, y1);
+    [-1, 1].forEach((side) => {
+        context.moveTo(x1, y1);
+        context.lineTo(x1 - 8 * Math.cos(angle + side * Math.PI / 6), y1 - 8 * Math.sin(angle + side * Math.PI / 6));
+    });
+    context.stroke();
+}
+
+// Draws `lines` of text in a box centred on `x`, below `y` (or above it when `isAbove`)
+function drawLabel(stx, context, lines, x, y, color, isAbove) {
+    stx.canvasFont('stx_yaxis', context);
+    const width = Math.max(...lines.map(line => context.measureText(line).width)) + LABEL_PADDING * 2;
+    const height = lines.length * LABEL_LINE_HEIGHT + LABEL_PADDING * 2;
+    const top = isAbove ? y - height : y;
+
+    context.fillStyle = stx.containerColor;
+    context.globalAlpha = 0.85;
+    context.fillRect(x - width / 2, top, width, height);
+    context.globalAlpha = 1;
+
+    context.fillStyle = color;
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    lines.forEach((line, idx) => context.fillText(line, x, top + LABEL_PADDING + idx * LABEL_LINE_HEIGHT));
+    context.textAlign = 'left';
+    context.textBaseline = 'alphabetic';
+}
+
+function fillArea(context, x, y0, width, y1, color) {
+    context.globalAlpha = 0.2;
+    context.fillStyle = color;
+    context.fillRect(x, Math.min(y0, y1), width, Math.abs(y1 - y0));
+    context.globalAlpha = 1;
+}
+
+function addRangeDrawings() {
+    // Price range: the change in price and the bars between two points
+    CIQ.Drawing.pricerange = function () {
+        this.name = 'pricerange';
+    };
+    CIQ.Drawing.pricerange.ciqInheritsFrom(CIQ.Drawing.rectangle);
+
+    CIQ.Drawing.pricerange.prototype.render = function (context) {
+        CIQ.Drawing.rectangle.prototype.render.call(this, context);
+        const pixels = getPixels(this);
+        if (!pixels) { return; }
+        const { x0, x1, y0, y1 } = pixels;
+        const color = this.getLineColor();
+        const x = (x0 + x1) / 2;
+        drawArrow(context, x, y0, x, y1, color);
+        drawLabel(this.stx, context, [
+            formatPriceChange(this.p0[1], this.p1[1], getDecimalPlaces(this.stx)),
+            t.translate('[count] bars', { count: countBars(this.p0[0], this.p1[0]) }),
+        ], x, y1 + (y1 < y0 ? -4 : 4), color, y1 < y0);
+    };
+
+    // Date range: the bars and the time between two points
+    CIQ.Drawing.daterange = function () {
+        this.name = 'daterange';
+    };
+    CIQ.Drawing.daterange.ciqInheritsFrom(CIQ.Drawing.rectangle);
+
+    CIQ.Drawing.daterange.prototype.render = function (context) {
+        CIQ.Drawing.rectangle.prototype.render.call(this, context);
+        const pixels = getPixels(this);
+        if (!pixels) { return; }
+        const { panel, x0, x1, y0, y1 } = pixels;
+        const color = this.getLineColor();
+        const y = (y0 + y1) / 2;
+        drawArrow(context, x0, y, x1, y, color);
+
+        const date0 = this.stx.dateFromTick(this.p0[0], panel.chart, true);
+        const date1 = this.stx.dateFromTick(this.p1[0], panel.chart, true);
+        drawLabel(this.stx, context, [
+            t.translate('[count] bars', { count: countBars(this.p0[0], this.p1[0]) }),
+            formatDuration((date1 - date0) / 1000),
+        ], (x0 + x1) / 2, Math.max(y0, y1) + 4, color);
+    };
+}
+
+/*
+ * Long and short positions: an entry (p0), a target (p1, whose date is where the
+ * position ends) and a stop (p2, of the entry date). While drawing, the target is
+ * above the entry for long positions and below it for short ones, and the stop is
+ * as far from the entry on the other side; each can then be dragged on its own.
+ */
+function addPositionDrawings() {
+    CIQ.Drawing.BasePosition = function () {
+        this.direction = 1;
+        this.v2 = null;
+        this.p2 = null;
+    };
+    CIQ.Drawing.BasePosition.ciqInheritsFrom(CIQ.Drawing.BaseTwoPoint);
+
+    CIQ.Drawing.BasePosition.prototype.configs = ['color', 'lineWidth', 'pattern'];
+
+    // Sets the target and the stop from how far from the entry the pointer is
+    CIQ.Drawing.BasePosition.prototype.setLevels = function (tick, value) {
+        const panel = this.stx.panels[this.panelName];
+        const entry = this.p0[1];
+        const distance = Math.abs(value - entry);
+        this.setPoint(1, tick, entry + this.direction * distance, panel.chart);
+        this.v2 = entry - this.direction * distance;
+        this.p2 = [this.p0[0], this.v2];
+    };
+
+    CIQ.Drawing.BasePosition.prototype.click = function (context, tick, value) {
+        const isFinished = CIQ.Drawing.BaseTwoPoint.prototype.click.call(this, context, tick, value);
+        if (isFinished) { this.setLevels(tick, value); }
+        return isFinished;
+    };
+
+    CIQ.Drawing.BasePosition.prototype.move = function (context, tick, value) {
+        if (!this.penDown) { return; }
+        this.copyConfig();
+        this.setLevels(tick, value);
+        this.render(context);
+    };
+
+    CIQ.Drawing.BasePosition.prototype.adjust = function () {
+        CIQ.Drawing.BaseTwoPoint.prototype.adjust.call(this);
+        if (this.p0) { this.p2 = [this.p0[0], this.v2]; }
+    };
+
+    CIQ.Drawing.BasePosition.prototype.render = function (context) {
+        const pixels = getPixels(this);
+        if (!pixels || !this.p2) { return; }
+        const { stx } = this;
+        const { panel, x0, x1, y0, y1 } = pixels;
+        const y2 = stx.pixelFromValueAdjusted(panel, this.p2[0], this.p2[1]);
+        const left = Math.min(x0, x1);
+        const width = Math.abs(x1 - x0);
+        const color = this.highlighted ? stx.getCanvasColor('stx_highlight_vector') : this.color;
+        const parameters = { pattern: this.pattern, lineWidth: this.lineWidth };
+
+        fillArea(context, left, y0, width, y1, ARROW_COLORS.GREEN);
+        fillArea(context, left, y0, width, y2, ARROW_COLORS.ORANGE);
+        stx.plotLine(left, left + width, y0, y0, color, 'segment', context, panel, parameters);
+
+        const decimalPlaces = getDecimalPlaces(stx);
+        const [entry, target, stop] = [this.p0[1], this.p1[1], this.p2[1]];
+        const { ratio, rewardPercent, riskPercent } = measurePosition({ entry, target, stop });
+        const x = left + width / 2;
+        const textColor = this.getLineColor();
+        drawLabel(stx, context, [
+            t.translate('Target: [price] ([percent]%)', { price: target.toFixed(decimalPlaces), percent: (rewardPercent || 0).toFixed(2) }),
+        ], x, y1 + (y1 < y0 ? -4 : 4), textColor, y1 < y0);
+        drawLabel(stx, context, [
+            t.translate('Stop: [price] ([percent]%)', { price: stop.toFixed(decimalPlaces), percent: (riskPercent || 0).toFixed(2) }),
+        ], x, y2 + (y2 < y0 ? -4 : 4), textColor, y2 < y0);
+        drawLabel(stx, context, [
+            t.translate('Risk/Reward: [ratio]', { ratio: ratio !== undefined ? ratio.toFixed(2) : '-' }),
+        ], x, y0 + (y1 < y0 ? 4 : -4), textColor, y1 >= y0);
+
+        if (this.highlighted) {
+            this.littleCircle(context, x0, y0, this.highlighted === 'p0');
+            this.littleCircle(context, x1, y1, this.highlighted === 'p1');
+            this.littleCircle(context, x0, y2, this.highlighted === 'p2');
+        }
+    };
+
+    CIQ.Drawing.BasePosition.prototype.intersected = function (tick, value, box) {
+        if (!this.p0 || !this.p1 || !this.p2) { return false; }
+        const points = { p0: this.p0, p1: this.p1, p2: this.p2 };
+        const point = Object.keys(points).find(key => this.pointIntersection(points[key][0], points[key][1], box));
+        if (point) {
+            this.highlighted = point;
+            return { action: 'drag', point };
+        }
+
+        const values = [this.p1[1], this.p2[1]];
+        const isInside = box.x0 <= Math.max(this.p0[0], this.p1[0]) && box.x1 >= Math.min(this.p0[0], this.p1[0])
+            && box.y1 <= Math.max(...values) && box.y0 >= Math.min(...values);
+        if (isInside) {
+            this.highlighted = true;
+            return {
+                action: 'move',
+                p0: CIQ.clone(this.p0),
+                p1: CIQ.clone(this.p1),
+                v2: this.v2,
+                tick,
+                value,
+            };
+        }
+        return false;
+    };
+
+    CIQ.Drawing.BasePosition.prototype.reposition = function (context, repositioner, tick, value) {
+        if (!repositioner) { return; }
+        const panel = this.stx.panels[this.panelName];
+        if (repositioner.action === 'move') {
+            const tickDiff = repositioner.tick - tick;
+            const valueDiff = repositioner.value - value;
+            this.setPoint(0, repositioner.p0[0] - tickDiff, repositioner.p0[1] - valueDiff, panel.chart);
+            this.setPoint(1, repositioner.p1[0] - tickDiff, repositioner.p1[1] - valueDiff, panel.chart);
+            this.v2 = repositioner.v2 - valueDiff;
+        } else if (repositioner.point === 'p2') {
+            // the stop is of the entry date; only its price can be changed
+            this.v2 = value;
+        } else {
+            this[repositioner.point] = [tick, value];
+            this.setPoint(0, this.p0[0], this.p0[1], panel.chart);
+            this.setPoint(1, this.p1[0], this.p1[1], panel.chart);
+        }
+        this.p2 = [this.p0[0], this.v2];
+        this.render(context);
+    };
+
+    CIQ.Drawing.BasePosition.prototype.reconstruct = function (stx, obj) {
+        this.v2 = obj.v2;
+        CIQ.Drawing.rectangle.prototype.reconstruct.call(this, stx, obj);
+    };
+
+    CIQ.Drawing.BasePosition.prototype.serialize = function () {
+        return {
+            ...CIQ.Drawing.rectangle.prototype.serialize.call(this),
+            v2: this.v2,
+        };
+    };
+
+    CIQ.Drawing.longposition = function () {
+        CIQ.Drawing.BasePosition.call(this);
+        this.name = 'longposition';
+    };
+    CIQ.Drawing.longposition.ciqInheritsFrom(CIQ.Drawing.BasePosition);
+
+    CIQ.Drawing.shortposition = function () {
+        CIQ.Drawing.BasePosition.call(this);
+        this.name = 'shortposition';
+        this.direction = -1;
+    };
+    CIQ.Drawing.shortposition.ciqInheritsFrom(CIQ.Drawing.BasePosition);
+}
+
+/*
+ * Drawings can be named (`label`), locked (ChartIQ's `permanent`: they cannot be moved or
+ * deleted on the chart), hidden and pinned to all symbols. These are exported with the
+ * drawings under short keys, as ChartIQ does for its own fields.
+ */
+const MANAGEMENT_FIELDS = {
+    label: 'lbl',
+    permanent: 'lck',
+    isHidden: 'hid',
+    allSymbols: 'all',
+};
+
+// Calls `method` of the chart engine as if its hidden drawings were not there
+function skipHiddenDrawings(method) {
+    const original = CIQ.ChartEngine.prototype[method];
+    CIQ.ChartEngine.prototype[method] = function (...args) {
+        const { drawingObjects } = this;
+        this.drawingObjects = drawingObjects.filter(drawing => !drawing.isHidden);
+        try {
+            return original.apply(this, args);
+        } finally {
+            this.drawingObjects = drawingObjects;
+        }
+    };
+}
+
+function addDrawingManagement() {
+    const { exportDrawings, importDrawings } = CIQ.ChartEngine.prototype;
+
+    CIQ.ChartEngine.prototype.exportDrawings = function () {
+        return exportDrawings.call(this).map((obj, idx) => {
+            const drawing = this.drawingObjects[idx];
+            const fields = {};
+            Object.keys(MANAGEMENT_FIELDS).forEach((field) => {
+                if (drawing[field]) { fields[MANAGEMENT_FIELDS[field]] = drawing[field]; }
+            });
+            return { ...obj, ...fields };
+        });
+    };
+
+    CIQ.ChartEngine.prototype.importDrawings = function (arr) {
+        arr.forEach((obj) => {
+            const count = this.drawingObjects.length;
+            importDrawings.call(this, [obj]);
+            // drawings of unknown tools are not imported
+            const drawing = this.drawingObjects[count];
+            if (!drawing) { return; }
+            Object.keys(MANAGEMENT_FIELDS).forEach((field) => {
+                const value = obj[MANAGEMENT_FIELDS[field]];
+                if (value) { drawing[field] = value; }
+            });
+        });
+    };
+
+    // hidden drawings are neither rendered nor highlighted, so they cannot be moved either
+    skipHiddenDrawings('drawVectors');
+    skipHiddenDrawings('findHighlights');
+}
+
+export const addDrawings = () => {
+    // inject() is called for each chart; only add the drawings once
+    if (CIQ.Drawing.pricerange) { return; }
+    addRangeDrawings();
+    addPositionDrawings();
+    addDrawingManagement();
+};
@@ -1,21 +1,25 @@
 import { createXAxis }            from './createXAxis';
 import { drawCurrentPriceLine }   from './currentHR';
+import { displayStudies }         from './displayStudies';
 import { maintainHeadsUpHR }      from './headsUpHR';
 // import { manageMasterDataLength } from './manageMasterDataLength';
 import { maintainSpanSize }       from './resizing';
 import { setMaxTicks }            from './setMaxTicks';
 import { plotterDrawText }        from './plotterDrawText';
 import { overideMeasure }         from './setMeasure';
+import { addDrawings }            from './drawings';
 
 const inject = (option) => {
     createXAxis();
     drawCurrentPriceLine();
+    displayStudies();
     maintainHeadsUpHR();
     maintainSpanSize();
     // manageMasterDataLength();
     plotterDrawText();
     setMaxTicks();
     overideMeasure(option);
+    addDrawings();
 };
 
 export default inject;
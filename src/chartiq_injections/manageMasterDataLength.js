@@ -1,6 +1,9 @@
 export const manageMasterDataLength = () => {
     CIQ.ChartEngine.prototype.prepend('updateChartData', function () {
-        if (this.chart.lockScroll
+        if (this.shouldKeepMasterData) {
+            // Older history is being loaded on purpose (e.g. to export it)
+            this.maxMasterDataSize = 0;
+        } else if (this.chart.lockScroll
             && this.chart.dataSegment
             && this.chart.dataSegment[0]
             && this.chart.dataSegment[0].DT.valueOf() === this.masterData[0].DT.valueOf()) {
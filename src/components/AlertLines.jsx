@@ -0,0 +1,20 @@
+import React from 'react';
+import { connect } from '../store/Connect';
+
+const ALERT_COLOR = '#ff9800';
+
+const AlertLines = ({ lines, priceLabelWidth }) => lines.map(({ key, PriceLine }) => (
+    <PriceLine
+        key={key}
+        className="sc-alert-line"
+        width={priceLabelWidth}
+        lineStyle="dashed"
+        color={ALERT_COLOR}
+        foregroundColor="#ffffff"
+    />
+));
+
+export default connect(({ alerts }) => ({
+    lines: alerts.lines,
+    priceLabelWidth: alerts.priceLabelWidth,
+}))(AlertLines);
@@ -0,0 +1,131 @@
+import React from 'react';
+import { connect } from '../store/Connect';
+import AlertStore from '../store/AlertStore';
+import { DropDown } from './Form.jsx';
+import { AlertIcon, DeleteIcon } from './Icons.jsx';
+import '../../sass/components/alerts.scss';
+
+const getTypeLabel = (type) => {
+    switch (type) {
+    case AlertStore.CROSS_ABOVE: return t.translate('Cross above');
+    case AlertStore.CROSS_BELOW: return t.translate('Cross below');
+    case AlertStore.ENTER_CHANNEL: return t.translate('Enter channel');
+    case AlertStore.EXIT_CHANNEL: return t.translate('Exit channel');
+    case AlertStore.PERCENT_MOVE: return t.translate('Percent move');
+    default: return type;
+    }
+};
+
+const AlertInput = ({ id, label, value, onChange, step = 'any' }) => (
+    <label htmlFor={id}>
+        {label}
+        <input
+            id={id}
+            type="number"
+            className="sc-input"
+            step={step}
+            value={value}
+            onChange={e => onChange(e.target.value)}
+        />
+    </label>
+);
+
+const Alerts = ({
+    AlertsMenu,
+    menuOpen,
+    alerts,
+    types,
+    pip,
+    formType,
+    formHigh,
+    formLow,
+    formPercent,
+    formMinutes,
+    isChannelType,
+    setFormType,
+    setFormHigh,
+    setFormLow,
+    setFormPercent,
+    setFormMinutes,
+    submitForm,
+    removeAlert,
+    portalNodeId,
+}) => (
+    <AlertsMenu
+        className="sc-alerts-menu"
+        title={t.translate('Price alerts')}
+        tooltip={t.translate('Price alerts')}
+        newStyle
+        portalNodeId={portalNodeId}
+    >
+        <AlertsMenu.Title>
+            <div className={`sc-alerts__menu ${menuOpen ? 'sc-alerts__menu--active' : ''}`}>
+                <AlertIcon />
+            </div>
+        </AlertsMenu.Title>
+        <AlertsMenu.Body>
+            <div className="sc-alerts">
+                <div className="sc-alerts__form">
+                    <DropDown
+                        className="sc-alerts__type"
+                        rows={types}
+                        value={getTypeLabel(formType)}
+                        onRowClick={setFormType}
+                    >
+                        {getTypeLabel}
+                    </DropDown>
+                    <div className="sc-alerts__inputs">
+                        {formType === AlertStore.PERCENT_MOVE && (
+                            <>
+                                <AlertInput id="sc-alerts-percent" label={t.translate('Percent')} value={formPercent} onChange={setFormPercent} />
+                                <AlertInput id="sc-alerts-minutes" label={t.translate('Minutes')} value={formMinutes} onChange={setFormMinutes} step={1} />
+                            </>
+                        )}
+                        {isChannelType && (
+                            <>
+                                <AlertInput id="sc-alerts-high" label={t.translate('High')} value={formHigh} onChange={setFormHigh} />
+                                <AlertInput id="sc-alerts-low" label={t.translate('Low')} value={formLow} onChange={setFormLow} />
+                            </>
+                        )}
+                        {!isChannelType && formType !== AlertStore.PERCENT_MOVE && (
+                            <AlertInput id="sc-alerts-price" label={t.translate('Price')} value={formHigh} onChange={setFormHigh} />
+                        )}
+                    </div>
+                    <button type="button" className="sc-btn sc-btn--sm sc-btn--primary" onClick={submitForm}>
+                        {t.translate('Add alert')}
+                    </button>
+                </div>
+                <div className="sc-alerts__list">
+                    {alerts.length === 0 && <div className="sc-alerts__empty">{t.translate('No alerts')}</div>}
+                    {alerts.map(alert => (
+                        <div key={alert.id} className="sc-alerts__item">
+                            <span>{alert.title || AlertStore.describe(alert, pip)}</span>
+                            <DeleteIcon onClick={() => removeAlert(alert.id)} />
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </AlertsMenu.Body>
+    </AlertsMenu>
+);
+
+export default connect(({ alerts: a }) => ({
+    AlertsMenu: a.AlertsMenu,
+    menuOpen: a.menu.open,
+    alerts: a.alerts,
+    types: a.types,
+    pip: a.pip,
+    formType: a.formType,
+    formHigh: a.formHigh,
+    formLow: a.formLow,
+    formPercent: a.formPercent,
+    formMinutes: a.formMinutes,
+    isChannelType: a.isChannelType,
+    setFormType: a.setFormType,
+    setFormHigh: a.setFormHigh,
+    setFormLow: a.setFormLow,
+    setFormPercent: a.setFormPercent,
+    setFormMinutes: a.setFormMinutes,
+    submitForm: a.submitForm,
+    removeAlert: a.removeAlert,
+}))(Alerts);
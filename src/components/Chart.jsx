@@ -3,6 +3,8 @@ import RenderInsideChart from './RenderInsideChart.jsx';
 import ChartTitle from './ChartTitle.jsx';
 import Loader from './Loader.jsx';
 import Barrier from './Barrier.jsx';
+import AlertLines from './AlertLines.jsx';
+import EventMarkers from './EventMarkers.jsx';
 import BottomWidget from './BottomWidget.jsx';
 import BottomWidgetsContainer from './BottomWidgetsContainer.jsx';
 import NavigationWidget from './NavigationWidget.jsx';
@@ -62,6 +64,8 @@ class Chart extends Component {
             isMobile = false,
             isChartAvailable,
             isHighestLowestMarkerEnabled,
+            hasEvents,
+            hasPanelsOverflow,
             barriers = [],
             children,
             chartControlsWidgets,
@@ -83,7 +87,7 @@ class Chart extends Component {
         const contextWidth =  !isMobile ? `smartcharts-${containerWidth}` : '';
         const TopWidgets = topWidgets || this.defaultTopWidgets;
         // if there are any markers, then increase the subholder z-index
-        const HasMarkers = children && children.length ? 'smartcharts--has-markers' : '';
+        const HasMarkers = (children && children.length) || hasEvents ? 'smartcharts--has-markers' : '';
         const ToolbarWidget = toolbarWidget;
 
         return (
@@ -94,7 +98,7 @@ class Chart extends Component {
                         ref={this.root}
                     >
                         <div className={` ${currentPosition}`}>
-                            <div className="ciq-chart-area">
+                            <div className={`ciq-chart-area ${hasPanelsOverflow ? 'ciq-chart-area--scrollable' : ''}`}>
                                 <div className={`ciq-chart ${isChartClosed ? 'closed-chart' : ''}`}>
                                     <RenderInsideChart at="holder">
                                         {barriers.map((barr, idx) => (
@@ -103,6 +107,7 @@ class Chart extends Component {
                                                 {...barr}
                                             />
                                         ))}
+                                        <AlertLines />
                                     </RenderInsideChart>
                                     <RenderInsideChart at="subholder">
                                         {
@@ -113,6 +118,9 @@ class Chart extends Component {
                                     <RenderInsideChart at="subholder" hideInScrollToEpoch>
                                         {children}
                                     </RenderInsideChart>
+                                    <RenderInsideChart at="subholder">
+                                        <EventMarkers />
+                                    </RenderInsideChart>
                                     <RenderInsideChart at="subholder">
                                         <PaginationLoader />
                                     </RenderInsideChart>
@@ -165,6 +173,7 @@ export default connect(({
     studies,
     chartSetting,
     chartType,
+    events,
     state,
 }) => ({
     init: chart.init,
@@ -182,4 +191,6 @@ export default connect(({
     theme: chartSetting.theme,
     position: chartSetting.position,
     isHighestLowestMarkerEnabled: chartSetting.isHighestLowestMarkerEnabled,
+    hasEvents: events.clusters.length > 0,
+    hasPanelsOverflow: studies.panelsOverflowHeight > 0,
 }))(Chart);
@@ -8,6 +8,7 @@ import Timeperiod from './Timeperiod.jsx';
 import ChartSize from './ChartSize.jsx';
 import DrawTools from './DrawTools.jsx';
 import Share from './Share.jsx';
+import Alerts from './Alerts.jsx';
 import '../../sass/components/_chart-controls.scss';
 
 
@@ -18,6 +19,7 @@ export const RenderDefaultControls = ({ isMobile }) => (
         <Timeperiod />
         <StudyLegend />
         <DrawTools />
+        <Alerts />
         <Views />
         <Share />
         {isMobile ? '' : <ChartSize />}
@@ -40,6 +42,7 @@ const ChartControls = ({
 };
 
 export default connect(({ chart,
+    alerts,
     chartType,
     studies,
     drawTools,
@@ -55,6 +58,7 @@ export default connect(({ chart,
             || drawTools.menu.open
             || view.menu.open
             || share.menu.open
+            || alerts.menu.open
             || timeperiod.menu.open
             || chartSetting.menu.open
     ),
@@ -0,0 +1,75 @@
+import React from 'react';
+import ChartGroupStore from '../store/ChartGroupStore';
+import { LockIcon, UnlockIcon } from './Icons.jsx';
+import '../../sass/components/chart-group.scss';
+
+const LAYOUT_CLASSES = {
+    '1x2': 'sc-chart-group--1x2',
+    '2x2': 'sc-chart-group--2x2',
+    '1+3': 'sc-chart-group--1-3',
+};
+
+// React.Children.toArray gives every child a key; its position for unkeyed children
+const getChartId = child => child.props.id || child.key;
+
+/*
+ * Lays out its <SmartChart> children in a grid and synchronises them.
+ * Each chart has a lock toggle; unlocked charts are not synchronised.
+ * Charts are told apart by their `id` (or their key).
+ */
+class ChartGroup extends React.Component {
+    store = new ChartGroupStore();
+
+    state = { unlocked: {} };
+
+    componentDidMount() { this.updateStore(); }
+
+    componentDidUpdate() { this.updateStore(); }
+
+    componentWillUnmount() { this.store.destructor(); }
+
+    updateStore() {
+        const {
+            syncCrosshair = true,
+            syncRange = true,
+            syncGranularity = true,
+            syncSymbol = false,
+        } = this.props;
+        this.store.updateProps({ syncCrosshair, syncRange, syncGranularity, syncSymbol });
+    }
+
+    toggleLock(id) {
+        const isLocked = !!this.state.unlocked[id];
+        this.store.setLocked(id, isLocked);
+        this.setState(prevState => ({ unlocked: { ...prevState.unlocked, [id]: !isLocked } }));
+
+        const { onLockChange } = this.props;
+        if (onLockChange) { onLockChange(id, isLocked); }
+    }
+
+    render() {
+        const { children, layout = '1x2', className } = this.props;
+        const { unlocked } = this.state;
+
+        return (
+            <div className={`sc-chart-group ${LAYOUT_CLASSES[layout] || LAYOUT_CLASSES['1x2']} ${className || ''}`}>
+                {React.Children.toArray(children).filter(Boolean).map((child) => {
+                    const id = getChartId(child);
+                    const LockToggleIcon = unlocked[id] ? UnlockIcon : LockIcon;
+                    return (
+                        <div key={id} className="sc-chart-group__cell">
+                            {React.cloneElement(child, { chartGroup: this.store, chartGroupId: id })}
+                            <LockToggleIcon
+                                className={`sc-chart-group__lock ${unlocked[id] ? '' : 'sc-chart-group__lock--active'}`}
+                                onClick={() => this.toggleLock(id)}
+                                title={unlocked[id] ? t.translate('Sync with other charts') : t.translate('Stop syncing')}
+                            />
+                        </div>
+                    );
+                })}
+            </div>
+        );
+    }
+}
+
+export default ChartGroup;
@@ -13,6 +13,7 @@ import '../../sass/components/chart-mode.scss';
 
 const UnitMap = {
     tick: 'T',
+    second: 'S',
     minute: 'M',
     hour: 'H',
     day: 'D',
@@ -20,6 +21,7 @@ const UnitMap = {
 
 const TimeMap = {
     tick: 1,
+    second: 1,
     minute: 1,
     hour: 60,
 };
@@ -9,7 +9,17 @@ import {
     DeleteIcon,
     SettingIcon,
     EmptyStateIcon,
+    LockIcon,
+    UnlockIcon,
+    ShowIcon,
+    HideIcon,
+    PinIcon,
+    CopyIcon,
+    UndoIcon,
+    RedoIcon,
+    MagnetIcon,
 } from './Icons.jsx';
+import { Switch, DropDown } from './Form.jsx';
 import '../../sass/components/draw_tools.scss';
 
 const ActivePanelView = ({ enabled, children }) =>  (enabled ? (
@@ -32,7 +42,7 @@ const Info = ({ Icon, text, bars }) => (
 const DrawToolsList = ({ items, onClick }) => (
     <Scrollbars
         autoHeight
-        autoHeightMax={360}
+        autoHeightMax={320}
         className="sc-scrollbar sc-dtools__list"
     >
         {items.map(Item => (
@@ -50,21 +60,70 @@ const DrawToolsList = ({ items, onClick }) => (
     </Scrollbars>
 );
 
-const ActiveDrawToolsListItem = ({ item, onSetting, onDelete }) => (
-    <div className="sc-dtools__list__item">
-        <Info
-            Icon={item.icon}
-            text={item.text}
-            bars={item.bars}
-        />
+// Handlers of the icons of list items, which are not to select the item as well
+const stop = handler => (e) => {
+    e.stopPropagation();
+    handler();
+};
+
+const ActiveDrawToolsListItem = ({ item, actions }) => (
+    <div
+        className={`sc-dtools__list__item ${item.isHidden ? 'sc-dtools__list__item--hidden' : ''}`}
+        onClick={() => actions.onSelect(item.index)}
+    >
+        {actions.renamingIndex === item.index
+            ? (
+                <input
+                    type="text"
+                    className="sc-input sc-dtools__rename"
+                    value={actions.renameValue}
+                    onChange={actions.onRenameChange}
+                    onKeyUp={actions.onRenameKeyUp}
+                    onBlur={actions.rename}
+                    onClick={e => e.stopPropagation()}
+                    ref={ref => ref && ref.focus()}
+                />
+            )
+            : (
+                <div
+                    className="sc-dtools__name"
+                    title={t.translate('Double click to rename')}
+                    onDoubleClick={stop(() => actions.startRename(item.index))}
+                >
+                    <Info
+                        Icon={item.icon}
+                        text={item.text}
+                        bars={item.bars}
+                    />
+                </div>
+            )
+        }
         <div className="actions">
-            <SettingIcon onClick={() => onSetting(item.index)} />
-            <DeleteIcon onClick={() => onDelete(item.index)} />
+            {item.permanent
+                ? <LockIcon title={t.translate('Unlock')} onClick={stop(() => actions.onLock(item.index))} />
+                : <UnlockIcon title={t.translate('Lock')} onClick={stop(() => actions.onLock(item.index))} />
+            }
+            {item.isHidden
+                ? <HideIcon title={t.translate('Show')} onClick={stop(() => actions.onHide(item.index))} />
+                : <ShowIcon title={t.translate('Hide')} onClick={stop(() => actions.onHide(item.index))} />
+            }
+            <PinIcon
+                className={`sc-dtools__pin ${item.allSymbols ? 'sc-dtools__pin--active' : ''}`}
+                title={item.allSymbols ? t.translate('Show on this symbol only') : t.translate('Show on all symbols')}
+                onClick={stop(() => actions.onPin(item.index))}
+            />
+            <CopyIcon title={t.translate('Duplicate')} onClick={stop(() => actions.onDuplicate(item.index))} />
+            {!item.permanent && (
+                <>
+                    <SettingIcon onClick={stop(() => actions.onSetting(item.index))} />
+                    <DeleteIcon onClick={stop(() => actions.onDelete(item.index))} />
+                </>
+            )}
         </div>
     </div>
 );
 
-const ActiveDrawToolsListGroup = ({ group, onSetting, onDelete }) => (
+const ActiveDrawToolsListGroup = ({ group, actions }) => (
     <div className="sc-dtools__category">
         <div className="sc-dtools__category__head">
             {group.name}
@@ -75,8 +134,7 @@ const ActiveDrawToolsListGroup = ({ group, onSetting, onDelete }) => (
                     <ActiveDrawToolsListItem
                         key={`${item.index}`}
                         item={item}
-                        onSetting={onSetting}
-                        onDelete={onDelete}
+                        actions={actions}
                     />
                 ))}
             </div>
@@ -84,7 +142,7 @@ const ActiveDrawToolsListGroup = ({ group, onSetting, onDelete }) => (
     </div>
 );
 
-const ActiveDrawToolsList = ({ activeDrawToolsGroup, onSetting, onDelete }) => (
+const ActiveDrawToolsList = ({ activeDrawToolsGroup, actions }) => (
     <Scrollbars
         autoHeight
         autoHeightMax={320}
@@ -96,22 +154,53 @@ const ActiveDrawToolsList = ({ activeDrawToolsGroup, onSetting, onDelete }) => (
                     <ActiveDrawToolsListItem
                         key={group.key}
                         item={group.items[0]}
-                        onSetting={onSetting}
-                        onDelete={onDelete}
+                        actions={actions}
                     />
                 )
                 : (
                     <ActiveDrawToolsListGroup
                         key={group.key}
                         group={group}
-                        onSetting={onSetting}
-                        onDelete={onDelete}
+                        actions={actions}
                     />
                 )
         ))}
     </Scrollbars>
 );
 
+const magnetStrengthNames = () => ({
+    weak: t.translate('Weak'),
+    strong: t.translate('Strong'),
+});
+
+// Snaps the points of new drawings to the open, high, low or close of the bar under the pointer
+const Magnet = ({
+    isMagnetOn,
+    magnetStrength,
+    magnetStrengths,
+    toggleMagnet,
+    setMagnetStrength,
+}) => {
+    const names = magnetStrengthNames();
+    return (
+        <div className="sc-dtools__panel__head sc-dtools__magnet">
+            <MagnetIcon className={isMagnetOn ? 'sc-dtools__magnet--active' : ''} />
+            <span className="sc-dtools__magnet__title">{t.translate('Magnet')}</span>
+            {isMagnetOn && (
+                <DropDown
+                    className="sc-dtools__magnet__strength"
+                    rows={magnetStrengths}
+                    value={names[magnetStrength]}
+                    onRowClick={setMagnetStrength}
+                >
+                    {strength => <span className="option">{names[strength]}</span>}
+                </DropDown>
+            )}
+            <Switch value={isMagnetOn} onChange={toggleMagnet} />
+        </div>
+    );
+};
+
 const DrawTools = ({
     clearAll,
     selectTool,
@@ -120,8 +209,12 @@ const DrawTools = ({
     drawToolsItems,
     activeDrawToolsItemsNo,
     activeDrawToolsGroup,
-    onSetting,
-    onDelete,
+    actions,
+    magnet,
+    canUndo,
+    canRedo,
+    undo,
+    redo,
     portalNodeId,
     updatePortalNode,
 }) => {
@@ -153,19 +246,30 @@ const DrawTools = ({
                     </TabList>
                     <TabPanel>
                         <div className="sc-dtools__panel">
-                            <ActivePanelView
-                                enabled={!activeDrawToolsItemsNo}
-                            >
-                                <div className="sc-dtools__panel__head">
+                            <div className="sc-dtools__panel__head">
+                                <UndoIcon
+                                    className={`sc-dtools__history ${canUndo ? '' : 'sc-dtools__history--disabled'}`}
+                                    title={t.translate('Undo (Ctrl+Z)')}
+                                    onClick={undo}
+                                />
+                                <RedoIcon
+                                    className={`sc-dtools__history ${canRedo ? '' : 'sc-dtools__history--disabled'}`}
+                                    title={t.translate('Redo (Ctrl+Y)')}
+                                    onClick={redo}
+                                />
+                                {!!activeDrawToolsItemsNo && (
                                     <button type="button" className="sc-btn sc-btn--sm sc-btn--outline-secondary" onClick={clearAll}>
                                         <span>{t.translate('Clear all')}</span>
                                     </button>
-                                </div>
+                                )}
+                            </div>
+                            <ActivePanelView
+                                enabled={!activeDrawToolsItemsNo}
+                            >
                                 <div className="sc-dtools__panel__content sc-dtools__panel__content--active">
                                     <ActiveDrawToolsList
                                         activeDrawToolsGroup={activeDrawToolsGroup}
-                                        onSetting={onSetting}
-                                        onDelete={onDelete}
+                                        actions={actions}
                                     />
                                 </div>
                             </ActivePanelView>
@@ -173,6 +277,7 @@ const DrawTools = ({
                     </TabPanel>
                     <TabPanel>
                         <div className="sc-dtools__panel">
+                            <Magnet {...magnet} />
                             <div className="sc-dtools__panel__content">
                                 <DrawToolsList
                                     items={drawToolsItems}
@@ -195,7 +300,31 @@ export default connect(({ drawTools: dt }) => ({
     drawToolsItems: dt.drawToolsItems,
     activeDrawToolsItemsNo: dt.activeToolsNo,
     activeDrawToolsGroup: dt.activeToolsGroup,
-    onSetting: dt.onSetting,
-    onDelete: dt.onDeleted,
+    actions: {
+        onSelect: dt.selectDrawing,
+        onLock: dt.toggleLock,
+        onHide: dt.toggleHide,
+        onPin: dt.toggleAllSymbols,
+        onDuplicate: dt.duplicate,
+        onSetting: dt.onSetting,
+        onDelete: dt.onDeleted,
+        renamingIndex: dt.renamingIndex,
+        renameValue: dt.renameValue,
+        startRename: dt.startRename,
+        onRenameChange: dt.onRenameChange,
+        onRenameKeyUp: dt.onRenameKeyUp,
+        rename: dt.rename,
+    },
+    magnet: {
+        isMagnetOn: dt.isMagnetOn,
+        magnetStrength: dt.magnetStrength,
+        magnetStrengths: dt.magnetStrengths,
+        toggleMagnet: dt.toggleMagnet,
+        setMagnetStrength: dt.setMagnetStrength,
+    },
+    canUndo: dt.canUndo,
+    canRedo: dt.canRedo,
+    undo: dt.undo,
+    redo: dt.redo,
     updatePortalNode: dt.updatePortalNode,
 }))(DrawTools);
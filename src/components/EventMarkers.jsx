@@ -0,0 +1,62 @@
+import React from 'react';
+import { connect } from '../store/Connect';
+import { getUTCDate } from '../utils';
+
+import '../../sass/components/event-markers.scss';
+
+const EventCard = ({ events, onClick }) => (
+    <div className="sc-events__card">
+        {events.map(event => (
+            <div
+                key={event.id}
+                className={`sc-events__item sc-events__item--importance-${event.importance}`}
+                onClick={() => onClick(event)}
+            >
+                <div className="sc-events__item-head">
+                    <span className="sc-events__item-title">{event.title}</span>
+                    <span className="sc-events__item-time">{getUTCDate(event.epoch).replace('T', ' ')}</span>
+                </div>
+                {event.description && <div className="sc-events__item-desc">{event.description}</div>}
+            </div>
+        ))}
+    </div>
+);
+
+const EventMarkers = ({
+    clusters,
+    hoveredKey,
+    onClick,
+    setClusterRef,
+    setHoveredKey,
+}) => (
+    <div className="sc-events">
+        {clusters.map(({ key, events }) => {
+            const importance = Math.max(...events.map(event => event.importance));
+            return (
+                <div
+                    key={key}
+                    ref={setClusterRef(key)}
+                    className="sc-events__cluster"
+                    onMouseEnter={() => setHoveredKey(key)}
+                    onMouseLeave={() => setHoveredKey(undefined)}
+                >
+                    <span
+                        className={`sc-events__icon sc-events__icon--${events[0].type} sc-events__icon--importance-${importance}`}
+                        onClick={() => events.length === 1 && onClick(events[0])}
+                    >
+                        {events.length > 1 ? events.length : events[0].type.charAt(0).toUpperCase()}
+                    </span>
+                    {key === hoveredKey && <EventCard events={events} onClick={onClick} />}
+                </div>
+            );
+        })}
+    </div>
+);
+
+export default connect(({ events }) => ({
+    clusters: events.clusters,
+    hoveredKey: events.hoveredKey,
+    onClick: event => events.onClick(event),
+    setClusterRef: events.setClusterRef,
+    setHoveredKey: events.setHoveredKey,
+}))(EventMarkers);
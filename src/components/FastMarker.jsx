@@ -1,6 +1,6 @@
 import React, { Component } from 'react';
 import { connect } from '../store/Connect';
-import { getUTCDate } from  '../utils';
+import { getUTCDate, pixelFromDate } from  '../utils';
 
 // Render given Components under stx-subholder.
 // This component is used to position a marker on the chart.
@@ -62,31 +62,15 @@ class FastMarker extends Component {
             && chart.dataSet.length
             && stx.mainSeriesRenderer
         ) {
-            let tickIdx = stx.tickFromDate(this.date, chart);
+            const tickIdx = stx.tickFromDate(this.date, chart);
 
             if (tickIdx > -1
                 && stx.chart.dataSet[tickIdx]
                 && stx.chart.dataSet[tickIdx].Close !== this.price) {
                 delete stx.chart.tickCache[this.date.getTime()];
-                tickIdx = stx.tickFromDate(this.date, chart);
             }
 
-            let x = stx.pixelFromTick(tickIdx, chart);
-
-            // ChartIQ doesn't support placing markers in the middle of ticks.
-            const bar = chart.dataSet[tickIdx];
-            // Here we interpolate the pixel distance between two adjacent ticks.
-            if (bar && bar.DT < this.date) {
-                const barNext = chart.dataSet[tickIdx + 1];
-                const barPrev = tickIdx > 0 ? chart.dataSet[tickIdx - 1] : null;
-                if (barNext && barNext.Close && barNext.DT > this.date) {
-                    const pixelToNextBar = stx.pixelFromTick(tickIdx + 1, chart) - x;
-                    x +=  (this.date - bar.DT) / (barNext.DT - bar.DT) * pixelToNextBar;
-                } else if (barPrev && barPrev.Close) {
-                    const pixelFromPrevBar = x - stx.pixelFromTick(tickIdx - 1, chart);
-                    x +=  (this.date - bar.DT) / (bar.DT - barPrev.DT) * pixelFromPrevBar;
-                }
-            }
+            const x = pixelFromDate(stx, this.date, chart);
 
             const y = this.price ? stx.pixelFromPrice(this.price, chart.panel) : 0;
 
@@ -0,0 +1,44 @@
+import React from 'react';
+import { connect } from '../store/Connect';
+import '../../sass/components/feed-health.scss';
+
+const getLabel = (status, delay) => ({
+    live: t.translate('Live'),
+    slow: t.translate('Slow'),
+    delayed: t.translate('Delayed [delay] min', { delay }),
+    stale: t.translate('Stale'),
+    offline: t.translate('Offline'),
+})[status];
+
+const FeedHealth = ({
+    delay,
+    latency,
+    secondsSinceTick,
+    status,
+}) => {
+    if (status === 'inactive') { return null; }
+
+    return (
+        <div className={`sc-feed-health sc-feed-health--${status}`}>
+            <span className="sc-feed-health__dot" />
+            <span className="sc-feed-health__status">{getLabel(status, delay)}</span>
+            {secondsSinceTick !== undefined && (
+                <span className="sc-feed-health__measure">
+                    {t.translate('Last tick [seconds]s ago', { seconds: secondsSinceTick })}
+                </span>
+            )}
+            {latency !== undefined && (
+                <span className="sc-feed-health__measure">
+                    {t.translate('Latency [latency]s', { latency: latency.toFixed(1) })}
+                </span>
+            )}
+        </div>
+    );
+};
+
+export default connect(({ feedHealth }) => ({
+    delay: feedHealth.delay,
+    latency: feedHealth.latency,
+    secondsSinceTick: feedHealth.secondsSinceTick,
+    status: feedHealth.status,
+}))(FeedHealth);
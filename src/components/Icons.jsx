@@ -19,6 +19,8 @@ import Spline from '../../sass/icons/chart settings/chart types/spline/ic-spline
 import Table from '../../sass/icons/chart settings/chart types/table/table.svg';
 import Png from '../../sass/icons/download/ic-png.svg';
 import Csv from '../../sass/icons/download/ic-csv.svg';
+import Svg from '../../sass/icons/download/ic-svg.svg';
+import Copy from '../../sass/icons/share/ic-copy.svg';
 
 import Add from '../../sass/icons/chart settings/zoom-in/ic-zoomin-light.svg';
 import AddBold from '../../sass/icons/common/ic-add.svg';
@@ -39,6 +41,11 @@ import Minus from '../../sass/icons/chart settings/zoom-out/ic-zoomout-light.svg
 import Star from '../../sass/icons/favorite/ic-favorite-normal.svg';
 import Tick from '../../sass/icons/tick/ic-tick.svg';
 import Time from '../../sass/icons/time/ic-time.svg';
+import Play from '../../sass/icons/replay/ic-play.svg';
+import Pause from '../../sass/icons/replay/ic-pause.svg';
+import Alert from '../../sass/icons/alert/ic-alert.svg';
+import Lock from '../../sass/icons/chart-group/ic-lock.svg';
+import Unlock from '../../sass/icons/chart-group/ic-unlock.svg';
 import Active from '../../sass/icons/common/ic-active.svg';
 import Commodities from '../../sass/icons/sidebar/commodities/ic-commodities-normal.svg';
 import Forex from '../../sass/icons/sidebar/forex/ic-forex-normal.svg';
@@ -52,6 +59,7 @@ import Arrow from '../../sass/icons/dropdown/ic-dropdown.svg';
 import PositionLeft from '../../sass/icons/chart settings/setting/ic-position-left.svg';
 import PositionBottom from '../../sass/icons/chart settings/setting/ic-position-bottom.svg';
 import Back from '../../sass/icons/back/ic-back.svg';
+import Calendar from '../../sass/icons/common/ic-calendar.svg';
 import DrawCursor from '../../sass/icons/pencil/ic-pencil.svg';
 import DrawTool from '../../sass/icons/common/ic-drawing-tool.svg';
 
@@ -167,6 +175,7 @@ import IndicatorCatTrendDark from '../../sass/icons/indicators/ic-trend-dark.svg
 import IndicatorCatVolatility from '../../sass/icons/indicators/ic-volatility.svg';
 import IndicatorCatAverages from '../../sass/icons/indicators/ic-cat-averages.svg';
 import IndicatorCatOther from '../../sass/icons/indicators/ic-other.svg';
+import IndicatorCatVolume from '../../sass/icons/indicators/ic-volume.svg';
 
 import IndicatorAwesomeOscillator from '../../sass/icons/indicators/ic-awesome-oscillator.svg';
 import IndicatorDTrended from '../../sass/icons/indicators/ic-dtrended.svg';
@@ -200,6 +209,20 @@ import DrawToolsRay from '../../sass/icons/draw-tools/ic-ray.svg';
 import DrawToolsRectangle from '../../sass/icons/draw-tools/ic-rectangle.svg';
 import DrawToolsTrend from '../../sass/icons/draw-tools/ic-trend.svg';
 import DrawToolsVertical from '../../sass/icons/draw-tools/ic-vertical.svg';
+import DrawToolsAnnotation from '../../sass/icons/draw-tools/ic-annotation.svg';
+import DrawToolsArrow from '../../sass/icons/draw-tools/ic-arrow.svg';
+import DrawToolsCallout from '../../sass/icons/draw-tools/ic-callout.svg';
+import DrawToolsDateRange from '../../sass/icons/draw-tools/ic-date-range.svg';
+import DrawToolsEllipse from '../../sass/icons/draw-tools/ic-ellipse.svg';
+import DrawToolsLongPosition from '../../sass/icons/draw-tools/ic-long-position.svg';
+import DrawToolsPriceRange from '../../sass/icons/draw-tools/ic-price-range.svg';
+import DrawToolsShortPosition from '../../sass/icons/draw-tools/ic-short-position.svg';
+import Show from '../../sass/icons/drawings/ic-show.svg';
+import Hide from '../../sass/icons/drawings/ic-hide.svg';
+import Pin from '../../sass/icons/drawings/ic-pin.svg';
+import Undo from '../../sass/icons/drawings/ic-undo.svg';
+import Redo from '../../sass/icons/drawings/ic-redo.svg';
+import Magnet from '../../sass/icons/drawings/ic-magnet.svg';
 
 export const Wrapper = SvgLogo => (props) => {
     let { className, 'tooltip-title': tooltip, ...p } = props; // eslint-disable-line prefer-const
@@ -267,10 +290,17 @@ export const ZoomOutIcon = Wrapper(Minus);
 export const SplineIcon = Wrapper(Spline);
 export const PngIcon = Wrapper(Png);
 export const CsvIcon = Wrapper(Csv);
+export const SvgIcon = Wrapper(Svg);
+export const CopyIcon = Wrapper(Copy);
 export const StarIcon = Wrapper(Star);
 export const TemplateIcon = Wrapper(Template);
 export const TickIcon = Wrapper(Tick);
 export const TimeIcon = Wrapper(Time);
+export const PlayIcon = Wrapper(Play);
+export const PauseIcon = Wrapper(Pause);
+export const AlertIcon = Wrapper(Alert);
+export const LockIcon = Wrapper(Lock);
+export const UnlockIcon = Wrapper(Unlock);
 export const SearchIcon = Wrapper(Search);
 export const EditIcon = Wrapper(Edit);
 export const SettingIcon = Wrapper(Edit);
@@ -284,6 +314,7 @@ export const InfoCircleIcon = Wrapper(InfoCircle);
 export const PositionLeftIcon = Wrapper(PositionLeft);
 export const PositionBottomIcon = Wrapper(PositionBottom);
 export const BackIcon = Wrapper(Back);
+export const CalendarIcon = Wrapper(Calendar);
 
 export const HomeIcon = Wrapper(Home);
 export const ScaleIcon = Wrapper(Scale);
@@ -312,6 +343,7 @@ export const IndicatorCatTrendDarkIcon = Wrapper(IndicatorCatTrendDark);
 export const IndicatorCatVolatilityIcon = Wrapper(IndicatorCatVolatility);
 export const IndicatorCatAveragesIcon = Wrapper(IndicatorCatAverages);
 export const IndicatorCatOtherIcon = Wrapper(IndicatorCatOther);
+export const IndicatorCatVolumeIcon = Wrapper(IndicatorCatVolume);
 
 export const IndicatorAwesomeOscillatorIcon = Wrapper(IndicatorAwesomeOscillator);
 export const IndicatorDTrendedIcon = Wrapper(IndicatorDTrended);
@@ -353,6 +385,21 @@ export const DrawToolsRayIcon = Wrapper(DrawToolsRay);
 export const DrawToolsRectangleIcon = Wrapper(DrawToolsRectangle);
 export const DrawToolsTrendIcon = Wrapper(DrawToolsTrend);
 export const DrawToolsVerticalIcon = Wrapper(DrawToolsVertical);
+export const DrawToolsAnnotationIcon = Wrapper(DrawToolsAnnotation);
+export const DrawToolsArrowIcon = Wrapper(DrawToolsArrow);
+export const DrawToolsCalloutIcon = Wrapper(DrawToolsCallout);
+export const DrawToolsDateRangeIcon = Wrapper(DrawToolsDateRange);
+export const DrawToolsEllipseIcon = Wrapper(DrawToolsEllipse);
+export const DrawToolsLongPositionIcon = Wrapper(DrawToolsLongPosition);
+export const DrawToolsPriceRangeIcon = Wrapper(DrawToolsPriceRange);
+export const DrawToolsShortPositionIcon = Wrapper(DrawToolsShortPosition);
+
+export const ShowIcon = Wrapper(Show);
+export const HideIcon = Wrapper(Hide);
+export const PinIcon = Wrapper(Pin);
+export const UndoIcon = Wrapper(Undo);
+export const RedoIcon = Wrapper(Redo);
+export const MagnetIcon = Wrapper(Magnet);
 
 export const alertIconMap = {
     info: Wrapper(Info),
@@ -367,6 +414,7 @@ export const CategoryIconMap = {
     active: Wrapper(Active),
     commodities: Wrapper(Commodities),
     favorite: Wrapper(Star),
+    recent: Wrapper(Time),
     forex: Wrapper(Forex),
     indices: Wrapper(Indices),
     stocks: Wrapper(Stocks),
@@ -0,0 +1,87 @@
+import React from 'react';
+import moment from 'moment';
+import { connect } from '../store/Connect';
+import { DropDown } from './Form.jsx';
+import { PlayIcon, PauseIcon } from './Icons.jsx';
+import '../../sass/components/replay.scss';
+
+const formatEpoch = epoch => moment.utc(epoch * 1000).format('DD MMM YYYY HH:mm:ss [GMT]');
+
+const ReplayControls = ({
+    ReplayMenu,
+    menuOpen,
+    isActive,
+    isPlaying,
+    speed,
+    speeds,
+    position,
+    startEpoch,
+    endEpoch,
+    togglePlay,
+    setSpeed,
+    seek,
+    portalNodeId,
+}) => {
+    if (!isActive) return null;
+
+    const PlayPauseIcon = isPlaying ? PauseIcon : PlayIcon;
+
+    return (
+        <ReplayMenu
+            className="sc-replay-menu"
+            title={t.translate('Replay')}
+            tooltip={t.translate('Replay')}
+            newStyle
+            portalNodeId={portalNodeId}
+        >
+            <ReplayMenu.Title>
+                <div className={`sc-replay__menu ${menuOpen ? 'sc-replay__menu--active' : ''}`}>
+                    <PlayPauseIcon />
+                </div>
+            </ReplayMenu.Title>
+            <ReplayMenu.Body>
+                <div className="sc-replay">
+                    <div className="sc-replay__controls">
+                        <PlayPauseIcon
+                            onClick={togglePlay}
+                            tooltip-title={isPlaying ? t.translate('Pause') : t.translate('Play')}
+                        />
+                        <span className="sc-replay__time">{formatEpoch(position)}</span>
+                        <DropDown
+                            className="sc-replay__speed"
+                            rows={speeds}
+                            value={`${speed}x`}
+                            onRowClick={setSpeed}
+                        >
+                            {row => `${row}x`}
+                        </DropDown>
+                    </div>
+                    <input
+                        className="sc-replay__seek"
+                        type="range"
+                        min={startEpoch}
+                        max={endEpoch}
+                        step={1}
+                        value={Math.floor(position)}
+                        onChange={e => seek(e.currentTarget.value)}
+                    />
+                </div>
+            </ReplayMenu.Body>
+        </ReplayMenu>
+    );
+};
+
+export default connect(({ replay }) => ({
+    ReplayMenu: replay.ReplayMenu,
+    menuOpen: replay.menu.open,
+    isActive: replay.isActive,
+    isPlaying: replay.isPlaying,
+    speed: replay.speed,
+    speeds: replay.speeds,
+    position: replay.position,
+    startEpoch: replay.startEpoch,
+    endEpoch: replay.endEpoch,
+    togglePlay: replay.togglePlay,
+    setSpeed: replay.setSpeed,
+    seek: replay.seek,
+}))(ReplayControls);
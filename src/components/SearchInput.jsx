@@ -12,7 +12,7 @@ class SearchInput extends Component {
     };
 
     render() {
-        const { placeholder, value, searchInput, searchInputClassName } = this.props;
+        const { placeholder, value, searchInput, searchInputClassName, onKeyDown } = this.props;
 
         return (
             <div className={`cq-lookup-input ${value.trim() !== '' ? 'active' : ''}`}>
@@ -21,6 +21,7 @@ class SearchInput extends Component {
                     value={value}
                     ref={searchInput}
                     onChange={this.onChange}
+                    onKeyDown={onKeyDown}
                     type="text"
                     spellCheck="off"
                     autoComplete="off"
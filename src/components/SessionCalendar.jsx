@@ -0,0 +1,132 @@
+import React from 'react';
+import moment from 'moment';
+import { connect } from '../store/Connect';
+import Calendar from './calendar/Calendar.jsx';
+import { BackIcon, CalendarIcon } from './Icons.jsx';
+import { displayMilliseconds } from '../utils';
+import { formatDuration } from '../utils/drawingMeasures';
+import ServerTime from '../utils/ServerTime';
+import '../../sass/components/session-calendar.scss';
+
+const DAY = 86400;
+
+const formatTime = epoch => moment.utc(epoch * 1000).format('HH:mm');
+
+// Time left until the next open or close of the market, updated every second
+class Countdown extends React.Component {
+    componentDidMount() {
+        this.timer = setInterval(() => this.forceUpdate(), 1000);
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.timer);
+    }
+
+    render() {
+        const change = this.props.getNextChange();
+        if (!change) { return null; }
+        const seconds = change.epoch - ServerTime.getInstance().getEpoch();
+        const time = seconds >= DAY ? formatDuration(seconds) : displayMilliseconds(seconds * 1000);
+        return (
+            <span className={`sc-session-calendar__countdown sc-session-calendar__countdown--${change.isOpening ? 'opening' : 'closing'}`}>
+                {change.isOpening
+                    ? t.translate('Opens in [time]', { time })
+                    : t.translate('Closes in [time]', { time })}
+            </span>
+        );
+    }
+}
+
+const SessionDay = ({ day, isToday }) => {
+    const isClosed = !day.isUnknown && !day.sessions.length;
+    const isOpenAllDay = day.sessions.some(session => session.close - session.open >= DAY);
+    return (
+        <div className={`sc-session-calendar__day ${isClosed ? 'sc-session-calendar__day--closed' : ''} ${day.isUnknown ? 'sc-session-calendar__day--unknown' : ''} ${isToday ? 'sc-session-calendar__day--today' : ''}`}>
+            <span className="sc-session-calendar__date">{moment.utc(day.date).format('ddd DD MMM')}</span>
+            <span className="sc-session-calendar__sessions">
+                {day.isUnknown && t.translate('Not available')}
+                {isClosed && t.translate('Closed')}
+                {isOpenAllDay && t.translate('Open all day')}
+                {!isClosed && !isOpenAllDay && day.sessions.map(session => (
+                    <span key={session.open}>{`${formatTime(session.open)} - ${formatTime(session.close)}`}</span>
+                ))}
+            </span>
+            {day.events.map(event => (
+                <span key={event} className="sc-session-calendar__event">{event}</span>
+            ))}
+        </div>
+    );
+};
+
+class SessionCalendar extends React.Component {
+    componentDidMount() { this.props.onMount(); }
+
+    componentWillUnmount() { this.props.onUnmount(); }
+
+    render() {
+        const {
+            days,
+            getNextChange,
+            isCalendarOpen,
+            isLoading,
+            isOpen,
+            onSelectDate,
+            showNextDays,
+            showPreviousDays,
+            startDate,
+            today,
+            toggleCalendar,
+            toggleOpen,
+        } = this.props;
+
+        return (
+            <div className={`sc-session-calendar ${isOpen ? 'sc-session-calendar--open' : ''}`}>
+                <div className="sc-session-calendar__head" onClick={toggleOpen}>
+                    <CalendarIcon />
+                    <span className="sc-session-calendar__title">{t.translate('Trading sessions')}</span>
+                    <Countdown getNextChange={getNextChange} />
+                </div>
+                {isOpen && (
+                    <div className="sc-session-calendar__panel">
+                        <div className="sc-session-calendar__nav">
+                            <BackIcon className="sc-session-calendar__prev" onClick={showPreviousDays} />
+                            <span className="sc-session-calendar__range" onClick={toggleCalendar}>
+                                {moment.utc(startDate).format('DD MMM YYYY')}
+                            </span>
+                            <BackIcon className="sc-session-calendar__next" onClick={showNextDays} />
+                        </div>
+                        {isCalendarOpen && (
+                            <Calendar
+                                has_today_btn
+                                onSelect={onSelectDate}
+                            />
+                        )}
+                        <div className={`sc-session-calendar__days ${isLoading ? 'sc-session-calendar__days--loading' : ''}`}>
+                            {days.map(day => (
+                                <SessionDay key={day.date} day={day} isToday={day.date === today} />
+                            ))}
+                        </div>
+                        <div className="sc-session-calendar__note">{t.translate('All times are in GMT.')}</div>
+                    </div>
+                )}
+            </div>
+        );
+    }
+}
+
+export default connect(({ sessionCalendar }) => ({
+    days: sessionCalendar.days,
+    getNextChange: sessionCalendar.getNextChange,
+    isCalendarOpen: sessionCalendar.isCalendarOpen,
+    isLoading: sessionCalendar.isLoading,
+    isOpen: sessionCalendar.isOpen,
+    onMount: sessionCalendar.onMount,
+    onSelectDate: sessionCalendar.setStartDate,
+    onUnmount: sessionCalendar.onUnmount,
+    showNextDays: sessionCalendar.showNextDays,
+    showPreviousDays: sessionCalendar.showPreviousDays,
+    startDate: sessionCalendar.startDate,
+    today: sessionCalendar.today,
+    toggleCalendar: sessionCalendar.toggleCalendar,
+    toggleOpen: sessionCalendar.toggleOpen,
+}))(SessionCalendar);
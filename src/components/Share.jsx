@@ -4,7 +4,10 @@ import {
     DownloadIcon,
     PngIcon,
     CsvIcon,
+    SvgIcon,
+    CopyIcon,
 } from './Icons.jsx';
+import { Checkbox } from './Form.jsx';
 import '../../sass/components/download.scss';
 
 const Loading = () => (
@@ -19,9 +22,26 @@ const Loading = () => (
 const Share = ({
     Dialog,
     menuOpen,
-    downloadCSV,
+    downloadData,
     downloadPNG,
+    downloadSVG,
     isLoadingPNG,
+    isLoadingSVG,
+    isExporting,
+    exportFormat,
+    exportStartDate,
+    exportEndDate,
+    includeComparisons,
+    includeStudies,
+    isUTC,
+    setExportFormat,
+    setExportStartDate,
+    setExportEndDate,
+    setIncludeComparisons,
+    setIncludeStudies,
+    setIsUTC,
+    isUrlStateEnabled,
+    copyLink,
     portalNodeId,
 }) => (
     <Dialog
@@ -48,12 +68,83 @@ const Share = ({
                     {isLoadingPNG && <Loading />}
                 </div>
                 <div
-                    className="sc-download__item"
-                    onClick={downloadCSV}
+                    className={`sc-download__item ${isLoadingSVG ? 'sc-download__item--loading' : ''}`}
+                    onClick={downloadSVG}
+                >
+                    <SvgIcon />
+                    <span className="sc-download__item__label"> {t.translate('SVG')} </span>
+                    {isLoadingSVG && <Loading />}
+                </div>
+                <div
+                    className={`sc-download__item ${isExporting ? 'sc-download__item--loading' : ''}`}
+                    onClick={downloadData}
                 >
                     <CsvIcon />
-                    <span className="sc-download__item__label"> {t.translate('CSV')}</span>
+                    <span className="sc-download__item__label"> {exportFormat === 'json' ? t.translate('JSON') : t.translate('CSV')}</span>
+                    {isExporting && <Loading />}
+                </div>
+            </div>
+            {isUrlStateEnabled && (
+                <div className="sc-download__link">
+                    <button type="button" className="sc-btn sc-btn--sm sc-btn--outline-secondary" onClick={copyLink}>
+                        <CopyIcon />
+                        {t.translate('Copy link')}
+                    </button>
+                </div>
+            )}
+            <div className="sc-download__export">
+                <div className="sc-download__export__range">
+                    <label htmlFor="sc-download-start">
+                        {t.translate('From')}
+                        <input
+                            id="sc-download-start"
+                            type="date"
+                            className="sc-input"
+                            value={exportStartDate}
+                            onChange={e => setExportStartDate(e.target.value)}
+                        />
+                    </label>
+                    <label htmlFor="sc-download-end">
+                        {t.translate('To')}
+                        <input
+                            id="sc-download-end"
+                            type="date"
+                            className="sc-input"
+                            value={exportEndDate}
+                            onChange={e => setExportEndDate(e.target.value)}
+                        />
+                    </label>
+                </div>
+                <div className="sc-download__export__formats">
+                    {['csv', 'json'].map(format => (
+                        <button
+                            key={format}
+                            type="button"
+                            className={`sc-btn sc-btn--sm ${exportFormat === format ? 'sc-btn--primary' : 'sc-btn--outline-secondary'}`}
+                            onClick={() => setExportFormat(format)}
+                        >
+                            {format.toUpperCase()}
+                        </button>
+                    ))}
                 </div>
+                <Checkbox
+                    id="sc-download-comparisons"
+                    label={t.translate('Include comparisons')}
+                    checked={includeComparisons}
+                    onChange={setIncludeComparisons}
+                />
+                <Checkbox
+                    id="sc-download-studies"
+                    label={t.translate('Include indicators')}
+                    checked={includeStudies}
+                    onChange={setIncludeStudies}
+                />
+                <Checkbox
+                    id="sc-download-utc"
+                    label={t.translate('UTC time')}
+                    checked={isUTC}
+                    onChange={setIsUTC}
+                />
             </div>
         </Dialog.Body>
     </Dialog>
@@ -63,6 +154,23 @@ export default connect(({ share: d }) => ({
     Dialog: d.Dialog,
     menuOpen: d.menu.dialog.open,
     downloadPNG: d.downloadPNG,
-    downloadCSV: d.downloadCSV,
+    downloadSVG: d.downloadSVG,
+    downloadData: d.downloadData,
     isLoadingPNG: d.isLoadingPNG,
+    isLoadingSVG: d.isLoadingSVG,
+    isExporting: d.isExporting,
+    exportFormat: d.exportFormat,
+    exportStartDate: d.exportStartDate,
+    exportEndDate: d.exportEndDate,
+    includeComparisons: d.includeComparisons,
+    includeStudies: d.includeStudies,
+    isUTC: d.isUTC,
+    setExportFormat: d.setExportFormat,
+    setExportStartDate: d.setExportStartDate,
+    setExportEndDate: d.setExportEndDate,
+    setIncludeComparisons: d.setIncludeComparisons,
+    setIncludeStudies: d.setIncludeStudies,
+    setIsUTC: d.setIsUTC,
+    isUrlStateEnabled: d.isUrlStateEnabled,
+    copyLink: d.copyLink,
 }))(Share);
@@ -1,17 +1,51 @@
 import React from 'react';
 import { Provider } from 'mobx-react';
 import MainStore from '../store';
+import ChartController from '../store/ChartController';
 import Chart from './Chart.jsx';
 
 class SmartChart extends React.Component {
     mainStore = new MainStore();
 
+    controller = new ChartController(this.mainStore);
+
+    componentDidMount() {
+        const { chartGroup, chartGroupId } = this.props;
+        if (chartGroup) { chartGroup.add(chartGroupId, this.mainStore); }
+    }
+
+    componentDidUpdate(prevProps) {
+        const { chartGroup, chartGroupId } = this.props;
+        if (prevProps.chartGroup === chartGroup && prevProps.chartGroupId === chartGroupId) { return; }
+        if (prevProps.chartGroup) { prevProps.chartGroup.remove(prevProps.chartGroupId); }
+        if (chartGroup) { chartGroup.add(chartGroupId, this.mainStore); }
+    }
+
+    componentWillUnmount() {
+        const { chartGroup, chartGroupId } = this.props;
+        if (chartGroup) { chartGroup.remove(chartGroupId); }
+    }
+
     get chart() { return this.mainStore.chart; }
 
     get stx() { return this.chart.stxx; }
 
+    // Imperative API; refer to ChartController
+    setSymbol = symbol => this.controller.setSymbol(symbol);
+    setGranularity = granularity => this.controller.setGranularity(granularity);
+    addStudy = (type, options) => this.controller.addStudy(type, options);
+    removeStudy = id => this.controller.removeStudy(id);
+    addComparison = symbol => this.controller.addComparison(symbol);
+    zoomTo = range => this.controller.zoomTo(range);
+    scrollToEpoch = epoch => this.controller.scrollToEpoch(epoch);
+    getVisibleRange = () => this.controller.getVisibleRange();
+    getQuotes = range => this.controller.getQuotes(range);
+    exportLayout = () => this.controller.exportLayout();
+    importLayout = layout => this.controller.importLayout(layout);
+    takeSnapshot = options => this.controller.takeSnapshot(options);
+
     render() {
-        const { children, ...props } = this.props;
+        const { children, chartGroup, chartGroupId, ...props } = this.props;
 
         return (
             <Provider {...this.mainStore}>
@@ -25,7 +25,7 @@ const IndicatorList = ({ items, onSelectItem, onDeleteItem, onEditItem, onInfoIt
         {items.map(Item => (
             <div
                 key={`item--${Item.id}`}
-                className={`sc-studies__list__item ${disableAll && 'sc-studies__list__item--disabled'}`}
+                className={`sc-studies__list__item ${disableAll && 'sc-studies__list__item--disabled'} ${Item.disabled ? 'sc-studies__list__item--inactive' : ''}`}
             >
                 <div
                     className="info"
@@ -71,10 +71,10 @@ const TabularDisplaySearchPanel = ({ categories, onSelectItem, onInfoItem, disab
     </Scrollbars>
 );
 
-const TabularDisplayActivePanel = ({ items, onDeleteItem, onEditItem, clearAll }) => (
+const TabularDisplayActivePanel = ({ items, onDeleteItem, onEditItem, clearAll, maxStudies }) => (
     <React.Fragment>
         <div className="sc-studies__panel__head">
-            <p>{t.translate('Up to 5 active indicators allowed.')}</p>
+            <p>{Number.isFinite(maxStudies) && t.translate('Up to [max] active indicators allowed.', { max: maxStudies })}</p>
             <button
                 type="button"
                 className="sc-btn sc-btn--sm sc-btn--outline-secondary"
@@ -94,7 +94,7 @@ const TabularDisplayActivePanel = ({ items, onDeleteItem, onEditItem, clearAll }
 );
 
 
-const TabularDisplay = ({ onSelectTab, selectedTab, categories, searchedCategories, onSelectItem, onDeleteItem, onEditItem, onInfoItem, activeItems, clearAll, searchQuery }) => (
+const TabularDisplay = ({ onSelectTab, selectedTab, categories, searchedCategories, onSelectItem, onDeleteItem, onEditItem, onInfoItem, activeItems, clearAll, searchQuery, isLimitReached, maxStudies }) => (
     <Tabs
         className="tabs--vertical"
         selectedIndex={selectedTab}
@@ -123,7 +123,7 @@ const TabularDisplay = ({ onSelectTab, selectedTab, categories, searchedCategori
                                 categories={searchedCategories}
                                 onSelectItem={onSelectItem}
                                 onInfoItem={onInfoItem}
-                                disableAll={activeItems.length === 5}
+                                disableAll={isLimitReached}
                             />
                         )
                         : (<NoResultView text={searchQuery} />)
@@ -137,6 +137,7 @@ const TabularDisplay = ({ onSelectTab, selectedTab, categories, searchedCategori
                         ? (
                             <TabularDisplayActivePanel
                                 clearAll={clearAll}
+                                maxStudies={maxStudies}
                                 items={activeItems}
                                 onDeleteItem={onDeleteItem}
                                 onEditItem={onEditItem}
@@ -158,7 +159,7 @@ const TabularDisplay = ({ onSelectTab, selectedTab, categories, searchedCategori
                             onSelectItem={onSelectItem}
                             onInfoItem={onInfoItem}
                             items={Category.items}
-                            disableAll={activeItems.length === 5}
+                            disableAll={isLimitReached}
                         />
                     </Scrollbars>
                 </div>
@@ -190,6 +191,8 @@ const StudyLegend = ({
     infoItem,
     portalNodeId,
     updatePortalNode,
+    isLimitReached,
+    maxStudies,
 }) => {
     updatePortalNode(portalNodeId);
     return (
@@ -251,6 +254,8 @@ const StudyLegend = ({
                     activeItems={activeItems}
                     clearAll={deleteAll}
                     searchQuery={searchQuery}
+                    isLimitReached={isLimitReached}
+                    maxStudies={maxStudies}
                 />
             </StudyMenu.Body>
         </StudyMenu>
@@ -278,4 +283,6 @@ export default connect(({ studies: st, chart }) => ({
     onInfoItem: st.onInfoItem,
     infoItem: st.infoItem,
     updatePortalNode: st.updatePortalNode,
+    isLimitReached: st.isLimitReached,
+    maxStudies: st.maxStudies,
 }))(StudyLegend);
@@ -33,7 +33,7 @@ const Timeperiod = ({
 
         if (
             timeUnit === unit && (
-                (unit === 'minute' || unit === 'tick') && time === interval
+                (unit === 'second' || unit === 'minute' || unit === 'tick') && time === interval
                 || unit === 'hour' && time === (interval / 60)
                 || unit === 'day' && time === 1
             )
@@ -5,23 +5,111 @@ import {
     TemplateIcon,
     AddIcon,
     DeleteIcon,
+    DownloadIcon,
+    EditIcon,
     EmptyStateIcon,
+    InfoIcon,
     OverwriteStateIcon,
+    StarIcon,
 } from './Icons.jsx';
 import '../../sass/components/view.scss';
 
+const ViewPreview = ({ preview, duplicate, copyLink }) => (
+    <div className="sc-views__preview" onClick={e => e.stopPropagation()}>
+        <div className="sc-views__preview__row">
+            <span>{t.translate('Chart type')}</span>
+            <span>{preview.chartType}</span>
+        </div>
+        <div className="sc-views__preview__row">
+            <span>{t.translate('Time interval')}</span>
+            <span>{preview.granularity}</span>
+        </div>
+        <div className="sc-views__preview__row">
+            <span>{t.translate('Indicators')}</span>
+            <span>{preview.studies.length ? preview.studies.join(', ') : t.translate('None')}</span>
+        </div>
+        <div className="sc-views__preview__footer">
+            <button type="button" className="sc-btn sc-btn--sm sc-btn--outline-secondary" onClick={e => duplicate(preview.name, e)}>
+                {t.translate('Duplicate')}
+            </button>
+            <button type="button" className="sc-btn sc-btn--sm sc-btn--outline-secondary" onClick={e => copyLink(preview.name, e)}>
+                {t.translate('Copy link')}
+            </button>
+        </div>
+    </div>
+);
+
 const ViewItem = ({
     view,
     remove,
     onClick,
+    preview,
+    isRenaming,
+    renameValue,
+    onRenameChange,
+    onRenameKeyUp,
+    rename,
+    startRename,
+    togglePreview,
+    toggleDefault,
+    exportView,
+    duplicate,
+    copyLink,
 }) => (
-    <div className="sc-views__views__list__item" onClick={onClick}>
-        <div className="text">{view.name}</div>
-        <DeleteIcon onClick={remove} />
+    <div className={`sc-views__views__list__item ${preview ? 'sc-views__views__list__item--preview' : ''}`} onClick={isRenaming ? undefined : onClick}>
+        <div className="sc-views__views__list__item__head">
+            {isRenaming
+                ? (
+                    <input
+                        type="text"
+                        className="sc-input sc-views__rename"
+                        value={renameValue}
+                        onChange={onRenameChange}
+                        onKeyUp={onRenameKeyUp}
+                        onBlur={rename}
+                        onClick={e => e.stopPropagation()}
+                        ref={ref => ref && ref.focus()}
+                    />
+                )
+                : <div className="text">{view.name}</div>
+            }
+            <StarIcon
+                className={`sc-views__default ${view.isDefault ? 'sc-views__default--active' : ''}`}
+                tooltip-title={t.translate('Apply to new charts')}
+                onClick={e => toggleDefault(view.name, e)}
+            />
+            <InfoIcon onClick={e => togglePreview(view.name, e)} />
+            <EditIcon onClick={e => startRename(view.name, e)} />
+            <DownloadIcon onClick={e => exportView(view.name, e)} />
+            <DeleteIcon onClick={remove} />
+        </div>
+        {preview && <ViewPreview preview={preview} duplicate={duplicate} copyLink={copyLink} />}
     </div>
 );
 
-const EmptyView = ({ onClick }) => (
+const ImportButton = ({ onImportFile, className }) => {
+    let fileInput;
+    return (
+        <>
+            <button
+                type="button"
+                className={`sc-btn sc-btn--sm sc-btn--outline-secondary ${className || ''}`}
+                onClick={() => fileInput.click()}
+            >
+                {t.translate('Import')}
+            </button>
+            <input
+                type="file"
+                accept=".json,application/json"
+                onChange={onImportFile}
+                ref={(ref) => { fileInput = ref; }}
+                hidden
+            />
+        </>
+    );
+};
+
+const EmptyView = ({ onClick, onImportFile }) => (
     <div className="sc-views--empty">
         <EmptyStateIcon />
         <p>{t.translate('You have no saved templates yet.')}</p>
@@ -29,6 +117,7 @@ const EmptyView = ({ onClick }) => (
             <AddIcon />
             {t.translate('Add new template')}
         </button>
+        <ImportButton onImportFile={onImportFile} className="sc-views__import" />
     </div>
 );
 
@@ -52,13 +141,29 @@ const OverwriteView = ({ templateName, onCancel, onOverwrite }) =>  (
     </div>
 );
 
-const ActiveListView = ({ views, removeAll, applyLayout, remove }) => {
+const ActiveListView = ({
+    views,
+    removeAll,
+    applyLayout,
+    remove,
+    exportAll,
+    onImportFile,
+    ...itemProps
+}) => {
     if (!views.length) return '';
 
     return (
         <div className="sc-views__views">
             <div className="sc-views__views__head">
                 <h5>{t.translate('Saved templates')}</h5>
+                <ImportButton onImportFile={onImportFile} />
+                <button
+                    type="button"
+                    onClick={exportAll}
+                    className="sc-btn sc-btn--sm sc-btn--outline-secondary"
+                >
+                    {t.translate('Export all')}
+                </button>
                 <button
                     type="button"
                     onClick={removeAll}
@@ -72,8 +177,11 @@ const ActiveListView = ({ views, removeAll, applyLayout, remove }) => {
                     {
                         views.map((view, i) => (
                             <ViewItem
+                                {...itemProps}
                                 view={view}
                                 key={view.name}
+                                preview={itemProps.preview && itemProps.preview.name === view.name ? itemProps.preview : undefined}
+                                isRenaming={itemProps.renamingName === view.name}
                                 onClick={e => applyLayout(i, e)}
                                 remove={e => remove(i, e)}
                             />
@@ -104,6 +212,8 @@ const Views = ({
     onFocus,
     onBlur,
     portalNodeId,
+    onImportFile,
+    ...itemProps
 }) => {
     const isActive = isInputActive || templateName !== '';
 
@@ -123,7 +233,7 @@ const Views = ({
             <ViewsMenu.Body>
                 <div className="sc-views">
                     {(currentRoute === 'new')
-                        ? (<EmptyView onClick={onToggleNew} />)
+                        ? (<EmptyView onClick={onToggleNew} onImportFile={onImportFile} />)
                         : (
                             <React.Fragment>
                                 {
@@ -171,10 +281,12 @@ const Views = ({
                                         </div>
                                     </div>
                                     <ActiveListView
+                                        {...itemProps}
                                         views={views}
                                         removeAll={removeAll}
                                         applyLayout={applyLayout}
                                         remove={remove}
+                                        onImportFile={onImportFile}
                                     />
                                 </Scrollbars>
                             </React.Fragment>
@@ -206,4 +318,18 @@ export default connect(({ view: s }) => ({
     isInputActive: s.isInputActive,
     onFocus: s.onFocus,
     onBlur: s.onBlur,
+    preview: s.preview,
+    renamingName: s.renamingName,
+    renameValue: s.renameValue,
+    onRenameChange: s.onRenameChange,
+    onRenameKeyUp: s.onRenameKeyUp,
+    rename: s.rename,
+    startRename: s.startRename,
+    togglePreview: s.togglePreview,
+    toggleDefault: s.toggleDefault,
+    exportView: s.exportView,
+    exportAll: s.exportAll,
+    duplicate: s.duplicate,
+    copyLink: s.copyLink,
+    onImportFile: s.onImportFile,
 }))(Views);
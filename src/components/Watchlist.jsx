@@ -0,0 +1,106 @@
+import React from 'react';
+import { connect } from '../store/Connect';
+import { ItemIconMap, SymbolPlaceholderIcon } from './Icons.jsx';
+import '../../sass/components/watchlist.scss';
+
+const SPARKLINE_WIDTH = 60;
+const SPARKLINE_HEIGHT = 20;
+
+const Sparkline = ({ prices }) => {
+    if (prices.length < 2) { return <svg className="sc-watchlist__sparkline" />; }
+
+    const min = Math.min(...prices);
+    const range = (Math.max(...prices) - min) || 1;
+    const step = SPARKLINE_WIDTH / (prices.length - 1);
+    const points = prices
+        .map((price, idx) => `${(idx * step).toFixed(1)},${(SPARKLINE_HEIGHT - ((price - min) / range) * SPARKLINE_HEIGHT).toFixed(1)}`)
+        .join(' ');
+    return (
+        <svg
+            className="sc-watchlist__sparkline"
+            width={SPARKLINE_WIDTH}
+            height={SPARKLINE_HEIGHT}
+            viewBox={`0 -1 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT + 2}`}
+        >
+            <polyline points={points} />
+        </svg>
+    );
+};
+
+const WatchlistItem = ({ item: { symbolObj, quote, isOpen, isActive }, onClick }) => {
+    const SymbolIcon = ItemIconMap[symbolObj.symbol] || SymbolPlaceholderIcon;
+    const { decimal_places } = symbolObj;
+    let status = '';
+    if (quote && quote.change > 0) {
+        status = 'up';
+    } else if (quote && quote.change < 0) {
+        status = 'down';
+    }
+    return (
+        <div
+            className={`sc-watchlist__item ${isActive ? 'sc-watchlist__item--active' : ''} ${status}`}
+            onClick={() => onClick(symbolObj)}
+        >
+            <SymbolIcon className={`ic-${symbolObj.symbol}`} />
+            <span className="sc-watchlist__name">
+                {symbolObj.name}
+                {!isOpen && <span className="sc-watchlist__closed">{t.translate('CLOSED')}</span>}
+            </span>
+            {quote && <Sparkline prices={quote.prices} />}
+            {quote && quote.last !== undefined
+                ? (
+                    <span className="sc-watchlist__quote">
+                        <span className="sc-watchlist__price">{quote.last.toFixed(decimal_places)}</span>
+                        {quote.change !== undefined && (
+                            <span className="sc-watchlist__change">
+                                {quote.change.toFixed(decimal_places)} ({quote.changePercent.toFixed(2)}%)
+                            </span>
+                        )}
+                    </span>
+                )
+                : <span className="cq-comparison-loader stx-show" />
+            }
+        </div>
+    );
+};
+
+const Watchlist = ({
+    chartId,
+    context,
+    items,
+    position = 'right',
+    onChange,
+    onMouseEnter,
+    onMouseLeave,
+}) => {
+    if (!context) { return null; }
+
+    return (
+        <div
+            className={`sc-watchlist sc-watchlist--${position}`}
+            onMouseEnter={onMouseEnter}
+            onMouseLeave={onMouseLeave}
+        >
+            <div className="sc-watchlist__title">{t.translate('Watchlist')}</div>
+            {items.length
+                ? items.map(item => (
+                    <WatchlistItem
+                        key={item.symbolObj.symbol}
+                        item={item}
+                        onClick={symbolObj => !item.isActive && onChange(symbolObj.symbol, chartId)}
+                    />
+                ))
+                : <div className="sc-watchlist__empty">{t.translate('Add favourites in the market selector to watch them here.')}</div>
+            }
+        </div>
+    );
+};
+
+export default connect(({ chart, state, watchlist, toolbarWidget }) => ({
+    chartId: state.chartId,
+    context: chart.context,
+    items: watchlist.items,
+    onChange: watchlist.setSymbol,
+    onMouseEnter: toolbarWidget.onMouseEnter,
+    onMouseLeave: toolbarWidget.onMouseLeave,
+}))(Watchlist);
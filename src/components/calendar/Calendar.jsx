@@ -1,5 +1,6 @@
 import moment         from 'moment';
 import React          from 'react';
+import '../../../sass/components/_calendar.scss';
 import {
     CalendarDays,
     CalendarMonths,
@@ -9,6 +9,7 @@ const CategoricalDisplay = React.memo(({
     ResultsPanel,
     FilterPanel,
     SearchInput,
+    onSearchKeyDown,
     isMobile,
     height,
     id,
@@ -31,7 +32,10 @@ const CategoricalDisplay = React.memo(({
             id={id}
         >
             <div className="cq-lookup-filters">
-                <SearchInput searchInputClassName={searchInputClassName} />
+                <SearchInput
+                    searchInputClassName={searchInputClassName}
+                    onKeyDown={e => onSearchKeyDown(e, onSelectItem)}
+                />
                 {!isNestedList && <FilterPanel /> }
             </div>
             {
@@ -50,13 +50,18 @@ const ActiveOptions = ({ activeOptions, item }) => (
     )
 );
 
-export const NormalItem = React.memo(({ onSelectItem, item, disableAll, favoritesId, id }) => {
+export const NormalItem = React.memo(({ onSelectItem, item, disableAll, favoritesId, id, highlightedItemId, addRecent }) => {
     const itemClass = id ? `${id}-subcategory-item-${item.itemId}` : `subcategory-item-${item.itemId}`;
+    const onClick = (e) => {
+        if (!item.enabled) { return; }
+        if (addRecent) { addRecent(item.itemId); }
+        onSelectItem(item.dataObject, e);
+    };
 
     return (
         <div
-            className={`cq-item ${item.selected ? 'selected ' : ''} ${itemClass}`}
-            onClick={e => item.enabled && onSelectItem(item.dataObject, e)}
+            className={`cq-item ${item.selected ? 'selected ' : ''} ${item.itemId === highlightedItemId ? 'highlighted ' : ''} ${itemClass}`}
+            onClick={onClick}
             disabled={!item.enabled || disableAll}
         >
             <ItemLeft item={item} />
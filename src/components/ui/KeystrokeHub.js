@@ -154,13 +154,17 @@ class KeystrokeHub extends Helper {
      * @private
      */
     handler(obj) {
-        if (!this.context) { return; }
-        const stx = this.context.stx;
-        if (stx.editingAnnotation) { return; }
         const e = obj.e,
             key = obj.key,
             keystroke = obj.keystroke,
             targetTagName = obj.e.target.tagName;
+        if (!this.context) {
+            // claims (e.g. undoing drawings) don't need the hot keys of a chart
+            if (!CIQ.ChartEngine.drawingLine) { this.processKeyStrokeClaims(this, key, e, keystroke); }
+            return;
+        }
+        const stx = this.context.stx;
+        if (stx.editingAnnotation) { return; }
         switch (key) {
         case 16:
             stx.shift = keystroke.shift;
@@ -0,0 +1,95 @@
+import { observable } from 'mobx';
+import { IndicatorsTree } from './Constant';
+import { IndicatorCatOtherIcon } from './components/Icons.jsx';
+import { getUTCEpoch } from './utils';
+
+const definitions = observable.array([], { deep: false });
+
+function toStudyLibraryEntry({ name, inputs, outputs, calculate, panel, render }) {
+    return {
+        name,
+        inputs,
+        outputs,
+        overlay: panel === 'chart',
+        seriesFN: render,
+        calculateFN: (stx, sd) => {
+            const quotes = sd.chart.scrubbed;
+            const dataSet = quotes.map(quote => ({
+                epoch: getUTCEpoch(quote.DT),
+                open: quote.Open,
+                high: quote.High,
+                low: quote.Low,
+                close: quote.Close,
+            }));
+            const result = calculate(dataSet, sd.inputs) || [];
+            const outputNames = Object.keys(sd.outputs);
+            quotes.forEach((quote, idx) => {
+                const value = result[idx];
+                if (value === undefined || value === null) { return; }
+                if (typeof value === 'object') {
+                    outputNames.forEach((output) => {
+                        if (typeof value[output] === 'number') { quote[`${output} ${sd.name}`] = value[output]; }
+                    });
+                } else {
+                    quote[`${outputNames[0]} ${sd.name}`] = value;
+                }
+            });
+        },
+    };
+}
+
+// Adds the registered indicators to the ChartIQ study library; called once ChartIQ is loaded
+export function installIndicators() {
+    if (!window.CIQ) { return; }
+    definitions.forEach((definition) => {
+        CIQ.Studies.studyLibrary[definition.id] = toStudyLibraryEntry(definition);
+    });
+}
+
+/*
+ * Registers a user-defined indicator, shown in <StudyLegend /> and saved in the
+ * layout like the built-in studies. Indicators should be registered before the
+ * chart loads a layout that contains them.
+ */
+export function registerIndicator({
+    id,
+    name = id,
+    category = 'others',
+    description = '',
+    icon,
+    inputs = {},
+    outputs = { Result: 'auto' },
+    calculate,
+    panel = 'own',
+    render,
+}) {
+    if (!id) { throw new Error('registerIndicator requires an id.'); }
+    if (typeof calculate !== 'function') { throw new Error(`Indicator ${id} requires a calculate function.`); }
+    if (panel !== 'chart' && panel !== 'own') { throw new Error(`Indicator ${id} has an invalid panel: ${panel}`); }
+
+    const definition = { id, name, category, description, icon, inputs, outputs, calculate, panel, render };
+    const idx = definitions.findIndex(item => item.id === id);
+    if (idx === -1) {
+        definitions.push(definition);
+    } else {
+        definitions[idx] = definition;
+    }
+    installIndicators();
+}
+
+// IndicatorsTree with the registered indicators added to their categories;
+// indicators of unknown categories are listed under a category of that name.
+export function getIndicatorsTree() {
+    if (!definitions.length) { return IndicatorsTree; }
+
+    const tree = IndicatorsTree.map(category => ({ ...category, items: [...category.items] }));
+    definitions.forEach(({ id, name, category, description, icon }) => {
+        let treeCategory = tree.find(item => item.id === category);
+        if (!treeCategory) {
+            treeCategory = { id: category, name: category, icon: IndicatorCatOtherIcon, items: [] };
+            tree.push(treeCategory);
+        }
+        treeCategory.items.push({ id, name, description, icon: icon || treeCategory.icon });
+    });
+    return tree;
+}
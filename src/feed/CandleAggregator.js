@@ -0,0 +1,240 @@
+import DataSource from '../binaryapi/DataSource';
+
+/*
+ * Wraps a data source to provide candles for granularities the data source
+ * does not support (e.g. 5 seconds or 45 minutes). Such candles are built
+ * locally from the finest data available: the largest supported granularity
+ * that evenly divides the requested one, or ticks otherwise.
+ *
+ * Streams are handled the same way; every tick (or finer candle) updates the
+ * live candle, which is passed on as an `ohlc` response.
+ */
+class CandleAggregator extends DataSource {
+    _streams = {};
+
+    constructor(api, getEpoch) {
+        super();
+        this._api = api;
+        this._getEpoch = getEpoch || (() => Date.now() / 1000 | 0);
+    }
+
+    getActiveSymbols() { return this._api.getActiveSymbols(); }
+
+    getTradingTimes(date) { return this._api.getTradingTimes(date); }
+
+    getServerTime() { return this._api.getServerTime(); }
+
+    forgetStream(subscription_id) { return this._api.forgetStream(subscription_id); }
+
+    getSourceGranularity(granularity) {
+        return CandleAggregator.getSourceGranularity(granularity, this._api.getSupportedGranularities());
+    }
+
+    async getHistory(params) {
+        const { granularity } = params;
+        const source = this.getSourceGranularity(granularity);
+        if (source === +granularity) {
+            return this._api.getHistory(params);
+        }
+
+        const response = await this._api.getHistory(this._createSourceRequest(params, source));
+        if (response.error) { return response; }
+
+        return { candles: CandleAggregator.aggregate(response, granularity) };
+    }
+
+    subscribe(params, callback) {
+        const { symbol, granularity } = params;
+        const source = this.getSourceGranularity(granularity);
+        if (source === +granularity) {
+            this._api.subscribe(params, callback);
+            return;
+        }
+
+        let liveCandle;
+        let sourceCandles = {};
+        const onResponse = (response) => {
+            if (response.error) {
+                callback(response);
+                return;
+            }
+            const { tick, ohlc } = response;
+            if (!tick && !ohlc) {
+                // history response
+                const candles = CandleAggregator.aggregate(response, granularity);
+                liveCandle = candles[candles.length - 1];
+                sourceCandles = {};
+                callback({ ...response, history: undefined, candles });
+                return;
+            }
+
+            const epoch = tick ? +tick.epoch : +ohlc.open_time;
+            const openTime = CandleAggregator.getOpenTime(epoch, granularity);
+            if (!liveCandle || openTime > liveCandle.epoch) {
+                sourceCandles = {};
+                liveCandle = undefined;
+            } else if (openTime < liveCandle.epoch) {
+                return; // ignore outdated data
+            }
+
+            if (tick) {
+                liveCandle = CandleAggregator.addTick(liveCandle, openTime, +tick.quote);
+            } else {
+                // the source candle may be updated many times, so the live
+                // candle is rebuilt from all source candles within it:
+                sourceCandles[epoch] = ohlc;
+                const candles = Object.keys(sourceCandles).sort((a, b) => a - b).map(key => ({
+                    ...sourceCandles[key],
+                    epoch: +key,
+                }));
+                const [merged] = CandleAggregator.aggregateCandles(candles, granularity);
+                // keep the open of the previous data when the first source candle is missing
+                liveCandle = liveCandle && liveCandle.epoch === merged.epoch && !sourceCandles[liveCandle.epoch]
+                    ? {
+                        ...merged,
+                        open: liveCandle.open,
+                        high: Math.max(liveCandle.high, merged.high),
+                        low: Math.min(liveCandle.low, merged.low),
+                    }
+                    : merged;
+            }
+
+            const { open, high, low, close, volume } = liveCandle;
+            callback({
+                subscription: response.subscription,
+                ohlc: {
+                    symbol,
+                    granularity: +granularity,
+                    open_time: liveCandle.epoch,
+                    epoch,
+                    open,
+                    high,
+                    low,
+                    close,
+                    ...(volume !== undefined ? { volume } : {}),
+                },
+            });
+        };
+
+        this._streams[CandleAggregator.getKey(params)] = source;
+        this._api.subscribe(this._createSourceRequest(params, source), onResponse);
+    }
+
+    forget(params) {
+        const key = CandleAggregator.getKey(params);
+        if (key in this._streams) {
+            const granularity = this._streams[key];
+            delete this._streams[key];
+            return this._api.forget({ ...params, granularity });
+        }
+        return this._api.forget(params);
+    }
+
+    _createSourceRequest(params, source) {
+        const { granularity, start, end, count } = params;
+        const request = { ...params, granularity: source };
+        if (start) {
+            // start from the beginning of the first candle
+            request.start = CandleAggregator.getOpenTime(start, granularity);
+        } else if (count) {
+            const to = (end && end !== 'latest') ? end : this._getEpoch();
+            request.start = CandleAggregator.getOpenTime(to - count * granularity, granularity);
+            delete request.count;
+        }
+        return request;
+    }
+
+    static getKey({ symbol, granularity }) {
+        return `${symbol}-${granularity}`;
+    }
+
+    static getOpenTime(epoch, granularity) {
+        return epoch - (epoch % granularity);
+    }
+
+    // Returns the granularity of data that the candles are built from
+    static getSourceGranularity(granularity, supportedGranularities) {
+        granularity = +granularity || 0;
+        if (!supportedGranularities || granularity <= 1 || supportedGranularities.includes(granularity)) {
+            return granularity;
+        }
+
+        let source = 0;
+        for (const g of supportedGranularities) {
+            if (g < granularity && granularity % g === 0 && g > source) {
+                source = g;
+            }
+        }
+        return source;
+    }
+
+    static aggregate({ candles, history }, granularity) {
+        if (candles) {
+            return CandleAggregator.aggregateCandles(candles, granularity);
+        }
+        if (history) {
+            return CandleAggregator.aggregateTicks(history, granularity);
+        }
+        return [];
+    }
+
+    // history is { times, prices } sorted by time
+    static aggregateTicks({ times, prices }, granularity) {
+        const candles = [];
+        let candle;
+        for (let i = 0; i < times.length; i++) {
+            const openTime = CandleAggregator.getOpenTime(+times[i], granularity);
+            if (candle && candle.epoch !== openTime) {
+                candles.push(candle);
+                candle = undefined;
+            }
+            candle = CandleAggregator.addTick(candle, openTime, +prices[i]);
+        }
+        if (candle) { candles.push(candle); }
+        return candles;
+    }
+
+    // candles are finer candles ({ epoch, open, high, low, close, volume? }) sorted by epoch
+    static aggregateCandles(candles, granularity) {
+        const result = [];
+        let candle;
+        for (const c of candles) {
+            const openTime = CandleAggregator.getOpenTime(+c.epoch, granularity);
+            if (candle && candle.epoch !== openTime) {
+                result.push(candle);
+                candle = undefined;
+            }
+            if (!candle) {
+                candle = {
+                    epoch: openTime,
+                    open: +c.open,
+                    high: +c.high,
+                    low: +c.low,
+                    close: +c.close,
+                };
+                if (c.volume !== undefined) { candle.volume = +c.volume; }
+            } else {
+                candle.high = Math.max(candle.high, +c.high);
+                candle.low = Math.min(candle.low, +c.low);
+                candle.close = +c.close;
+                if (c.volume !== undefined) { candle.volume = (candle.volume || 0) + +c.volume; }
+            }
+        }
+        if (candle) { result.push(candle); }
+        return result;
+    }
+
+    static addTick(candle, openTime, price) {
+        if (!candle) {
+            return { epoch: openTime, open: price, high: price, low: price, close: price };
+        }
+        return {
+            ...candle,
+            high: Math.max(candle.high, price),
+            low: Math.min(candle.low, price),
+            close: price,
+        };
+    }
+}
+
+export default CandleAggregator;
@@ -2,8 +2,11 @@ import EventEmitter from 'event-emitter-es6';
 import { reaction } from 'mobx';
 import { TickHistoryFormatter } from './TickHistoryFormatter';
 import { calculateGranularity, getUTCEpoch, calculateTimeUnitInterval, getUTCDate } from '../utils';
-import { RealtimeSubscription, DelayedSubscription } from './subscription';
+import { RealtimeSubscription, DelayedSubscription, ReplaySubscription } from './subscription';
 import ServerTime from '../utils/ServerTime';
+import { getExpectedSpacing, findGaps } from '../utils/dataGaps';
+import { getSessionGaps } from '../utils/tradingSessions';
+import CandleAggregator from './CandleAggregator';
 
 class Feed {
     static get EVENT_MASTER_DATA_UPDATE() { return 'EVENT_MASTER_DATA_UPDATE'; }
@@ -11,20 +14,28 @@ class Feed {
     static get EVENT_COMPARISON_DATA_UPDATE() { return 'EVENT_COMPARISON_DATA_UPDATE'; }
     static get EVENT_START_PAGINATION() { return 'EVENT_START_PAGINATION'; }
     static get EVENT_ON_PAGINATION() { return 'EVENT_ON_PAGINATION'; }
+    static get EVENT_STREAM_START() { return 'EVENT_STREAM_START'; }
+    static get EVENT_STREAM_END() { return 'EVENT_STREAM_END'; }
+    static get EVENT_STREAM_TICK() { return 'EVENT_STREAM_TICK'; }
+    static get EVENT_DATA_GAPS() { return 'EVENT_DATA_GAPS'; }
     get startEpoch() { return this._mainStore.state.startEpoch; }
     get endEpoch() { return this._mainStore.state.endEpoch; }
     get granularity() { return this._mainStore.chart.granularity; }
     get context() { return this._mainStore.chart.context; }
     get loader() { return this._mainStore.loader; }
     get margin() { return this._mainStore.state.margin; }
+    get replay() { return this._mainStore.replay; }
     _activeStreams = {};
     _isConnectionOpened = true;
 
-    constructor(binaryApi, stx, mainStore, tradingTimes) {
+    constructor(api, stx, mainStore, tradingTimes, historyCache) {
         this._stx = stx;
-        this._binaryApi = binaryApi;
+        this._historyCache = historyCache;
         this._mainStore = mainStore;
         this._serverTime = ServerTime.getInstance();
+        // Candles of granularities the data source does not support are built from finer data
+        const aggregator = new CandleAggregator(api, () => this._serverTime.getEpoch());
+        this._api = historyCache ? historyCache.wrap(aggregator) : aggregator;
         this._tradingTimes = tradingTimes;
         reaction(() => mainStore.state.isConnectionOpened, this.onConnectionChanged.bind(this));
 
@@ -98,6 +109,7 @@ class Feed {
         if (this._activeStreams[key]) {
             this._activeStreams[key].forget();
             delete this._activeStreams[key];
+            this._emitter.emit(Feed.EVENT_STREAM_END, this._unpackKey(key).symbol);
         }
     }
 
@@ -118,9 +130,10 @@ class Feed {
         }
         const comparisonChartSymbol = isComparisonChart ? symbol : undefined;
         const symbolName = symbolObject.name;
+        const isReplay = this.replay.isActive && this.replay.hasRecords(symbol, !isComparisonChart);
         this.loader.setState('chart-data');
 
-        if (this._tradingTimes.isFeedUnavailable(symbol)) {
+        if (!isReplay && this._tradingTimes.isFeedUnavailable(symbol)) {
             this._mainStore.notifier.notifyFeedUnavailable(symbolName);
             let dataCallback = { quotes: [] };
             if (isComparisonChart) {
@@ -142,18 +155,32 @@ class Feed {
 
         let getHistoryOnly = false;
         let quotes;
-        if (end) { // When there is end; no streaming required
+        if (end && !isReplay) { // When there is end; no streaming required
             tickHistoryRequest.end = end;
             getHistoryOnly = true;
-        } else if (this._tradingTimes.isMarketOpened(symbol)) {
+        } else if (isReplay || this._tradingTimes.isMarketOpened(symbol)) {
             let subscription;
+            let cachedQuotes = [];
+            let cachedEnd;
+            const uncachedRequest = { ...tickHistoryRequest };
+            if (this._historyCache && !isReplay) {
+                // Only request what came after the cached history
+                const cached = await this._historyCache.getCachedHistory(tickHistoryRequest);
+                if (cached) {
+                    cachedQuotes = TickHistoryFormatter.formatHistory(cached.response);
+                    cachedEnd = cached.end;
+                    tickHistoryRequest.start = cached.end + 1;
+                }
+            }
             const delay = this._tradingTimes.getDelayedMinutes(symbol);
-            if (delay > 0) {
+            if (isReplay) {
+                subscription = new ReplaySubscription(tickHistoryRequest, this._api, this._stx, this.replay);
+            } else if (delay > 0) {
                 this._mainStore.notifier.notifyDelayedMarket(symbolName, delay);
 
-                subscription = new DelayedSubscription(tickHistoryRequest, this._binaryApi, this._stx, delay);
+                subscription = new DelayedSubscription(tickHistoryRequest, this._api, this._stx, delay);
             } else {
-                subscription = new RealtimeSubscription(tickHistoryRequest, this._binaryApi, this._stx);
+                subscription = new RealtimeSubscription(tickHistoryRequest, this._api, this._stx);
             }
 
             try {
@@ -162,8 +189,13 @@ class Feed {
                     this.unsubscribeAll();
                 }
 
+                this._emitter.emit(Feed.EVENT_STREAM_START, symbol);
                 quotes = await subscription.initialFetch();
+                if (cachedQuotes.length) {
+                    quotes = await this._joinCachedQuotes(cachedQuotes, cachedEnd, quotes, uncachedRequest);
+                }
             } catch (error) {
+                this._emitter.emit(Feed.EVENT_STREAM_END, symbol);
                 const { message: text } = error;
                 this._mainStore.notifier.notify({
                     text,
@@ -179,6 +211,9 @@ class Feed {
                 if (isComparisonChart || symbol === this._stx.chart.symbol) {
                     if (this._stx.isDestroyed) return;
                     this._appendChartData(tickResponse, key, comparisonChartSymbol);
+                    if (!isComparisonChart) {
+                        this._emitter.emit(Feed.EVENT_STREAM_TICK, { symbol, epoch: subscription.lastTickEpoch });
+                    }
                 }
             });
 
@@ -186,6 +221,7 @@ class Feed {
             if (!isComparisonChart && this._stx.chart.symbol !== symbol) {
                 callback({ quotes: [] });
                 subscription.forget();
+                this._emitter.emit(Feed.EVENT_STREAM_END, symbol);
                 return;
             }
 
@@ -198,7 +234,7 @@ class Feed {
         }
 
         if (getHistoryOnly) {
-            const response = await this._binaryApi.getTickHistory(tickHistoryRequest);
+            const response = await this._api.getHistory(tickHistoryRequest);
             quotes = TickHistoryFormatter.formatHistory(response);
         }
 
@@ -218,6 +254,29 @@ class Feed {
         this._mainStore.state.setMaxtTick();
     }
 
+    /*
+     * Appends the quotes fetched after the cached history (which covers up to
+     * `cachedEnd`) to it. The data source may only return the most recent part
+     * of what came after the cache; when the two do not join, the history of
+     * `request` is fetched again, regardless of the cache.
+     */
+    async _joinCachedQuotes(cachedQuotes, cachedEnd, quotes, request) {
+        const lastCachedDate = cachedQuotes[cachedQuotes.length - 1].Date;
+        const freshQuotes = quotes.filter(quote => quote.Date > lastCachedDate);
+        if (!freshQuotes.length) { return cachedQuotes; }
+
+        const spacing = getExpectedSpacing(cachedQuotes.map(Feed.getQuoteEpoch), request.granularity);
+        if (Feed.getQuoteEpoch(freshQuotes[0]) - cachedEnd <= spacing) {
+            return cachedQuotes.concat(freshQuotes);
+        }
+
+        const response = await this._api.getHistory(request);
+        if (response.error) { throw response.error; }
+        const history = TickHistoryFormatter.formatHistory(response) || [];
+        const lastDate = history.length ? history[history.length - 1].Date : '';
+        return history.concat(freshQuotes.filter(quote => quote.Date > lastDate));
+    }
+
     async fetchPaginationData(symbol, suggestedStartDate, endDate, params, callback) {
         const end   = getUTCEpoch(endDate);
         const start = getUTCEpoch(suggestedStartDate);
@@ -235,7 +294,8 @@ class Feed {
     async _getPaginationData(symbol, granularity, start, end, callback) {
         const isMainChart = this._stx.chart.symbol === symbol;
         // TODO There is no need to get historical data before startTime
-        if (this.startEpoch /* && start < this.startEpoch */
+        if (this.replay.isActive
+            || this.startEpoch /* && start < this.startEpoch */
             || (this.endEpoch && end > this.endEpoch)) {
             callback({ moreAvailable: false, quotes: [] });
             if (isMainChart) { // ignore comparisons
@@ -252,7 +312,7 @@ class Feed {
         let firstEpoch;
         if (end > startLimit) {
             try {
-                const response = await this._binaryApi.getTickHistory({
+                const response = await this._api.getHistory({
                     symbol,
                     granularity,
                     start: Math.floor(Math.max(start, startLimit)),
@@ -305,6 +365,60 @@ class Feed {
         }
     }
 
+    // Loads the history of the main chart and its comparisons back to `start`,
+    // so that older data is available in the chart data set (e.g. for exporting).
+    // The master data is kept untrimmed until `releaseHistory` is called.
+    async loadHistory(start) {
+        const { masterData } = this._stx;
+        if (this.replay.isActive || !masterData.length) { return; }
+
+        const firstEpoch = getUTCEpoch(masterData[0].DT);
+        if (start >= firstEpoch) { return; }
+
+        const symbols = [this._stx.chart.symbol];
+        for (const field in this._stx.chart.series) {
+            if (this._stx.chart.series[field].parameters.isComparison) { symbols.push(field); }
+        }
+
+        this._stx.shouldKeepMasterData = true;
+        for (const symbol of symbols) {
+            const quotes = await this._getHistoryQuotes(symbol, this.granularity, start, firstEpoch - 1); // eslint-disable-line no-await-in-loop
+            if (this._stx.isDestroyed) { return; }
+            const isMainChart = symbol === this._stx.chart.symbol;
+            this._stx.updateChartData(quotes, null, {
+                noCreateDataSet: true,
+                secondarySeries: isMainChart ? undefined : symbol,
+            });
+        }
+        this._stx.createDataSet();
+    }
+
+    // Lets the master data loaded by `loadHistory` be trimmed again on the next update
+    releaseHistory() {
+        this._stx.shouldKeepMasterData = false;
+    }
+
+    // The data source may limit the number of items in a response, so the
+    // range is requested backwards until `start` is reached.
+    async _getHistoryQuotes(symbol, granularity, start, end) {
+        // Tick history data only goes as far back as 3 years:
+        const startLimit = this._serverTime.getEpoch() - Math.ceil(2.8 * 365 * 24 * 60 * 60);
+        start = Math.max(start, startLimit);
+        let quotes = [];
+        let to = end;
+        while (to > start) {
+            const response = await this._api.getHistory({ symbol, granularity, start, end: to }); // eslint-disable-line no-await-in-loop
+            if (response.error) { throw response.error; }
+
+            const firstEpoch = Feed.getFirstEpoch(response);
+            if (firstEpoch === undefined) { break; }
+            quotes = TickHistoryFormatter.formatHistory(response).concat(quotes);
+            if (firstEpoch <= start || firstEpoch >= to) { break; }
+            to = firstEpoch - 1;
+        }
+        return quotes;
+    }
+
     setHasReachedEndOfData(hasReachedEndOfData) {
         if (this._mainStore.state.hasReachedEndOfData !== hasReachedEndOfData) {
             this._mainStore.state.hasReachedEndOfData = hasReachedEndOfData;
@@ -393,6 +507,11 @@ class Feed {
         }
     }
 
+    // Epoch of a quote from the data source; its `Date` is in UTC
+    static getQuoteEpoch({ Date: date }) {
+        return Date.parse(`${date}Z`) / 1000;
+    }
+
     static getFirstEpoch({ candles, history }) {
         if (candles && candles.length > 0) {
             return candles[0].epoch;
@@ -439,6 +558,38 @@ class Feed {
     offStartPagination(callback) {
         this._emitter.off(Feed.EVENT_START_PAGINATION, callback);
     }
+
+    // Called with the symbol before the chart subscribes to its stream, and
+    // after the stream is forgotten
+    onStreamChange(onStart, onEnd) {
+        this._emitter.on(Feed.EVENT_STREAM_START, onStart);
+        this._emitter.on(Feed.EVENT_STREAM_END, onEnd);
+    }
+
+    offStreamChange(onStart, onEnd) {
+        this._emitter.off(Feed.EVENT_STREAM_START, onStart);
+        this._emitter.off(Feed.EVENT_STREAM_END, onEnd);
+    }
+
+    // Called with `{ symbol, epoch }` each time the stream of the main chart
+    // delivers data; `epoch` is that of the tick, if the stream is realtime
+    onStreamTick(callback) {
+        this._emitter.on(Feed.EVENT_STREAM_TICK, callback);
+    }
+
+    offStreamTick(callback) {
+        this._emitter.off(Feed.EVENT_STREAM_TICK, callback);
+    }
+
+    // Called with `{ symbol, gaps }`, the holes ([{ start, end }]) in the data
+    // of the main chart that could not be recovered after a reconnection
+    onDataGaps(callback) {
+        this._emitter.on(Feed.EVENT_DATA_GAPS, callback);
+    }
+
+    offDataGaps(callback) {
+        this._emitter.off(Feed.EVENT_DATA_GAPS, callback);
+    }
     onConnectionChanged() {
         const isOpened = this._mainStore.state.isConnectionOpened;
         if (isOpened === undefined || isOpened === this._isConnectionOpened) { return; }
@@ -456,6 +607,11 @@ class Feed {
             this._activeStreams[key].pause();
         }
         this._connectionClosedDate = new Date();
+        // the data after the last bar is checked for holes once the streams are resumed
+        const { masterData } = this._stx;
+        this._lastEpochBeforeClose = masterData && masterData.length
+            ? getUTCEpoch(masterData[masterData.length - 1].DT)
+            : undefined;
     }
 
     _onConnectionReopened() {
@@ -467,22 +623,105 @@ class Feed {
         if (elapsedSeconds >= maxIdleSeconds) {
             this._mainStore.chart.refreshChart();
         } else {
+            const since = this._lastEpochBeforeClose;
             for (const key of keys) {
-                this._resumeStream(key);
+                const resumed = this._resumeStream(key);
+                if (since && !this.replay.isActive && this._unpackKey(key).symbol === this._stx.chart.symbol) {
+                    resumed
+                        .then(() => this._backfillGaps(key, since))
+                        .catch(error => console.error('Error recovering the data missed while disconnected:', error));
+                }
             }
         }
         this._connectionClosedDate = undefined;
+        this._lastEpochBeforeClose = undefined;
     }
 
     _resumeStream(key) {
         const { symbol } = this._unpackKey(key);
         const comparisonChartSymbol = (this._stx.chart.symbol !== symbol) ? symbol : undefined;
-        this._activeStreams[key].resume().then((quotes) => {
+        return this._activeStreams[key].resume().then((quotes) => {
             if (this._stx.isDestroyed) return;
             this._appendChartData(quotes, key, comparisonChartSymbol);
         });
     }
 
+    /*
+     * Looks for holes in the data of the main chart after `since` (e.g. ticks the
+     * resumed stream missed), and requests the data of each hole. Holes that are
+     * still missing data, other than when the market was closed, are reported.
+     */
+    async _backfillGaps(key, since) {
+        const { symbol, granularity } = this._unpackKey(key);
+        if (this._stx.isDestroyed || this._stx.chart.symbol !== symbol || !this._activeStreams[key]) return;
+
+        // bars filled in for gaps have no data
+        const epochs = this._stx.masterData
+            .filter(quote => quote.Close !== null && quote.Close !== undefined)
+            .map(quote => getUTCEpoch(quote.DT));
+        const spacing = getExpectedSpacing(epochs, granularity);
+        const gaps = findGaps(epochs.filter(epoch => epoch >= since), spacing);
+        if (!gaps.length) return;
+
+        const results = await Promise.all(gaps.map(gap => this._fetchGap(symbol, granularity, gap)));
+        if (this._stx.isDestroyed || this._stx.chart.symbol !== symbol || !this._activeStreams[key]) return;
+
+        const quotes = [].concat(...results);
+        if (quotes.length) {
+            this._stx.updateChartData(quotes, null, { noCreateDataSet: true });
+            this._stx.createDataSet();
+            this._stx.draw();
+        }
+
+        // the parts of the holes still without data, while the market was open
+        const remaining = [].concat(...gaps.map((gap, idx) => findGaps([
+            gap.start,
+            ...results[idx].map(Feed.getQuoteEpoch),
+            gap.end,
+        ], spacing)));
+        const sessions = remaining.length
+            ? await this._getSessionsOrNone(symbol, remaining[0].start, remaining[remaining.length - 1].end)
+            : [];
+        if (this._stx.isDestroyed || this._stx.chart.symbol !== symbol) return;
+        // without any session (unknown trading times), no time is taken as closed
+        const unrecovered = remaining.filter(({ start, end }) => {
+            const closedTime = sessions.length
+                ? getSessionGaps(sessions, start, end).reduce((total, closed) => total + closed.end - closed.start, 0)
+                : 0;
+            return end - start - closedTime > spacing;
+        });
+
+        const { name } = this._mainStore.chart.currentActiveSymbol || {};
+        if (unrecovered.length) {
+            this._emitter.emit(Feed.EVENT_DATA_GAPS, { symbol, gaps: unrecovered });
+            this._mainStore.notifier.notifyDataUnrecovered(name || symbol);
+        } else if (quotes.length) {
+            this._mainStore.notifier.notifyDataRecovered(name || symbol);
+        }
+    }
+
+    // Sessions of `symbol` between `start` and `end`; none if they cannot be looked up
+    async _getSessionsOrNone(symbol, start, end) {
+        try {
+            return await this._tradingTimes.getSessions(symbol, start, end);
+        } catch (error) {
+            console.error(error);
+            return [];
+        }
+    }
+
+    // Quotes within a hole ({ start, end }); none if they cannot be requested
+    async _fetchGap(symbol, granularity, { start, end }) {
+        try {
+            const response = await this._api.getHistory({ symbol, granularity, start, end });
+            const quotes = response.error ? [] : TickHistoryFormatter.formatHistory(response) || [];
+            return quotes.filter(quote => quote.Date > getUTCDate(start) && quote.Date < getUTCDate(end));
+        } catch (error) {
+            console.error(error);
+            return [];
+        }
+    }
+
     _getKey({ symbol, granularity }) {
         return `${symbol}-${granularity}`;
     }
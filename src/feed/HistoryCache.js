@@ -0,0 +1,358 @@
+/*
+ * Keeps the tick history that was already fetched from the data source, so that
+ * pagination and switching back to a previously loaded symbol/granularity do
+ * not request the same ranges again.
+ *
+ * For each `symbol-granularity` key the cache holds a list of non-overlapping
+ * segments `{ start, end, points }`, where `start` and `end` are the epochs that
+ * are known to be fully covered and `points` are candles (`{ epoch, open, high,
+ * low, close }`) or ticks (`{ epoch, quote }`). Overlapping or adjacent segments
+ * are merged as they are added.
+ */
+class HistoryCache {
+    static get DEFAULT_MAX_SYMBOLS() { return 20; }
+    static get DEFAULT_MAX_QUOTES() { return 20000; }
+
+    _entries = {};
+
+    constructor({ maxSymbols, maxQuotes, storage, getEpoch } = {}) {
+        this._maxSymbols = maxSymbols || HistoryCache.DEFAULT_MAX_SYMBOLS;
+        this._maxQuotes = maxQuotes || HistoryCache.DEFAULT_MAX_QUOTES;
+        // optional persistence backend with async get(key), set(key, value) and remove(key)
+        this._storage = storage;
+        // current (server) epoch; used to tell whether the last candle is still forming
+        this._getEpoch = getEpoch || (() => Date.now() / 1000 | 0);
+    }
+
+    // Works like DataSource.getHistory, but only requests the parts of
+    // [start, end] that are not in the cache yet.
+    async getHistory(api, params) {
+        const { symbol, granularity, start, end } = params;
+        if (!start || !end || end === 'latest') {
+            const response = await api.getHistory(params);
+            await this.add(params, response);
+            return response;
+        }
+
+        const entry = await this._getEntry(symbol, granularity);
+        const gaps = HistoryCache.getGaps(entry.segments, start, end);
+        const uncached = [];
+        for (const gap of gaps) {
+            const response = await api.getHistory({ ...params, start: gap.start, end: gap.end }); // eslint-disable-line no-await-in-loop
+            if (response.error) { return response; }
+            const pending = this._addResponse(entry, { ...gap, granularity }, response);
+            if (pending) { uncached.push(pending); }
+        }
+
+        if (gaps.length) { this._onEntryChanged(symbol, granularity, entry); }
+
+        const points = HistoryCache.getPoints(entry.segments, start, end);
+        for (const point of uncached) {
+            if (!points.find(p => p.epoch === point.epoch)) {
+                points.push(point);
+            }
+        }
+        points.sort((a, b) => a.epoch - b.epoch);
+        return HistoryCache.toResponse(entry.type || HistoryCache.getType(granularity), points);
+    }
+
+    // Returns the cached history that contiguously covers `start` up to the most
+    // recent epoch available, as { response, end }; undefined if `start` is not cached.
+    async getCachedHistory({ symbol, granularity, start }) {
+        const entry = await this._getEntry(symbol, granularity);
+        const segment = entry.segments.find(s => s.start <= start && s.end >= start);
+        if (!segment) { return; }
+
+        const points = HistoryCache.getPoints([segment], start, segment.end);
+        if (!points.length) { return; }
+        return {
+            response: HistoryCache.toResponse(entry.type, points),
+            end: segment.end,
+        };
+    }
+
+    // Stores a response returned from the data source for the given request
+    async add({ symbol, granularity, start, end }, response) {
+        if (!response || response.error) { return; }
+        const entry = await this._getEntry(symbol, granularity);
+        this._addResponse(entry, { start, end: end === 'latest' ? undefined : end, granularity }, response);
+        this._onEntryChanged(symbol, granularity, entry);
+    }
+
+    // Returns a data source that reads and writes history through this cache
+    wrap(api) {
+        return {
+            getActiveSymbols: () => api.getActiveSymbols(),
+            getTradingTimes: date => api.getTradingTimes(date),
+            getServerTime: () => api.getServerTime(),
+            getHistory: params => this.getHistory(api, params),
+            subscribe: (params, callback) => {
+                // the first response of a subscription is the history, and the
+                // next ones are streamed ticks or candles
+                let stream;
+                api.subscribe(params, (response) => {
+                    if (!stream) {
+                        stream = HistoryCache.getStreamState(response);
+                        this.add(params, response);
+                    } else if (!response.error) {
+                        this._addStreamed(params, stream, response);
+                    }
+                    callback(response);
+                });
+            },
+            forget: params => api.forget(params),
+            forgetStream: subscription_id => api.forgetStream(subscription_id),
+        };
+    }
+
+    /*
+     * Caches a streamed tick, which follows the last known one, or the candle a
+     * streamed candle follows, which is then complete. Streamed points are
+     * persisted along with the next history added.
+     */
+    _addStreamed({ symbol, granularity }, stream, { tick, ohlc }) {
+        let segment;
+        if (tick) {
+            const epoch = +tick.epoch;
+            if (stream.lastEpoch !== undefined && epoch > stream.lastEpoch) {
+                segment = { start: stream.lastEpoch + 1, end: epoch, points: [{ epoch, quote: tick.quote }] };
+            }
+            stream.lastEpoch = epoch;
+        } else if (ohlc) {
+            const {
+                open_time, open, high, low, close, volume,
+            } = ohlc;
+            const candle = {
+                epoch: +open_time, open, high, low, close, ...(volume !== undefined ? { volume } : {}),
+            };
+            const { formingCandle } = stream;
+            if (formingCandle && candle.epoch > formingCandle.epoch) {
+                segment = { start: formingCandle.epoch, end: candle.epoch - 1, points: [formingCandle] };
+            }
+            stream.formingCandle = candle;
+        }
+        if (!segment) { return; }
+
+        this._getEntry(symbol, granularity).then((entry) => {
+            const last = entry.segments[entry.segments.length - 1];
+            const lastPoint = last && last.points[last.points.length - 1];
+            if (last && segment.start <= last.end + 1 && segment.start > last.start
+                && (!lastPoint || segment.points[0].epoch > lastPoint.epoch)) {
+                // the usual case, where the stream extends the latest segment
+                last.points.push(...segment.points);
+                last.end = Math.max(last.end, segment.end);
+            } else {
+                entry.segments = HistoryCache.mergeSegment(entry.segments, segment);
+            }
+            this._trimEntry(entry);
+        });
+    }
+
+    clear() {
+        if (this._storage) {
+            for (const key of Object.keys(this._entries)) {
+                this._storage.remove(HistoryCache.getStorageKey(key));
+            }
+        }
+        this._entries = {};
+    }
+
+    // Merges the response into the entry; returns the last candle if it was
+    // left out because it may still be forming.
+    _addResponse(entry, range, response) {
+        const { type, points } = HistoryCache.fromResponse(response);
+        if (!type) { return; }
+        entry.type = type;
+
+        let start = range.start;
+        let end = range.end;
+        if (points.length) {
+            // The response may start later than requested when the data source
+            // limits the number of items, and earlier when the start time is
+            // adjusted to the last open session.
+            start = points[0].epoch;
+            end = Math.max(end || 0, points[points.length - 1].epoch);
+        }
+        if (start === undefined || end === undefined) { return; }
+
+        let pending;
+        if (type === 'candles' && points.length) {
+            // The last candle may still be forming; it should not be cached
+            const last = points[points.length - 1];
+            if (last.epoch + range.granularity > this._getEpoch()) {
+                pending = points.pop();
+                end = last.epoch - 1;
+            }
+        }
+        if (end >= start) {
+            entry.segments = HistoryCache.mergeSegment(entry.segments, { start, end, points });
+            this._trimEntry(entry);
+        }
+        return pending;
+    }
+
+    _trimEntry(entry) {
+        let total = entry.segments.reduce((sum, s) => sum + s.points.length, 0);
+        // Drop the oldest data first
+        while (total > this._maxQuotes && entry.segments.length) {
+            const oldest = entry.segments[0];
+            const excess = total - this._maxQuotes;
+            if (oldest.points.length <= excess) {
+                entry.segments.shift();
+                total -= oldest.points.length;
+            } else {
+                oldest.points = oldest.points.slice(excess);
+                oldest.start = oldest.points[0].epoch;
+                total -= excess;
+            }
+        }
+    }
+
+    async _getEntry(symbol, granularity) {
+        const key = HistoryCache.getKey(symbol, granularity);
+        let entry = this._entries[key];
+        if (!entry) {
+            entry = { segments: [] };
+            if (this._storage) {
+                try {
+                    const stored = await this._storage.get(HistoryCache.getStorageKey(key));
+                    if (stored && stored.segments) { entry = stored; }
+                } catch (e) {
+                    console.error(`Unable to load cached history of ${key}:`, e);
+                }
+            }
+            // Another request may have created the entry while loading from storage
+            entry = this._entries[key] || entry;
+            entry.lastUsed = Date.now();
+            this._entries[key] = entry;
+            this._evictEntries();
+        }
+        entry.lastUsed = Date.now();
+        return entry;
+    }
+
+    // Removes the least recently used entries from memory; persisted entries stay in storage
+    _evictEntries() {
+        const keys = Object.keys(this._entries);
+        if (keys.length <= this._maxSymbols) { return; }
+
+        keys.sort((a, b) => this._entries[a].lastUsed - this._entries[b].lastUsed);
+        for (const key of keys.slice(0, keys.length - this._maxSymbols)) {
+            delete this._entries[key];
+        }
+    }
+
+    _onEntryChanged(symbol, granularity, entry) {
+        if (this._storage) {
+            const key = HistoryCache.getKey(symbol, granularity);
+            Promise.resolve(this._storage.set(HistoryCache.getStorageKey(key), entry))
+                .catch(e => console.error(`Unable to persist cached history of ${key}:`, e));
+        }
+    }
+
+    static getKey(symbol, granularity) {
+        return `${symbol}-${+granularity || 0}`;
+    }
+
+    static getStorageKey(key) {
+        return `history-${key}`;
+    }
+
+    static getType(granularity) {
+        return +granularity ? 'candles' : 'history';
+    }
+
+    // Returns the sub-ranges of [start, end] that are not covered by segments
+    static getGaps(segments, start, end) {
+        const gaps = [];
+        let cursor = start;
+        for (const segment of segments) {
+            if (segment.end < cursor) { continue; }
+            if (segment.start > end) { break; }
+            if (segment.start > cursor) {
+                gaps.push({ start: cursor, end: segment.start - 1 });
+            }
+            cursor = segment.end + 1;
+            if (cursor > end) { break; }
+        }
+        if (cursor <= end) {
+            gaps.push({ start: cursor, end });
+        }
+        return gaps;
+    }
+
+    static getPoints(segments, start, end) {
+        const points = [];
+        for (const segment of segments) {
+            if (segment.end < start || segment.start > end) { continue; }
+            for (const point of segment.points) {
+                if (point.epoch >= start && point.epoch <= end) {
+                    points.push(point);
+                }
+            }
+        }
+        return points;
+    }
+
+    // Inserts a segment into a sorted list of segments, merging the ones that
+    // overlap or touch it. Points of the new segment take precedence.
+    static mergeSegment(segments, segment) {
+        const result = [];
+        let merged = { ...segment };
+        for (const s of segments) {
+            if (s.end + 1 < merged.start || s.start > merged.end + 1) {
+                result.push(s);
+                continue;
+            }
+            const pointMap = new Map();
+            for (const point of s.points) { pointMap.set(point.epoch, point); }
+            for (const point of merged.points) { pointMap.set(point.epoch, point); }
+            merged = {
+                start: Math.min(s.start, merged.start),
+                end: Math.max(s.end, merged.end),
+                points: [...pointMap.values()].sort((a, b) => a.epoch - b.epoch),
+            };
+        }
+        result.push(merged);
+        return result.sort((a, b) => a.start - b.start);
+    }
+
+    // The last tick, or the forming candle, of the history a subscription starts with
+    static getStreamState(response) {
+        const { points } = HistoryCache.fromResponse(response);
+        const last = points[points.length - 1];
+        if (response.candles) { return { formingCandle: last }; }
+        return { lastEpoch: last && last.epoch };
+    }
+
+    static fromResponse({ candles, history }) {
+        if (candles) {
+            return {
+                type: 'candles',
+                points: candles.map(c => ({ ...c, epoch: +c.epoch })),
+            };
+        }
+        if (history) {
+            const { times, prices } = history;
+            return {
+                type: 'history',
+                points: times.map((time, idx) => ({ epoch: +time, quote: prices[idx] })),
+            };
+        }
+        return { points: [] };
+    }
+
+    static toResponse(type, points) {
+        if (type === 'candles') {
+            return { candles: points };
+        }
+        return {
+            history: {
+                times: points.map(p => p.epoch),
+                prices: points.map(p => p.quote),
+            },
+        };
+    }
+}
+
+export default HistoryCache;
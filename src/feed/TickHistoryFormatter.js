@@ -1,5 +1,11 @@
 import { getUTCDate } from '../utils';
 
+// Only some symbols (e.g. stocks and commodities) come with volume
+const withVolume = (quote, { volume }) => {
+    if (volume !== undefined && volume !== null) { quote.Volume = +volume; }
+    return quote;
+};
+
 export class TickHistoryFormatter {
     static formatHistory(response) {
         const { history, candles } = response;
@@ -13,13 +19,13 @@ export class TickHistoryFormatter {
         }
 
         if (candles) {
-            const quotes = candles.map(c => ({
+            const quotes = candles.map(c => withVolume({
                 Date: getUTCDate(+c.epoch),
                 Open: +c.open,
                 High: +c.high,
                 Low: +c.low,
                 Close: +c.close,
-            }));
+            }, c));
             return quotes;
         }
     }
@@ -27,25 +33,25 @@ export class TickHistoryFormatter {
     static formatTick(response) {
         const { tick, ohlc } = response;
         if (tick) {
-            return {
+            return withVolume({
                 Date: getUTCDate(+tick.epoch),
                 Close: +tick.quote,
                 // Keep the origial value.
                 // It'll be used to pass down to deriv.app in BottomWidgets.
                 // TODO: use tick.epoch in RawMarker.jsx to speed up calculations.
                 tick,
-            };
+            }, tick);
         }
 
         if (ohlc) {
-            return {
+            return withVolume({
                 Date: getUTCDate(+ohlc.open_time),
                 Open: +ohlc.open,
                 High: +ohlc.high,
                 Low: +ohlc.low,
                 Close: +ohlc.close,
                 ohlc,
-            };
+            }, ohlc);
         }
     }
 }
@@ -0,0 +1,113 @@
+import { describe, it, beforeEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import CandleAggregator from '../CandleAggregator';
+
+chai.use(sinonChai);
+
+class DummyDataSource {
+    constructor() {
+        this.getHistory = sinon.fake(({ granularity }) => Promise.resolve(+granularity ? {
+            candles: [
+                { epoch: 900, open: '1', high: '3', low: '1', close: '2' },
+                { epoch: 1800, open: '2', high: '4', low: '0.5', close: '3' },
+                { epoch: 2700, open: '3', high: '3', low: '2', close: '2.5' },
+            ],
+        } : {
+            history: { times: [100, 102, 104, 106], prices: ['1', '3', '2', '4'] },
+        }));
+        this.subscribe = sinon.fake();
+        this.forget = sinon.fake();
+    }
+
+    getSupportedGranularities() {
+        return [60, 900, 3600];
+    }
+}
+
+describe('CandleAggregator test', function () {
+    beforeEach(function () {
+        this.api = new DummyDataSource();
+        this.aggregator = new CandleAggregator(this.api, () => 10000);
+    });
+
+    it('Test getSourceGranularity picks the largest supported divisor', function () {
+        const supported = [60, 900, 3600];
+        expect(CandleAggregator.getSourceGranularity(2700, supported)).to.be.equal(900);
+        expect(CandleAggregator.getSourceGranularity(7200, supported)).to.be.equal(3600);
+        expect(CandleAggregator.getSourceGranularity(30, supported)).to.be.equal(0);
+        expect(CandleAggregator.getSourceGranularity(60, supported)).to.be.equal(60);
+        expect(CandleAggregator.getSourceGranularity(0, supported)).to.be.equal(0);
+        expect(CandleAggregator.getSourceGranularity(30, undefined)).to.be.equal(30);
+    });
+
+    it('Test aggregateTicks builds candles from ticks', function () {
+        const history = { times: [100, 102, 104, 106], prices: ['1', '3', '2', '4'] };
+        expect(CandleAggregator.aggregateTicks(history, 5)).to.deep.equal([
+            { epoch: 100, open: 1, high: 3, low: 1, close: 2 },
+            { epoch: 105, open: 4, high: 4, low: 4, close: 4 },
+        ]);
+    });
+
+    it('Test aggregateCandles merges finer candles', function () {
+        const candles = [
+            { epoch: 2700, open: '1', high: '3', low: '1', close: '2' },
+            { epoch: 3600, open: '2', high: '4', low: '0.5', close: '3' },
+            { epoch: 4500, open: '3', high: '3', low: '2', close: '2.5' },
+        ];
+        expect(CandleAggregator.aggregateCandles(candles, 2700)).to.deep.equal([
+            { epoch: 2700, open: 1, high: 4, low: 0.5, close: 2.5 },
+        ]);
+    });
+
+    it('Test aggregateCandles sums the volume when present', function () {
+        const candles = [
+            { epoch: 2700, open: '1', high: '3', low: '1', close: '2', volume: '100' },
+            { epoch: 3600, open: '2', high: '4', low: '0.5', close: '3', volume: '50' },
+        ];
+        expect(CandleAggregator.aggregateCandles(candles, 2700)).to.deep.equal([
+            { epoch: 2700, open: 1, high: 4, low: 0.5, close: 3, volume: 150 },
+        ]);
+    });
+
+    it('Supported granularities are passed through', async function () {
+        const params = { symbol: 'R_50', granularity: 60, count: 10 };
+        await this.aggregator.getHistory(params);
+        expect(this.api.getHistory).to.have.been.calledWith(params);
+    });
+
+    it('Unsupported granularities are requested in the source granularity', async function () {
+        const response = await this.aggregator.getHistory({ symbol: 'R_50', granularity: 2700, start: 1000, end: 9000 });
+        expect(this.api.getHistory.lastCall.args[0]).to.include({ granularity: 900, start: 0, end: 9000 });
+        expect(response.candles.map(c => c.epoch)).to.deep.equal([0, 2700]);
+    });
+
+    it('count is converted to a start epoch', async function () {
+        await this.aggregator.getHistory({ symbol: 'R_50', granularity: 5, count: 100 });
+        const request = this.api.getHistory.lastCall.args[0];
+        expect(request).to.include({ granularity: 0, start: 9500 });
+        expect(request).to.not.have.property('count');
+    });
+
+    it('Stream updates the live candle and emits ohlc responses', function () {
+        const callback = sinon.fake();
+        this.aggregator.subscribe({ symbol: 'R_50', granularity: 5, count: 10 }, callback);
+        const onResponse = this.api.subscribe.lastCall.args[1];
+
+        onResponse({ history: { times: [100, 102], prices: ['1', '3'] } });
+        expect(callback.lastCall.args[0].candles).to.deep.equal([{ epoch: 100, open: 1, high: 3, low: 1, close: 3 }]);
+
+        onResponse({ tick: { epoch: 104, quote: '0.5' } });
+        expect(callback.lastCall.args[0].ohlc).to.include({ open_time: 100, open: 1, high: 3, low: 0.5, close: 0.5 });
+
+        onResponse({ tick: { epoch: 105, quote: '2' } });
+        expect(callback.lastCall.args[0].ohlc).to.include({ open_time: 105, open: 2, high: 2, low: 2, close: 2 });
+    });
+
+    it('forget uses the source granularity of the stream', function () {
+        this.aggregator.subscribe({ symbol: 'R_50', granularity: 2700 }, () => {});
+        this.aggregator.forget({ symbol: 'R_50', granularity: 2700 });
+        expect(this.api.forget).to.have.been.calledWith({ symbol: 'R_50', granularity: 900 });
+    });
+});
@@ -0,0 +1,195 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import Feed from '../Feed';
+import HistoryCache from '../HistoryCache';
+import ServerTime from '../../utils/ServerTime';
+import { getUTCDate } from '../../utils';
+
+chai.use(sinonChai);
+
+// the data source returns at most this many candles per request, the latest ones
+const PAGE_SIZE = 5;
+const GRANULARITY = 60;
+
+const candle = epoch => ({ epoch, open: '1', high: '2', low: '0.5', close: '1.5' });
+const candlesBetween = (start, end) => {
+    const candles = [];
+    for (let epoch = Math.ceil(start / GRANULARITY) * GRANULARITY; epoch <= end; epoch += GRANULARITY) {
+        candles.push(candle(epoch));
+    }
+    return candles;
+};
+
+class DummyDataSource {
+    constructor(now) {
+        const getPage = ({ start, end }) => ({
+            candles: candlesBetween(start, end || now).slice(-PAGE_SIZE),
+        });
+        this.getHistory = sinon.fake(params => Promise.resolve(getPage(params)));
+        this.subscribe = sinon.fake((params, callback) => callback(getPage(params)));
+        this.forget = sinon.fake();
+    }
+
+    getSupportedGranularities() { return [GRANULARITY]; }
+}
+
+const createFeed = (api, historyCache) => {
+    const stx = {
+        chart: { symbol: 'R_50', maxTicks: 100 },
+        masterData: [],
+        updateChartData: sinon.fake(),
+        createDataSet: sinon.fake(),
+        draw: sinon.fake(),
+    };
+    const mainStore = {
+        state: { isConnectionOpened: true, setMaxtTick() {} },
+        chart: {
+            granularity: GRANULARITY,
+            currentActiveSymbol: { symbol: 'R_50', name: 'Volatility 50 Index' },
+            setChartAvailability() {},
+            updateYaxisWidth() {},
+        },
+        loader: { setState() {} },
+        notifier: { notify: sinon.fake(), notifyDataRecovered: sinon.fake(), notifyDataUnrecovered: sinon.fake() },
+        replay: { isActive: false },
+    };
+    const tradingTimes = {
+        getDelayedMinutes: () => 0,
+        isFeedUnavailable: () => false,
+        isMarketOpened: () => true,
+        getSessions: sinon.fake.resolves([]),
+    };
+    return new Feed(api, stx, mainStore, tradingTimes, historyCache);
+};
+
+// DT of a bar holds the UTC time as local time
+const barsAt = epochs => epochs.map(epoch => ({ DT: new Date(getUTCDate(epoch)), Close: 1.5 }));
+
+const fetchInitialData = (feed, start) => new Promise((resolve) => {
+    const params = { period: 1, interval: 'minute', symbolObject: { name: 'Volatility 50 Index' } };
+    feed.fetchInitialData('R_50', new Date(start * 1000), undefined, params, ({ quotes }) => resolve(quotes));
+});
+
+describe('Feed test', function () {
+    beforeEach(function () {
+        this.serverTime = ServerTime.getInstance().serverTimeAtResponse;
+    });
+
+    afterEach(function () {
+        ServerTime.getInstance().serverTimeAtResponse = this.serverTime;
+    });
+
+    const setNow = (now) => {
+        ServerTime.getInstance().serverTimeAtResponse = now;
+        return now;
+    };
+
+    it('Test only the data after the cached history is requested', async function () {
+        const now = setNow(9200);
+        const api = new DummyDataSource(now);
+        const cache = new HistoryCache({ getEpoch: () => now });
+        await cache.add({ symbol: 'R_50', granularity: GRANULARITY, start: 6000, end: 9000 }, { candles: candlesBetween(6000, 9000) });
+
+        const quotes = await fetchInitialData(createFeed(api, cache), 6000);
+        expect(api.subscribe.lastCall.args[0]).to.include({ start: 9001 });
+        expect(api.getHistory).to.have.callCount(0);
+        expect(quotes.map(Feed.getQuoteEpoch)).to.deep.equal(candlesBetween(6000, 9180).map(c => c.epoch));
+    });
+
+    it('Test a cached history older than one page is not joined to the latest data', async function () {
+        const now = setNow(60000);
+        const api = new DummyDataSource(now);
+        const cache = new HistoryCache({ getEpoch: () => now });
+        await cache.add({ symbol: 'R_50', granularity: GRANULARITY, start: 6000, end: 9000 }, { candles: candlesBetween(6000, 9000) });
+
+        const quotes = await fetchInitialData(createFeed(api, cache), 6000);
+        // the latest page does not follow the cache; the history is requested again
+        expect(api.getHistory).to.have.callCount(1);
+        expect(api.getHistory.lastCall.args[0]).to.include({ start: 6000 });
+        expect(quotes.map(Feed.getQuoteEpoch)).to.deep.equal(candlesBetween(59760, 60000).map(c => c.epoch));
+    });
+
+    describe('Recovery of the data missed while disconnected', function () {
+        const KEY = `R_50-${GRANULARITY}`;
+        // the bars from 6180 to 6360 are missing
+        const epochs = [6000, 6060, 6120, 6420, 6480];
+
+        beforeEach(function () {
+            sinon.stub(console, 'error');
+            this.api = new DummyDataSource(6480);
+            this.feed = createFeed(this.api);
+            this.feed._stx.masterData = barsAt(epochs);
+            this.feed._activeStreams[KEY] = {};
+            this.onDataGaps = sinon.fake();
+            this.feed.onDataGaps(this.onDataGaps);
+        });
+
+        afterEach(function () {
+            console.error.restore();
+        });
+
+        it('Test the holes after the disconnection are requested and filled', async function () {
+            const { api, feed } = this;
+            await feed._backfillGaps(KEY, 6060);
+            expect(api.getHistory).to.have.callCount(1);
+            expect(api.getHistory.lastCall.args[0]).to.include({ symbol: 'R_50', granularity: GRANULARITY, start: 6120, end: 6420 });
+            const quotes = feed._stx.updateChartData.lastCall.args[0];
+            expect(quotes.map(Feed.getQuoteEpoch)).to.deep.equal([6180, 6240, 6300, 6360]);
+            expect(feed._mainStore.notifier.notifyDataRecovered).to.have.callCount(1);
+            expect(feed._mainStore.notifier.notifyDataUnrecovered).to.have.callCount(0);
+            expect(this.onDataGaps).to.have.callCount(0);
+        });
+
+        it('Test holes before the disconnection are left alone', async function () {
+            await this.feed._backfillGaps(KEY, 6420);
+            expect(this.api.getHistory).to.have.callCount(0);
+            expect(this.feed._mainStore.notifier.notify).to.have.callCount(0);
+        });
+
+        it('Test holes that cannot be recovered are reported', async function () {
+            const { api, feed } = this;
+            api.getHistory = sinon.fake.resolves({ error: { code: 'RateLimit', message: 'too many requests' } });
+            await feed._backfillGaps(KEY, 6060);
+            expect(feed._stx.updateChartData).to.have.callCount(0);
+            expect(this.onDataGaps).to.have.been.calledWith({ symbol: 'R_50', gaps: [{ start: 6120, end: 6420 }] });
+            expect(feed._mainStore.notifier.notifyDataUnrecovered).to.have.been.calledWith('Volatility 50 Index');
+        });
+
+        it('Test holes while the market was closed are not reported', async function () {
+            const { api, feed } = this;
+            api.getHistory = sinon.fake.resolves({ candles: [] });
+            feed._tradingTimes.getSessions = sinon.fake.resolves([{ open: 0, close: 6120 }, { open: 6420, close: 9000 }]);
+            await feed._backfillGaps(KEY, 6060);
+            expect(feed._tradingTimes.getSessions).to.have.been.calledWith('R_50', 6120, 6420);
+            expect(this.onDataGaps).to.have.callCount(0);
+            expect(feed._mainStore.notifier.notifyDataUnrecovered).to.have.callCount(0);
+        });
+
+        it('Test holes are reported when the sessions cannot be looked up', async function () {
+            const { api, feed } = this;
+            api.getHistory = sinon.fake.resolves({ candles: [] });
+            feed._tradingTimes.getSessions = sinon.fake.rejects(new Error('disconnected'));
+            await feed._backfillGaps(KEY, 6060);
+            expect(this.onDataGaps).to.have.been.calledWith({ symbol: 'R_50', gaps: [{ start: 6120, end: 6420 }] });
+            expect(feed._mainStore.notifier.notifyDataUnrecovered).to.have.callCount(1);
+        });
+
+        it('Test only the quotes strictly inside a hole are kept', async function () {
+            const { api, feed } = this;
+            const quotes = await feed._fetchGap('R_50', GRANULARITY, { start: 6120, end: 6420 });
+            expect(api.getHistory.lastCall.args[0]).to.include({ start: 6120, end: 6420 });
+            expect(quotes.map(Feed.getQuoteEpoch)).to.deep.equal([6180, 6240, 6300, 6360]);
+        });
+
+        it('Test no quotes are given for a hole whose request fails', async function () {
+            const { api, feed } = this;
+            api.getHistory = sinon.fake.rejects(new Error('disconnected'));
+            expect(await feed._fetchGap('R_50', GRANULARITY, { start: 6120, end: 6420 })).to.deep.equal([]);
+            api.getHistory = sinon.fake.resolves({ error: { code: 'InputValidationFailed', message: 'invalid' } });
+            expect(await feed._fetchGap('R_50', GRANULARITY, { start: 6120, end: 6420 })).to.deep.equal([]);
+            expect(console.error).to.have.callCount(1);
+        });
+    });
+});
@@ -0,0 +1,151 @@
+import { describe, it, beforeEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import HistoryCache from '../HistoryCache';
+
+chai.use(sinonChai);
+
+const candle = epoch => ({ epoch, open: '1', high: '2', low: '0.5', close: '1.5' });
+const candlesBetween = (start, end, granularity = 60) => {
+    const candles = [];
+    for (let epoch = Math.ceil(start / granularity) * granularity; epoch <= end; epoch += granularity) {
+        candles.push(candle(epoch));
+    }
+    return candles;
+};
+
+class DummyDataSource {
+    constructor() {
+        this.getHistory = sinon.fake(({ start, end, granularity }) => Promise.resolve({
+            candles: candlesBetween(start, end, granularity),
+        }));
+    }
+}
+
+describe('HistoryCache test', function () {
+    beforeEach(function () {
+        this.api = new DummyDataSource();
+        this.cache = new HistoryCache();
+    });
+
+    it('Test getGaps returns uncovered ranges', function () {
+        const segments = [{ start: 100, end: 200 }, { start: 300, end: 400 }];
+        expect(HistoryCache.getGaps(segments, 50, 450)).to.deep.equal([
+            { start: 50, end: 99 },
+            { start: 201, end: 299 },
+            { start: 401, end: 450 },
+        ]);
+        expect(HistoryCache.getGaps(segments, 120, 180)).to.deep.equal([]);
+        expect(HistoryCache.getGaps([], 120, 180)).to.deep.equal([{ start: 120, end: 180 }]);
+    });
+
+    it('Test mergeSegment merges overlapping and adjacent segments', function () {
+        let segments = [];
+        segments = HistoryCache.mergeSegment(segments, { start: 300, end: 400, points: [{ epoch: 300 }] });
+        segments = HistoryCache.mergeSegment(segments, { start: 100, end: 150, points: [{ epoch: 120 }] });
+        segments = HistoryCache.mergeSegment(segments, { start: 151, end: 300, points: [{ epoch: 300, quote: 2 }] });
+        expect(segments).to.deep.equal([{
+            start: 100,
+            end: 400,
+            points: [{ epoch: 120 }, { epoch: 300, quote: 2 }],
+        }]);
+    });
+
+    it('Cached ranges are not requested again', async function () {
+        const params = { symbol: 'R_50', granularity: 60 };
+        await this.cache.getHistory(this.api, { ...params, start: 6000, end: 12000 });
+        const response = await this.cache.getHistory(this.api, { ...params, start: 6000, end: 9000 });
+        expect(this.api.getHistory).to.have.callCount(1);
+        expect(response.candles[0].epoch).to.be.equal(6000);
+        expect(response.candles[response.candles.length - 1].epoch).to.be.equal(9000);
+    });
+
+    it('Only the missing gaps are requested', async function () {
+        const params = { symbol: 'R_50', granularity: 60 };
+        await this.cache.getHistory(this.api, { ...params, start: 6000, end: 9000 });
+        const response = await this.cache.getHistory(this.api, { ...params, start: 3000, end: 9000 });
+        expect(this.api.getHistory).to.have.callCount(2);
+        expect(this.api.getHistory.lastCall.args[0]).to.include({ start: 3000, end: 5999 });
+        expect(response.candles).to.have.lengthOf(101);
+    });
+
+    it('Ticks and candles are cached separately per symbol and granularity', async function () {
+        await this.cache.getHistory(this.api, { symbol: 'R_50', granularity: 60, start: 6000, end: 9000 });
+        await this.cache.getHistory(this.api, { symbol: 'R_50', granularity: 120, start: 6000, end: 9000 });
+        await this.cache.getHistory(this.api, { symbol: 'R_100', granularity: 60, start: 6000, end: 9000 });
+        expect(this.api.getHistory).to.have.callCount(3);
+    });
+
+    it('The forming candle of a subscription is not cached', async function () {
+        this.cache = new HistoryCache({ getEpoch: () => 9010 });
+        const params = { symbol: 'R_50', granularity: 60, start: 6000 };
+        await this.cache.add(params, { candles: candlesBetween(6000, 9000) });
+        const cached = await this.cache.getCachedHistory(params);
+        expect(cached.end).to.be.equal(8999);
+        expect(cached.response.candles[cached.response.candles.length - 1].epoch).to.be.equal(8940);
+    });
+
+    it('Tick history is converted back to the response format', async function () {
+        const params = { symbol: 'R_50', granularity: 0, start: 10 };
+        await this.cache.add(params, { history: { times: [10, 12, 14], prices: [1, 2, 3] } });
+        const cached = await this.cache.getCachedHistory({ ...params, start: 12 });
+        expect(cached.response).to.deep.equal({ history: { times: [12, 14], prices: [2, 3] } });
+        expect(cached.end).to.be.equal(14);
+    });
+
+    it('Oldest quotes are dropped when maxQuotes is exceeded', async function () {
+        this.cache = new HistoryCache({ maxQuotes: 10 });
+        const params = { symbol: 'R_50', granularity: 60 };
+        await this.cache.getHistory(this.api, { ...params, start: 6000, end: 9000 });
+        const response = await this.cache.getHistory(this.api, { ...params, start: 8460, end: 9000 });
+        expect(this.api.getHistory).to.have.callCount(1);
+        expect(response.candles).to.have.lengthOf(10);
+    });
+
+    it('Least recently used symbols are evicted when maxSymbols is exceeded', async function () {
+        this.cache = new HistoryCache({ maxSymbols: 1 });
+        await this.cache.getHistory(this.api, { symbol: 'R_50', granularity: 60, start: 6000, end: 9000 });
+        await this.cache.getHistory(this.api, { symbol: 'R_100', granularity: 60, start: 6000, end: 9000 });
+        await this.cache.getHistory(this.api, { symbol: 'R_50', granularity: 60, start: 6000, end: 9000 });
+        expect(this.api.getHistory).to.have.callCount(3);
+    });
+
+    it('Entries are loaded from and saved to storage', async function () {
+        const stored = {};
+        const storage = {
+            get: sinon.fake(key => Promise.resolve(stored[key])),
+            set: sinon.fake((key, value) => { stored[key] = value; return Promise.resolve(); }),
+            remove: sinon.fake(),
+        };
+        const params = { symbol: 'R_50', granularity: 60, start: 6000, end: 9000 };
+        await new HistoryCache({ storage }).getHistory(this.api, params);
+        expect(storage.set).to.have.been.calledWith('history-R_50-60');
+
+        await new HistoryCache({ storage }).getHistory(this.api, params);
+        expect(this.api.getHistory).to.have.callCount(1);
+    });
+
+    it('Streamed ticks and completed candles are cached', async function () {
+        const callbacks = {};
+        const api = { subscribe: (params, callback) => { callbacks[params.granularity] = callback; } };
+        this.cache = new HistoryCache({ getEpoch: () => 9010 });
+        const wrapped = this.cache.wrap(api);
+        wrapped.subscribe({ symbol: 'R_50', granularity: 0, start: 10 }, () => {});
+        wrapped.subscribe({ symbol: 'R_50', granularity: 60, start: 6000 }, () => {});
+
+        callbacks[0]({ history: { times: [10, 12], prices: [1, 2] } });
+        callbacks[0]({ tick: { epoch: 14, quote: 3 } });
+        callbacks[60]({ candles: candlesBetween(6000, 9000) });
+        callbacks[60]({ ohlc: { open_time: 9000, open: '1', high: '3', low: '1', close: '2' } });
+        callbacks[60]({ ohlc: { open_time: 9060, open: '2', high: '2', low: '2', close: '2' } });
+        await new Promise(resolve => setTimeout(resolve));
+
+        const ticks = await this.cache.getCachedHistory({ symbol: 'R_50', granularity: 0, start: 10 });
+        expect(ticks.response).to.deep.equal({ history: { times: [10, 12, 14], prices: [1, 2, 3] } });
+        const candles = await this.cache.getCachedHistory({ symbol: 'R_50', granularity: 60, start: 6000 });
+        expect(candles.end).to.be.equal(9059);
+        expect(candles.response.candles[candles.response.candles.length - 1])
+            .to.deep.equal({ epoch: 9000, open: '1', high: '3', low: '1', close: '2' });
+    });
+});
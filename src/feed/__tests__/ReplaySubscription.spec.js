@@ -0,0 +1,88 @@
+import { describe, it } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import { observable, runInAction } from 'mobx';
+import ReplaySubscription from '../subscription/ReplaySubscription';
+
+chai.use(sinonChai);
+
+const recording = [
+    '{"echo_req":{"ticks_history":"R_50"},"history":{"times":[100,102],"prices":["1","3"]}}',
+    '{"tick":{"symbol":"R_50","epoch":104,"quote":"0.5"}}',
+    '{"tick":{"symbol":"R_50","epoch":106,"quote":"2"}}',
+].join('\n');
+
+const createReplay = (records, position) => observable({
+    position,
+    getRecords: symbol => records.filter(r => r.symbol === symbol),
+});
+
+describe('ReplaySubscription test', function () {
+    it('Test parse JSON lines of API responses', function () {
+        const records = ReplaySubscription.parse(recording);
+        expect(records.map(r => r.epoch)).to.deep.equal([100, 102, 104, 106]);
+        expect(records[0]).to.include({ symbol: 'R_50', isHistory: true });
+        expect(records[2]).to.include({ symbol: 'R_50', isHistory: false });
+        expect(records[2].tick).to.deep.equal({ epoch: 104, quote: '0.5' });
+    });
+
+    it('Test parse CSV candles infers the granularity', function () {
+        const records = ReplaySubscription.parse('Epoch,Open,High,Low,Close\n120,1,2,0.5,1.5\n60,1,3,1,2');
+        expect(records.map(r => r.epoch)).to.deep.equal([60, 120]);
+        expect(records[0]).to.include({ granularity: 60 });
+        expect(records[0].ohlc).to.deep.equal({ open_time: 60, open: '1', high: '3', low: '1', close: '2' });
+    });
+
+    it('Test parse CSV ticks with date strings', function () {
+        const records = ReplaySubscription.parse('date,quote\n1970-01-01T00:01:40Z,1.5');
+        expect(records[0].tick).to.deep.equal({ epoch: 100, quote: '1.5' });
+    });
+
+    it('Invalid records throw an error', function () {
+        expect(() => ReplaySubscription.parse('{"tick":{}}\nnot json')).to.throw('line 2');
+        expect(() => ReplaySubscription.parse('a,b\n1,2')).to.throw('header');
+    });
+
+    it('Ticks are aggregated into candles when there are no candles of the granularity', function () {
+        const records = ReplaySubscription.parse(recording);
+        expect(ReplaySubscription.selectRecords(records, 60)).to.have.lengthOf(4);
+        expect(ReplaySubscription.toHistoryResponse(records, 5)).to.deep.equal({
+            candles: [
+                { epoch: 100, open: 1, high: 3, low: 0.5, close: 0.5 },
+                { epoch: 105, open: 2, high: 2, low: 2, close: 2 },
+            ],
+        });
+    });
+
+    it('History is returned up to the replay position and later records are streamed', async function () {
+        const replay = createReplay(ReplaySubscription.parse(recording), 102);
+        const stx = { chart: { symbol: 'R_50' } };
+        const subscription = new ReplaySubscription({ symbol: 'R_50', granularity: 0 }, undefined, stx, replay);
+        const quotes = await subscription.initialFetch();
+        expect(quotes.map(q => q.Close)).to.deep.equal([1, 3]);
+
+        const onChartData = sinon.fake();
+        subscription.onChartData(onChartData);
+        runInAction(() => { replay.position = 105; });
+        expect(onChartData).to.have.callCount(1);
+        expect(onChartData.lastCall.args[0].map(q => q.Close)).to.deep.equal([0.5]);
+
+        subscription.forget();
+        runInAction(() => { replay.position = 106; });
+        expect(onChartData).to.have.callCount(1);
+    });
+
+    it('Streamed ticks update the live candle', async function () {
+        const replay = createReplay(ReplaySubscription.parse(recording), 102);
+        const stx = { chart: { symbol: 'R_50' } };
+        const subscription = new ReplaySubscription({ symbol: 'R_50', granularity: 60 }, undefined, stx, replay);
+        await subscription.initialFetch();
+
+        const onChartData = sinon.fake();
+        subscription.onChartData(onChartData);
+        runInAction(() => { replay.position = 106; });
+        const [, last] = onChartData.lastCall.args[0];
+        expect(last).to.include({ Open: 1, High: 3, Low: 0.5, Close: 2 });
+    });
+});
@@ -174,4 +174,14 @@ describe('TickHistoryFormatter test', () => {
         expect(tick)
             .to.deep.equal(tickTickResponseResult);
     });
+
+    it('Test volume is passed through when present', () => {
+        const history = TickHistoryFormatter.formatHistory({
+            candles: historyTicksResponse.candles.map((c, idx) => ({ ...c, volume: `${idx * 100}` })),
+        });
+        expect(history.map(quote => quote.Volume)).to.deep.equal([0, 100, 200]);
+
+        const tick = TickHistoryFormatter.formatTick({ ohlc: { ...tickCandleResponse.ohlc, volume: 1500 } });
+        expect(tick.Volume).to.equal(1500);
+    });
 });
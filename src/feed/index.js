@@ -1,5 +1,9 @@
 import Feed from './Feed';
+import HistoryCache from './HistoryCache';
+import CandleAggregator from './CandleAggregator';
 
 export {
     Feed,
+    HistoryCache,
+    CandleAggregator,
 };
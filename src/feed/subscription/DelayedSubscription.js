@@ -19,7 +19,7 @@ class DelayedSubscription extends Subscription {
     }
 
     async _startSubscribe(tickHistoryRequest) {
-        const response = await this._binaryApi.getTickHistory(tickHistoryRequest);
+        const response = await this._api.getHistory(tickHistoryRequest);
         const quotes = this._processHistoryResponse(response);
         this._startTimer();
         return quotes;
@@ -52,7 +52,7 @@ class DelayedSubscription extends Subscription {
                 // start time to be offset by the delayed amount:
                 adjust_start_time: 0,
             };
-            const response = await this._binaryApi.getTickHistory(tickHistoryRequest);
+            const response = await this._api.getHistory(tickHistoryRequest);
             const quotes = this._processHistoryResponse(response);
             this._emitter.emit(Subscription.EVENT_CHART_DATA, quotes);
         } else {
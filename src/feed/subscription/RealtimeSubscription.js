@@ -20,7 +20,7 @@ class RealtimeSubscription extends Subscription {
 
     async _startSubscribe(tickHistoryRequest) {
         const [tickHistoryPromise, processTickHistory] = this._getProcessTickHistoryClosure();
-        this._binaryApi.subscribeTickHistory(tickHistoryRequest, processTickHistory);
+        this._api.subscribe(tickHistoryRequest, processTickHistory);
         const response = await tickHistoryPromise;
         const quotes = this._processHistoryResponse(response);
         this._tickCallback = processTickHistory;
@@ -31,7 +31,7 @@ class RealtimeSubscription extends Subscription {
     forget() {
         if (this._tickCallback) {
             const { symbol, granularity } = this._request;
-            this._binaryApi.forget({
+            this._api.forget({
                 symbol,
                 granularity,
             });
@@ -46,8 +46,9 @@ class RealtimeSubscription extends Subscription {
         const tickHistoryPromise = new PendingPromise();
         const processTickHistory = (resp) => {
             if (this._stx.isDestroyed) {
-                const subscriptionId = resp.subscription.id;
-                this._binaryApi.forgetStream(subscriptionId);
+                if (resp.subscription) {
+                    this._api.forgetStream(resp.subscription.id);
+                }
                 return;
             }
             // We assume that 1st response is the history, and subsequent
@@ -64,6 +65,8 @@ class RealtimeSubscription extends Subscription {
 
     _onTick(response) {
         this.lastStreamEpoch = +Subscription.getEpochFromTick(response);
+        const { epoch } = response.tick || response.ohlc;
+        this.lastTickEpoch = epoch !== undefined ? +epoch : undefined;
         const quotes = [TickHistoryFormatter.formatTick(response)];
         this._emitter.emit(Subscription.EVENT_CHART_DATA, quotes);
     }
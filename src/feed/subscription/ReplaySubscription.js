@@ -0,0 +1,261 @@
+import { reaction } from 'mobx';
+import Subscription from './Subscription';
+import { TickHistoryFormatter } from '../TickHistoryFormatter';
+import CandleAggregator from '../CandleAggregator';
+
+/*
+ * Plays back a recorded tick/candle file instead of a live stream. The replay
+ * store decides the current replay epoch; all records up to that epoch are
+ * returned as history, and records are emitted as ticks while it advances.
+ *
+ * Records are { epoch, symbol, isHistory, tick: { epoch, quote } } or
+ * { epoch, symbol, isHistory, granularity, ohlc: { open_time, open, high, low, close } }.
+ */
+class ReplaySubscription extends Subscription {
+    constructor(request, api, stx, replay) {
+        super(request, api, stx);
+        this._replay = replay;
+    }
+
+    async _startSubscribe({ symbol, granularity }) {
+        const records = this._replay.getRecords(symbol, this._stx.chart.symbol === symbol);
+        this._records = ReplaySubscription.selectRecords(records, +granularity);
+        if (!this._records.length) {
+            throw new Error(t.translate('The replay file has no data for this granularity.'));
+        }
+
+        this._position = this._replay.position;
+        const quotes = this._getQuotes(this._position);
+
+        this._disposeReaction();
+        this._disposer = reaction(() => this._replay.position, this._onPositionChange);
+
+        return quotes;
+    }
+
+    // Replays do not depend on the connection; the stream keeps its position
+    async resume() {
+        return this._getQuotes(this._position);
+    }
+
+    forget() {
+        this._disposeReaction();
+        super.forget();
+    }
+
+    _disposeReaction() {
+        if (this._disposer) {
+            this._disposer();
+            this._disposer = undefined;
+        }
+    }
+
+    _getQuotes(position) {
+        const { granularity } = this._request;
+        const records = this._records.filter(r => r.epoch <= position);
+        this._liveCandle = undefined;
+        if (!records.length) { return []; }
+
+        const response = ReplaySubscription.toHistoryResponse(records, +granularity);
+        if (response.candles && !records[0].ohlc) {
+            // the last candle may still be updated by upcoming ticks
+            this._liveCandle = response.candles[response.candles.length - 1];
+        }
+        return this._processHistoryResponse(response);
+    }
+
+    _onPositionChange = (position) => {
+        // Seeking backwards reloads the chart, which starts a new subscription
+        if (position <= this._position) { return; }
+
+        const from = this._position;
+        this._position = position;
+        const records = this._records.filter(r => r.epoch > from && r.epoch <= position);
+        if (!records.length || this._stx.isDestroyed) { return; }
+
+        const quotes = records.map(record => TickHistoryFormatter.formatTick(this._toStreamResponse(record)));
+        this.lastStreamEpoch = records[records.length - 1].epoch;
+        this._emitter.emit(Subscription.EVENT_CHART_DATA, quotes);
+    };
+
+    _toStreamResponse({ tick, ohlc }) {
+        const granularity = +this._request.granularity;
+        if (ohlc || !granularity) {
+            return tick ? { tick } : { ohlc };
+        }
+
+        const openTime = CandleAggregator.getOpenTime(+tick.epoch, granularity);
+        const liveCandle = this._liveCandle && this._liveCandle.epoch === openTime ? this._liveCandle : undefined;
+        this._liveCandle = CandleAggregator.addTick(liveCandle, openTime, +tick.quote);
+        const { open, high, low, close } = this._liveCandle;
+        return { ohlc: { open_time: openTime, open, high, low, close } };
+    }
+
+    // Picks the records that can be shown in the given granularity: candles of
+    // the same granularity, or ticks (which are aggregated into candles).
+    static selectRecords(records, granularity) {
+        if (granularity) {
+            const candles = records.filter(r => r.ohlc && r.granularity === granularity);
+            if (candles.length) { return candles; }
+        }
+        return records.filter(r => r.tick);
+    }
+
+    static toHistoryResponse(records, granularity) {
+        if (records[0].ohlc) {
+            // keep the last update of each candle
+            const candles = {};
+            for (const { ohlc: { open_time, open, high, low, close } } of records) {
+                candles[open_time] = { epoch: +open_time, open, high, low, close };
+            }
+            return { candles: Object.values(candles).sort((a, b) => a.epoch - b.epoch) };
+        }
+
+        const history = {
+            times: records.map(r => r.tick.epoch),
+            prices: records.map(r => r.tick.quote),
+        };
+        if (granularity) {
+            return { candles: CandleAggregator.aggregateTicks(history, granularity) };
+        }
+        return { history };
+    }
+
+    // Parses a recording, which is either JSON lines of API responses or CSV
+    // with a header row, into records sorted by epoch.
+    static parse(data) {
+        const text = (data || '').trim();
+        const records = text.startsWith('{')
+            ? ReplaySubscription.parseJSONLines(text)
+            : ReplaySubscription.parseCSV(text);
+        return records.sort((a, b) => a.epoch - b.epoch);
+    }
+
+    static parseJSONLines(text) {
+        const records = [];
+        text.split(/\r?\n/).forEach((line, idx) => {
+            if (!line.trim()) { return; }
+
+            let response;
+            try {
+                response = JSON.parse(line);
+            } catch (e) {
+                throw new Error(`Invalid replay record at line ${idx + 1}`);
+            }
+            if (response.error) { return; }
+
+            const request = response.echo_req || {};
+            const { history, candles, tick, ohlc } = response;
+            const symbol = request.ticks_history;
+            if (history) {
+                history.times.forEach((time, i) => {
+                    records.push(ReplaySubscription.createTick(symbol, time, history.prices[i], true));
+                });
+            }
+            if (candles && candles.length) {
+                const granularity = +request.granularity
+                    || ReplaySubscription.inferGranularity(candles.map(c => +c.epoch));
+                for (const { epoch, open, high, low, close } of candles) {
+                    records.push({
+                        epoch: +epoch,
+                        symbol,
+                        isHistory: true,
+                        granularity,
+                        ohlc: { open_time: +epoch, open, high, low, close },
+                    });
+                }
+            }
+            if (tick) {
+                records.push(ReplaySubscription.createTick(tick.symbol || symbol, tick.epoch, tick.quote));
+            }
+            if (ohlc) {
+                records.push({
+                    epoch: +ohlc.epoch || +ohlc.open_time,
+                    symbol: ohlc.symbol || symbol,
+                    granularity: +ohlc.granularity || +request.granularity,
+                    ohlc: { ...ohlc, open_time: +ohlc.open_time },
+                });
+            }
+        });
+        return records;
+    }
+
+    // The header must have an `epoch` (or `time`/`date`) column, and either a
+    // `quote` (or `price`) column for ticks or `open,high,low,close` columns for
+    // candles; `symbol` and `granularity` columns are optional.
+    static parseCSV(text) {
+        const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+        if (!header) { return []; }
+
+        const columns = header.split(',').map(c => c.trim().toLowerCase());
+        const indexOf = (...names) => columns.findIndex(c => names.includes(c));
+        const epochIdx = indexOf('epoch', 'time', 'date');
+        const quoteIdx = indexOf('quote', 'price');
+        const [openIdx, highIdx, lowIdx, closeIdx] = ['open', 'high', 'low', 'close'].map(c => indexOf(c));
+        const symbolIdx = indexOf('symbol');
+        const granularityIdx = indexOf('granularity');
+        const isCandle = openIdx >= 0 && highIdx >= 0 && lowIdx >= 0 && closeIdx >= 0;
+        if (epochIdx < 0 || (!isCandle && quoteIdx < 0 && closeIdx < 0)) {
+            throw new Error('Invalid replay file header');
+        }
+
+        const rows = lines.map(line => line.split(',').map(v => v.trim()));
+        const epochs = rows.map(row => ReplaySubscription.parseEpoch(row[epochIdx]));
+        const inferredGranularity = isCandle && granularityIdx < 0
+            ? ReplaySubscription.inferGranularity(epochs)
+            : undefined;
+
+        return rows.map((row, idx) => {
+            const epoch = epochs[idx];
+            if (Number.isNaN(epoch)) {
+                throw new Error(`Invalid replay record at line ${idx + 2}`);
+            }
+            const symbol = symbolIdx >= 0 ? row[symbolIdx] : undefined;
+            if (!isCandle) {
+                return ReplaySubscription.createTick(symbol, epoch, row[quoteIdx >= 0 ? quoteIdx : closeIdx]);
+            }
+            return {
+                epoch,
+                symbol,
+                granularity: granularityIdx >= 0 ? +row[granularityIdx] : inferredGranularity,
+                ohlc: {
+                    open_time: epoch,
+                    open: row[openIdx],
+                    high: row[highIdx],
+                    low: row[lowIdx],
+                    close: row[closeIdx],
+                },
+            };
+        });
+    }
+
+    static createTick(symbol, epoch, quote, isHistory = false) {
+        return {
+            epoch: +epoch,
+            symbol,
+            isHistory,
+            tick: { epoch: +epoch, quote },
+        };
+    }
+
+    // Epochs may also be written as date strings, e.g. 2019-06-04T10:00:00Z
+    static parseEpoch(value) {
+        if (/^\d+(\.\d+)?$/.test(value)) { return +value; }
+        return Date.parse(value) / 1000 | 0 || NaN;
+    }
+
+    // The smallest interval between the (open) epochs of the candles
+    static inferGranularity(epochs) {
+        const sorted = [...epochs].sort((a, b) => a - b);
+        let granularity;
+        for (let i = 1; i < sorted.length; i++) {
+            const diff = sorted[i] - sorted[i - 1];
+            if (diff > 0 && (!granularity || diff < granularity)) {
+                granularity = diff;
+            }
+        }
+        return granularity;
+    }
+}
+
+export default ReplaySubscription;
@@ -3,10 +3,12 @@ import { TickHistoryFormatter } from '../TickHistoryFormatter';
 
 class Subscription {
     lastStreamEpoch;
+    // epoch of the last streamed tick, for the streams that receive ticks as they happen
+    lastTickEpoch;
     static get EVENT_CHART_DATA() { return 'EVENT_CHART_DATA'; }
 
     constructor(request, api, stx) {
-        this._binaryApi = api;
+        this._api = api;
         this._stx = stx;
         this._request = request;
         this._emitter = new EventEmitter({ emitDelay: 0 });
@@ -35,6 +37,7 @@ class Subscription {
 
     forget() {
         this.lastStreamEpoch = undefined;
+        this.lastTickEpoch = undefined;
         this._emitter.off(Subscription.EVENT_CHART_DATA);
     }
 
@@ -1,7 +1,9 @@
 import DelayedSubscription from './DelayedSubscription';
 import RealtimeSubscription from './RealtimeSubscription';
+import ReplaySubscription from './ReplaySubscription';
 
 export {
     DelayedSubscription,
     RealtimeSubscription,
+    ReplaySubscription,
 };
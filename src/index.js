@@ -19,7 +19,18 @@ import AssetInformation from './components/AssetInformation.jsx';
 import FastMarker from './components/FastMarker.jsx';
 import RawMarker from './components/RawMarker.jsx';
 import ToolbarWidget from './components/ToolbarWidget.jsx';
+import ReplayControls from './components/ReplayControls.jsx';
+import FeedHealth from './components/FeedHealth.jsx';
+import SessionCalendar from './components/SessionCalendar.jsx';
+import Alerts from './components/Alerts.jsx';
+import ChartGroup from './components/ChartGroup.jsx';
+import Watchlist from './components/Watchlist.jsx';
+import { BinaryAPI, DataSource } from './binaryapi';
 import { createObjectFromLocalStorage } from './utils';
+import LocalStorage from './utils/LocalStorage';
+import MemoryStorage from './utils/MemoryStorage';
+import { renderSnapshot } from './snapshot';
+import { registerIndicator } from './customIndicators';
 import { logEvent, LogCategories, LogActions } from './utils/ga';
 
 function setSmartChartsPublicPath(path) {
@@ -29,8 +40,11 @@ function setSmartChartsPublicPath(path) {
 const Marker = FastMarker;
 
 export {
+    Alerts,
     AssetInformation,
     Barrier,
+    BinaryAPI,
+    ChartGroup,
     ChartSetting,
     ChartSize,
     ChartTitle,
@@ -40,9 +54,17 @@ export {
     ComparisonList,
     createObjectFromLocalStorage,
     CrosshairToggle,
+    DataSource,
     DrawTools,
+    FeedHealth,
+    LocalStorage,
     Marker,
+    MemoryStorage,
     PendingPromise,
+    registerIndicator,
+    renderSnapshot,
+    ReplayControls,
+    SessionCalendar,
     setSmartChartsPublicPath,
     Share,
     SmartChart,
@@ -50,14 +72,18 @@ export {
     Timeperiod,
     Views,
     ToolbarWidget,
+    Watchlist,
     logEvent,
     LogCategories,
     LogActions,
 };
 
 export default {
+    Alerts,
     AssetInformation,
     Barrier,
+    BinaryAPI,
+    ChartGroup,
     ChartSetting,
     ChartSize,
     ChartTitle,
@@ -67,11 +93,19 @@ export default {
     ComparisonList,
     createObjectFromLocalStorage,
     CrosshairToggle,
+    DataSource,
     DrawTools,
+    FeedHealth,
     FastMarker,
+    LocalStorage,
     Marker: FastMarker,
+    MemoryStorage,
     PendingPromise,
     RawMarker,
+    registerIndicator,
+    renderSnapshot,
+    ReplayControls,
+    SessionCalendar,
     setSmartChartsPublicPath,
     Share,
     SmartChart,
@@ -79,6 +113,7 @@ export default {
     Timeperiod,
     Views,
     ToolbarWidget,
+    Watchlist,
     logEvent,
     LogCategories,
     LogActions,
@@ -0,0 +1,58 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import renderSnapshot, { normalizeData, getTicks } from '../renderSnapshot';
+
+const candles = [
+    { epoch: 120, open: 2, high: 4, low: 1, close: 3 },
+    { epoch: 60, open: 1, high: 3, low: 1, close: 2 },
+];
+
+describe('renderSnapshot test', function () {
+    it('Test normalizeData of ticks and candles', function () {
+        expect(normalizeData({ history: { times: [1], prices: ['1.5'] } })).to.deep.equal([
+            { epoch: 1, open: 1.5, high: 1.5, low: 1.5, close: 1.5, isTick: true },
+        ]);
+        expect(normalizeData({ candles }).map(q => q.epoch)).to.deep.equal([60, 120]);
+    });
+
+    it('Test getTicks returns round values within the range', function () {
+        expect(getTicks(0.3, 2.1, 4)).to.deep.equal([0.5, 1, 1.5, 2]);
+    });
+
+    it('Test SVG snapshot with candles, barriers and study panels', async function () {
+        const svg = await renderSnapshot({
+            symbol: 'R_50',
+            granularity: 60,
+            chartType: 'candle',
+            data: candles,
+            studies: [{ type: 'rsi', period: 1 }],
+            barriers: [{ high: 2.5, shade: 'above', title: 'Barrier' }],
+            format: 'svg',
+            width: 300,
+            height: 200,
+        });
+        expect(svg).to.match(/^<svg [^>]*width="300" height="200"/);
+        expect(svg).to.include('>R_50</text>');
+        expect(svg).to.include('>RSI (1)</text>');
+        expect(svg).to.include('>2.50</text>');
+        expect(svg).to.include('>00:01</text>');
+        expect(svg).to.include('stroke-dasharray="4,4"');
+    });
+
+    it('Test data is requested from the data source', async function () {
+        const dataSource = { getHistory: async params => ({ history: { times: [params.count], prices: ['1.25'] } }) };
+        const svg = await renderSnapshot({ dataSource, count: 5, format: 'svg' });
+        expect(svg).to.include('>1.25</text>');
+
+        const failing = { getHistory: async () => ({ error: { message: 'Invalid symbol' } }) };
+        let error;
+        await renderSnapshot({ dataSource: failing, format: 'svg' }).catch((e) => { error = e; });
+        expect(error.message).to.equal('Invalid symbol');
+    });
+
+    it('Test PNG snapshot requires a canvas outside the browser', async function () {
+        let error;
+        await renderSnapshot({ data: candles }).catch((e) => { error = e; });
+        expect(error.message).to.include('createCanvas');
+    });
+});
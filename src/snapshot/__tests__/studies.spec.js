@@ -0,0 +1,40 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { sma, ema, rsi, macd, calculateStudies } from '../studies';
+
+const closes = [1, 2, 3, 4, 5, 6];
+
+describe('snapshot studies test', function () {
+    it('Test sma is undefined until the period is filled', function () {
+        expect(sma(closes, 3)).to.deep.equal([undefined, undefined, 2, 3, 4, 5]);
+    });
+
+    it('Test ema is seeded with the simple average', function () {
+        expect(ema(closes, 3)).to.deep.equal([undefined, undefined, 2, 3, 4, 5]);
+        expect(ema([2, 2, 5], 2)[2]).to.equal(4);
+    });
+
+    it('Test rsi of a rising market is 100', function () {
+        expect(rsi(closes, 3)).to.deep.equal([undefined, undefined, undefined, 100, 100, 100]);
+        expect(rsi([1, 2, 1, 2], 2)[2]).to.equal(50);
+    });
+
+    it('Test macd of a straight line is constant', function () {
+        const { line, signal } = macd(closes, 2, 3, 2);
+        expect(line.slice(2)).to.deep.equal([0.5, 0.5, 0.5, 0.5]);
+        expect(signal.slice(0, 3)).to.deep.equal([undefined, undefined, undefined]);
+        expect(signal[3]).to.equal(0.5);
+    });
+
+    it('Test calculateStudies with built-in and precomputed studies', function () {
+        const [ma, custom] = calculateStudies([
+            { type: 'ma', period: 2 },
+            { name: 'Custom', outputs: { Value: [1] }, colors: { Value: 'red' }, isPanel: true },
+        ], closes);
+        expect(ma).to.include({ name: 'MA (2)', isPanel: false });
+        expect(ma.outputs[0].values).to.deep.equal([undefined, 1.5, 2.5, 3.5, 4.5, 5.5]);
+        expect(custom).to.include({ name: 'Custom', isPanel: true });
+        expect(custom.outputs[0]).to.deep.equal({ name: 'Value', values: [1], color: 'red' });
+        expect(() => calculateStudies([{ type: 'unknown' }], closes)).to.throw('Unknown study type');
+    });
+});
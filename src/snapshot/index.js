@@ -0,0 +1,9 @@
+import renderSnapshot, { SNAPSHOT_CHART_TYPES } from './renderSnapshot';
+import { CanvasPainter, SvgPainter } from './painters';
+
+export {
+    renderSnapshot,
+    SNAPSHOT_CHART_TYPES,
+    CanvasPainter,
+    SvgPainter,
+};
@@ -0,0 +1,98 @@
+/*
+ * Painters draw the snapshot primitives either to a canvas 2D context or to
+ * an SVG document, so that the same renderer produces both formats.
+ * Points are arrays of [x, y].
+ */
+export class CanvasPainter {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    rect(x, y, width, height, { fill, opacity = 1 }) {
+        const { ctx } = this;
+        ctx.globalAlpha = opacity;
+        ctx.fillStyle = fill;
+        ctx.fillRect(x, y, width, height);
+        ctx.globalAlpha = 1;
+    }
+
+    line(points, { color, width = 1, dash }) {
+        if (points.length < 2) { return; }
+        const { ctx } = this;
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        if (ctx.setLineDash) { ctx.setLineDash(dash || []); }
+        points.forEach(([x, y], idx) => (idx ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+        ctx.stroke();
+        if (ctx.setLineDash) { ctx.setLineDash([]); }
+    }
+
+    polygon(points, { fill, opacity = 1 }) {
+        if (points.length < 3) { return; }
+        const { ctx } = this;
+        ctx.beginPath();
+        ctx.globalAlpha = opacity;
+        ctx.fillStyle = fill;
+        points.forEach(([x, y], idx) => (idx ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+        ctx.closePath();
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    }
+
+    text(value, x, y, { color, size = 11, align = 'left', baseline = 'middle', bold }) {
+        const { ctx } = this;
+        ctx.fillStyle = color;
+        ctx.font = `${bold ? 'bold ' : ''}${size}px sans-serif`;
+        ctx.textAlign = align;
+        ctx.textBaseline = baseline;
+        ctx.fillText(value, x, y);
+    }
+
+    toResult() {
+        return this.canvas.toDataURL('image/png');
+    }
+}
+
+const escapeXML = value => `${value}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const toPoints = points => points.map(([x, y]) => `${+x.toFixed(2)},${+y.toFixed(2)}`).join(' ');
+
+const SVG_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+const SVG_BASELINES = { top: 'hanging', middle: 'central', bottom: 'text-after-edge' };
+
+export class SvgPainter {
+    elements = [];
+
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    rect(x, y, width, height, { fill, opacity = 1 }) {
+        this.elements.push(`<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${fill}"${opacity < 1 ? ` fill-opacity="${opacity}"` : ''}/>`);
+    }
+
+    line(points, { color, width = 1, dash }) {
+        if (points.length < 2) { return; }
+        this.elements.push(`<polyline points="${toPoints(points)}" fill="none" stroke="${color}" stroke-width="${width}"${dash ? ` stroke-dasharray="${dash.join(',')}"` : ''}/>`);
+    }
+
+    polygon(points, { fill, opacity = 1 }) {
+        if (points.length < 3) { return; }
+        this.elements.push(`<polygon points="${toPoints(points)}" fill="${fill}"${opacity < 1 ? ` fill-opacity="${opacity}"` : ''}/>`);
+    }
+
+    text(value, x, y, { color, size = 11, align = 'left', baseline = 'middle', bold }) {
+        this.elements.push(`<text x="${x}" y="${y}" fill="${color}" font-family="sans-serif" font-size="${size}"${bold ? ' font-weight="bold"' : ''} text-anchor="${SVG_ANCHORS[align]}" dominant-baseline="${SVG_BASELINES[baseline]}">${escapeXML(value)}</text>`);
+    }
+
+    toResult() {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">${this.elements.join('')}</svg>`;
+    }
+}
@@ -0,0 +1,297 @@
+import moment from 'moment';
+import { CanvasPainter, SvgPainter } from './painters';
+import { calculateStudies } from './studies';
+
+const THEMES = {
+    light: {
+        background: '#ffffff',
+        grid: '#f2f3f4',
+        text: '#333333',
+        line: '#2a3052',
+        up: '#4bb4b3',
+        down: '#ec3f3f',
+        barrier: '#000000',
+    },
+    dark: {
+        background: '#0e0e0e',
+        grid: '#242828',
+        text: '#c2c2c2',
+        line: '#ffffff',
+        up: '#4bb4b3',
+        down: '#ec3f3f',
+        barrier: '#ffffff',
+    },
+};
+
+// Chart types that are drawn; others are drawn as a line
+export const SNAPSHOT_CHART_TYPES = ['mountain', 'line', 'candle', 'hollow_candle', 'colored_bar'];
+
+const Y_AXIS_WIDTH = 64;
+const X_AXIS_HEIGHT = 24;
+const PADDING = 8;
+
+// Normalizes a history response ({ candles } or { history }) or an array of
+// { epoch, open, high, low, close } / { epoch, quote } into candle-like quotes.
+export function normalizeData(data) {
+    let items = data;
+    if (data && data.history) {
+        const { times, prices } = data.history;
+        items = times.map((epoch, idx) => ({ epoch, quote: prices[idx] }));
+    } else if (data && data.candles) {
+        items = data.candles;
+    }
+    return (items || []).map((item) => {
+        if (item.quote !== undefined) {
+            const quote = +item.quote;
+            return { epoch: +item.epoch, open: quote, high: quote, low: quote, close: quote, isTick: true };
+        }
+        return {
+            epoch: +item.epoch,
+            open: +item.open,
+            high: +item.high,
+            low: +item.low,
+            close: +item.close,
+        };
+    }).sort((a, b) => a.epoch - b.epoch);
+}
+
+// Returns about `count` round values that cover [min, max]
+export function getTicks(min, max, count = 5) {
+    const range = max - min || Math.abs(max) || 1;
+    const rough = range / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    const ticks = [];
+    for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+        ticks.push(+value.toFixed(10));
+    }
+    return ticks;
+}
+
+function getDecimalPlaces(data) {
+    const values = (data && data.history) ? data.history.prices : [];
+    const decimals = values.slice(0, 50).map(v => (`${v}`.split('.')[1] || '').length);
+    return decimals.length ? Math.max(...decimals) : 2;
+}
+
+function getRange(values, fixedRange) {
+    if (fixedRange) { return { min: fixedRange[0], max: fixedRange[1] }; }
+    const defined = values.filter(v => typeof v === 'number' && !Number.isNaN(v));
+    let min = Math.min(...defined);
+    let max = Math.max(...defined);
+    if (!defined.length) { min = 0; max = 1; }
+    const margin = (max - min) * 0.05 || Math.abs(max) * 0.01 || 1;
+    return { min: min - margin, max: max + margin };
+}
+
+function formatTime(epoch, granularity) {
+    let format = 'HH:mm';
+    if (granularity >= 86400) {
+        format = 'DD MMM';
+    } else if (!granularity) {
+        format = 'HH:mm:ss';
+    }
+    return moment.utc(epoch * 1000).format(format);
+}
+
+function drawPanel(painter, panel, theme, decimalPlaces) {
+    const { left, right, top, bottom, min, max } = panel;
+    const yOf = value => bottom - ((value - min) / (max - min)) * (bottom - top);
+    for (const tick of getTicks(min, max, Math.max(2, Math.floor((bottom - top) / 40)))) {
+        const y = yOf(tick);
+        painter.line([[left, y], [right, y]], { color: theme.grid });
+        painter.text(tick.toFixed(decimalPlaces), right + 6, y, { color: theme.text, size: 10 });
+    }
+    painter.line([[right, top], [right, bottom]], { color: theme.grid });
+    return yOf;
+}
+
+function drawCandles(painter, quotes, xOf, yOf, barWidth, chartType, theme) {
+    const bodyWidth = Math.max(1, barWidth * 0.6);
+    quotes.forEach((q, idx) => {
+        const x = xOf(idx);
+        const isUp = q.close >= q.open;
+        const color = isUp ? theme.up : theme.down;
+        if (chartType === 'colored_bar') {
+            painter.line([[x, yOf(q.high)], [x, yOf(q.low)]], { color });
+            painter.line([[x - bodyWidth / 2, yOf(q.open)], [x, yOf(q.open)]], { color });
+            painter.line([[x, yOf(q.close)], [x + bodyWidth / 2, yOf(q.close)]], { color });
+            return;
+        }
+        const top = yOf(Math.max(q.open, q.close));
+        const bottom = yOf(Math.min(q.open, q.close));
+        painter.line([[x, yOf(q.high)], [x, top]], { color });
+        painter.line([[x, bottom], [x, yOf(q.low)]], { color });
+        if (chartType === 'hollow_candle' && isUp) {
+            const l = x - bodyWidth / 2;
+            const r = x + bodyWidth / 2;
+            painter.line([[l, top], [r, top], [r, bottom], [l, bottom], [l, top]], { color });
+        } else {
+            painter.rect(x - bodyWidth / 2, top, bodyWidth, Math.max(1, bottom - top), { fill: color });
+        }
+    });
+}
+
+function drawBarriers(painter, barriers, panel, yOf, theme, decimalPlaces) {
+    const { left, right, top, bottom } = panel;
+    const clamp = y => Math.min(Math.max(y, top), bottom);
+    for (const barrier of barriers) {
+        const { high, low, color = theme.barrier, shadeColor = 'green', title } = barrier;
+        const shade = `${barrier.shade || ''}`.toLowerCase();
+        const hasLow = low !== undefined && low !== null;
+        const shadeArea = (from, to) => {
+            const y1 = clamp(Math.min(from, to));
+            const y2 = clamp(Math.max(from, to));
+            painter.rect(left, y1, right - left, y2 - y1, { fill: shadeColor, opacity: 0.1 });
+        };
+        if (shade === 'above' || shade === 'outside') { shadeArea(top, yOf(high)); }
+        if (shade === 'below') { shadeArea(yOf(hasLow ? low : high), bottom); }
+        if (shade === 'outside' && hasLow) { shadeArea(yOf(low), bottom); }
+        if (shade === 'between' && hasLow) { shadeArea(yOf(high), yOf(low)); }
+
+        for (const price of hasLow ? [high, low] : [high]) {
+            const y = yOf(+price);
+            if (y < top || y > bottom) { continue; }
+            painter.line([[left, y], [right, y]], { color, dash: [4, 4] });
+            painter.rect(right, y - 8, Y_AXIS_WIDTH - PADDING, 16, { fill: color });
+            painter.text((+price).toFixed(decimalPlaces), right + 6, y, { color: theme.background, size: 10 });
+        }
+        if (title) {
+            painter.text(title, left + 4, yOf(+high) - 8, { color, size: 10 });
+        }
+    }
+}
+
+/*
+ * Draws a chart snapshot without a ChartIQ instance or DOM, e.g. for thumbnails.
+ * Resolves to a PNG data URL (format 'png') or an SVG document (format 'svg').
+ *
+ * PNG needs a canvas: in browsers one is created with `document`, elsewhere
+ * pass `createCanvas(width, height)` (e.g. from the `canvas` package).
+ */
+export default async function renderSnapshot({
+    symbol = '',
+    granularity = 0,
+    chartType = 'mountain',
+    studies = [],
+    barriers = [],
+    width = 600,
+    height = 400,
+    data,
+    dataSource,
+    count,
+    decimalPlaces,
+    format = 'png',
+    theme: themeName = 'light',
+    createCanvas,
+} = {}) {
+    let response = data;
+    if (!response && dataSource) {
+        response = await dataSource.getHistory({ symbol, granularity, count: count || Math.floor(width / 6) });
+        if (response.error) { throw new Error(response.error.message); }
+    }
+    const quotes = normalizeData(response);
+    const decimals = decimalPlaces !== undefined ? decimalPlaces : getDecimalPlaces(response);
+    const theme = THEMES[themeName] || THEMES.light;
+
+    let painter;
+    if (format === 'svg') {
+        painter = new SvgPainter(width, height);
+    } else {
+        let canvas;
+        if (createCanvas) {
+            canvas = createCanvas(width, height);
+        } else if (typeof document !== 'undefined') {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        } else {
+            throw new Error('createCanvas is required to render PNG snapshots outside the browser');
+        }
+        painter = new CanvasPainter(canvas);
+    }
+
+    painter.rect(0, 0, width, height, { fill: theme.background });
+
+    const closes = quotes.map(q => q.close);
+    const calculated = calculateStudies(studies, closes);
+    const overlays = calculated.filter(s => !s.isPanel);
+    const panels = calculated.filter(s => s.isPanel);
+
+    const left = PADDING;
+    const right = width - Y_AXIS_WIDTH;
+    const plotBottom = height - X_AXIS_HEIGHT;
+    const panelHeight = panels.length ? Math.min(0.25, 0.6 / panels.length) * (plotBottom - PADDING) : 0;
+    const mainBottom = plotBottom - panelHeight * panels.length;
+    const barWidth = (right - left) / Math.max(quotes.length, 1);
+    const xOf = idx => left + (idx + 0.5) * barWidth;
+
+    // Main panel
+    const isCandleType = ['candle', 'hollow_candle', 'colored_bar'].includes(chartType)
+        && quotes.length && !quotes[0].isTick;
+    const barrierPrices = barriers
+        .reduce((prices, b) => prices.concat([b.high, b.low]), [])
+        .filter(p => p !== undefined && p !== null)
+        .map(p => +p);
+    const mainRange = getRange([
+        ...(isCandleType ? quotes.map(q => q.high).concat(quotes.map(q => q.low)) : closes),
+        ...overlays.reduce((values, s) => values.concat(...s.outputs.map(o => o.values)), []),
+        ...barrierPrices,
+    ]);
+    const mainPanel = { left, right, top: PADDING, bottom: mainBottom, ...mainRange };
+    const yOf = drawPanel(painter, mainPanel, theme, decimals);
+
+    if (isCandleType) {
+        drawCandles(painter, quotes, xOf, yOf, barWidth, chartType, theme);
+    } else if (quotes.length) {
+        const points = quotes.map((q, idx) => [xOf(idx), yOf(q.close)]);
+        if (chartType === 'mountain') {
+            const area = [[points[0][0], mainBottom], ...points, [points[points.length - 1][0], mainBottom]];
+            painter.polygon(area, { fill: theme.line, opacity: 0.15 });
+        }
+        painter.line(points, { color: theme.line, width: 1.5 });
+    }
+
+    for (const study of overlays) {
+        for (const output of study.outputs) {
+            const points = [];
+            output.values.forEach((value, idx) => {
+                if (typeof value === 'number') { points.push([xOf(idx), yOf(value)]); }
+            });
+            painter.line(points, { color: output.color });
+        }
+    }
+
+    drawBarriers(painter, barriers, mainPanel, yOf, theme, decimals);
+    painter.text(symbol, left + 4, PADDING + 4, { color: theme.text, size: 12, baseline: 'top', bold: true });
+
+    // Study panels
+    panels.forEach((study, panelIdx) => {
+        const top = mainBottom + panelHeight * panelIdx;
+        const range = getRange(study.outputs.reduce((values, o) => values.concat(o.values), []), study.range);
+        const panel = { left, right, top, bottom: top + panelHeight, ...range };
+        painter.line([[left, top], [right, top]], { color: theme.text });
+        const yOfPanel = drawPanel(painter, panel, theme, 2);
+        for (const output of study.outputs) {
+            const points = [];
+            output.values.forEach((value, idx) => {
+                if (typeof value === 'number') { points.push([xOf(idx), yOfPanel(value)]); }
+            });
+            painter.line(points, { color: output.color });
+        }
+        painter.text(study.name, left + 4, top + 4, { color: theme.text, size: 10, baseline: 'top' });
+    });
+
+    // X axis
+    painter.line([[left, plotBottom], [right, plotBottom]], { color: theme.grid });
+    const labelStep = Math.max(1, Math.ceil(quotes.length / Math.max(1, Math.floor((right - left) / 100))));
+    for (let idx = 0; idx < quotes.length; idx += labelStep) {
+        painter.text(formatTime(quotes[idx].epoch, granularity), xOf(idx), plotBottom + X_AXIS_HEIGHT / 2, {
+            color: theme.text,
+            size: 10,
+            align: 'center',
+        });
+    }
+
+    return painter.toResult();
+}
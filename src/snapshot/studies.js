@@ -0,0 +1,138 @@
+/*
+ * Minimal study calculations for snapshots, which are rendered without the
+ * ChartIQ study library. Each function takes the close prices and returns the
+ * output values aligned with them; values are undefined until there is enough data.
+ */
+export function sma(closes, period) {
+    let sum = 0;
+    return closes.map((close, idx) => {
+        sum += close;
+        if (idx >= period) { sum -= closes[idx - period]; }
+        return idx >= period - 1 ? sum / period : undefined;
+    });
+}
+
+export function ema(closes, period) {
+    const k = 2 / (period + 1);
+    let prev;
+    return closes.map((close, idx) => {
+        if (idx < period - 1) { return undefined; }
+        if (prev === undefined) {
+            // seed with the simple average of the first period
+            prev = closes.slice(0, period).reduce((sum, c) => sum + c, 0) / period;
+        } else {
+            prev = (close - prev) * k + prev;
+        }
+        return prev;
+    });
+}
+
+export function bollinger(closes, period, deviations) {
+    const middle = sma(closes, period);
+    const upper = [];
+    const lower = [];
+    middle.forEach((mean, idx) => {
+        if (mean === undefined) {
+            upper.push(undefined);
+            lower.push(undefined);
+            return;
+        }
+        const window = closes.slice(idx - period + 1, idx + 1);
+        const sd = Math.sqrt(window.reduce((sum, c) => sum + (c - mean) ** 2, 0) / period);
+        upper.push(mean + deviations * sd);
+        lower.push(mean - deviations * sd);
+    });
+    return { upper, middle, lower };
+}
+
+export function rsi(closes, period) {
+    let avgGain = 0;
+    let avgLoss = 0;
+    return closes.map((close, idx) => {
+        if (!idx) { return undefined; }
+        const change = close - closes[idx - 1];
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+        if (idx <= period) {
+            avgGain += gain / period;
+            avgLoss += loss / period;
+            if (idx < period) { return undefined; }
+        } else {
+            // Wilder's smoothing
+            avgGain = (avgGain * (period - 1) + gain) / period;
+            avgLoss = (avgLoss * (period - 1) + loss) / period;
+        }
+        return avgLoss ? 100 - 100 / (1 + avgGain / avgLoss) : 100;
+    });
+}
+
+export function macd(closes, fast, slow, signal) {
+    const fastEMA = ema(closes, fast);
+    const slowEMA = ema(closes, slow);
+    const line = closes.map((c, idx) => (slowEMA[idx] === undefined ? undefined : fastEMA[idx] - slowEMA[idx]));
+    const offset = line.findIndex(v => v !== undefined);
+    const signalLine = offset < 0
+        ? line.map(() => undefined)
+        : Array(offset).fill(undefined).concat(ema(line.slice(offset), signal));
+    return { line, signal: signalLine };
+}
+
+const STUDIES = {
+    ma: {
+        name: ({ period = 20 }) => `MA (${period})`,
+        calculate: (closes, { period = 20 }) => ({ MA: sma(closes, period) }),
+    },
+    ema: {
+        name: ({ period = 20 }) => `EMA (${period})`,
+        calculate: (closes, { period = 20 }) => ({ EMA: ema(closes, period) }),
+    },
+    bollinger: {
+        name: ({ period = 20, deviations = 2 }) => `Bollinger Bands (${period},${deviations})`,
+        calculate: (closes, { period = 20, deviations = 2 }) => {
+            const { upper, middle, lower } = bollinger(closes, period, deviations);
+            return { 'Bollinger Band Top': upper, 'Bollinger Band Median': middle, 'Bollinger Band Bottom': lower };
+        },
+    },
+    rsi: {
+        name: ({ period = 14 }) => `RSI (${period})`,
+        calculate: (closes, { period = 14 }) => ({ RSI: rsi(closes, period) }),
+        isPanel: true,
+        range: [0, 100],
+    },
+    macd: {
+        name: ({ fast = 12, slow = 26, signal = 9 }) => `MACD (${fast},${slow},${signal})`,
+        calculate: (closes, { fast = 12, slow = 26, signal = 9 }) => {
+            const result = macd(closes, fast, slow, signal);
+            return { MACD: result.line, Signal: result.signal };
+        },
+        isPanel: true,
+    },
+};
+
+export const STUDY_COLORS = ['#2a30f0', '#ff444f', '#39b19d', '#ffa912', '#8b5cf6', '#5e6f7f'];
+
+// Normalizes the `studies` option into { name, isPanel, range, outputs: [{ name, values, color }] }.
+// A study is either { type, ...params } with one of the built-in types above, or
+// { name, outputs: { [name]: values }, isPanel, colors } with precomputed values.
+export function calculateStudies(studies = [], closes) {
+    let colorIdx = 0;
+    const nextColor = () => STUDY_COLORS[colorIdx++ % STUDY_COLORS.length];
+
+    return studies.map((study) => {
+        const definition = STUDIES[study.type];
+        if (!definition && !study.outputs) {
+            throw new Error(`Unknown study type: ${study.type}`);
+        }
+        const outputs = definition ? definition.calculate(closes, study) : study.outputs;
+        return {
+            name: study.name || (definition ? definition.name(study) : ''),
+            isPanel: study.isPanel !== undefined ? study.isPanel : !!(definition && definition.isPanel),
+            range: study.range || (definition && definition.range),
+            outputs: Object.keys(outputs).map(name => ({
+                name,
+                values: outputs[name],
+                color: (study.colors && study.colors[name]) || nextColor(),
+            })),
+        };
+    });
+}
@@ -0,0 +1,280 @@
+import { observable, action, computed, reaction, when, toJS } from 'mobx';
+import MenuStore from './MenuStore';
+import PriceLineStore from './PriceLineStore';
+import Menu from '../components/Menu.jsx';
+import PriceLine from '../components/PriceLine.jsx';
+import { getUTCEpoch } from '../utils';
+import {
+    AlertTypes, ALERT_TYPES, getPriceFields, normalizeAlert, isValidAlert, isAlertTriggered,
+} from '../utils/priceAlerts';
+
+let lastAlertId = 0;
+
+export default class AlertStore {
+    static get CROSS_ABOVE() { return AlertTypes.CROSS_ABOVE; }
+    static get CROSS_BELOW() { return AlertTypes.CROSS_BELOW; }
+    static get ENTER_CHANNEL() { return AlertTypes.ENTER_CHANNEL; }
+    static get EXIT_CHANNEL() { return AlertTypes.EXIT_CHANNEL; }
+    static get PERCENT_MOVE() { return AlertTypes.PERCENT_MOVE; }
+    static get TYPES() { return ALERT_TYPES; }
+    static get CATEGORY() { return 'alert'; }
+
+    @observable.ref userAlerts = [];
+    @observable.ref propAlerts = [];
+    @observable.ref lines = [];
+    @observable formType = AlertStore.CROSS_ABOVE;
+    @observable formHigh = '';
+    @observable formLow = '';
+    @observable formPercent = 1;
+    @observable formMinutes = 5;
+    alertsProp;
+    onAlert;
+    _storedAlerts = {}; // alerts created from the chart, by symbol
+    _quotes = [];
+    _lastClose;
+    _triggeredAt = {};
+
+    get chart() { return this.mainStore.chart; }
+    get context() { return this.chart.context; }
+    get stx() { return this.context.stx; }
+    get chartId() { return this.mainStore.state.chartId; }
+    get types() { return AlertStore.TYPES; }
+    @computed get symbol() { return this.chart.currentActiveSymbol && this.chart.currentActiveSymbol.symbol; }
+    @computed get pip() { return this.chart.currentActiveSymbol.decimal_places; }
+    @computed get priceLabelWidth() { return this.chart.yAxiswidth + 1; }
+    @computed get isChannelType() {
+        return this.formType === AlertStore.ENTER_CHANNEL || this.formType === AlertStore.EXIT_CHANNEL;
+    }
+
+    // alerts of the main chart symbol; alerts set by props without a symbol apply to any symbol
+    @computed get alerts() {
+        return [
+            ...this.propAlerts.filter(alert => !alert.symbol || alert.symbol === this.symbol),
+            ...this.userAlerts,
+        ];
+    }
+
+    constructor(mainStore) {
+        this.mainStore = mainStore;
+        this.menu = new MenuStore(mainStore, { route:'alerts' });
+        this.AlertsMenu = this.menu.connect(Menu);
+        reaction(() => this.menu.open, this.onMenuOpen);
+        when(() => this.context, this.onContextReady);
+    }
+
+    onContextReady = () => {
+        this.chart.feed.onMasterDataUpdate(this.onMasterDataUpdate);
+        this.chart.feed.onMasterDataReinitialize(this.resetQuotes);
+        this._disposers = [
+            reaction(() => this.symbol, this.loadAlerts, { fireImmediately: true }),
+            reaction(() => this.alerts, this.updateLines, { fireImmediately: true }),
+        ];
+    };
+
+    @action.bound updateProps({ alerts, onAlert }) {
+        this.onAlert = onAlert;
+        if (alerts !== this.alertsProp) {
+            this.alertsProp = alerts;
+            this.propAlerts = (alerts || []).map((alert, idx) => normalizeAlert({ id: `prop-${idx}`, ...alert }));
+        }
+    }
+
+    loadAlerts = async () => {
+        const { symbol } = this;
+        if (!symbol) { return; }
+        if (!this._storedAlerts[symbol]) {
+            const alerts = this.chartId && await this.mainStore.chart.storage.load(`alerts-${symbol}-${this.chartId}`);
+            // another load of the symbol may have finished first
+            this._storedAlerts[symbol] = this._storedAlerts[symbol] || alerts || [];
+        }
+        if (symbol === this.symbol) { this.setUserAlerts(this._storedAlerts[symbol]); }
+    };
+
+    @action.bound setUserAlerts(alerts) {
+        this.userAlerts = alerts;
+        this.resetQuotes();
+    }
+
+    saveAlerts() {
+        this._storedAlerts[this.symbol] = this.userAlerts;
+        if (!this.chartId) return;
+        const key = `alerts-${this.symbol}-${this.chartId}`;
+        if (this.userAlerts.length === 0) {
+            this.mainStore.chart.storage.remove(key);
+        } else {
+            this.mainStore.chart.storage.save(key, toJS(this.userAlerts));
+        }
+    }
+
+    // Adds an alert on the main chart symbol; returns undefined if the alert is invalid.
+    @action.bound addAlert(config) {
+        const alert = normalizeAlert({ id: `alert-${Date.now()}-${++lastAlertId}`, ...config });
+        if (!isValidAlert(alert)) {
+            this.mainStore.notifier.notify({
+                text: t.translate('Please enter valid alert values.'),
+                type: 'error',
+                category: AlertStore.CATEGORY,
+            });
+            return undefined;
+        }
+        this.userAlerts = [...this.userAlerts, alert];
+        this.saveAlerts();
+        return alert;
+    }
+
+    @action.bound removeAlert(id) {
+        if (this.userAlerts.some(alert => alert.id === id)) {
+            this.userAlerts = this.userAlerts.filter(alert => alert.id !== id);
+            this.saveAlerts();
+        } else {
+            this.propAlerts = this.propAlerts.filter(alert => alert.id !== id);
+        }
+        delete this._triggeredAt[id];
+    }
+
+    @action.bound updateAlert(id, changes) {
+        const update = alerts => alerts.map(alert => (alert.id === id ? normalizeAlert({ ...alert, ...changes }) : alert));
+        if (this.userAlerts.some(alert => alert.id === id)) {
+            this.userAlerts = update(this.userAlerts);
+            this.saveAlerts();
+        } else {
+            this.propAlerts = update(this.propAlerts);
+        }
+    }
+
+    @action.bound resetQuotes() {
+        this._quotes = [];
+        this._lastClose = undefined;
+    }
+
+    @action.bound onMasterDataUpdate({ Close, DT }) {
+        if (typeof Close !== 'number' || !DT) { return; }
+        const quote = { close: Close, prevClose: this._lastClose, epoch: getUTCEpoch(DT) };
+        this._lastClose = Close;
+
+        const maxMinutes = Math.max(0, ...this.alerts
+            .filter(alert => alert.type === AlertStore.PERCENT_MOVE)
+            .map(alert => alert.minutes));
+        this._quotes.push({ epoch: quote.epoch, close: Close });
+        this._quotes = this._quotes.filter(q => q.epoch >= quote.epoch - maxMinutes * 60);
+
+        for (const alert of this.alerts) {
+            if (isAlertTriggered(alert, quote, this._quotes, this._triggeredAt[alert.id])) {
+                this.trigger(alert, quote);
+            }
+        }
+    }
+
+    trigger(alert, { close, epoch }) {
+        const symbol = this.chart.currentActiveSymbol;
+        this.mainStore.notifier.notify({
+            text: t.translate('[symbol] alert: [alert]', {
+                symbol: symbol.name,
+                alert: AlertStore.describe(alert, this.pip),
+            }),
+            type: 'info',
+            category: AlertStore.CATEGORY,
+        });
+        if (this.onAlert) {
+            this.onAlert({ ...alert, symbol: symbol.symbol, price: close, epoch });
+        }
+
+        if (alert.repeat) {
+            this._triggeredAt[alert.id] = epoch;
+        } else {
+            this.removeAlert(alert.id);
+        }
+    }
+
+    // Keeps one draggable price line for each price of the alerts; existing
+    // lines are reused so that a line being dragged is not recreated.
+    @action.bound updateLines() {
+        const existing = {};
+        this.lines.forEach((line) => { existing[line.key] = line; });
+
+        const lines = [];
+        for (const alert of this.alerts) {
+            for (const field of getPriceFields(alert.type)) {
+                const key = `${alert.id}-${field}`;
+                const line = existing[key] || this.createLine(key);
+                delete existing[key];
+                line.alertId = alert.id;
+                line.field = field;
+                line.store.title = alert.title || AlertStore.describe({ ...alert, [field]: undefined });
+                line.store.price = alert[field];
+                lines.push(line);
+            }
+        }
+
+        Object.values(existing).forEach(line => line.store.destructor());
+        this.lines = lines;
+    }
+
+    createLine(key) {
+        const store = new PriceLineStore(this.mainStore);
+        const line = { key, store, PriceLine: store.connect(PriceLine) };
+        store.onDragReleased(price => this.updateAlert(line.alertId, { [line.field]: price }));
+        return line;
+    }
+
+    @action.bound onMenuOpen(isOpen) {
+        const quote = this.stx.currentQuote();
+        if (!isOpen || !quote) { return; }
+        const distance = this.stx.chart.yAxis.priceTick || 0;
+        this.formHigh = (quote.Close + distance).toFixed(this.pip);
+        this.formLow = (quote.Close - distance).toFixed(this.pip);
+    }
+
+    @action.bound setFormType(type) { this.formType = type; }
+    @action.bound setFormHigh(value) { this.formHigh = value; }
+    @action.bound setFormLow(value) { this.formLow = value; }
+    @action.bound setFormPercent(value) { this.formPercent = value; }
+    @action.bound setFormMinutes(value) { this.formMinutes = value; }
+
+    @action.bound submitForm() {
+        const { formType: type } = this;
+        const config = { type };
+        if (type === AlertStore.PERCENT_MOVE) {
+            config.percent = +this.formPercent;
+            config.minutes = +this.formMinutes;
+        } else if (this.isChannelType) {
+            config.high = +this.formHigh;
+            config.low = +this.formLow;
+        } else {
+            config.price = +this.formHigh;
+        }
+        this.addAlert(config);
+    }
+
+    destructor() {
+        (this._disposers || []).forEach(dispose => dispose());
+        this.lines.forEach(line => line.store.destructor());
+        this.lines = [];
+        if (this.chart.feed) {
+            this.chart.feed.offMasterDataUpdate(this.onMasterDataUpdate);
+            this.chart.feed.offMasterDataReinitialize(this.resetQuotes);
+        }
+    }
+
+    static describe({ type, price, high, low, percent, minutes }, decimalPlaces) {
+        const format = value => (value === undefined ? '' : (+value).toFixed(decimalPlaces));
+        switch (type) {
+        case AlertStore.CROSS_ABOVE:
+            return t.translate('Cross above [price]', { price: format(price) }).trim();
+        case AlertStore.CROSS_BELOW:
+            return t.translate('Cross below [price]', { price: format(price) }).trim();
+        case AlertStore.ENTER_CHANNEL:
+            return high === undefined || low === undefined
+                ? t.translate('Enter channel')
+                : t.translate('Enter channel [low] - [high]', { low: format(low), high: format(high) });
+        case AlertStore.EXIT_CHANNEL:
+            return high === undefined || low === undefined
+                ? t.translate('Exit channel')
+                : t.translate('Exit channel [low] - [high]', { low: format(low), high: format(high) });
+        case AlertStore.PERCENT_MOVE:
+            return t.translate('Move of [percent]% in [minutes] minutes', { percent, minutes });
+        default:
+            return '';
+        }
+    }
+}
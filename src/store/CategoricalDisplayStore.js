@@ -34,6 +34,7 @@ export default class CategoricalDisplayStore {
         getCurrentActiveCategory,
         getCurrentActiveSubCategory,
         searchInputClassName,
+        searchItems,
     }) {
         reaction(() => (this.scrollPanel && getIsShown), () => {
             if (getIsShown()) {
@@ -83,10 +84,13 @@ export default class CategoricalDisplayStore {
         this.isInit = false;
         this.searchInput = React.createRef();
         this.searchInputClassName = searchInputClassName;
+        this.searchItems = searchItems;
 
         const normalItem = connect(() => ({
             favoritesId,
             id,
+            highlightedItemId: this.highlightedItemId,
+            addRecent: this.addRecent,
         }))(NormalItem);
 
         const activeItem = connect(() => ({
@@ -139,6 +143,7 @@ export default class CategoricalDisplayStore {
     @observable activeHeadKey = undefined;
     @observable activeHeadTop = 0;
     @observable activeHeadOffset = undefined;
+    @observable highlightedItemId;
     isUserScrolling = true;
     lastFilteredItems = [];
     activeCategories = [];
@@ -230,8 +235,49 @@ export default class CategoricalDisplayStore {
         return favoritesCategory;
     }
 
+    @computed get recentCategory() {
+        const recent = this.mainStore.favorites.recentMap[this.favoritesId] || [];
+        return {
+            categoryName: t.translate('Recent'),
+            categoryId: 'recent',
+            hasSubcategory: false,
+            active: true,
+            data: recent.slice(),
+        };
+    }
+
+    // Enabled items that can be selected with the keyboard, in display order
+    get navigableItems() {
+        const items = [];
+        const addItems = (category) => {
+            if (category.categoryId === 'active' && this.getActiveCategory) { return; }
+            for (const item of category.data) {
+                if (category.hasSubcategory) {
+                    addItems(item);
+                } else if (item.enabled) {
+                    items.push(item);
+                }
+            }
+        };
+        this.filteredItems.forEach(addItems);
+        return items;
+    }
+
     @computed get filteredItems() {
         let filteredItems = cloneCategories(this.getCategoricalItems());
+        const itemsById = {};
+        filteredItems.forEach((category) => {
+            const addItems = (data) => {
+                for (const item of data) {
+                    if (item.data) {
+                        addItems(item.data);
+                    } else {
+                        itemsById[item.itemId] = item;
+                    }
+                }
+            };
+            addItems(category.data);
+        });
         const activeItmes = this.activeCategories.length
             ? this.activeCategories
             : [(this.getCurrentActiveCategory ? this.getCurrentActiveCategory() : 'favorite')];
@@ -274,6 +320,12 @@ export default class CategoricalDisplayStore {
 
             favsCategory.data = favsCategoryItem.filter(favItem => favItem);
             filteredItems.unshift(favsCategory);
+
+            const recentCategory = { ...this.recentCategory };
+            recentCategory.data = recentCategory.data.map(itemId => itemsById[itemId]).filter(item => item);
+            if (recentCategory.data.length) {
+                filteredItems.unshift(recentCategory);
+            }
         }
 
         if (this.getActiveCategory) {
@@ -286,6 +338,18 @@ export default class CategoricalDisplayStore {
             return filteredItems;
         }
 
+        if (this.searchItems) {
+            // ranked results of all categories
+            return [{
+                categoryName: t.translate('Search results'),
+                categoryId: 'search',
+                hasSubcategory: false,
+                active: true,
+                emptyDescription: t.translate('No results for "[text]"', { text: this.filterText }),
+                data: this.searchItems(this.filterText).map(itemId => itemsById[itemId]).filter(item => item),
+            }];
+        }
+
         let searchHasResult = false;
         const queries = this.filterText.split(' ').filter(x => x !== '').map(b => b.toLowerCase().trim());
         // regex to check all separate words by comma, should exist in the string
@@ -323,6 +387,7 @@ export default class CategoricalDisplayStore {
 
     @action.bound setFilterText(filterText) {
         this.filterText = filterText;
+        this.highlightedItemId = undefined;
         this.isUserScrolling = false;
         setTimeout(() => {
             this.updateScrollSpy();
@@ -345,6 +410,39 @@ export default class CategoricalDisplayStore {
         }
     }
 
+    @action.bound addRecent(itemId) {
+        if (this.favoritesId) {
+            this.mainStore.favorites.addRecent(this.favoritesId, itemId);
+        }
+    }
+
+    // Arrow keys move the highlighted item; Enter selects it (or the best match)
+    @action.bound onSearchKeyDown(e, onSelectItem) {
+        const items = this.navigableItems;
+        const idx = items.findIndex(item => item.itemId === this.highlightedItemId);
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!items.length) { return; }
+            const next = e.key === 'ArrowDown'
+                ? Math.min(idx + 1, items.length - 1)
+                : Math.max(idx - 1, 0);
+            this.highlightedItemId = items[next].itemId;
+            setTimeout(this.scrollToHighlightedItem, 0);
+        } else if (e.key === 'Enter') {
+            const item = items[idx] || (this.filterText && items[0]);
+            if (item) {
+                this.addRecent(item.itemId);
+                onSelectItem(item.dataObject, e);
+            }
+        }
+    }
+
+    scrollToHighlightedItem = () => {
+        const rootEl = this.scrollPanel && (this.scrollPanel.container || this.scrollPanel);
+        const el = rootEl && rootEl.querySelector('.cq-item.highlighted');
+        if (el) { el.scrollIntoView({ block: 'nearest' }); }
+    };
+
     @action.bound setScrollPanel(element) {
         this.scrollPanel =  element;
     }
@@ -356,7 +454,7 @@ export default class CategoricalDisplayStore {
                 item.active = !item.active;
             }
 
-            if (item.active && item.categoryId !== 'favorite') {
+            if (item.active && item.categoryId !== 'favorite' && item.categoryId !== 'recent') {
                 this.activeCategories.push(item.categoryId);
             }
         }
@@ -379,6 +477,7 @@ export default class CategoricalDisplayStore {
         ResultsPanel: this.ResultsPanel,
         FilterPanel: this.FilterPanel,
         SearchInput: this.SearchInput,
+        onSearchKeyDown: this.onSearchKeyDown,
         isMobile: this.chart.isMobile,
         height: this.height,
     }))
@@ -0,0 +1,156 @@
+import { getUTCDate, getUTCEpoch } from '../utils';
+import { renderSnapshot } from '../snapshot';
+
+/*
+ * Imperative API of <SmartChart>, exposed on its ref:
+ *
+ *     chartRef.current.setSymbol('R_50');
+ *
+ * Methods throw if they are called before the chart is ready. Changes made here
+ * are overridden by the corresponding props (e.g. `symbol`) when those change.
+ */
+export default class ChartController {
+    constructor(mainStore) {
+        this.mainStore = mainStore;
+    }
+
+    get chart() { return this.mainStore.chart; }
+    get stx() { return this.chart.stxx; }
+
+    checkReady() {
+        if (!this.chart.context || !this.chart.feed) {
+            throw new Error('The chart is not ready yet.');
+        }
+    }
+
+    setSymbol(symbol) {
+        this.checkReady();
+        const { stx } = this;
+        const symbolObj = typeof symbol === 'string' ? this.chart.activeSymbols.getSymbolObj(symbol) : symbol;
+        if (!symbolObj) { throw new Error(`Unknown symbol: ${symbol}`); }
+        if (stx.chart.symbol !== symbolObj.symbol) {
+            this.chart.changeSymbol(symbolObj);
+        }
+    }
+
+    // `granularity` is in seconds; 0 is for ticks
+    setGranularity(granularity) {
+        this.checkReady();
+        if (granularity !== this.chart.granularity) {
+            this.chart.changeSymbol(undefined, granularity);
+        }
+    }
+
+    // Adds a study of the ChartIQ study library (e.g. 'ma' or 'rsi') and returns its id
+    addStudy(type, { inputs, outputs, parameters } = {}) {
+        this.checkReady();
+        const { stx } = this;
+        if (!CIQ.Studies.studyLibrary[type]) { throw new Error(`Unknown study: ${type}`); }
+        const sd = this.mainStore.studies.addStudy(type, inputs, outputs, parameters);
+        if (!sd) { throw new Error('The maximum number of studies has been reached.'); }
+        stx.draw();
+        return sd.inputs.id;
+    }
+
+    // Returns false if there is no study with the given id
+    removeStudy(id) {
+        this.checkReady();
+        const { stx } = this;
+        const sd = stx.layout.studies && stx.layout.studies[id];
+        if (!sd) { return false; }
+        CIQ.Studies.removeStudy(stx, sd);
+        this.mainStore.studies.renderLegend();
+        return true;
+    }
+
+    addComparison(symbol) {
+        this.checkReady();
+        const { stx } = this;
+        const symbolObj = typeof symbol === 'string' ? this.chart.activeSymbols.getSymbolObj(symbol) : symbol;
+        if (!symbolObj) { throw new Error(`Unknown symbol: ${symbol}`); }
+        if (stx.chart.symbol !== symbolObj.symbol) {
+            this.mainStore.comparison.onSelectItem(symbolObj);
+        }
+    }
+
+    // Shows the epochs from `start` to `end` (defaults to the latest quote),
+    // loading older history first if needed.
+    async zoomTo({ start, end }) {
+        this.checkReady();
+        const { stx } = this;
+        const { feed } = this.chart;
+        if (!start) { throw new Error('zoomTo requires a start epoch.'); }
+        try {
+            await feed.loadHistory(start);
+            await new Promise(resolve => stx.setRange({
+                dtLeft: CIQ.strToDateTime(getUTCDate(start)),
+                dtRight: end ? CIQ.strToDateTime(getUTCDate(end)) : undefined,
+            }, resolve));
+        } finally {
+            // the master data is trimmed again, also when the history could not be loaded
+            feed.releaseHistory();
+        }
+    }
+
+    // Scrolls the chart so that `epoch` is the first visible spot/bar
+    async scrollToEpoch(epoch) {
+        this.checkReady();
+        const { stx } = this;
+        const { feed } = this.chart;
+        try {
+            await feed.loadHistory(epoch);
+            const tick = stx.tickFromDate(CIQ.strToDateTime(getUTCDate(epoch)));
+            await new Promise(resolve => stx.scrollTo(stx.chart, stx.chart.dataSet.length - tick, resolve));
+        } finally {
+            feed.releaseHistory();
+        }
+        stx.draw();
+    }
+
+    // Returns the epochs of the first and last visible spots/bars
+    getVisibleRange() {
+        this.checkReady();
+        const quotes = (this.stx.chart.dataSegment || []).filter(quote => quote && quote.DT);
+        if (!quotes.length) { return {}; }
+        return {
+            start: getUTCEpoch(quotes[0].DT),
+            end: getUTCEpoch(quotes[quotes.length - 1].DT),
+        };
+    }
+
+    // Returns the loaded quotes of the main symbol between the optional `start` and `end` epochs,
+    // as { epoch, quote } for ticks or { epoch, open, high, low, close } for candles
+    getQuotes({ start, end } = {}) {
+        this.checkReady();
+        const isTick = this.mainStore.timeperiod.isTick;
+        return this.stx.masterData
+            .filter(quote => typeof quote.Close === 'number')
+            .map((quote) => {
+                const epoch = getUTCEpoch(quote.DT);
+                return isTick
+                    ? { epoch, quote: quote.Close }
+                    : { epoch, open: quote.Open, high: quote.High, low: quote.Low, close: quote.Close };
+            })
+            .filter(({ epoch }) => (!start || epoch >= start) && (!end || epoch <= end));
+    }
+
+    // Same layout as the `onExportLayout` prop
+    exportLayout() {
+        this.checkReady();
+        return this.mainStore.state.getExportedLayout();
+    }
+
+    importLayout(layout) {
+        this.checkReady();
+        return this.mainStore.state.importLayout(layout);
+    }
+
+    // Renders the visible chart with `renderSnapshot`; `options` override the chart's
+    takeSnapshot(options = {}) {
+        this.checkReady();
+        return renderSnapshot({
+            ...this.mainStore.share.getSnapshotOptions(),
+            ...options,
+        });
+    }
+}
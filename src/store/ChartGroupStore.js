@@ -0,0 +1,117 @@
+import { reaction, when } from 'mobx';
+import { getUTCDate, getUTCEpoch } from '../utils';
+
+/*
+ * Synchronises the charts of a <ChartGroup>. Changes are only propagated
+ * from the chart under the cursor (or whose symbol/granularity changed), and
+ * only between charts that are locked to the group.
+ */
+export default class ChartGroupStore {
+    // members and unlocked charts are keyed by the id of the chart, so they
+    // follow the chart when the children of the group are reordered
+    members = {};
+    unlocked = {};
+    syncCrosshair = true;
+    syncRange = true;
+    syncGranularity = true;
+    syncSymbol = false;
+
+    updateProps({ syncCrosshair, syncRange, syncGranularity, syncSymbol }) {
+        this.syncCrosshair = syncCrosshair;
+        this.syncRange = syncRange;
+        this.syncGranularity = syncGranularity;
+        this.syncSymbol = syncSymbol;
+    }
+
+    add(id, mainStore) {
+        const member = { id, mainStore, isLocked: !this.unlocked[id], disposers: [] };
+        this.members[id] = member;
+        member.disposers.push(when(() => mainStore.chart.context, () => this.attach(member)));
+    }
+
+    remove(id) {
+        const member = this.members[id];
+        if (!member) { return; }
+        member.disposers.forEach(dispose => dispose());
+        delete this.members[id];
+    }
+
+    setLocked(id, isLocked) {
+        this.unlocked[id] = !isLocked;
+        if (this.members[id]) { this.members[id].isLocked = isLocked; }
+    }
+
+    destructor() {
+        Object.keys(this.members).forEach(id => this.remove(id));
+    }
+
+    attach(member) {
+        const { chart, timeperiod } = member.mainStore;
+        const stx = chart.stxx;
+
+        const moveListener = stx.addEventListener('move', () => this.onMove(member));
+        const injectionId = stx.append('draw', () => this.onDraw(member));
+        member.disposers.push(
+            () => {
+                stx.removeEventListener(moveListener);
+                stx.removeInjection(injectionId);
+            },
+            reaction(() => chart.cursorInChart, (cursorInChart) => {
+                if (!cursorInChart) { this.forEachTarget(member, m => m.mainStore.crosshair.showSyncedCrosshair()); }
+            }),
+            reaction(() => [timeperiod.timeUnit, timeperiod.interval], () => this.onGranularityChange(member)),
+            reaction(() => chart.currentActiveSymbol, () => this.onSymbolChange(member)),
+        );
+    }
+
+    // Calls `callback` for the other locked charts that are ready, if `source` is locked
+    forEachTarget(source, callback) {
+        if (!source.isLocked) { return; }
+        Object.values(this.members)
+            .filter(member => member !== source && member.isLocked && member.mainStore.chart.context)
+            .forEach(callback);
+    }
+
+    onMove(member) {
+        if (!this.syncCrosshair || !member.mainStore.chart.cursorInChart) { return; }
+        const epoch = member.mainStore.crosshair.getCrosshairEpoch();
+        this.forEachTarget(member, m => m.mainStore.crosshair.showSyncedCrosshair(epoch));
+    }
+
+    onDraw(member) {
+        if (!this.syncRange || !member.mainStore.chart.cursorInChart) { return; }
+        const quotes = member.mainStore.chart.stxx.chart.dataSegment.filter(quote => quote && quote.DT);
+        if (!quotes.length) { return; }
+        const start = getUTCEpoch(quotes[0].DT);
+        const end = getUTCEpoch(quotes[quotes.length - 1].DT);
+        if (member.range && member.range.start === start && member.range.end === end) { return; }
+        member.range = { start, end };
+
+        this.forEachTarget(member, ({ mainStore }) => {
+            mainStore.chart.stxx.setRange({
+                dtLeft: CIQ.strToDateTime(getUTCDate(start)),
+                dtRight: CIQ.strToDateTime(getUTCDate(end)),
+            });
+        });
+    }
+
+    onGranularityChange(member) {
+        if (!this.syncGranularity) { return; }
+        const { granularity } = member.mainStore.chart;
+        this.forEachTarget(member, ({ mainStore }) => {
+            if (mainStore.chart.granularity !== granularity) {
+                mainStore.chart.changeSymbol(undefined, granularity);
+            }
+        });
+    }
+
+    onSymbolChange(member) {
+        const symbolObj = member.mainStore.chart.currentActiveSymbol;
+        if (!this.syncSymbol || !symbolObj) { return; }
+        this.forEachTarget(member, ({ mainStore }) => {
+            if (mainStore.chart.currentActiveSymbol.symbol !== symbolObj.symbol) {
+                mainStore.chart.changeSymbol(symbolObj);
+            }
+        });
+    }
+}
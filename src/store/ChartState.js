@@ -1,6 +1,7 @@
 /* eslint-disable no-new */
 import { action, observable, when } from 'mobx';
-import { createObjectFromLocalStorage, calculateTimeUnitInterval, calculateGranularity, getUTCDate, getUTCEpoch } from '../utils';
+import { calculateTimeUnitInterval, calculateGranularity, getUTCDate, getUTCEpoch } from '../utils';
+import { createLayout } from '../utils/chartUrlState';
 import Theme from '../../sass/_themes.scss';
 
 class ChartState {
@@ -27,6 +28,7 @@ class ChartState {
     @observable isChartScrollingToEpoch = false;
     @observable crosshairState = 1;
     @observable maxTick;
+    @observable.ref symbolAliases;
     chartControlsWidgets;
     enabledChartFooter;
 
@@ -59,6 +61,7 @@ class ChartState {
     };
 
     @action.bound updateProps({
+        alerts,
         networkStatus,
         chartControlsWidgets,
         enabledChartFooter,
@@ -66,16 +69,30 @@ class ChartState {
         chartType,
         clearChart,
         endEpoch,
+        eventFilter,
+        events,
+        feedHealthThresholds,
         id,
         isAnimationEnabled = true,
         isConnectionOpened,
+        isReplayPlaying,
         isStaticChart,
         granularity,
         margin = 0,
+        onAlert,
+        onEventClick,
         onExportLayout,
+        onFeedHealthChange,
+        onReplayChange,
         refreshActiveSymbols,
         removeAllComparisons,
+        replayData,
+        replayEpoch,
+        replaySpeed,
         scrollToEpoch,
+        sessionBreaks,
+        sessionShading,
+        collapseSessionGaps,
         settings,
         shouldFetchTradingTimes = true,
         showLastDigitStats = false,
@@ -84,6 +101,10 @@ class ChartState {
         crosshair,
         zoom,
         maxTick,
+        maxStudies,
+        studyDrawBudget,
+        disableSlowStudies,
+        symbolAliases,
     }) {
         let isSymbolChanged = false;
         let isGranularityChanged = false;
@@ -97,6 +118,7 @@ class ChartState {
         this.settings = settings;
         this.shouldFetchTradingTimes = shouldFetchTradingTimes;
         this.showLastDigitStats = showLastDigitStats;
+        this.symbolAliases = symbolAliases;
 
         if (networkStatus && (
             !this.mainStore.chart.networkStatus
@@ -124,6 +146,20 @@ class ChartState {
             }
         }
 
+        this.mainStore.replay.updateProps({
+            data: replayData,
+            isPlaying: isReplayPlaying,
+            speed: replaySpeed,
+            epoch: replayEpoch,
+            onChange: onReplayChange,
+        });
+
+        this.mainStore.alerts.updateProps({ alerts, onAlert });
+        this.mainStore.events.updateProps({ events, eventFilter, onEventClick });
+        this.mainStore.studies.updateProps({ maxStudies, studyDrawBudget, disableSlowStudies });
+        this.mainStore.tradingSessions.updateProps({ sessionShading, sessionBreaks, collapseSessionGaps });
+        this.mainStore.feedHealth.updateProps({ feedHealthThresholds, onFeedHealthChange });
+
         if (onExportLayout !== this.onExportLayout) {
             this.onExportLayout = onExportLayout;
             this.exportLayout();
@@ -308,7 +344,8 @@ class ChartState {
     }
 
     @action.bound setChartGranularity(granularity) {
-        const isTimeUnitSecond = calculateTimeUnitInterval(granularity).timeUnit === 'second';
+        const { timeUnit, interval } = calculateTimeUnitInterval(granularity);
+        const isTimeUnitSecond = timeUnit === 'second' && interval === 1;
         const isChartTypeCandle = this.mainStore.chartType.isCandle
             || (this.chartType && this.mainStore.chartType.isTypeCandle(this.chartType));
 
@@ -336,18 +373,25 @@ class ChartState {
     saveLayout() {
         if (!this.chartId) return;
         const layoutData = this.stxx.exportLayout(true);
-        const json = JSON.stringify(layoutData);
-        CIQ.localStorageSetItem(`layout-${this.chartId}`, json);
+        this.chartStore.storage.save(`layout-${this.chartId}`, layoutData);
     }
 
-    // returns false if restoring layout fails
-    restoreLayout() {
-        let layoutData = createObjectFromLocalStorage(`layout-${this.chartId}`);
+    // resolves to false if restoring layout fails
+    async restoreLayout() {
+        const urlState = this.chartStore.enableUrlState ? this.mainStore.routing.getUrlState() : undefined;
+        if (!this.chartId && !urlState) return false;
+        // the chart state in the URL takes precedence over the layout saved for the chart id
+        let layoutData = urlState
+            ? createLayout(urlState)
+            : await this.chartStore.storage.load(`layout-${this.chartId}`);
 
-        if (!layoutData || !layoutData.symbols.length) return false;
+        if (!layoutData || !layoutData.symbols.length || this.stxx.isDestroyed) return false;
 
         // prop values will always take precedence
+        let urlDrawings = urlState && urlState.drawings;
         if (this.symbol !== undefined && this.symbol !== layoutData.symbols[0].symbol) {
+            // the drawings of the URL are of another symbol
+            urlDrawings = undefined;
             // symbol prop takes precedence over local storage data
             const symbolObject = this.chartStore.activeSymbols.getSymbolObj(this.symbol);
             layoutData.symbols = [{ symbol: this.symbol, symbolObject }];
@@ -360,6 +404,7 @@ class ChartState {
             symbolDat.symbolObject = updatedSymbol;
             if (symbolDat.parameters) {
                 symbolDat.parameters.display = updatedSymbol.name;
+                symbolDat.parameters.symbolObject = updatedSymbol;
 
                 // These gap settings are default when new comparisons are added,
                 // but for backward support we need to set them here.
@@ -378,10 +423,16 @@ class ChartState {
             this.chartStore.granularity = calculateGranularity(period, timeUnit || interval);
         }
 
+        let urlRange;
         if (this.startEpoch || this.endEpoch) {
             // already set in chart params
             delete layoutData.span;
             delete layoutData.range;
+        } else if (urlState && urlState.startEpoch) {
+            urlRange = {
+                dtLeft: CIQ.strToDateTime(getUTCDate(urlState.startEpoch)),
+                dtRight: CIQ.strToDateTime(getUTCDate(urlState.endEpoch)),
+            };
         }
 
         if (this.chartType !== undefined) {
@@ -401,12 +452,19 @@ class ChartState {
                 if (layoutData.tension) {
                     this.stxx.chart.tension = layoutData.tension;
                 }
-                this.restoreDrawings();
+                if (urlDrawings) {
+                    this.importDrawings(urlDrawings);
+                } else {
+                    this.restoreDrawings();
+                }
                 if (this.chartStore.loader) {
                     this.chartStore.loader.hide();
                     this.setChartIsReady(true);
                     this.stxx.home();
                 }
+                if (urlRange) {
+                    this.stxx.setRange(urlRange);
+                }
 
                 this.chartStore.setMainSeriesDisplay(this.stxx.chart.symbolObject.name);
             },
@@ -419,27 +477,44 @@ class ChartState {
 
     saveDrawings() {
         if (!this.chartId) return;
-        const obj = this.stxx.exportDrawings();
+        const drawings = this.stxx.exportDrawings();
         const symbol = this.stxx.chart.symbol;
-        if (obj.length === 0) {
-            CIQ.localStorage.removeItem(`${symbol}-${this.chartId}`);
+        // drawings pinned to all symbols are saved apart from those of the symbol
+        this.saveDrawingsAs(`${symbol}-${this.chartId}`, drawings.filter(drawing => !drawing.all));
+        this.saveDrawingsAs(`drawings-${this.chartId}`, drawings.filter(drawing => drawing.all));
+    }
+
+    saveDrawingsAs(key, drawings) {
+        if (drawings.length === 0) {
+            this.chartStore.storage.remove(key);
         } else {
-            CIQ.localStorageSetItem(`${symbol}-${this.chartId}`, JSON.stringify(obj));
+            this.chartStore.storage.save(key, drawings);
         }
     }
 
-    restoreDrawings() {
-        if (this.stxx && this.stxx.chart) {
-            const drawings = createObjectFromLocalStorage(`${this.stxx.chart.symbol}-${this.chartId}`);
-            if (drawings) {
-                this.stxx.importDrawings(drawings);
-                this.stxx.draw();
+    async restoreDrawings() {
+        if (this.drawTools) {
+            this.drawTools.clearHistory();
+        }
+        if (this.stxx && this.stxx.chart && this.chartId) {
+            const { symbol } = this.stxx.chart;
+            const [drawings, allSymbolsDrawings] = await Promise.all([
+                this.chartStore.storage.load(`${symbol}-${this.chartId}`),
+                this.chartStore.storage.load(`drawings-${this.chartId}`),
+            ]);
+            // the symbol may have changed while loading
+            if ((drawings || allSymbolsDrawings) && this.stxx && !this.stxx.isDestroyed && this.stxx.chart.symbol === symbol) {
+                this.importDrawings([...(allSymbolsDrawings || []), ...(drawings || [])]);
+            }
+        }
+    }
 
+    importDrawings(drawings) {
+        this.stxx.importDrawings(drawings);
+        this.stxx.draw();
 
-                if (this.drawTools) {
-                    this.drawTools.computeActiveDrawTools();
-                }
-            }
+        if (this.drawTools) {
+            this.drawTools.computeActiveDrawTools();
         }
     }
 
@@ -520,6 +595,10 @@ class ChartState {
 
     exportLayout() {
         if (!this.onExportLayout || !this.stxx) return;
+        this.onExportLayout(this.getExportedLayout());
+    }
+
+    getExportedLayout() {
         const currentLayout = this.stxx.exportLayout();
         currentLayout.drawings = this.stxx.exportDrawings();
         currentLayout.series = [];
@@ -528,7 +607,36 @@ class ChartState {
         }
         currentLayout.previousMaxTicks = this.stxx.chart.maxTicks;
 
-        this.onExportLayout(currentLayout);
+        return currentLayout;
+    }
+
+    // Imports a layout returned by `getExportedLayout`, including its periodicity
+    importLayout(layout) {
+        const { drawings, series, previousMaxTicks, ...layoutData } = layout;
+        if (layoutData.periodicity) {
+            const { timeUnit, interval, periodicity } = layoutData;
+            const period = timeUnit ? interval : periodicity;
+            this.chartStore.granularity = calculateGranularity(period, timeUnit || interval);
+            this.stxx.maxMasterDataSize = this.chartStore.getMaxMasterDataSize(this.chartStore.granularity);
+        }
+
+        return new Promise((resolve) => {
+            this.stxx.importLayout(layoutData, {
+                managePeriodicity: true,
+                cb: () => {
+                    if (drawings) {
+                        this.stxx.clearDrawings();
+                        this.stxx.importDrawings(drawings);
+                    }
+                    if (previousMaxTicks) { this.stxx.setMaxTicks(previousMaxTicks); }
+                    this.stxx.draw();
+                    this.mainStore.studies.renderLegend();
+                    this.saveLayout();
+                    this.saveDrawings();
+                    resolve();
+                },
+            });
+        });
     }
 
     scrollListener({ grab }) {
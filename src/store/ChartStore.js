@@ -7,18 +7,24 @@ import moment                  from 'moment';
 import {
     ActiveSymbols,
     BinaryAPI,
+    SymbolSearchIndex,
     TradingTimes }             from '../binaryapi';
 import inject                  from '../chartiq_injections';
+import { installIndicators }   from '../customIndicators';
 import Context                 from '../components/ui/Context';
 import KeystrokeHub            from '../components/ui/KeystrokeHub';
 import animateChart            from '../components/ui/Animation';
-import { Feed }                from '../feed';
+import { Feed, HistoryCache }  from '../feed';
 import plotSpline              from '../SplinePlotter';
 import {
     calculateTimeUnitInterval,
     getUTCDate,
     cloneCategories }          from '../utils';
 import PendingPromise          from '../utils/PendingPromise';
+import IndexedDBStorage        from '../utils/IndexedDBStorage';
+import ChartStorage            from '../utils/ChartStorage';
+import ServerTime              from '../utils/ServerTime';
+import { STUDY_PANELS_IN_VIEW } from '../Constant';
 
 import ResizeIcon      from '../../sass/icons/chart/resize-icon.svg';
 import EditIcon        from '../../sass/icons/edit/ic-edit.svg';
@@ -56,6 +62,7 @@ class ChartStore {
     };
     granularity;
     enableRouting = null;
+    enableUrlState = false;
     chartNode = null;
     chartControlsNode = null;
     holderStyle;
@@ -98,7 +105,9 @@ class ChartStore {
         }
 
         this.chartHeight = this.chartNode.offsetHeight;
-        this.chartContainerHeight = this.chartHeight - offsetHeight - (historicalMobile ? 45 : 0);
+        // study panels that don't fit in view are scrolled to in the chart area
+        this.chartContainerHeight = this.chartHeight - offsetHeight - (historicalMobile ? 45 : 0)
+            + this.mainStore.studies.panelsOverflowHeight;
     }
 
     updateCanvas = () => {
@@ -135,12 +144,15 @@ class ChartStore {
         const indicatorsMaxHeight = (chartHeight - 350);
         const indicatorsMinHeight = indicatorsMaxHeight * 2 / 3;
 
+        const minHeight = Math.floor(indicatorsMinHeight / STUDY_PANELS_IN_VIEW);
+        const maxHeight = Math.floor(indicatorsMaxHeight / STUDY_PANELS_IN_VIEW);
+
         return {
             MaxAreaHeight: chartHeight - 320, // 320 is the fix height of market selector + floating widget
-            MinHeight: Math.floor(indicatorsMinHeight / 5),
-            MaxHeight: Math.floor(indicatorsMaxHeight / 5),
-            MinPercent: Math.floor(indicatorsMinHeight / 5) / chartHeight,
-            MaxPercent: Math.floor(indicatorsMaxHeight / 5) / chartHeight,
+            MinHeight: minHeight,
+            MaxHeight: maxHeight,
+            MinPercent: minHeight / chartHeight,
+            MaxPercent: maxHeight / chartHeight,
         };
     }
 
@@ -172,6 +184,7 @@ class ChartStore {
         inject({
             drawToolsStore: this.mainStore.drawTools,
         });
+        installIndicators();
 
         /**
          * only home button click part modified to avoid calling
@@ -404,15 +417,30 @@ class ChartStore {
             requestForgetStream,
             isMobile,
             enableRouting,
+            enableUrlState = false,
             onMessage,
             settings,
             onSettingsChange,
             activeSymbols,
+            dataSource,
+            historyCache = {},
+            storage,
         } = props;
-        this.api = new BinaryAPI(requestAPI, requestSubscribe, requestForget, requestForgetStream);
-        // trading times and active symbols can be reused across multiple charts
-        this.tradingTimes = ChartStore.tradingTimes || (ChartStore.tradingTimes = new TradingTimes(this.api, this.mainStore.state.shouldFetchTradingTimes));
-        this.activeSymbols = ChartStore.activeSymbols || (ChartStore.activeSymbols = new ActiveSymbols(this.api, this.tradingTimes, activeSymbols));
+        if (dataSource) {
+            // a custom data source has its own symbols and trading times
+            this.api = dataSource;
+            this.tradingTimes = new TradingTimes(this.api, this.mainStore.state.shouldFetchTradingTimes);
+            this.activeSymbols = new ActiveSymbols(this.api, this.tradingTimes, activeSymbols);
+        } else {
+            this.api = new BinaryAPI(requestAPI, requestSubscribe, requestForget, requestForgetStream);
+            // trading times and active symbols can be reused across multiple charts
+            this.tradingTimes = ChartStore.tradingTimes || (ChartStore.tradingTimes = new TradingTimes(this.api, this.mainStore.state.shouldFetchTradingTimes));
+            this.activeSymbols = ChartStore.activeSymbols || (ChartStore.activeSymbols = new ActiveSymbols(this.api, this.tradingTimes, activeSymbols));
+        }
+
+        this.storage = ChartStorage.getInstance(storage);
+        this.mainStore.favorites.setStorage(this.storage);
+        this.mainStore.view.setStorage(this.storage);
 
         const { chartSetting } = this.mainStore;
         chartSetting.setSettings(settings);
@@ -497,8 +525,16 @@ class ChartStore {
         if (this.state.isAnimationEnabled) animateChart(stxx, { stayPut: true });
         // stxx.chart.lockScroll = true;
 
+        if (historyCache) {
+            this.historyCache = new HistoryCache({
+                ...historyCache,
+                storage: historyCache.persistent ? new IndexedDBStorage() : undefined,
+                getEpoch: () => ServerTime.getInstance().getEpoch(),
+            });
+        }
+
         // connect chart to data
-        this.feed = new Feed(this.api, stxx, this.mainStore, this.tradingTimes);
+        this.feed = new Feed(this.api, stxx, this.mainStore, this.tradingTimes, this.historyCache);
         stxx.attachQuoteFeed(this.feed, {
             refreshInterval: null,
         });
@@ -507,6 +543,10 @@ class ChartStore {
         if (this.enableRouting) {
             this.routingStore.handleRouting();
         }
+        this.enableUrlState = enableUrlState;
+        if (this.enableUrlState) {
+            this.routingStore.handleUrlState();
+        }
 
         this.holderStyle = stxx.chart.panel.holder.style;
 
@@ -528,13 +568,15 @@ class ChartStore {
         this.loader.setState('market-symbol');
         this.activeSymbols.retrieveActiveSymbols().then(() => {
             this.loader.setState('trading-time');
-            this.tradingTimes.initialize().then(action(() => {
+            this.tradingTimes.initialize().then(() => this.state.restoreLayout().catch((error) => {
+                // e.g. the `storage` backend failed; the chart starts with the default layout
+                console.error('Error restoring the chart layout:', error);
+                return false;
+            })).then(action((isRestoreSuccess) => {
                 // In the odd event that chart is destroyed by the time
                 // the request finishes, just calmly return...
                 if (stxx.isDestroyed) { return; }
 
-                const isRestoreSuccess = this.state.restoreLayout();
-
                 if (!isRestoreSuccess) {
                     this.changeSymbol(
                         // default to first available symbol
@@ -560,6 +602,9 @@ class ChartStore {
 
                 this.contextPromise.resolve(this.context);
                 this.resizeScreen();
+                if (!isRestoreSuccess) {
+                    this.mainStore.view.applyDefaultView();
+                }
 
                 reaction(() => [
                     this.state.symbol,
@@ -569,6 +614,7 @@ class ChartStore {
                         this.changeSymbol(this.state.symbol, this.state.granularity);
                     }
                 });
+                reaction(() => this.mainStore.studies.panelsOverflowHeight, this.resizeScreen);
 
                 this.tradingTimes.onMarketOpenCloseChanged(this.onMarketOpenClosedChange);
                 this.tradingTimes.onTimeChanged(this.onServerTimeChange);
@@ -629,6 +675,17 @@ class ChartStore {
         this.mainStore.state.setChartTheme(this.mainStore.chartSetting.theme, isChartClosed);
     }
 
+    @computed get symbolSearchIndex() {
+        if (!this.activeSymbols || this.activeSymbols.categorizedSymbols.length === 0) return null;
+        return new SymbolSearchIndex(this.activeSymbols.processedSymbols, this.stateStore.symbolAliases);
+    }
+
+    // Returns the codes of the symbols matching `query`, best matches first
+    searchSymbols(query) {
+        if (!this.symbolSearchIndex) return [];
+        return this.symbolSearchIndex.search(query).map(symbolObj => symbolObj.symbol);
+    }
+
     @computed get categorizedSymbols() {
         if (!this.activeSymbols || this.activeSymbols.categorizedSymbols.length === 0) return [];
 
@@ -812,11 +869,22 @@ class ChartStore {
         ChartStore.chartCount -= 1;
 
         if (this.resizeObserver) { this.resizeObserver.disconnect(); }
-        if (this.tradingTimes && ChartStore.chartCount === 0) {
+        if (this.tradingTimes && this.tradingTimes !== ChartStore.tradingTimes) {
+            this.tradingTimes.destructor();
+        } else if (this.tradingTimes && ChartStore.chartCount === 0) {
             ChartStore.tradingTimes = null;
             this.tradingTimes.destructor();
         }
 
+        this.mainStore.replay.destructor();
+        this.mainStore.alerts.destructor();
+        this.mainStore.events.destructor();
+        this.mainStore.watchlist.destructor();
+        this.mainStore.drawTools.destructor();
+        this.mainStore.tradingSessions.destructor();
+        this.mainStore.feedHealth.destructor();
+        this.routingStore.destructor();
+
         // Destroying the chart does not unsubscribe the streams;
         // we need to manually unsubscribe them.
         if (this.feed) {
@@ -25,6 +25,7 @@ export default class ChartTitleStore {
             getCurrentActiveCategory: () => (this.mainStore.chart.currentActiveSymbol ? this.mainStore.chart.currentActiveSymbol.market : 'favorite'),
             getCurrentActiveSubCategory: () => (this.mainStore.chart.currentActiveSymbol ? this.mainStore.chart.currentActiveSymbol.symbol : ''),
             searchInputClassName: () => this.searchInputClassName,
+            searchItems: query => this.mainStore.chart.searchSymbols(query),
         });
         this.serverTime = ServerTime.getInstance();
 
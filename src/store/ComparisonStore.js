@@ -35,6 +35,7 @@ export default class ComparisonStore {
             favoritesId: 'chartTitle&Comparison',
             mainStore,
             searchInputClassName: () => this.searchInputClassName,
+            searchItems: query => this.mainStore.chart.searchSymbols(query),
         });
         this.ComparisonSelector = this.categoricalDisplay.connect(CategoricalDisplay);
         when(() => this.context, this.onContextReady);
@@ -1,5 +1,5 @@
 import { action, observable, when, computed } from 'mobx';
-import { sameBar } from '../utils';
+import { sameBar, getUTCDate, getUTCEpoch } from '../utils';
 import Theme from '../../sass/_themes.scss';
 
 const MAX_TOOLTIP_WIDTH = 315;
@@ -15,7 +15,9 @@ class CrosshairStore {
     @computed get decimalPlaces() { return this.activeSymbol.decimal_places; }
 
     get showOhl() {
-        return this.stx.layout.timeUnit !== 'second';
+        const { timeUnit, interval } = this.stx.layout;
+        // a period of 1 second is used for ticks
+        return !(timeUnit === 'second' && interval === 1);
     }
 
     get context() {
@@ -91,6 +93,26 @@ class CrosshairStore {
         this.onCrosshairChanged(this.state);
     }
 
+    // Epoch of the bar under the cursor
+    getCrosshairEpoch() {
+        const data = this.stx.chart.dataSegment[this.stx.barFromPixel(this.stx.cx)];
+        return data && data.DT ? getUTCEpoch(data.DT) : undefined;
+    }
+
+    // Shows the vertical crosshair line at `epoch` when the cursor is over another
+    // chart of a ChartGroup; hides it if `epoch` is undefined.
+    showSyncedCrosshair(epoch) {
+        const { crossX } = this.stx.controls;
+        if (!crossX || this.state === 0 || this.mainStore.chart.cursorInChart) { return; }
+        if (epoch === undefined) {
+            crossX.style.display = 'none';
+            return;
+        }
+        const x = this.stx.pixelFromDate(CIQ.strToDateTime(getUTCDate(epoch)), this.stx.chart);
+        crossX.style.left = `${Math.round(x)}px`;
+        crossX.style.display = '';
+    }
+
     renderCrosshairTooltip = () => {
         // if no tooltip exists, then skip
         if (this.state !== 2) return;
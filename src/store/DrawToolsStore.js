@@ -5,8 +5,17 @@ import Menu from '../components/Menu.jsx';
 import SettingsDialog from '../components/SettingsDialog.jsx';
 import { logEvent, LogCategories, LogActions } from  '../utils/ga';
 import { formatCamelCase } from '../utils';
+import UndoHistory from '../utils/UndoHistory';
+import KeystrokeHub from '../components/ui/KeystrokeHub';
 import { drawTools } from '../Constant';
 
+// Values of `stx.preferences.magnet`: a weak magnet snaps within a radius (in pixels)
+// of the values of the bar, a strong one always snaps
+const MAGNET_STRENGTHS = {
+    weak: 75,
+    strong: true,
+};
+
 export default class DrawToolsStore {
     constructor(mainStore) {
         this.mainStore = mainStore;
@@ -35,16 +44,35 @@ export default class DrawToolsStore {
     activeDrawing = null;
     isContinuous = false;
     drawToolsItems = Object.keys(drawTools).map(key => drawTools[key]);
+    history = new UndoHistory();
     @observable activeToolsGroup = [];
     @observable portalNodeIdChanged;
+    @observable canUndo = false;
+    @observable canRedo = false;
+    @observable renamingIndex;
+    @observable renameValue = '';
+    @observable isMagnetOn = false;
+    @observable magnetStrength = 'strong';
+    magnetStrengths = Object.keys(MAGNET_STRENGTHS);
 
     onContextReady = () => {
         document.addEventListener('keydown', this.closeOnEscape, false);
         document.addEventListener('dblclick', this.doubleClick);
         this.stx.addEventListener('drawing', this.noTool);
+        this.stx.addEventListener('undoStamp', this.onUndoStamp);
         this.stx.prepend('rightClickDrawing', this.onRightClickDrawing);
+        this.stx.prepend('magnetize', this.hideMagnetOnCrosshair);
+        this.stx.append('magnetize', this.showMagnetOnCrosshair);
+        if (KeystrokeHub.instance) { KeystrokeHub.instance.addClaim(this); }
+        this.restoreMagnet();
     };
 
+    destructor() {
+        document.removeEventListener('keydown', this.closeOnEscape, false);
+        document.removeEventListener('dblclick', this.doubleClick);
+        if (KeystrokeHub.instance) { KeystrokeHub.instance.removeClaim(this); }
+    }
+
     closeOnEscape = (e) => {
         const ESCAPE = 27;
         if (e.keyCode === ESCAPE) {
@@ -55,13 +83,136 @@ export default class DrawToolsStore {
 
     doubleClick = () => this.drawingFinished();
 
+    get storage() { return this.mainStore.chart.storage; }
+
+    // The magnet is shared by the charts that share a storage
+    async restoreMagnet() {
+        const magnet = this.storage && await this.storage.load('cq-magnet');
+        if (magnet && this.context) {
+            this.setMagnet(magnet.isOn, magnet.strength);
+        }
+    }
+
+    @action.bound setMagnet(isOn, strength = this.magnetStrength) {
+        this.isMagnetOn = !!isOn;
+        this.magnetStrength = MAGNET_STRENGTHS[strength] !== undefined ? strength : 'strong';
+        this.stx.preferences.magnet = this.isMagnetOn ? MAGNET_STRENGTHS[this.magnetStrength] : false;
+        if (!this.isMagnetOn) { this.hideMagnetOnCrosshair(); }
+    }
+
+    @action.bound toggleMagnet(isOn) {
+        logEvent(LogCategories.ChartControl, LogActions.DrawTools, `Magnet ${isOn ? 'On' : 'Off'}`);
+        this.setMagnet(isOn);
+        this.saveMagnet();
+    }
+
+    @action.bound setMagnetStrength(strength) {
+        logEvent(LogCategories.ChartControl, LogActions.DrawTools, `Magnet ${strength}`);
+        this.setMagnet(this.isMagnetOn, strength);
+        this.saveMagnet();
+    }
+
+    saveMagnet() {
+        if (this.storage) {
+            this.storage.save('cq-magnet', { isOn: this.isMagnetOn, strength: this.magnetStrength });
+        }
+    }
+
+    hideMagnetOnCrosshair = () => {
+        const { stx } = this;
+        if (stx.container.classList.contains('sc-magnetized')) {
+            stx.container.classList.remove('sc-magnetized');
+            stx.crossYActualPos = stx.cy; // back to the pointer
+        }
+    };
+
+    // Moves the crosshair (and its price) to the value the drawing will snap to
+    showMagnetOnCrosshair = () => {
+        const { stx } = this;
+        const panel = stx.currentPanel;
+        if (stx.magnetizedPrice === null || stx.magnetizedPrice === undefined || !panel) { return; }
+
+        stx.container.classList.add('sc-magnetized');
+        stx.crossYActualPos = stx.pixelFromPrice(stx.magnetizedPrice, panel);
+        if (stx.controls.crossY) { stx.controls.crossY.style.top = `${stx.crossYActualPos}px`; }
+        stx.updateFloatHRLabel(panel);
+    };
+
     @computed get activeToolsNo() { return this.activeToolsGroup.reduce((a, b) => (a + b.items.length), 0); }
 
     @action.bound onRightClickDrawing(drawing) {
-        this.showDrawToolDialog(drawing);
+        // locked drawings can only be changed from the list of active drawings
+        if (!drawing.permanent) { this.showDrawToolDialog(drawing); }
+        return true;
+    }
+
+    // Ctrl+Z undoes the last change to the drawings; Ctrl+Y or Ctrl+Shift+Z redoes it
+    keyStroke(hub, key, e, keystroke) {
+        // key codes of keydown, or char codes of keypress (lower case) in some browsers
+        const isY = key === 89 || key === 121;
+        const isZ = key === 90 || key === 122;
+        if (!(keystroke.ctrl || keystroke.cmd) || !(isY || isZ)) { return false; }
+        if (!this.context || !(this.mainStore.chart.cursorInChart || this.menu.open)) { return false; }
+        if (this.stx.editingAnnotation || ['INPUT', 'TEXTAREA'].includes(e.target.tagName)) { return false; }
+
+        if (isZ && !keystroke.shift) {
+            this.undo();
+        } else {
+            this.redo();
+        }
         return true;
     }
 
+    onUndoStamp = ({ before }) => {
+        this.history.push(before);
+        this.updateHistoryState();
+    };
+
+    @action.bound updateHistoryState() {
+        this.canUndo = this.history.canUndo;
+        this.canRedo = this.history.canRedo;
+    }
+
+    // The history is of the drawings of the current symbol
+    @action.bound clearHistory() {
+        this.history.clear();
+        this.updateHistoryState();
+    }
+
+    @action.bound undo() {
+        const drawings = this.history.undo(this.stx.exportDrawings());
+        if (!drawings) { return; }
+        logEvent(LogCategories.ChartControl, LogActions.DrawTools, 'Undo');
+        this.setDrawings(drawings);
+    }
+
+    @action.bound redo() {
+        const drawings = this.history.redo(this.stx.exportDrawings());
+        if (!drawings) { return; }
+        logEvent(LogCategories.ChartControl, LogActions.DrawTools, 'Redo');
+        this.setDrawings(drawings);
+    }
+
+    setDrawings(drawings) {
+        if (CIQ.ChartEngine.drawingLine) { this.stx.undo(); }
+        this.stx.drawingObjects = []; // as in stx.undoLast(), importDrawings repopulates them
+        this.stx.importDrawings(drawings);
+        this.stx.changeOccurred('vector');
+        this.stx.draw();
+        this.updateHistoryState();
+        this.computeActiveDrawTools();
+    }
+
+    // Makes a change to the drawings that can be undone; the drawings are saved on the 'drawing' event
+    changeDrawings(change) {
+        const before = this.stx.exportDrawings();
+        change();
+        this.stx.undoStamp(before, this.stx.exportDrawings());
+        this.stx.changeOccurred('vector');
+        this.stx.draw();
+        this.computeActiveDrawTools();
+    }
+
     showDrawToolDialog(drawing) {
         logEvent(LogCategories.ChartControl, LogActions.DrawTools, `Edit ${drawing.name}`);
         const dontDeleteMe = drawing.abort(); // eslint-disable-line no-unused-vars
@@ -136,7 +287,8 @@ export default class DrawToolsStore {
 
     @action.bound clearAll() {
         logEvent(LogCategories.ChartControl, LogActions.DrawTools, 'Clear All');
-        this.stx.clearDrawings();
+        // locked drawings are kept
+        this.stx.clearDrawings(false, false);
         this.computeActiveDrawTools();
     }
 
@@ -153,12 +305,13 @@ export default class DrawToolsStore {
     }
 
     @action.bound onChanged(items) {
-        for (const item of items) {
-            this.activeDrawing[item.id] = item.value;
-        }
-        this.activeDrawing.highlighted = false;
-        this.activeDrawing.adjust();
-        this.mainStore.state.saveDrawings();
+        this.changeDrawings(() => {
+            for (const item of items) {
+                this.activeDrawing[item.id] = item.value;
+            }
+            this.activeDrawing.highlighted = false;
+            this.activeDrawing.adjust();
+        });
     }
 
     @action.bound onDeleted(indx) {
@@ -167,27 +320,112 @@ export default class DrawToolsStore {
         if (indx !== undefined && indx >= 0 && this.stx.drawingObjects[indx]) {
             this.activeDrawing = this.stx.drawingObjects[indx];
         }
+        if (this.activeDrawing.permanent) { return; }
 
         logEvent(LogCategories.ChartControl, LogActions.DrawTools, `Remove ${this.activeDrawing.name}`);
-        this.stx.removeDrawing(this.activeDrawing);
+        this.changeDrawings(() => this.stx.removeDrawing(this.activeDrawing));
         this.activeDrawing = null;
-        this.computeActiveDrawTools();
     }
 
     @action.bound onSetting(indx) {
-        if (!this.stx.drawingObjects[indx]) { return; }
+        if (!this.stx.drawingObjects[indx] || this.stx.drawingObjects[indx].permanent) { return; }
 
         this.showDrawToolDialog(this.stx.drawingObjects[indx]);
     }
 
+    // Highlights the drawing on the chart, until the pointer is moved over the chart
+    @action.bound selectDrawing(indx) {
+        const drawing = this.stx.drawingObjects[indx];
+        if (!drawing || drawing.isHidden) { return; }
+
+        this.stx.drawingObjects.forEach((item) => { item.highlighted = item === drawing; });
+        this.stx.anyHighlighted = true;
+        this.stx.draw();
+    }
+
+    @action.bound toggleLock(indx) {
+        const drawing = this.stx.drawingObjects[indx];
+        if (!drawing) { return; }
+
+        logEvent(LogCategories.ChartControl, LogActions.DrawTools, `${drawing.permanent ? 'Unlock' : 'Lock'} ${drawing.name}`);
+        this.changeDrawings(() => {
+            drawing.permanent = !drawing.permanent;
+            drawing.highlighted = false;
+        });
+    }
+
+    @action.bound toggleHide(indx) {
+        const drawing = this.stx.drawingObjects[indx];
+        if (!drawing) { return; }
+
+        logEvent(LogCategories.ChartControl, LogActions.DrawTools, `${drawing.isHidden ? 'Show' : 'Hide'} ${drawing.name}`);
+        this.changeDrawings(() => {
+            drawing.isHidden = !drawing.isHidden;
+            drawing.highlighted = false;
+        });
+    }
+
+    // Pins the drawing to all symbols, or to the current symbol only
+    @action.bound toggleAllSymbols(indx) {
+        const drawing = this.stx.drawingObjects[indx];
+        if (!drawing) { return; }
+
+        logEvent(LogCategories.ChartControl, LogActions.DrawTools, `${drawing.allSymbols ? 'Unpin' : 'Pin'} ${drawing.name}`);
+        this.changeDrawings(() => { drawing.allSymbols = !drawing.allSymbols; });
+    }
+
+    // The copy is placed over the drawing, unlocked, to be dragged from there
+    @action.bound duplicate(indx) {
+        const drawing = this.stx.drawingObjects[indx];
+        if (!drawing) { return; }
+
+        logEvent(LogCategories.ChartControl, LogActions.DrawTools, `Duplicate ${drawing.name}`);
+        this.changeDrawings(() => {
+            const copy = this.stx.exportDrawings()[indx];
+            this.stx.importDrawings([{ ...copy, lck: false }]);
+        });
+    }
+
+    @action.bound startRename(indx) {
+        const drawing = this.stx.drawingObjects[indx];
+        if (!drawing) { return; }
+
+        const item = this.findComputedDrawing(drawing);
+        this.renamingIndex = indx;
+        this.renameValue = drawing.label || (item ? item.text : '');
+    }
+
+    @action.bound onRenameChange(e) {
+        this.renameValue = e.target.value;
+    }
+
+    @action.bound onRenameKeyUp(e) {
+        if (e.keyCode === 13) {
+            this.rename();
+        } else if (e.keyCode === 27) {
+            this.renamingIndex = undefined;
+        }
+    }
+
+    // An empty name restores the default one
+    @action.bound rename() {
+        const drawing = this.stx.drawingObjects[this.renamingIndex];
+        this.renamingIndex = undefined;
+        const label = this.renameValue.trim() || undefined;
+        if (!drawing || label === drawing.label) { return; }
+
+        logEvent(LogCategories.ChartControl, LogActions.DrawTools, `Rename ${drawing.name}`);
+        this.changeDrawings(() => { drawing.label = label; });
+    }
+
     @action.bound computeActiveDrawTools() {
         const items = {};
-        const ignoreBarType = ['vertical', 'horizontal'];
+        const ignoreBarType = ['vertical', 'horizontal', 'annotation', 'callout', 'arrow'];
         const groups = {};
         this.stx.drawingObjects.forEach((item, indx) => {
             item = ((drawTools[item.name]) ? { ...item, ...drawTools[item.name] } : item);
             item.index = indx;
-            item.bars = (ignoreBarType.indexOf(item.name) === -1)
+            item.bars = (ignoreBarType.indexOf(item.name) === -1 && item.p1)
                 ? (Math.abs(parseInt(item.p1[0] - item.p0[0], 10)) + 1)
                 : null;
 
@@ -198,6 +436,7 @@ export default class DrawToolsStore {
                 item.text = `${formatCamelCase(item.name)} 1`;
                 items[item.name] = 1;
             }
+            if (item.label) { item.text = item.label; }
 
             if (groups[item.name]) {
                 groups[item.name].items.push(item);
@@ -0,0 +1,153 @@
+import { observable, action, computed, when } from 'mobx';
+import { getUTCDate, pixelFromDate } from '../utils';
+
+// Events closer than this (in pixels) are shown as one icon
+const CLUSTER_DISTANCE = 20;
+
+export default class EventStore {
+    static get IMPORTANCE() { return { LOW: 1, MEDIUM: 2, HIGH: 3 }; }
+
+    @observable.ref propEvents = [];
+    @observable.ref clusters = [];
+    @observable.ref filter = {};
+    @observable hoveredKey;
+    eventsProp;
+    onEventClick;
+    _positions = {};
+    _elements = {};
+
+    get chart() { return this.mainStore.chart; }
+    get context() { return this.chart.context; }
+    get stx() { return this.context.stx; }
+
+    // events matching the `eventFilter` prop, sorted by epoch
+    @computed get events() {
+        const { types, importance } = this.filter;
+        return this.propEvents
+            .filter(event => (!types || types.includes(event.type))
+                && (!importance || event.importance >= importance));
+    }
+
+    @computed get hoveredCluster() {
+        return this.clusters.find(cluster => cluster.key === this.hoveredKey);
+    }
+
+    constructor(mainStore) {
+        this.mainStore = mainStore;
+        when(() => this.context, this.onContextReady);
+    }
+
+    onContextReady = () => {
+        // createXAxis is run on each draw, after the visible range is laid out
+        this._injectionId = this.stx.append('createXAxis', this.updateClusters);
+    };
+
+    @action.bound updateProps({ events, eventFilter, onEventClick }) {
+        this.onEventClick = onEventClick;
+        let isChanged = false;
+        if (events !== this.eventsProp) {
+            this.eventsProp = events;
+            this.propEvents = (events || [])
+                .map((event, idx) => EventStore.normalize({ id: `event-${idx}`, ...event }))
+                .sort((a, b) => a.epoch - b.epoch);
+            isChanged = true;
+        }
+        if (JSON.stringify(eventFilter || {}) !== JSON.stringify(this.filter)) {
+            this.filter = eventFilter || {};
+            isChanged = true;
+        }
+        // the clusters follow the chart on each draw; other props do not change them
+        if (isChanged && this.context) { this.updateClusters(); }
+    }
+
+    // Clusters the visible events by their pixel position. Clusters are only
+    // re-rendered when their members change; positions are patched in the DOM.
+    @action.bound updateClusters() {
+        const { stx } = this;
+        const { chart } = stx;
+        const positions = [];
+        if (chart.dataSet && chart.dataSet.length) {
+            for (const event of this.events) {
+                const x = pixelFromDate(stx, CIQ.strToDateTime(getUTCDate(event.epoch)), chart);
+                if (x >= chart.panel.left && x <= chart.yAxis.left) {
+                    positions.push({ x, event });
+                }
+            }
+        }
+
+        const clusters = EventStore.cluster(positions, CLUSTER_DISTANCE);
+        this._positions = {};
+        clusters.forEach(({ key, x }) => { this._positions[key] = x; });
+
+        const keys = clusters.map(cluster => cluster.key).join('|');
+        if (keys !== this.clusters.map(cluster => cluster.key).join('|')) {
+            this.clusters = clusters.map(({ key, events }) => ({ key, events }));
+            if (this.hoveredKey && !this.hoveredCluster) { this.hoveredKey = undefined; }
+        }
+        Object.keys(this._elements).forEach(this.updatePosition);
+    }
+
+    updatePosition = (key) => {
+        const elem = this._elements[key];
+        if (elem && this._positions[key] !== undefined) {
+            elem.style.transform = `translateX(${Math.round(this._positions[key])}px)`;
+        }
+    };
+
+    setClusterRef = key => (ref) => {
+        if (ref) {
+            this._elements[key] = ref;
+            this.updatePosition(key);
+        } else {
+            delete this._elements[key];
+        }
+    };
+
+    @action.bound setHoveredKey(key) {
+        this.hoveredKey = key;
+    }
+
+    onClick(event) {
+        if (this.onEventClick) { this.onEventClick(event); }
+    }
+
+    destructor() {
+        if (this._injectionId && this.context) {
+            this.stx.removeInjection(this._injectionId);
+        }
+        this._elements = {};
+    }
+
+    static normalize(event) {
+        return {
+            ...event,
+            epoch: +event.epoch,
+            type: event.type || 'other',
+            importance: +event.importance || EventStore.IMPORTANCE.LOW,
+        };
+    }
+
+    /*
+     * Groups `positions` ({ x, event }, sorted by x) into clusters of events
+     * within `distance` pixels of the first event of the cluster. Returns
+     * [{ key, x, events }], where `x` is the middle of the cluster.
+     */
+    static cluster(positions, distance) {
+        const clusters = [];
+        let current;
+        for (const { x, event } of positions) {
+            if (current && x - current.start <= distance) {
+                current.end = x;
+                current.events.push(event);
+            } else {
+                current = { start: x, end: x, events: [event] };
+                clusters.push(current);
+            }
+        }
+        return clusters.map(({ start, end, events }) => ({
+            key: events.map(event => event.id).join(','),
+            x: (start + end) / 2,
+            events,
+        }));
+    }
+}
@@ -1,31 +1,19 @@
 import EventEmitter from 'event-emitter-es6';
-import { action, observable } from 'mobx';
-import { createObjectFromLocalStorage } from '../utils';
-
-function loadFavorites() {
-    const local = createObjectFromLocalStorage('cq-favorites');
-    if (!local) { return; }
-
-    const favorites = {};
-    for (const categoryName in local) {
-        const category = {};
-        for (const id of local[categoryName]) {
-            category[id] = true;
-        }
-        favorites[categoryName] = category;
-    }
-
-    return favorites;
-}
+import { action, observable, toJS } from 'mobx';
 
 class FavoriteStore {
     static get EVENT_FAVORITES_UPDATE() { return 'EVENT_FAVORITES_UPDATE'; }
+    static get RECENT_COUNT() { return 5; }
 
-    @observable favoritesMap = loadFavorites() || {
+    @observable favoritesMap = {
         indicators: {},
         'chartTitle&Comparison': {},
     };
 
+    // most recently selected items first, by category
+    @observable recentMap = {};
+    storage;
+
     static instance;
 
     static getInstance() {
@@ -40,6 +28,32 @@ class FavoriteStore {
         this._emitter = new EventEmitter({ emitDelay: 0 });
     }
 
+    // Loads the favourites when the storage changes; charts that share a storage share their favourites
+    async setStorage(storage) {
+        if (this.storage === storage) { return; }
+        this.storage = storage;
+        const [favorites, recent] = await Promise.all([storage.load('cq-favorites'), storage.load('cq-recent')]);
+        if (this.storage === storage) {
+            this.setFavorites(favorites, recent);
+        }
+    }
+
+    @action.bound setFavorites(favorites, recent) {
+        const favoritesMap = {
+            indicators: {},
+            'chartTitle&Comparison': {},
+        };
+        for (const categoryName in favorites) {
+            const category = {};
+            for (const id of favorites[categoryName]) {
+                category[id] = true;
+            }
+            favoritesMap[categoryName] = category;
+        }
+        this.favoritesMap = favoritesMap;
+        this.recentMap = recent || {};
+    }
+
     onFavoriteUpdate(callback) {
         this._emitter.on(FavoriteStore.EVENT_FAVORITES_UPDATE, callback);
     }
@@ -73,7 +87,13 @@ class FavoriteStore {
             }
             favorites[categoryName] = category;
         }
-        CIQ.localStorageSetItem('cq-favorites', JSON.stringify(favorites));
+        if (this.storage) { this.storage.save('cq-favorites', favorites); }
+    }
+
+    @action.bound addRecent(category, id) {
+        const recent = (this.recentMap[category] || []).filter(item => item !== id);
+        this.recentMap[category] = [id, ...recent].slice(0, FavoriteStore.RECENT_COUNT);
+        if (this.storage) { this.storage.save('cq-recent', toJS(this.recentMap)); }
     }
 }
 
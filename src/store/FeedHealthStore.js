@@ -0,0 +1,156 @@
+import { observable, action, when } from 'mobx';
+import { getUTCDate, pixelFromDate } from '../utils';
+import ServerTime from '../utils/ServerTime';
+import { getFeedStatus, FeedStatus, DEFAULT_FEED_HEALTH_THRESHOLDS } from '../utils/feedHealth';
+import Theme from '../../sass/_themes.scss';
+
+const UPDATE_INTERVAL = 1000;
+
+/*
+ * Health of the stream of the main chart: the time since its last tick, the
+ * latency of realtime ticks (against the server clock) and whether it is stale.
+ * The current price of a stale or offline feed is greyed out, and the holes in
+ * the data that could not be recovered after a reconnection are marked.
+ */
+export default class FeedHealthStore {
+    @observable status = FeedStatus.INACTIVE;
+    @observable secondsSinceTick;
+    @observable latency;
+    @observable delay = 0;
+    thresholds = DEFAULT_FEED_HEALTH_THRESHOLDS;
+    onFeedHealthChange;
+    // { symbol, lastTickAt } of the stream of the main chart
+    _stream;
+    // holes ([{ start, end }]) in the data of the main chart that could not be recovered
+    dataGaps = [];
+
+    get chart() { return this.mainStore.chart; }
+    get context() { return this.chart.context; }
+    get stx() { return this.context.stx; }
+    get health() {
+        return {
+            status: this.status,
+            secondsSinceTick: this.secondsSinceTick,
+            latency: this.latency,
+            delay: this.delay,
+        };
+    }
+
+    constructor(mainStore) {
+        this.mainStore = mainStore;
+        when(() => this.context, this.onContextReady);
+    }
+
+    onContextReady = () => {
+        this.chart.feed.onStreamChange(this.onStreamStart, this.onStreamEnd);
+        this.chart.feed.onStreamTick(this.onStreamTick);
+        this.chart.feed.onDataGaps(this.onDataGaps);
+        this.chart.feed.onMasterDataReinitialize(this.clearDataGaps);
+        // drawXAxis runs after the grid and before the chart, so the holes are drawn under it
+        this._injectionId = this.stx.append('drawXAxis', this.drawDataGaps);
+        this._timer = setInterval(this.update, UPDATE_INTERVAL);
+    };
+
+    updateProps({ feedHealthThresholds, onFeedHealthChange }) {
+        this.thresholds = { ...DEFAULT_FEED_HEALTH_THRESHOLDS, ...feedHealthThresholds };
+        this.onFeedHealthChange = onFeedHealthChange;
+    }
+
+    // streams of comparisons are left out
+    isMainSymbol(symbol) { return this.stx.chart.symbol === symbol; }
+
+    onStreamStart = (symbol) => {
+        if (!this.isMainSymbol(symbol)) { return; }
+        this._stream = { symbol, lastTickAt: Date.now() };
+        this.setMeasures({ latency: undefined, delay: this.chart.tradingTimes.getDelayedMinutes(symbol) });
+        this.update();
+    };
+
+    onStreamEnd = (symbol) => {
+        if (!this._stream || this._stream.symbol !== symbol) { return; }
+        this._stream = undefined;
+        this.update();
+    };
+
+    onStreamTick = ({ symbol, epoch }) => {
+        if (!this._stream || this._stream.symbol !== symbol) { return; }
+        this._stream.lastTickAt = Date.now();
+        const serverTime = ServerTime.getInstance();
+        if (epoch !== undefined && serverTime.clockOffset !== undefined) {
+            this.setMeasures({ latency: Math.max(serverTime.getPreciseEpoch() - epoch, 0), delay: this.delay });
+        }
+    };
+
+    onDataGaps = ({ symbol, gaps }) => {
+        if (!this.isMainSymbol(symbol)) { return; }
+        this.dataGaps = this.dataGaps.concat(gaps);
+        this.stx.draw();
+    };
+
+    clearDataGaps = () => {
+        this.dataGaps = [];
+    };
+
+    drawDataGaps = () => {
+        if (!this.dataGaps.length) { return; }
+        const { chart } = this.stx;
+        const { panel } = chart;
+        const ctx = chart.context;
+        const pixelFromEpoch = epoch => pixelFromDate(this.stx, CIQ.strToDateTime(getUTCDate(epoch)), chart);
+        ctx.save();
+        ctx.fillStyle = Theme[`${this.mainStore.chartSetting.theme}_chart_data_gap`];
+        this.dataGaps.forEach((gap) => {
+            const x0 = Math.max(pixelFromEpoch(gap.start), panel.left);
+            const x1 = Math.min(pixelFromEpoch(gap.end), chart.yAxis.left);
+            if (x1 > x0) { ctx.fillRect(x0, panel.top, x1 - x0, panel.height); }
+        });
+        ctx.restore();
+    };
+
+    @action.bound setMeasures({ latency, delay }) {
+        this.latency = latency;
+        this.delay = delay;
+    }
+
+    @action.bound update() {
+        const stream = this._stream;
+        const isStreaming = !!stream
+            && !this.mainStore.replay.isActive
+            && this.chart.tradingTimes.isMarketOpened(stream.symbol);
+        this.secondsSinceTick = isStreaming ? (Date.now() - stream.lastTickAt) / 1000 | 0 : undefined;
+        const status = getFeedStatus({
+            isStreaming,
+            isConnected: this.mainStore.state.isConnectionOpened !== false,
+            isDelayed: this.delay > 0,
+            sinceLastTick: this.secondsSinceTick,
+            latency: this.latency,
+        }, this.thresholds);
+        if (status === this.status) { return; }
+
+        this.status = status;
+        // the price of a feed that stopped updating may no longer be current
+        const isStale = status === FeedStatus.STALE || status === FeedStatus.OFFLINE;
+        if (this.stx.isFeedStale !== isStale) {
+            this.stx.isFeedStale = isStale;
+            this.stx.draw();
+        }
+        if (typeof this.onFeedHealthChange === 'function') {
+            this.onFeedHealthChange(this.health);
+        }
+    }
+
+    destructor() {
+        clearInterval(this._timer);
+        if (this._injectionId && this.context) {
+            this.stx.removeInjection(this._injectionId);
+        }
+        if (this.chart.feed) {
+            this.chart.feed.offStreamChange(this.onStreamStart, this.onStreamEnd);
+            this.chart.feed.offStreamTick(this.onStreamTick);
+            this.chart.feed.offDataGaps(this.onDataGaps);
+            this.chart.feed.offMasterDataReinitialize(this.clearDataGaps);
+        }
+        this._stream = undefined;
+        this.dataGaps = [];
+    }
+}
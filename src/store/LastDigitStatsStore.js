@@ -62,7 +62,7 @@ export default class LastDigitStatsStore {
         if (this.stx.masterData && this.stx.masterData.length >= this.count) {
             this.latestData  = this.stx.masterData.slice(-this.count).map(x => x.Close.toFixed(this.decimalPlaces));
         } else {
-            const tickHistory = await this.api.getTickHistory({ symbol :this.mainStore.chart.currentActiveSymbol.symbol, count:this.count });
+            const tickHistory = await this.api.getHistory({ symbol :this.mainStore.chart.currentActiveSymbol.symbol, count:this.count });
             this.latestData = tickHistory && tickHistory.history ? tickHistory.history.prices : [];
         }
 
@@ -1,5 +1,6 @@
 class Notifier {
     static get CATEGORY_ACTIVE_SYMBOL() { return 'activesymbol'; }
+    static get CATEGORY_FEED() { return 'feed'; }
     onMessage;
 
     /*
@@ -7,7 +8,7 @@ class Notifier {
      * {
      *     text, // displayed messages
      *     type, // message type; choose from `info`, `warning`, `success`, `error`. Defaults to `warning`
-     *     category, // choose from `activesymbol`
+     *     category, // choose from `activesymbol`, `feed`
      * }
      */
     notify(notification) {
@@ -41,6 +42,21 @@ class Notifier {
         });
     }
 
+    notifyDataRecovered(symbol) {
+        this.notify({
+            text: t.translate('Data of [symbol] missed while disconnected has been recovered.', { symbol }),
+            type: 'success',
+            category: Notifier.CATEGORY_FEED,
+        });
+    }
+
+    notifyDataUnrecovered(symbol) {
+        this.notify({
+            text: t.translate('Some data of [symbol] missed while disconnected could not be recovered; it is marked on the chart.', { symbol }),
+            category: Notifier.CATEGORY_FEED,
+        });
+    }
+
     notifyFeedUnavailable(symbol) {
         this.notify({
             text: t.translate('Streaming for [symbol] is not available due to license restrictions', { symbol }),
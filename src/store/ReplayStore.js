@@ -0,0 +1,155 @@
+import { observable, action, computed } from 'mobx';
+import MenuStore from './MenuStore';
+import Menu from '../components/Menu.jsx';
+import { ReplaySubscription } from '../feed/subscription';
+
+export default class ReplayStore {
+    static get SPEEDS() { return [0.5, 1, 2, 5, 10, 50]; }
+    static get UPDATE_INTERVAL() { return 250; }
+
+    @observable.ref records = [];
+    @observable isPlaying = false;
+    @observable speed = 1;
+    @observable position;
+    data;
+    props = {};
+    onChange;
+
+    get chart() { return this.mainStore.chart; }
+    get speeds() { return ReplayStore.SPEEDS; }
+    @computed get isActive() { return this.records.length > 0; }
+    @computed get startEpoch() { return this.isActive ? this.records[0].epoch : undefined; }
+    @computed get endEpoch() { return this.isActive ? this.records[this.records.length - 1].epoch : undefined; }
+
+    constructor(mainStore) {
+        this.mainStore = mainStore;
+        this.menu = new MenuStore(mainStore, { route:'replay' });
+        this.ReplayMenu = this.menu.connect(Menu);
+    }
+
+    @action.bound updateProps({ data, isPlaying, speed, epoch, onChange }) {
+        this.onChange = onChange;
+
+        if (data !== this.data) {
+            this.data = data;
+            this.load(data);
+        }
+        if (speed !== undefined && speed !== this.props.speed) {
+            this.setSpeed(speed, false);
+        }
+        if (epoch !== undefined && epoch !== this.props.epoch) {
+            this.seek(epoch, false);
+        }
+        if (isPlaying !== undefined && isPlaying !== this.props.isPlaying) {
+            if (isPlaying) {
+                this.play(false);
+            } else {
+                this.pause(false);
+            }
+        }
+        this.props = { isPlaying, speed, epoch };
+    }
+
+    @action.bound load(data) {
+        this.pause(false);
+        let records = [];
+        if (data) {
+            try {
+                records = ReplaySubscription.parse(data);
+            } catch (error) {
+                this.mainStore.notifier.notify({
+                    text: error.message,
+                    type: 'error',
+                    category: 'replay',
+                });
+            }
+        }
+        this.records = records;
+
+        // Start where the recorded history ends, so that the recorded stream is played
+        const history = records.filter(r => r.isHistory);
+        this.position = history.length ? history[history.length - 1].epoch : this.startEpoch;
+
+        if (this.chart.context) {
+            this.chart.refreshChart();
+        }
+    }
+
+    getRecords(symbol, isMainChart) {
+        // records without a symbol belong to the main chart
+        return this.records.filter(r => r.symbol === symbol || (!r.symbol && isMainChart));
+    }
+
+    hasRecords(symbol, isMainChart) {
+        return this.getRecords(symbol, isMainChart).length > 0;
+    }
+
+    @action.bound play(shouldNotify = true) {
+        if (!this.isActive || this.isPlaying) { return; }
+        if (this.position >= this.endEpoch) {
+            this.seek(this.startEpoch, false);
+        }
+        this.isPlaying = true;
+        this._timerId = setInterval(this.onTimer, ReplayStore.UPDATE_INTERVAL);
+        if (shouldNotify) { this.notifyChange(); }
+    }
+
+    @action.bound pause(shouldNotify = true) {
+        if (this._timerId) {
+            clearInterval(this._timerId);
+            this._timerId = undefined;
+        }
+        if (!this.isPlaying) { return; }
+        this.isPlaying = false;
+        if (shouldNotify) { this.notifyChange(); }
+    }
+
+    @action.bound togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    @action.bound setSpeed(speed, shouldNotify = true) {
+        this.speed = +speed || 1;
+        if (shouldNotify) { this.notifyChange(); }
+    }
+
+    @action.bound seek(epoch, shouldNotify = true) {
+        if (!this.isActive) { return; }
+        const position = Math.min(Math.max(+epoch, this.startEpoch), this.endEpoch);
+        const isBackwards = position < this.position;
+        this.position = position;
+        if (isBackwards && this.chart.context) {
+            // ticks can only be appended to the chart, so it is loaded again
+            this.chart.refreshChart();
+        }
+        if (shouldNotify) { this.notifyChange(); }
+    }
+
+    @action.bound onTimer() {
+        const position = this.position + (ReplayStore.UPDATE_INTERVAL / 1000) * this.speed;
+        if (position >= this.endEpoch) {
+            this.position = this.endEpoch;
+            this.pause();
+        } else {
+            this.position = position;
+        }
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange({
+                isPlaying: this.isPlaying,
+                speed: this.speed,
+                epoch: this.position,
+            });
+        }
+    }
+
+    destructor() {
+        this.pause(false);
+    }
+}
@@ -1,4 +1,7 @@
 import { action } from 'mobx';
+import debounce from 'lodash.debounce';
+import { getUTCEpoch } from '../utils';
+import { encodeChartState, decodeChartState, getQueryParam, setQueryParam } from '../utils/chartUrlState';
 
 const allDialogs = [];
 
@@ -7,6 +10,15 @@ export default class RoutingStore {
         this.mainStore = mainStore;
     }
 
+    get chart() { return this.mainStore.chart; }
+    get stxx() { return this.chart.stxx; }
+
+    // Query parameter the chart state is kept in; charts with an id have their own, so that they can share a page
+    get urlStateParam() {
+        const { chartId } = this.mainStore.state;
+        return chartId ? `chart-${chartId}` : 'chart';
+    }
+
     @action.bound handleRouting() {
         window.addEventListener('hashchange', () => {
             const hash = window.history.state.urlPath.replace('#', '');
@@ -34,4 +46,83 @@ export default class RoutingStore {
     @action.bound closeAll() {
         allDialogs.forEach(m => m.setOpen(false));
     }
+
+    // Keeps the chart state in the URL as the chart changes
+    handleUrlState() {
+        this._injectionId = this.stxx.append('draw', this.updateUrlState);
+    }
+
+    // Returns the chart state in the URL, or undefined if there is none or it cannot be restored
+    getUrlState() {
+        const value = getQueryParam(window.location.search, this.urlStateParam);
+        if (value === undefined) { return; }
+
+        let state;
+        try {
+            state = decodeChartState(value);
+        } catch (error) {
+            this.notifyUrlStateError(error.message);
+            return;
+        }
+        const { activeSymbols } = this.chart;
+        if (!activeSymbols.getSymbolObj(state.symbol)) {
+            this.notifyUrlStateError(t.translate('[symbol] is not available', { symbol: state.symbol }));
+            return;
+        }
+        state.comparisons = state.comparisons.filter(({ symbol }) => activeSymbols.getSymbolObj(symbol));
+        return state;
+    }
+
+    createChartState() {
+        const { stxx } = this;
+        const { layout, chart } = stxx;
+        const state = {
+            symbol: chart.symbol,
+            granularity: this.chart.granularity,
+            chartType: this.mainStore.chartType.type.id,
+            studies: Object.keys(layout.studies || {}).map((id) => {
+                const { type, inputs, outputs, panel } = layout.studies[id];
+                return { type, inputs, outputs, panel };
+            }),
+            comparisons: this.mainStore.comparison.comparisonSymbols
+                .map(({ symbolObject, color }) => ({ symbol: symbolObject.symbol, color })),
+            drawings: stxx.exportDrawings(),
+        };
+        // the visible range is kept only when the chart is scrolled away from the latest data
+        if (!stxx.isHome() || this.mainStore.state.endEpoch) {
+            const quotes = chart.dataSegment.filter(quote => quote && quote.DT);
+            if (quotes.length) {
+                state.startEpoch = getUTCEpoch(quotes[0].DT);
+                state.endEpoch = getUTCEpoch(quotes[quotes.length - 1].DT);
+            }
+        }
+        return state;
+    }
+
+    // Returns the URL of the page with the current chart state
+    getShareUrl() {
+        return setQueryParam(window.location.href, this.urlStateParam, encodeChartState(this.createChartState()));
+    }
+
+    updateUrlState = debounce(() => {
+        if (!this.stxx || this.stxx.isDestroyed || !this.mainStore.state.isChartReady) { return; }
+        const url = this.getShareUrl();
+        if (url !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }, 500);
+
+    notifyUrlStateError(error) {
+        this.mainStore.notifier.notify({
+            text: t.translate('The chart in the link could not be restored: [error]', { error }),
+            type: 'error',
+        });
+    }
+
+    destructor() {
+        this.updateUrlState.cancel();
+        if (this._injectionId && this.stxx) {
+            this.stxx.removeInjection(this._injectionId);
+        }
+    }
 }
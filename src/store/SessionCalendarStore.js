@@ -0,0 +1,111 @@
+import { observable, action, reaction } from 'mobx';
+import ServerTime from '../utils/ServerTime';
+import { getDatesBetween, getNextChange } from '../utils/tradingSessions';
+
+const DAY = 86400;
+// Number of days listed from the selected date
+const DAYS_SHOWN = 7;
+
+const epochOf = date => Date.parse(`${date}T00:00:00Z`) / 1000;
+const dateOf = epoch => new Date(epoch * 1000).toISOString().substring(0, 10);
+
+export default class SessionCalendarStore {
+    @observable isOpen = false;
+    @observable isCalendarOpen = false;
+    @observable isLoading = false;
+    @observable startDate;
+    @observable.ref days = [];
+    @observable.ref upcomingSessions = [];
+    _upcomingEnd = 0;
+    _loadId = 0;
+
+    get chart() { return this.mainStore.chart; }
+    get symbol() { return this.chart.currentActiveSymbol && this.chart.currentActiveSymbol.symbol; }
+    get today() { return dateOf(ServerTime.getInstance().getEpoch()); }
+
+    constructor(mainStore) {
+        this.mainStore = mainStore;
+    }
+
+    @action.bound onMount() {
+        if (!this.startDate) { this.startDate = this.today; }
+        if (this._disposer) { this._disposer(); }
+        this._disposer = reaction(
+            () => [this.symbol, this.startDate],
+            this.loadDays,
+            { fireImmediately: true },
+        );
+    }
+
+    onUnmount = () => {
+        if (this._disposer) {
+            this._disposer();
+            this._disposer = undefined;
+        }
+    };
+
+    /*
+     * Loads the schedules of the listed days, and the sessions of the coming days for the countdown.
+     * Days whose schedule cannot be retrieved are listed as unknown.
+     */
+    loadDays = async () => {
+        const { symbol, startDate, today } = this;
+        const { tradingTimes } = this.chart;
+        if (!symbol || !tradingTimes) { return; }
+
+        const getSchedules = date => Promise.all(
+            getDatesBetween(epochOf(date), epochOf(date) + (DAYS_SHOWN - 1) * DAY)
+                .map(day => tradingTimes.getSchedule(symbol, day)
+                    .catch(() => undefined)
+                    .then(schedule => schedule || { date: day, sessions: [], events: [], isUnknown: true })),
+        );
+        const loadId = ++this._loadId;
+        this.setLoading(true);
+        try {
+            const [days, upcoming] = await Promise.all([getSchedules(startDate), getSchedules(today)]);
+            if (symbol !== this.symbol || startDate !== this.startDate) { return; }
+
+            // the countdown does not look past a day whose sessions are unknown
+            const unknownDay = upcoming.find(day => day.isUnknown);
+            this._upcomingEnd = unknownDay ? epochOf(unknownDay.date) : epochOf(today) + DAYS_SHOWN * DAY;
+            this.setDays(days, upcoming.reduce((sessions, day) => sessions.concat(day.sessions), []));
+        } finally {
+            // a newer load is still in progress
+            if (loadId === this._loadId) { this.setLoading(false); }
+        }
+    };
+
+    @action.bound setLoading(isLoading) {
+        this.isLoading = isLoading;
+    }
+
+    @action.bound setDays(days, upcomingSessions) {
+        this.days = days;
+        this.upcomingSessions = upcomingSessions;
+    }
+
+    // The next open or close of the market, or undefined if it does not change in the coming days
+    getNextChange = () => getNextChange(this.upcomingSessions, ServerTime.getInstance().getEpoch(), this._upcomingEnd);
+
+    @action.bound toggleOpen() {
+        this.isOpen = !this.isOpen;
+        this.isCalendarOpen = false;
+    }
+
+    @action.bound toggleCalendar() {
+        this.isCalendarOpen = !this.isCalendarOpen;
+    }
+
+    @action.bound setStartDate(date) {
+        this.startDate = date;
+        this.isCalendarOpen = false;
+    }
+
+    @action.bound showPreviousDays() {
+        this.setStartDate(dateOf(epochOf(this.startDate) - DAYS_SHOWN * DAY));
+    }
+
+    @action.bound showNextDays() {
+        this.setStartDate(dateOf(epochOf(this.startDate) + DAYS_SHOWN * DAY));
+    }
+}
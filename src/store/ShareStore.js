@@ -1,6 +1,9 @@
 import { observable, action, computed, when } from 'mobx';
 import MenuStore from './MenuStore';
-import { downloadFileInBrowser } from '../utils';
+import { downloadFileInBrowser, getUTCEpoch } from '../utils';
+import { getExportRange, getExportColumns, toCSV, toJSON } from '../utils/dataExport';
+import { copyToClipboard } from '../utils/clipboard';
+import { renderSnapshot, SNAPSHOT_CHART_TYPES } from '../snapshot';
 import Menu from '../components/Menu.jsx';
 import { logEvent, LogCategories, LogActions } from  '../utils/ga';
 
@@ -24,79 +27,255 @@ export default class ShareStore {
         return this.mainStore.chart.currentActiveSymbol.decimal_places;
     }
     @observable isLoadingPNG = false;
+    @observable isLoadingSVG = false;
+    @observable isExporting = false;
+    @observable exportFormat = 'csv';
+    @observable isUTC = true;
+    @observable includeComparisons = true;
+    @observable includeStudies = true;
+    @observable exportStartDate = '';
+    @observable exportEndDate = '';
 
     createNewTab() {
         // Create a new tab for browsers that doesn't support HTML5 download attribute
         return !!navigator.platform && /iPad|iPhone|iPod/.test(navigator.platform) ? window.open() : null;
     }
 
-    @action.bound downloadPNG() {
+    @action.bound async downloadPNG() {
+        if (this.isLoadingPNG) { return; }
         this.isLoadingPNG = true;
         const newTab = this.createNewTab();
-
-        import(/* webpackChunkName: "html2canvas" */ '../../chartiq/html2canvas.min.js')
-            .then((html2canvas) => {
-                // since react rerenders is not immediate, we use CIQ.appendClassName to
-                // immediately append/unappend class name before taking screenshot.
-                CIQ.appendClassName(this.screenshotArea, 'ciq-screenshot');
-                html2canvas.default(this.screenshotArea).then(canvas => this._onCanvasReady(canvas, newTab));
+        try {
+            const content = this.canRenderSnapshot()
+                ? await renderSnapshot({ ...this.getSnapshotOptions(), format: 'png' })
+                : await this.captureScreenshot();
+            downloadFileInBrowser(
+                `${new Date().toUTCString()}.png`,
+                content,
+                'image/png;',
+                newTab,
+            );
+        } catch (error) {
+            this.mainStore.notifier.notify({
+                text: error.message,
+                type: 'error',
+                category: 'export',
             });
+        } finally {
+            this.setIsLoadingPNG(false);
+        }
 
         logEvent(LogCategories.ChartControl, LogActions.Download, 'Download PNG');
     }
 
-    @action.bound _onCanvasReady(canvas, newTab) {
-        const content = canvas.toDataURL('image/png');
-        downloadFileInBrowser(
-            `${new Date().toUTCString()}.png`,
-            content,
-            'image/png;',
-            newTab,
-        );
-        this.isLoadingPNG = false;
-        CIQ.unappendClassName(this.screenshotArea, 'ciq-screenshot');
+    /*
+     * Whether renderSnapshot draws everything on the chart: it does not draw comparisons,
+     * drawings, markers, event icons, nor the chart types it does not support.
+     */
+    canRenderSnapshot() {
+        const { chartType } = this.mainStore;
+        const { series } = this.stx.chart;
+        return SNAPSHOT_CHART_TYPES.includes(chartType.type.id)
+            && !chartType.isAggregateChart
+            && !Object.keys(series).some(field => series[field].parameters.isComparison)
+            && !(this.stx.drawingObjects || []).length
+            && !this.screenshotArea.querySelector('.stx-marker, .sc-events__item');
+    }
+
+    // PNG data URL of the chart as it is on screen
+    async captureScreenshot() {
+        const html2canvas = await import(/* webpackChunkName: "html2canvas" */ '../../chartiq/html2canvas.min.js');
+        // since react rerenders is not immediate, we use CIQ.appendClassName to
+        // immediately append/unappend class name before taking screenshot.
+        CIQ.appendClassName(this.screenshotArea, 'ciq-screenshot');
+        try {
+            const canvas = await html2canvas.default(this.screenshotArea);
+            return canvas.toDataURL('image/png');
+        } finally {
+            CIQ.unappendClassName(this.screenshotArea, 'ciq-screenshot');
+        }
+    }
+
+    @action.bound setIsLoadingPNG(isLoading) { this.isLoadingPNG = isLoading; }
+
+    @action.bound async downloadSVG() {
+        if (this.isLoadingSVG) { return; }
+        this.isLoadingSVG = true;
+        const newTab = this.createNewTab();
+        try {
+            const content = await renderSnapshot({ ...this.getSnapshotOptions(), format: 'svg' });
+            downloadFileInBrowser(
+                `${new Date().toUTCString()}.svg`,
+                content,
+                'image/svg+xml;charset=utf-8;',
+                newTab,
+            );
+        } catch (error) {
+            this.mainStore.notifier.notify({
+                text: error.message,
+                type: 'error',
+                category: 'export',
+            });
+        } finally {
+            this.setIsLoadingSVG(false);
+        }
+
+        logEvent(LogCategories.ChartControl, LogActions.Download, 'Download SVG');
+    }
+
+    @action.bound setIsLoadingSVG(isLoading) { this.isLoadingSVG = isLoading; }
+
+    @computed get isUrlStateEnabled() { return this.mainStore.chart.enableUrlState; }
+
+    // Copies a link that opens the chart as it is now
+    @action.bound copyLink() {
+        const url = this.mainStore.routing.getShareUrl();
+        copyToClipboard(url).then((isCopied) => {
+            // where the link cannot be copied, it is shown to be copied by hand
+            this.mainStore.notifier.notify(isCopied ? {
+                text: t.translate('Link to the chart copied.'),
+                type: 'success',
+            } : {
+                text: t.translate('The link to the chart could not be copied: [url]', { url }),
+                type: 'error',
+            });
+        });
+        this.menu.setOpen(false);
+
+        logEvent(LogCategories.ChartControl, LogActions.Download, 'Copy link');
     }
 
-    @action.bound downloadCSV() {
+    // Options for renderSnapshot that reproduce the visible part of the chart
+    getSnapshotOptions() {
+        const { chart, chartType, chartSetting } = this.mainStore;
+        const { width, height } = this.screenshotArea.getBoundingClientRect();
         const isTick = this.timeUnit === 'tick';
-        const header = `Date,Time,${isTick ? this.marketDisplayName : 'Open,High,Low,Close'}`;
-        const lines = [header];
-        const totalItemCount = this.stx.masterData.length;
-        const allowableItems = (totalItemCount <= 100)
-            ? this.stx.masterData
-            : this.stx.masterData.slice(totalItemCount - 100, totalItemCount);
-
-        allowableItems.forEach(({ DT, Open, High, Low, Close }) => {
-            const year = DT.getFullYear();
-            const month = DT.getMonth() + 1; // months from 1-12
-            const day = DT.getDate();
-            const hours = DT.getHours();
-            const minutes = DT.getMinutes();
-            const seconds = DT.getSeconds();
-            const formattedSeconds = seconds > 9 ? `:${seconds}` : `:0${seconds}`;
-
-            const date = `${year}-${month > 9 ? month : `0${month}`}-${day > 9 ? day : `0${day}`}`;
-            const time = `${hours > 9 ? hours : `0${hours}`}:${minutes > 9 ? minutes : `0${minutes}`}${isTick ? formattedSeconds : ''}`;
-            if (isTick && Close) { lines.push(`${date},${time},${Close}`); }
-            if (!isTick && Open && High && Low && Close) {
-                lines.push([
-                    date,
-                    time,
-                    Open.toFixed(this.decimalPlaces),
-                    High.toFixed(this.decimalPlaces),
-                    Low.toFixed(this.decimalPlaces),
-                    Close.toFixed(this.decimalPlaces),
-                ].join(','));
+        const quotes = (this.stx.chart.dataSegment || [])
+            .filter(quote => quote && typeof quote.Close === 'number');
+        const data = quotes.map(quote => (isTick
+            ? { epoch: getUTCEpoch(quote.DT), quote: quote.Close }
+            : { epoch: getUTCEpoch(quote.DT), open: quote.Open, high: quote.High, low: quote.Low, close: quote.Close }));
+
+        // studies are passed with their calculated values so that every ChartIQ study is supported
+        const studies = Object.values(this.stx.layout.studies || {}).map((sd) => {
+            const outputs = {};
+            const colors = {};
+            for (const field of Object.keys(sd.outputMap)) {
+                outputs[field] = quotes.map(quote => quote[field]);
+                const output = sd.outputs[sd.outputMap[field]];
+                const color = typeof output === 'object' ? output.color : output;
+                if (color && color !== 'auto') { colors[field] = color; }
             }
+            return { name: sd.inputs.display || sd.name, outputs, colors, isPanel: sd.panel !== 'chart' };
+        });
+
+        const barriers = chart._barriers
+            .filter(barrier => !barrier.hideBarrierLine && barrier._high_barrier.visible)
+            .map(barrier => ({
+                high: barrier._high_barrier.realPrice,
+                low: barrier._low_barrier.visible ? barrier._low_barrier.realPrice : undefined,
+                color: barrier.color,
+                shadeColor: barrier.shadeColor,
+                shade: barrier.shadeState.replace('SHADE_', ''),
+            }));
+
+        return {
+            symbol: this.marketDisplayName,
+            granularity: chart.granularity,
+            chartType: chartType.type.id,
+            studies,
+            barriers,
+            width: Math.round(width),
+            height: Math.round(height),
+            data,
+            decimalPlaces: this.decimalPlaces,
+            theme: chartSetting.theme,
+        };
+    }
+
+    @action.bound setExportFormat(format) { this.exportFormat = format; }
+    @action.bound setIsUTC(isUTC) { this.isUTC = isUTC; }
+    @action.bound setIncludeComparisons(value) { this.includeComparisons = value; }
+    @action.bound setIncludeStudies(value) { this.includeStudies = value; }
+    // `date` is a YYYY-MM-DD string from the date inputs, or empty for the loaded range
+    @action.bound setExportStartDate(date) { this.exportStartDate = date; }
+    @action.bound setExportEndDate(date) { this.exportEndDate = date; }
+
+    @computed get exportRange() {
+        return getExportRange(this.exportStartDate, this.exportEndDate, this.isUTC);
+    }
+
+    @action.bound async downloadData() {
+        if (this.isExporting) { return; }
+        const { start, end } = this.exportRange;
+        if (start && end && start > end) {
+            this.mainStore.notifier.notify({
+                text: t.translate('The start date must be before the end date.'),
+                type: 'error',
+                category: 'export',
+            });
+            return;
+        }
+
+        this.isExporting = true;
+        const newTab = this.createNewTab();
+        const { feed } = this.mainStore.chart;
+        try {
+            if (start) { await feed.loadHistory(start); }
+            const content = this.createExportContent(start, end);
+            const filename = `${this.marketDisplayName} (${this.timeperiodDisplay})`;
+            if (this.exportFormat === 'json') {
+                downloadFileInBrowser(`${filename}.json`, content, 'application/json;charset=utf-8;', newTab);
+            } else {
+                downloadFileInBrowser(`${filename}.csv`, content, 'text/csv;charset=utf-8;', newTab);
+            }
+        } catch (error) {
+            this.mainStore.notifier.notify({
+                text: error.message,
+                type: 'error',
+                category: 'export',
+            });
+        } finally {
+            feed.releaseHistory();
+            this.setIsExporting(false);
+        }
+
+        logEvent(LogCategories.ChartControl, LogActions.Download, `Download ${this.exportFormat.toUpperCase()}`);
+    }
+
+    @action.bound setIsExporting(isExporting) { this.isExporting = isExporting; }
+
+    createExportContent(start, end) {
+        const columns = this.getExportColumns();
+        const quotes = this.stx.chart.dataSet.filter((quote) => {
+            const epoch = getUTCEpoch(quote.DT);
+            return (!start || epoch >= start) && (!end || epoch <= end)
+                && typeof quote.Close === 'number';
+        });
+        const rows = quotes.map(quote => columns.map(column => column.getValue(quote)));
+        return this.exportFormat === 'json' ? toJSON(columns, rows) : toCSV(columns, rows);
+    }
+
+    getExportColumns() {
+        const { series } = this.stx.chart;
+        const comparisons = !this.includeComparisons ? [] : Object.keys(series)
+            .filter(field => series[field].parameters.isComparison)
+            .map((field) => {
+                const { symbolObject } = series[field].parameters;
+                const symbol = this.mainStore.chart.activeSymbols.getSymbolObj(symbolObject.symbol) || symbolObject;
+                return { field, name: symbol.name, decimalPlaces: symbol.decimal_places };
+            });
+        const studyFields = !this.includeStudies ? [] : [].concat(...Object.values(this.stx.layout.studies || {})
+            .map(sd => Object.keys(sd.outputMap)));
+
+        return getExportColumns({
+            isTick: this.timeUnit === 'tick',
+            isUTC: this.isUTC,
+            symbolName: this.marketDisplayName,
+            decimalPlaces: this.decimalPlaces,
+            comparisons,
+            studyFields,
         });
-        downloadFileInBrowser(
-            `${this.marketDisplayName} (${this.timeperiodDisplay}).csv`,
-            lines.join('\n'),
-            'text/csv;charset=utf-8;',
-            this.createNewTab(),
-        );
-
-        logEvent(LogCategories.ChartControl, LogActions.Download, 'Download CSV');
     }
 
     onContextReady = () => {
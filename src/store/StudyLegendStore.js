@@ -1,5 +1,5 @@
 import React from 'react';
-import { observable, action, when, reaction } from 'mobx';
+import { observable, action, computed, when, reaction } from 'mobx';
 import { connect } from './Connect';
 import MenuStore from './MenuStore';
 import SettingsDialogStore from './SettingsDialogStore';
@@ -11,9 +11,11 @@ import {
     IndicatorCatTrendLightIcon,
     IndicatorCatTrendDarkIcon,
 } from '../components/Icons.jsx';
-import { IndicatorsTree, ExcludedStudies } from '../Constant';
+import { ExcludedStudies, VolumeStudies, STUDY_PANELS_IN_VIEW } from '../Constant';
+import { getIndicatorsTree } from '../customIndicators';
 import MaximizeIcon    from '../../sass/icons/chart/ic-maximize.svg';
 import MinimizeIcon    from '../../sass/icons/common/ic-minimize.svg';
+import DownIcon        from '../../sass/icons/chart/ic-down.svg';
 
 // TODO:
 // import StudyInfo from '../study-info';
@@ -29,6 +31,18 @@ function renderSVGString(icon) {
     // eslint-disable-next-line no-undef
     return `<svg width="${vb[0]}" height="${vb[1]}"><use xlink:href="${__webpack_public_path__ + icon.url}" /></svg>`;
 }
+// Height of a collapsed study panel, showing only its title
+const COLLAPSED_PANEL_HEIGHT = 32;
+// Number of consecutive frames over the draw-time budget before acting on it
+const OVER_BUDGET_FRAMES = 3;
+
+// A study can be disabled for several reasons at once; it is drawn again
+// (see chartiq_injections/displayStudies) once none of them apply.
+const setStudyDisabled = (sd, reason, isDisabled) => {
+    sd.disabledBy = { ...sd.disabledBy, [reason]: isDisabled };
+    sd.disabled = Object.keys(sd.disabledBy).some(key => sd.disabledBy[key]);
+};
+
 const updateFieldHeading = (heading, type) => {
     const names = ['%D', '%K'];
     if (
@@ -84,16 +98,26 @@ export default class StudyLegendStore {
     @observable activeItems = [];
     @observable infoItem = null;
     @observable portalNodeIdChanged;
+    @observable maxStudies = 5;
+    @observable studyPanelsCount = 0;
+    @observable hasVolume = false;
+    studyDrawBudget;
+    disableSlowStudies = false;
+    _overBudgetFrames = 0;
+    _warnedStudies = {};
 
     onContextReady = () => {
         this.stx.callbacks.studyOverlayEdit = this.editStudy;
         this.stx.callbacks.studyPanelEdit = this.editStudy;
 
-        // to remove studies if user has already more than 5
+        // to remove studies if user has already more than the maximum
         // and remove studies which are excluded
         this.removeExtraStudies();
+        this.mainStore.chart.feed.onMasterDataReinitialize(this.updateHasVolume);
         this.stx.append('createDataSet', this.renderLegend);
         this.stx.append('drawPanels', this.handleDrawPanels);
+        this.stx.prepend('draw', this.resetDrawTimes);
+        this.stx.append('draw', this.checkDrawBudget);
         this.renderLegend();
     };
 
@@ -101,8 +125,16 @@ export default class StudyLegendStore {
     get stx() { return this.context.stx; }
     get indicatorRatio() { return this.mainStore.chart.indicatorHeightRatio; }
 
+    // Volume studies are left out unless the data of the active symbol has volume
+    get indicatorsTree() {
+        if (this.hasVolume) { return getIndicatorsTree(); }
+        return getIndicatorsTree()
+            .map(category => ({ ...category, items: category.items.filter(item => !VolumeStudies[item.id]) }))
+            .filter(category => category.items.length);
+    }
+
     get items() {
-        return [...IndicatorsTree].map((indicator) => {
+        return this.indicatorsTree.map((indicator) => {
             // the only icon which is different on light/dark is trend
             if (indicator.id === 'trend') {
                 indicator.icon = this.mainStore.chartSetting.theme === 'light' ? IndicatorCatTrendLightIcon : IndicatorCatTrendDarkIcon;
@@ -113,7 +145,7 @@ export default class StudyLegendStore {
     }
 
     get searchedItems() {
-        return [...IndicatorsTree]
+        return this.indicatorsTree
             .map((category) => {
                 category.foundItems = category.items.filter(item => item.name.toLowerCase().indexOf(this.filterText.toLowerCase().trim()) !== -1);
                 return category;
@@ -121,47 +153,163 @@ export default class StudyLegendStore {
             .filter(category => category.foundItems.length);
     }
 
+    @computed get isLimitReached() {
+        return this.activeItems.length >= this.maxStudies;
+    }
+
+    // Extra height of the chart area when there are more study panels than fit in view
+    @computed get panelsOverflowHeight() {
+        const extraPanels = this.studyPanelsCount - STUDY_PANELS_IN_VIEW;
+        return extraPanels > 0 ? extraPanels * this.indicatorRatio.MinHeight : 0;
+    }
+
     get chartActiveStudies() {
         return (this.activeItems || []).filter(item => item.dataObject.sd.panel === 'chart');
     }
 
+    // Studies of a restored layout beyond the limit, and excluded studies, are removed
     @action.bound removeExtraStudies() {
         if (this.stx.layout && this.stx.layout.studies) {
-            Object.keys(this.stx.layout.studies).forEach((study, idx) => {
+            const studies = Object.keys(this.stx.layout.studies)
+                .filter(study => !this.excludedStudies[this.stx.layout.studies[study].type]);
+            const extraStudies = studies.slice(this.maxStudies);
+            Object.keys(this.stx.layout.studies).forEach((study) => {
                 const type = this.stx.layout.studies[study].type;
-                if (idx >= 5 || this.excludedStudies[type]) {
+                if (extraStudies.includes(study) || this.excludedStudies[type]) {
                     setTimeout(() => {
                         CIQ.Studies.removeStudy(this.stx, this.stx.layout.studies[study]);
                         this.renderLegend();
                     }, 0);
                 }
             });
+            if (extraStudies.length) {
+                this.mainStore.notifier.notify({
+                    text: t.translate('Only the first [max] indicators were restored.', { max: this.maxStudies }),
+                });
+            }
         }
     }
 
+    // Studies beyond a limit lowered after the chart is ready are disabled rather
+    // than removed, and enabled again once the limit is raised
+    @action.bound applyStudyLimit() {
+        const studies = this.stx.layout.studies || {};
+        let disabledCount = 0;
+        Object.keys(studies)
+            .filter(id => !this.excludedStudies[studies[id].type])
+            .forEach((id, index) => {
+                const sd = studies[id];
+                const isExtra = index >= this.maxStudies;
+                if (isExtra && !(sd.disabledBy && sd.disabledBy.limit)) { disabledCount += 1; }
+                setStudyDisabled(sd, 'limit', isExtra);
+            });
+        if (disabledCount) {
+            this.mainStore.notifier.notify({
+                text: t.translate('Indicators beyond the limit of [max] were disabled.', { max: this.maxStudies }),
+            });
+        }
+        this.updateActiveStudies();
+        this.stx.draw();
+    }
+
+    @action.bound updateHasVolume() {
+        const { masterData } = this.stx;
+        // bars filled in for gaps have a zero volume
+        this.hasVolume = !!masterData && masterData.some(quote => quote.Volume > 0);
+        if (!this.stx.layout.studies) { return; }
+
+        // volume studies are kept in the layout, but not drawn until there is volume again
+        const volumeStudies = Object.keys(this.stx.layout.studies)
+            .map(study => this.stx.layout.studies[study])
+            .filter(sd => VolumeStudies[sd.type]);
+        volumeStudies.forEach(sd => setStudyDisabled(sd, 'volume', !this.hasVolume));
+        if (volumeStudies.length) { this.updateActiveStudies(); }
+    }
+
     @action.bound onSelectItem(item) {
         this.onInfoItem(null);
-        if (this.stx.layout && Object.keys(this.stx.layout.studies || []).length < 5) {
-            // As we want to keep all added item bellow the floating toolbar
-            CIQ.Studies.studyLibrary[item].panelHeight = this.indicatorRatio.MaxHeight;
-            const sd = CIQ.Studies.addStudy(this.stx, item);
-            CIQ.Studies.studyLibrary[item].panelHeight = null;
-            this.changeStudyPanelTitle(sd);
+        if (this.addStudy(item)) {
             logEvent(LogCategories.ChartControl, LogActions.Indicator, `Add ${item}`);
         }
     }
 
-    // Temporary prevent user from adding more than 5 indicators
-    // TODO All traces can be removed after new design for studies
+    // Returns the study descriptor, or undefined if no more studies can be added
+    @action.bound addStudy(type, inputs, outputs, parameters) {
+        if (!this.stx.layout || Object.keys(this.stx.layout.studies || []).length >= this.maxStudies) { return undefined; }
+        // As we want to keep all added item bellow the floating toolbar
+        CIQ.Studies.studyLibrary[type].panelHeight = this.indicatorRatio.MaxHeight;
+        const sd = CIQ.Studies.addStudy(this.stx, type, inputs, outputs, parameters);
+        CIQ.Studies.studyLibrary[type].panelHeight = null;
+        this.changeStudyPanelTitle(sd);
+        return sd;
+    }
+
     @action.bound updateStyle() {
         const should_minimise_last_digit = Object.keys(this.stx.panels).length > 2;
         this.mainStore.state.setShouldMinimiseLastDigit(should_minimise_last_digit);
     }
 
-    @action.bound updateProps({ searchInputClassName }) {
+    @action.bound updateProps({ searchInputClassName, maxStudies = 5, studyDrawBudget, disableSlowStudies = false }) {
         this.searchInputClassName = searchInputClassName;
+        const isLimitChanged = maxStudies !== this.maxStudies;
+        this.maxStudies = maxStudies;
+        // before the chart is ready, the extra studies are removed when it is
+        if (isLimitChanged && this.context) { this.applyStudyLimit(); }
+        this.studyDrawBudget = studyDrawBudget;
+        this.disableSlowStudies = disableSlowStudies;
     }
 
+    @action.bound toggleCollapsePanel(panel) {
+        if (panel.collapsed) {
+            panel.collapsed = false;
+            panel.percent = panel.expandedPercent;
+        } else {
+            panel.collapsed = true;
+            panel.expandedPercent = panel.percent;
+            panel.percent = COLLAPSED_PANEL_HEIGHT / this.stx.chart.canvasHeight;
+        }
+        CIQ[`${panel.collapsed ? '' : 'un'}appendClassName`](panel.collapseButton, 'sc-panel-collapse--collapsed');
+        this.stx.adjustPanelPositions();
+        this.stx.draw();
+    }
+
+    resetDrawTimes = () => {
+        this.stx.studyDrawTimes = this.studyDrawBudget ? {} : null;
+    };
+
+    // Warns about (or disables) the slowest study when the studies take
+    // longer than `studyDrawBudget` milliseconds to draw for a few frames in a row
+    checkDrawBudget = () => {
+        const times = this.stx.studyDrawTimes;
+        if (!times) { return; }
+        const ids = Object.keys(times);
+        const total = ids.reduce((sum, id) => sum + times[id], 0);
+        if (total <= this.studyDrawBudget) {
+            this._overBudgetFrames = 0;
+            return;
+        }
+        this._overBudgetFrames += 1;
+        if (this._overBudgetFrames < OVER_BUDGET_FRAMES) { return; }
+        this._overBudgetFrames = 0;
+
+        const slowest = ids.reduce((a, b) => (times[a] >= times[b] ? a : b));
+        const sd = this.stx.layout.studies[slowest];
+        if (!sd) { return; }
+        const name = sd.inputs.display || sd.name;
+        if (this.disableSlowStudies) {
+            this.mainStore.notifier.notify({
+                text: t.translate('[name] was disabled as it slows down the chart.', { name }),
+            });
+            setStudyDisabled(sd, 'slow', true);
+            this.updateActiveStudies();
+        } else if (!this._warnedStudies[slowest]) {
+            this._warnedStudies[slowest] = true;
+            this.mainStore.notifier.notify({
+                text: t.translate('[name] slows down the chart.', { name }),
+            });
+        }
+    };
+
     @action.bound editStudy(study) {
         const helper = new CIQ.Studies.DialogHelper(study);
         this.helper = helper;
@@ -306,10 +454,12 @@ export default class StudyLegendStore {
 
     handleDrawPanels = () => {
         const panelsLen = Object.keys(this.stx.panels).length;
+        if (this.studyPanelsCount !== panelsLen - 1) { this.setStudyPanelsCount(panelsLen - 1); }
         Object.keys(this.stx.panels).forEach((id, index) => {
             if (index === 0) { return; }
 
             const panelObj = this.stx.panels[id];
+            this.addCollapseButton(panelObj);
             const sd = this.stx.layout.studies[id];
             const isSolo = panelObj.solo.getAttribute('class').includes('stx_solo_lit');
             if (sd) {
@@ -346,6 +496,20 @@ export default class StudyLegendStore {
         });
     }
 
+    @action.bound setStudyPanelsCount(count) {
+        this.studyPanelsCount = count;
+    }
+
+    addCollapseButton(panelObj) {
+        if (panelObj.collapseButton || !panelObj.icons) { return; }
+        const button = document.createElement('div');
+        button.className = 'stx-btn-panel stx-show sc-panel-collapse';
+        button.innerHTML = `<span class="stx-ico-collapse">${renderSVGString(DownIcon)}</span>`;
+        panelObj.icons.insertBefore(button, panelObj.solo || null);
+        CIQ.safeClickTouch(button, () => this.toggleCollapsePanel(panelObj));
+        panelObj.collapseButton = button;
+    }
+
     /**
      * Gets called continually in the draw animation loop.
      * Be careful not to render unnecessarily. */
@@ -353,8 +517,6 @@ export default class StudyLegendStore {
         if (!this.shouldRenderLegend()) { return; }
 
         this.updateActiveStudies();
-        // Temporary prevent user from adding more than 5 indicators
-        // All traces can be removed after new design for studies
         this.updateStyle();
     };
 
@@ -365,8 +527,8 @@ export default class StudyLegendStore {
         Object.keys(stx.layout.studies || []).forEach((id) => {
             const sd = stx.layout.studies[id];
             if (sd.customLegend) { return; }
-            const studyObjCategory = IndicatorsTree.find(category => category.items.find(item => item.id === sd.type));
-            const studyObj = studyObjCategory.items.find(item => item.id === sd.type);
+            const studyObjCategory = getIndicatorsTree().find(category => category.items.find(item => item.id === sd.type));
+            const studyObj = studyObjCategory && studyObjCategory.items.find(item => item.id === sd.type);
             if (studyObj) {
                 const bars = getStudyBars(sd.name);
                 const name = this.mainStore.chart.isMobile ? t.translate(sd.libraryEntry.name) : sd.inputs.display;
@@ -375,6 +537,7 @@ export default class StudyLegendStore {
                     ...studyObj,
                     id: sd.inputs.id,
                     bars,
+                    disabled: !!sd.disabled,
                     name: capitalizeFirstLetter(name.replace(bars || '', '')),
                     dataObject: {
                         stx,
@@ -0,0 +1,149 @@
+import { action, when } from 'mobx';
+import { getUTCDate, getUTCEpoch, pixelFromDate } from '../utils';
+import { getSessionGaps, mergeSessions } from '../utils/tradingSessions';
+import Theme from '../../sass/_themes.scss';
+
+// Sessions are looked up for at most this many days before the last bar
+const MAX_SESSION_DAYS = 31;
+const DAY = 86400;
+
+export default class TradingSessionsStore {
+    isShadingEnabled = false;
+    isBreaksEnabled = false;
+    isGapsCollapsed = true;
+    sessions = [];
+    _range;
+    _isUpdating = false;
+
+    get chart() { return this.mainStore.chart; }
+    get context() { return this.chart.context; }
+    get stx() { return this.context.stx; }
+    // sessions are only drawn on intraday granularities (ticks included)
+    get isEnabled() {
+        return (this.isShadingEnabled || this.isBreaksEnabled) && this.chart.granularity < DAY;
+    }
+
+    constructor(mainStore) {
+        this.mainStore = mainStore;
+        when(() => this.context, this.onContextReady);
+    }
+
+    onContextReady = () => {
+        this.stx.cleanupGaps = this.isGapsCollapsed ? false : 'gap';
+        this.chart.feed.onMasterDataReinitialize(this.updateSessions);
+        this.chart.feed.onPagination(this.updateSessions);
+        // drawXAxis runs after the grid and before the chart, so the sessions are drawn under it
+        this._injectionId = this.stx.append('drawXAxis', this.drawSessions);
+    };
+
+    @action.bound updateProps({ sessionShading = false, sessionBreaks = false, collapseSessionGaps = true }) {
+        const wasEnabled = this.isEnabled;
+        this.isShadingEnabled = sessionShading;
+        this.isBreaksEnabled = sessionBreaks;
+        if (!this.context) {
+            this.isGapsCollapsed = collapseSessionGaps;
+            return;
+        }
+
+        if (collapseSessionGaps !== this.isGapsCollapsed) {
+            this.isGapsCollapsed = collapseSessionGaps;
+            // the periods without data are filled (or not) as the data is loaded
+            this.stx.cleanupGaps = collapseSessionGaps ? false : 'gap';
+            this.chart.refreshChart();
+        } else if (this.isEnabled && !wasEnabled) {
+            this.updateSessions();
+        }
+    }
+
+    // Looks up the sessions of the days covered by the data of the main symbol
+    updateSessions = async () => {
+        const { masterData, chart: { symbol } } = this.stx;
+        if (!this.isEnabled || !masterData || !masterData.length) {
+            this.sessions = [];
+            this._range = undefined;
+            return;
+        }
+
+        const end = getUTCEpoch(masterData[masterData.length - 1].DT);
+        const start = Math.max(getUTCEpoch(masterData[0].DT), end - MAX_SESSION_DAYS * DAY);
+        this._range = { symbol, start, end: end - (end % DAY) + DAY };
+        this._isUpdating = true;
+        try {
+            const sessions = await this.chart.tradingTimes.getSessions(symbol, start, end);
+            if (!this.context || this.stx.chart.symbol !== symbol) { return; }
+            this.sessions = sessions;
+            this.stx.draw();
+        } catch (error) {
+            // the sessions looked up before are kept
+            console.error('Error looking up the trading sessions:', error);
+        } finally {
+            this._isUpdating = false;
+        }
+    };
+
+    pixelFromEpoch(epoch) {
+        return pixelFromDate(this.stx, CIQ.strToDateTime(getUTCDate(epoch)), this.stx.chart);
+    }
+
+    // Shades the periods out of the sessions and draws a line at the open of each session
+    drawSessions = () => {
+        if (!this.isEnabled || !this._range) { return; }
+        const { stx } = this;
+        const { chart } = stx;
+        const { dataSegment, panel } = chart;
+        const bars = (dataSegment || []).filter(bar => bar && bar.DT);
+        if (!bars.length) { return; }
+
+        const lastEpoch = getUTCEpoch(stx.masterData[stx.masterData.length - 1].DT);
+        if (lastEpoch >= this._range.end && !this._isUpdating) {
+            // the data has reached a day whose sessions were not looked up yet
+            this.updateSessions();
+        }
+
+        const start = Math.max(getUTCEpoch(bars[0].DT), this._range.start);
+        const end = getUTCEpoch(bars[bars.length - 1].DT);
+        const left = panel.left;
+        const right = chart.yAxis.left;
+        const theme = this.mainStore.chartSetting.theme;
+        const ctx = chart.context;
+        ctx.save();
+
+        if (this.isShadingEnabled) {
+            ctx.fillStyle = Theme[`${theme}_chart_session_shade`];
+            getSessionGaps(this.sessions, start, end).forEach((gap) => {
+                const x0 = Math.max(this.pixelFromEpoch(gap.start), left);
+                const x1 = Math.min(this.pixelFromEpoch(gap.end), right);
+                if (x1 > x0) { ctx.fillRect(x0, panel.top, x1 - x0, panel.height); }
+            });
+        }
+
+        if (this.isBreaksEnabled) {
+            ctx.strokeStyle = Theme[`${theme}_chart_session_break`];
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            mergeSessions(this.sessions)
+                .filter(session => session.open > start && session.open <= end)
+                .forEach((session) => {
+                    const x = Math.round(this.pixelFromEpoch(session.open)) + 0.5;
+                    if (x < left || x > right) { return; }
+                    ctx.moveTo(x, panel.top);
+                    ctx.lineTo(x, panel.bottom);
+                });
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    };
+
+    destructor() {
+        if (this._injectionId && this.context) {
+            this.stx.removeInjection(this._injectionId);
+        }
+        if (this.chart.feed) {
+            this.chart.feed.offMasterDataReinitialize(this.updateSessions);
+            this.chart.feed.offPagination(this.updateSessions);
+        }
+        this.sessions = [];
+    }
+}
@@ -1,7 +1,18 @@
-import { observable, action, reaction, computed } from 'mobx';
-import { createObjectFromLocalStorage, getIntervalInSeconds } from '../utils';
+import { observable, action, reaction, computed, toJS, when } from 'mobx';
+import { downloadFileInBrowser, getIntervalInSeconds } from '../utils';
+import {
+    decodeTemplatesFragment,
+    describeLayout,
+    encodeTemplatesFragment,
+    exportTemplates,
+    getUniqueName,
+    parseTemplates,
+    removeTemplatesFragment,
+} from '../utils/templates';
+import { copyToClipboard } from '../utils/clipboard';
 import MenuStore from './MenuStore';
 import Menu from '../components/Menu.jsx';
+import { ChartTypes } from '../Constant';
 import { logEvent, LogCategories, LogActions } from  '../utils/ga';
 
 export default class ViewStore {
@@ -9,6 +20,7 @@ export default class ViewStore {
         this.mainStore = mainStore;
         this.menu = new MenuStore(mainStore, { route: 'templates' });
         this.ViewsMenu = this.menu.connect(Menu);
+        when(() => this.context, this.importFromUrl);
         reaction(() => this.menu.dialog.open, () => {
             if (ViewStore.views.length === 0) {
                 this.updateRoute('new');
@@ -19,11 +31,20 @@ export default class ViewStore {
             if (this.menu.dialog.open) {
                 this.templateName = '';
             }
+            this.previewName = undefined;
+            this.renamingName = undefined;
         });
     }
 
-    @observable static views = createObjectFromLocalStorage('cq-views') || [];
+    // templates are shared by all charts
+    @observable static views = [];
+    static storage;
+    // resolves once the templates are loaded from the storage
+    static loading = Promise.resolve();
     @observable templateName = '';
+    @observable previewName;
+    @observable renamingName;
+    @observable renameValue = '';
     @observable currentRoute = 'main';
     @observable isInputActive;
     @observable routes = {
@@ -41,8 +62,40 @@ export default class ViewStore {
         return [...ViewStore.views].sort((a, b) => (a.name < b.name ? -1 : 1));
     }
 
-    static updateLocalStorage() {
-        CIQ.localStorageSetItem('cq-views', JSON.stringify(ViewStore.views));
+    // chart type, granularity and studies of the previewed template
+    @computed get preview() {
+        const view = this.findView(this.previewName);
+        if (!view) { return; }
+        const { chartType, granularity, studies } = describeLayout(view.layout);
+        const type = ChartTypes.find(item => item.id === chartType);
+        return {
+            name: view.name,
+            chartType: type ? type.text : chartType,
+            granularity: ViewStore.formatGranularity(granularity),
+            studies,
+        };
+    }
+
+    // Loads the templates when the storage changes; charts that share a storage share their templates
+    setStorage(storage) {
+        if (ViewStore.storage === storage) { return ViewStore.loading; }
+        ViewStore.storage = storage;
+        ViewStore.loading = storage.load('cq-views').then((views) => {
+            if (ViewStore.storage === storage) {
+                ViewStore.setViews(views || []);
+            }
+        });
+        return ViewStore.loading;
+    }
+
+    @action static setViews(views) {
+        ViewStore.views = views;
+    }
+
+    static updateStorage() {
+        if (ViewStore.storage) {
+            ViewStore.storage.save('cq-views', toJS(ViewStore.views));
+        }
     }
 
     @action.bound onChange(e) {
@@ -73,7 +126,7 @@ export default class ViewStore {
             this.updateRoute('main');
             const layout = this.stx.exportLayout();
             ViewStore.views.push({ name: this.templateName.trim(), layout });
-            ViewStore.updateLocalStorage();
+            ViewStore.updateStorage();
             this.templateName = '';
         }
     }
@@ -83,7 +136,7 @@ export default class ViewStore {
         const templateIndex = ViewStore.views.findIndex(x => x.name.toLowerCase() === this.templateName.toLowerCase());
         ViewStore.views[templateIndex].layout = layout;
         ViewStore.views[templateIndex].name = this.templateName.trim();
-        ViewStore.updateLocalStorage();
+        ViewStore.updateStorage();
         this.updateRoute('main');
         this.templateName = '';
     }
@@ -91,25 +144,31 @@ export default class ViewStore {
     @action.bound remove(idx, e) {
         ViewStore.views = this.sortedItems.filter((x, index) => idx !== index);
         e.nativeEvent.is_item_removed = true;
-        ViewStore.updateLocalStorage();
+        ViewStore.updateStorage();
         logEvent(LogCategories.ChartControl, LogActions.Template, 'Remove Template');
     }
 
     @action.bound removeAll() {
         ViewStore.views = [];
-        ViewStore.updateLocalStorage();
+        ViewStore.updateStorage();
         logEvent(LogCategories.ChartControl, LogActions.Template, 'Remove All Templates');
         this.updateRoute('new');
     }
 
     @action.bound applyLayout(idx, e) {
         if (e.nativeEvent.is_item_removed) { return; }
+        this.applyView(this.sortedItems[idx]);
+        this.menu.setOpen(false);
+        logEvent(LogCategories.ChartControl, LogActions.Template, 'Load Template');
+    }
+
+    @action.bound applyView(view) {
         if (this.loader) {
             this.loader.show();
         }
         this.mainStore.state.setChartIsReady(false);
         const stx = this.stx;
-        const granularity = getIntervalInSeconds(ViewStore.views[idx].layout);
+        const granularity = getIntervalInSeconds(view.layout);
 
         this.mainStore.timeperiod.onGranularityChange(granularity);
         const importLayout = () => {
@@ -119,28 +178,205 @@ export default class ViewStore {
                 if (this.loader) { this.loader.hide(); }
                 this.mainStore.state.setChartIsReady(true);
             };
-            stx.importLayout(ViewStore.views[idx].layout, {
+            stx.importLayout(view.layout, {
                 managePeriodicity: true,
                 preserveTicksAndCandleWidth: true,
                 cb: finishImportLayout,
             });
             // This condition is to make spline chart appear as spline chart
             // Both line chart and spline chart are of type mountain but with different tensions
-            let chartType = ViewStore.views[idx].layout.chartType;
+            let chartType = view.layout.chartType;
             if (chartType === 'mountain') {
-                const tension = ViewStore.views[idx].layout.tension;
+                const tension = view.layout.tension;
                 if (tension === 0.5) {
                     chartType = 'spline';
                 }
             }
             this.mainStore.chartType.setType(chartType);
             this.mainStore.state.setChartType(chartType);
-            this.menu.setOpen(false);
-            logEvent(LogCategories.ChartControl, LogActions.Template, 'Load Template');
         };
         setTimeout(importLayout, 100);
     }
 
+    // Applies the default template to a chart without a saved layout
+    async applyDefaultView() {
+        await ViewStore.loading;
+        await when(() => this.mainStore.state.isChartReady);
+        const view = ViewStore.views.find(x => x.isDefault);
+        if (view && this.context) { this.applyView(view); }
+    }
+
+    findView(name) {
+        return ViewStore.views.find(x => x.name === name);
+    }
+
+    @action.bound togglePreview(name, e) {
+        e.stopPropagation();
+        this.previewName = this.previewName === name ? undefined : name;
+    }
+
+    @action.bound startRename(name, e) {
+        e.stopPropagation();
+        this.renamingName = name;
+        this.renameValue = name;
+    }
+
+    @action.bound onRenameChange(e) {
+        this.renameValue = e.target.value;
+    }
+
+    @action.bound onRenameKeyUp(e) {
+        if (e.keyCode === 13) {
+            this.rename();
+        } else if (e.keyCode === 27) {
+            this.renamingName = undefined;
+        }
+    }
+
+    @action.bound rename() {
+        const view = this.findView(this.renamingName);
+        const name = this.renameValue.trim();
+        if (!view || !name || name === view.name) {
+            this.renamingName = undefined;
+            return;
+        }
+        if (ViewStore.views.some(x => x !== view && x.name.toLowerCase() === name.toLowerCase())) {
+            this.mainStore.notifier.notify({
+                text: t.translate('A template named [name] already exists.', { name }),
+                type: 'error',
+            });
+            return;
+        }
+        if (this.previewName === view.name) { this.previewName = name; }
+        view.name = name;
+        this.renamingName = undefined;
+        ViewStore.updateStorage();
+        logEvent(LogCategories.ChartControl, LogActions.Template, 'Rename Template');
+    }
+
+    @action.bound duplicate(name, e) {
+        e.stopPropagation();
+        const view = this.findView(name);
+        if (!view) { return; }
+        ViewStore.views.push({ name: getUniqueName(view.name, ViewStore.views), layout: toJS(view.layout) });
+        ViewStore.updateStorage();
+        logEvent(LogCategories.ChartControl, LogActions.Template, 'Duplicate Template');
+    }
+
+    // The default template is applied to new charts; only one template can be the default
+    @action.bound toggleDefault(name, e) {
+        e.stopPropagation();
+        const isDefault = !(this.findView(name) || {}).isDefault;
+        ViewStore.views.forEach((view) => {
+            if (view.name === name && isDefault) {
+                view.isDefault = true;
+            } else {
+                delete view.isDefault;
+            }
+        });
+        ViewStore.updateStorage();
+    }
+
+    @action.bound exportView(name, e) {
+        e.stopPropagation();
+        const view = this.findView(name);
+        if (!view) { return; }
+        downloadFileInBrowser(`${view.name}.json`, exportTemplates([toJS(view)]), 'application/json;charset=utf-8;');
+        logEvent(LogCategories.ChartControl, LogActions.Template, 'Export Template');
+    }
+
+    @action.bound exportAll() {
+        downloadFileInBrowser('templates.json', exportTemplates(toJS(ViewStore.views)), 'application/json;charset=utf-8;');
+        logEvent(LogCategories.ChartControl, LogActions.Template, 'Export All Templates');
+    }
+
+    // Copies a link that imports the template when the chart is opened
+    @action.bound copyLink(name, e) {
+        e.stopPropagation();
+        const view = this.findView(name);
+        if (!view) { return; }
+        const url = `${window.location.href.split('#')[0]}#${encodeTemplatesFragment([toJS(view)])}`;
+        copyToClipboard(url).then((isCopied) => {
+            // where the link cannot be copied, it is shown to be copied by hand
+            this.mainStore.notifier.notify(isCopied ? {
+                text: t.translate('Link to [name] copied.', { name: view.name }),
+                type: 'success',
+            } : {
+                text: t.translate('The link to [name] could not be copied: [url]', { name: view.name, url }),
+                type: 'error',
+            });
+        });
+    }
+
+    @action.bound onImportFile(e) {
+        const [file] = e.target.files;
+        e.target.value = ''; // so that the same file can be imported again
+        if (!file) { return; }
+        const reader = new FileReader();
+        reader.onload = () => this.importTemplates(reader.result);
+        reader.readAsText(file);
+    }
+
+    // Imports the templates shared in the URL fragment, then removes them from the URL
+    importFromUrl = () => {
+        let json;
+        try {
+            json = decodeTemplatesFragment(window.location.hash);
+        } catch (error) {
+            this.notifyImportError(error);
+        }
+        if (json === undefined) { return; }
+        const { pathname, search, hash } = window.location;
+        window.history.replaceState(window.history.state, '', `${pathname}${search}${removeTemplatesFragment(hash)}`);
+        ViewStore.loading.then(() => this.importTemplates(json));
+    };
+
+    // Adds the templates of an exported file; templates with the name of an existing one are renamed
+    @action.bound importTemplates(json) {
+        let result;
+        try {
+            result = parseTemplates(json);
+        } catch (error) {
+            this.notifyImportError(error);
+            return;
+        }
+        const { templates, errors } = result;
+        templates.forEach(({ name, layout }) => {
+            ViewStore.views.push({ name: getUniqueName(name, ViewStore.views), layout });
+        });
+        if (templates.length) {
+            ViewStore.updateStorage();
+            this.updateRoute('main');
+            this.mainStore.notifier.notify({
+                text: t.translate('[count] templates imported.', { count: templates.length }),
+                type: 'success',
+            });
+        }
+        errors.forEach(({ name, error }) => {
+            this.mainStore.notifier.notify({
+                text: t.translate('Template [name] was not imported: [error]', { name, error }),
+                type: 'error',
+            });
+        });
+        logEvent(LogCategories.ChartControl, LogActions.Template, 'Import Templates');
+    }
+
+    notifyImportError(error) {
+        this.mainStore.notifier.notify({
+            text: t.translate('Templates were not imported: [error]', { error: error.message }),
+            type: 'error',
+        });
+    }
+
+    static formatGranularity(granularity) {
+        if (granularity === undefined) { return ''; }
+        if (granularity === 0) { return t.translate('1 tick'); }
+        if (granularity % 86400 === 0) { return t.translate('[num] day(s)', { num: granularity / 86400 }); }
+        if (granularity % 3600 === 0) { return t.translate('[num] hour(s)', { num: granularity / 3600 }); }
+        if (granularity % 60 === 0) { return t.translate('[num] minute(s)', { num: granularity / 60 }); }
+        return t.translate('[num] second(s)', { num: granularity });
+    }
+
     @action.bound onToggleNew() {
         this.updateRoute('main');
     }
@@ -0,0 +1,216 @@
+import { observable, action, computed, reaction, when } from 'mobx';
+
+// Number of ticks kept for the sparkline of each symbol
+const SPARKLINE_SIZE = 60;
+const FAVORITES_ID = 'chartTitle&Comparison';
+
+/*
+ * Live quotes of the favourite symbols. Each symbol is streamed (ticks) through
+ * the chart data source while its market is open. Symbols the chart streams
+ * itself (the main symbol and comparisons) are not streamed again, as a data
+ * source streams a symbol once; they follow the chart's own updates instead.
+ */
+export default class WatchlistStore {
+    // symbol => { prices, last, change, changePercent }
+    quotes = observable.map({}, { deep: false });
+    @observable openMap = {};
+    _streams = {};
+    // number of streams of the chart itself, by symbol
+    _chartStreams = {};
+    _isDestroyed = false;
+
+    get chart() { return this.mainStore.chart; }
+    get context() { return this.chart.context; }
+    get api() { return this.chart.api; }
+    get tradingTimes() { return this.chart.tradingTimes; }
+
+    @computed get symbols() {
+        const favorites = this.mainStore.favorites.favoritesMap[FAVORITES_ID] || {};
+        const activeSymbols = this.chart.activeSymbols;
+        // favourites not in the active symbols (e.g. of another data source) are left out
+        return Object.keys(favorites)
+            .filter(symbol => favorites[symbol] && activeSymbols && activeSymbols.getSymbolObj(symbol));
+    }
+
+    @computed get items() {
+        const { currentActiveSymbol } = this.chart;
+        return this.symbols.map((symbol) => {
+            const symbolObj = this.chart.activeSymbols.getSymbolObj(symbol);
+            return {
+                symbolObj,
+                quote: this.quotes.get(symbol),
+                isOpen: symbol in this.openMap ? this.openMap[symbol] : symbolObj.exchange_is_open,
+                isActive: !!currentActiveSymbol && currentActiveSymbol.symbol === symbol,
+            };
+        });
+    }
+
+    constructor(mainStore) {
+        this.mainStore = mainStore;
+        when(() => this.context, this.onContextReady);
+    }
+
+    onContextReady = () => {
+        this.chart.feed.onMasterDataUpdate(this.onChartQuote);
+        this.chart.feed.onStreamChange(this.onChartStreamStart, this.onChartStreamEnd);
+        this.tradingTimes.onMarketOpenCloseChanged(this.onMarketOpenCloseChanged);
+        this._disposers = [
+            reaction(() => this.symbols.join(), this.syncStreams),
+            reaction(() => this.mainStore.comparison.comparisonSymbols.map(item => item.price), this.updateComparisonQuotes),
+            reaction(() => this.mainStore.state.isConnectionOpened, this.onConnectionChanged),
+        ];
+        this.syncStreams();
+    };
+
+    // Subscribes to the open favourite symbols that are not in the chart, and
+    // forgets the ones that are no longer needed
+    @action.bound syncStreams() {
+        if (this._isDestroyed || !this.context) { return; }
+
+        const chartSymbols = Object.keys(this._chartStreams);
+        const isOpen = symbol => (symbol in this.openMap
+            ? this.openMap[symbol]
+            : this.chart.activeSymbols.getSymbolObj(symbol).exchange_is_open);
+        const wanted = this.symbols.filter(symbol => isOpen(symbol) && !chartSymbols.includes(symbol));
+
+        Object.keys(this._streams)
+            .filter(symbol => !wanted.includes(symbol))
+            .forEach(this.forget);
+        wanted
+            .filter(symbol => !this._streams[symbol])
+            .forEach(this.subscribe);
+
+        // closed markets still show their last price
+        this.symbols
+            .filter(symbol => !this.quotes.has(symbol) && !wanted.includes(symbol) && !chartSymbols.includes(symbol))
+            .forEach(this.loadHistory);
+
+        for (const symbol of Array.from(this.quotes.keys())) {
+            if (!this.symbols.includes(symbol)) { this.quotes.delete(symbol); }
+        }
+    }
+
+    @action.bound subscribe(symbol) {
+        const params = { symbol, granularity: 0, count: SPARKLINE_SIZE };
+        let hasHistory = false;
+        const callback = (response) => {
+            if (this._isDestroyed || this._streams[symbol] !== callback) {
+                if (response.subscription) { this.api.forgetStream(response.subscription.id); }
+                return;
+            }
+            if (response.error) { return; }
+            // the first response is the history
+            if (!hasHistory) {
+                hasHistory = true;
+                this.setHistory(symbol, response);
+            } else if (response.tick) {
+                this.addPrice(symbol, +response.tick.quote);
+            }
+        };
+        this._streams[symbol] = callback;
+        this.api.subscribe(params, callback);
+    }
+
+    @action.bound forget(symbol) {
+        delete this._streams[symbol];
+        this.api.forget({ symbol, granularity: 0 });
+    }
+
+    loadHistory = async (symbol) => {
+        try {
+            const response = await this.api.getHistory({ symbol, granularity: 0, count: SPARKLINE_SIZE });
+            if (this._isDestroyed || !response || response.error || this.quotes.has(symbol)) { return; }
+            this.setHistory(symbol, response);
+        } catch (error) {
+            // the symbol is shown without a quote
+            console.error(`Error loading the watchlist history of ${symbol}:`, error);
+        }
+    };
+
+    @action.bound setHistory(symbol, { history }) {
+        const prices = history ? history.prices.map(price => +price) : [];
+        this.quotes.set(symbol, WatchlistStore.createQuote(prices));
+    }
+
+    @action.bound addPrice(symbol, price, prevPrice) {
+        const quote = this.quotes.get(symbol);
+        let prices = prevPrice !== undefined ? [+prevPrice] : [];
+        if (quote) { prices = quote.prices; }
+        this.quotes.set(symbol, WatchlistStore.createQuote([...prices, price].slice(-SPARKLINE_SIZE)));
+    }
+
+    onChartStreamStart = (symbol) => {
+        this._chartStreams[symbol] = (this._chartStreams[symbol] || 0) + 1;
+        if (this._streams[symbol]) { this.forget(symbol); }
+    };
+
+    onChartStreamEnd = (symbol) => {
+        if (!this._chartStreams[symbol]) { return; }
+        this._chartStreams[symbol] -= 1;
+        if (!this._chartStreams[symbol]) {
+            delete this._chartStreams[symbol];
+            this.syncStreams();
+        }
+    };
+
+    // Streams are invalid once the connection is closed; they are made again when it reopens
+    onConnectionChanged = (isOpened) => {
+        if (isOpened === false) {
+            this._streams = {};
+        } else if (isOpened) {
+            this.syncStreams();
+        }
+    };
+
+    onChartQuote = (quote) => {
+        const { currentActiveSymbol } = this.chart;
+        if (!quote || !currentActiveSymbol || !this.symbols.includes(currentActiveSymbol.symbol)) { return; }
+        this.addPrice(currentActiveSymbol.symbol, +quote.Close, quote.prevClose);
+    };
+
+    @action.bound updateComparisonQuotes() {
+        this.mainStore.comparison.comparisonSymbols.forEach(({ symbolObject, price, prevPrice }) => {
+            if (price !== undefined && this.symbols.includes(symbolObject.symbol)) {
+                this.addPrice(symbolObject.symbol, +price, prevPrice);
+            }
+        });
+    }
+
+    @action.bound onMarketOpenCloseChanged(changes) {
+        if (this._isDestroyed) { return; }
+        this.openMap = { ...this.openMap, ...changes };
+        this.syncStreams();
+    }
+
+    @action.bound setSymbol(symbol) {
+        if (this.mainStore.state.symbol !== undefined) {
+            console.error('Changing symbol does nothing because symbol prop is being set. Consider overriding the onChange prop in <Watchlist />');
+            return;
+        }
+
+        this.chart.changeSymbol(symbol);
+    }
+
+    destructor() {
+        Object.keys(this._streams).forEach(this.forget);
+        if (this._disposers) { this._disposers.forEach(dispose => dispose()); }
+        if (this.chart.feed) {
+            this.chart.feed.offMasterDataUpdate(this.onChartQuote);
+            this.chart.feed.offStreamChange(this.onChartStreamStart, this.onChartStreamEnd);
+        }
+        this._isDestroyed = true;
+    }
+
+    // Change and percent change are against the first price of the sparkline
+    static createQuote(prices) {
+        const first = prices[0];
+        const last = prices[prices.length - 1];
+        const change = (first !== undefined) ? last - first : undefined;
+        return {
+            prices,
+            last,
+            change,
+            changePercent: first ? (change / first) * 100 : undefined,
+        };
+    }
+}
@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import ChartController from '../ChartController';
+import { getUTCDate } from '../../utils';
+
+chai.use(sinonChai);
+
+// DT of a quote holds the UTC time as local time
+const quoteAt = (epoch, fields) => ({ DT: new Date(getUTCDate(epoch)), ...fields });
+
+const createMainStore = () => {
+    const stx = {
+        chart: { dataSet: new Array(100), dataSegment: [] },
+        masterData: [],
+        // ChartIQ calls back once the chart is redrawn
+        setRange: sinon.fake((params, callback) => callback()),
+        scrollTo: sinon.fake((chart, position, callback) => callback()),
+        tickFromDate: sinon.fake.returns(40),
+        draw: sinon.fake(),
+    };
+    return {
+        chart: {
+            context: {},
+            stxx: stx,
+            feed: { loadHistory: sinon.fake.resolves(), releaseHistory: sinon.fake() },
+        },
+        timeperiod: { isTick: false },
+        state: {
+            getExportedLayout: sinon.fake.returns({ chartType: 'candle' }),
+            importLayout: sinon.fake.resolves(true),
+        },
+    };
+};
+
+describe('ChartController test', function () {
+    beforeEach(function () {
+        global.CIQ = { strToDateTime: str => new Date(str) };
+        this.mainStore = createMainStore();
+        this.controller = new ChartController(this.mainStore);
+        this.stx = this.mainStore.chart.stxx;
+        this.feed = this.mainStore.chart.feed;
+    });
+
+    afterEach(function () {
+        delete global.CIQ;
+    });
+
+    it('Test methods throw before the chart is ready', function () {
+        this.mainStore.chart.context = undefined;
+        expect(() => this.controller.getVisibleRange()).to.throw('The chart is not ready yet.');
+    });
+
+    it('Test zoomTo loads the history, sets the range and releases the history', async function () {
+        await this.controller.zoomTo({ start: 1560000000, end: 1560003600 });
+        expect(this.feed.loadHistory).to.have.been.calledWith(1560000000);
+        const { dtLeft, dtRight } = this.stx.setRange.lastCall.args[0];
+        expect(dtLeft).to.deep.equal(new Date(getUTCDate(1560000000)));
+        expect(dtRight).to.deep.equal(new Date(getUTCDate(1560003600)));
+        expect(this.feed.releaseHistory).to.have.callCount(1);
+        expect(this.feed.releaseHistory).to.have.been.calledAfter(this.stx.setRange);
+    });
+
+    it('Test zoomTo releases the history when it cannot be loaded', async function () {
+        this.feed.loadHistory = sinon.fake.rejects(new Error('Rate limit reached'));
+        let error;
+        try {
+            await this.controller.zoomTo({ start: 1560000000 });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal('Rate limit reached');
+        expect(this.stx.setRange).to.have.callCount(0);
+        expect(this.feed.releaseHistory).to.have.callCount(1);
+    });
+
+    it('Test zoomTo requires a start epoch', async function () {
+        let error;
+        try {
+            await this.controller.zoomTo({});
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal('zoomTo requires a start epoch.');
+        expect(this.feed.loadHistory).to.have.callCount(0);
+    });
+
+    it('Test scrollToEpoch scrolls to the bar of the epoch', async function () {
+        await this.controller.scrollToEpoch(1560000000);
+        expect(this.feed.loadHistory).to.have.been.calledWith(1560000000);
+        expect(this.stx.scrollTo.lastCall.args[1]).to.equal(60);
+        expect(this.feed.releaseHistory).to.have.callCount(1);
+        expect(this.stx.draw).to.have.callCount(1);
+    });
+
+    it('Test scrollToEpoch releases the history when it cannot be loaded', async function () {
+        this.feed.loadHistory = sinon.fake.rejects(new Error('Rate limit reached'));
+        let error;
+        try {
+            await this.controller.scrollToEpoch(1560000000);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.equal('Rate limit reached');
+        expect(this.stx.scrollTo).to.have.callCount(0);
+        expect(this.feed.releaseHistory).to.have.callCount(1);
+    });
+
+    it('Test getVisibleRange gives the first and last visible bars', function () {
+        expect(this.controller.getVisibleRange()).to.deep.equal({});
+        this.stx.chart.dataSegment = [null, quoteAt(1560000000), quoteAt(1560000060), {}, quoteAt(1560000120)];
+        expect(this.controller.getVisibleRange()).to.deep.equal({ start: 1560000000, end: 1560000120 });
+    });
+
+    it('Test getQuotes gives the candles or ticks within the range', function () {
+        this.stx.masterData = [
+            quoteAt(1560000000, { Open: 1, High: 2, Low: 0.5, Close: 1.5 }),
+            quoteAt(1560000060, { Close: null }),
+            quoteAt(1560000120, { Open: 1.5, High: 3, Low: 1, Close: 2 }),
+        ];
+        expect(this.controller.getQuotes()).to.deep.equal([
+            { epoch: 1560000000, open: 1, high: 2, low: 0.5, close: 1.5 },
+            { epoch: 1560000120, open: 1.5, high: 3, low: 1, close: 2 },
+        ]);
+
+        this.mainStore.timeperiod.isTick = true;
+        expect(this.controller.getQuotes({ start: 1560000060 })).to.deep.equal([{ epoch: 1560000120, quote: 2 }]);
+        expect(this.controller.getQuotes({ end: 1560000060 })).to.deep.equal([{ epoch: 1560000000, quote: 1.5 }]);
+    });
+
+    it('Test the layout is exported and imported', async function () {
+        expect(this.controller.exportLayout()).to.deep.equal({ chartType: 'candle' });
+        expect(await this.controller.importLayout({ chartType: 'mountain' })).to.equal(true);
+        expect(this.mainStore.state.importLayout).to.have.been.calledWith({ chartType: 'mountain' });
+    });
+});
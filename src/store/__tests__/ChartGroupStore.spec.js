@@ -0,0 +1,141 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import { observable, runInAction } from 'mobx';
+import ChartGroupStore from '../ChartGroupStore';
+import { getUTCDate } from '../../utils';
+
+chai.use(sinonChai);
+
+const createMainStore = () => {
+    const handlers = {};
+    const stx = {
+        handlers,
+        chart: { dataSegment: [] },
+        addEventListener: (event, callback) => { handlers[event] = callback; return event; },
+        removeEventListener: sinon.fake(),
+        append: (method, callback) => { handlers[method] = callback; return method; },
+        removeInjection: sinon.fake(),
+        setRange: sinon.fake(),
+    };
+    const timeperiod = observable({ timeUnit: 'minute', interval: 1 });
+    const chart = observable({
+        context: {},
+        cursorInChart: false,
+        granularity: 60,
+        currentActiveSymbol: { symbol: 'R_50' },
+    }, {}, { deep: false });
+    chart.stxx = stx;
+    chart.changeSymbol = sinon.fake((symbolObj, granularity) => runInAction(() => {
+        if (symbolObj) { chart.currentActiveSymbol = symbolObj; }
+        if (granularity !== undefined) {
+            chart.granularity = granularity;
+            timeperiod.interval = granularity / 60;
+        }
+    }));
+    return {
+        chart,
+        timeperiod,
+        crosshair: { getCrosshairEpoch: sinon.fake.returns(1560000000), showSyncedCrosshair: sinon.fake() },
+    };
+};
+
+describe('ChartGroupStore test', function () {
+    beforeEach(function () {
+        global.CIQ = { strToDateTime: str => new Date(str) };
+        this.group = new ChartGroupStore();
+        this.group.updateProps({ syncCrosshair: true, syncRange: true, syncGranularity: true, syncSymbol: false });
+        this.charts = {};
+        ['a', 'b', 'c'].forEach((id) => {
+            this.charts[id] = createMainStore();
+            this.group.add(id, this.charts[id]);
+        });
+    });
+
+    afterEach(function () {
+        this.group.destructor();
+        delete global.CIQ;
+    });
+
+    const setCursorIn = (mainStore, cursorInChart) => runInAction(() => { mainStore.chart.cursorInChart = cursorInChart; });
+
+    it('Test the crosshair is shown on the other locked charts', function () {
+        const { a, b, c } = this.charts;
+        this.group.setLocked('c', false);
+        setCursorIn(a, true);
+        a.chart.stxx.handlers.move();
+        expect(b.crosshair.showSyncedCrosshair).to.have.been.calledWith(1560000000);
+        expect(c.crosshair.showSyncedCrosshair).to.have.callCount(0);
+        expect(a.crosshair.showSyncedCrosshair).to.have.callCount(0);
+
+        // the synced crosshair is hidden once the cursor leaves the chart
+        setCursorIn(a, false);
+        expect(b.crosshair.showSyncedCrosshair.lastCall.args).to.deep.equal([]);
+    });
+
+    it('Test the visible range is synced without looping back', function () {
+        const { a, b, c } = this.charts;
+        a.chart.stxx.chart.dataSegment = [{ DT: new Date(getUTCDate(1560000000)) }, { DT: new Date(getUTCDate(1560003600)) }];
+        setCursorIn(a, true);
+        a.chart.stxx.handlers.draw();
+        expect(b.chart.stxx.setRange).to.have.been.calledWith({
+            dtLeft: new Date(getUTCDate(1560000000)),
+            dtRight: new Date(getUTCDate(1560003600)),
+        });
+        expect(c.chart.stxx.setRange).to.have.callCount(1);
+
+        // the charts that were moved redraw without the cursor over them
+        b.chart.stxx.handlers.draw();
+        c.chart.stxx.handlers.draw();
+        expect(a.chart.stxx.setRange).to.have.callCount(0);
+        // nor is the same range sent again
+        a.chart.stxx.handlers.draw();
+        expect(b.chart.stxx.setRange).to.have.callCount(1);
+    });
+
+    it('Test the granularity is synced without looping back', function () {
+        const { a, b, c } = this.charts;
+        this.group.setLocked('c', false);
+        a.chart.changeSymbol(undefined, 300);
+        expect(b.chart.changeSymbol).to.have.been.calledWith(undefined, 300);
+        expect(b.chart.granularity).to.equal(300);
+        expect(c.chart.changeSymbol).to.have.callCount(0);
+        // the change of b is not sent back to a
+        expect(a.chart.changeSymbol).to.have.callCount(1);
+    });
+
+    it('Test the symbol is only synced with syncSymbol', function () {
+        const { a, b } = this.charts;
+        a.chart.changeSymbol({ symbol: 'R_100' });
+        expect(b.chart.changeSymbol).to.have.callCount(0);
+
+        this.group.updateProps({ syncCrosshair: true, syncRange: true, syncGranularity: true, syncSymbol: true });
+        a.chart.changeSymbol({ symbol: 'R_25' });
+        expect(b.chart.changeSymbol).to.have.been.calledWith({ symbol: 'R_25' });
+        expect(a.chart.changeSymbol).to.have.callCount(2);
+    });
+
+    it('Test an unlocked chart does not sync the others', function () {
+        const { a, b } = this.charts;
+        this.group.setLocked('a', false);
+        setCursorIn(a, true);
+        a.chart.stxx.handlers.move();
+        a.chart.changeSymbol(undefined, 300);
+        expect(b.crosshair.showSyncedCrosshair).to.have.callCount(0);
+        expect(b.chart.changeSymbol).to.have.callCount(0);
+    });
+
+    it('Test the lock of a chart is kept by its id when it is added again', function () {
+        const { b } = this.charts;
+        this.group.setLocked('b', false);
+        this.group.remove('b');
+        expect(this.group.members.b).to.equal(undefined);
+        expect(b.chart.stxx.removeInjection).to.have.been.calledWith('draw');
+
+        this.group.add('b', b);
+        expect(this.group.members.b.isLocked).to.equal(false);
+        this.charts.a.chart.changeSymbol(undefined, 300);
+        expect(b.chart.changeSymbol).to.have.callCount(0);
+    });
+});
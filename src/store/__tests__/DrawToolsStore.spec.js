@@ -0,0 +1,100 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import DrawToolsStore from '../DrawToolsStore';
+import ChartStorage from '../../utils/ChartStorage';
+import MemoryStorage from '../../utils/MemoryStorage';
+
+chai.use(sinonChai);
+
+const createClassList = () => {
+    const names = new Set();
+    return {
+        add: name => names.add(name),
+        remove: name => names.delete(name),
+        contains: name => names.has(name),
+    };
+};
+
+const createMainStore = (storage) => {
+    const stx = {
+        preferences: { magnet: false },
+        container: { classList: createClassList() },
+        controls: { crossY: { style: {} } },
+        cy: 120,
+        addEventListener: sinon.fake(),
+        prepend: sinon.fake(),
+        append: sinon.fake(),
+        pixelFromPrice: sinon.fake.returns(80),
+        updateFloatHRLabel: sinon.fake(),
+    };
+    return {
+        chart: { context: { stx }, storage },
+        routing: { registerDialog: sinon.fake(), updateRoute: sinon.fake() },
+    };
+};
+
+describe('DrawToolsStore test', function () {
+    beforeEach(function () {
+        global.window = {};
+        global.document = { addEventListener: sinon.fake(), removeEventListener: sinon.fake() };
+        this.storage = ChartStorage.getInstance(new MemoryStorage());
+        this.mainStore = createMainStore(this.storage);
+        this.store = new DrawToolsStore(this.mainStore);
+        this.stx = this.mainStore.chart.context.stx;
+    });
+
+    afterEach(function () {
+        this.store.destructor();
+        delete global.window;
+        delete global.document;
+    });
+
+    it('Test the magnet strength is set on the chart', function () {
+        this.store.setMagnet(true, 'weak');
+        expect(this.stx.preferences.magnet).to.equal(75);
+        this.store.setMagnet(true, 'strong');
+        expect(this.stx.preferences.magnet).to.equal(true);
+        // unknown strengths fall back to a strong magnet
+        this.store.setMagnet(true, 'sticky');
+        expect(this.store.magnetStrength).to.equal('strong');
+        expect(this.stx.preferences.magnet).to.equal(true);
+
+        // the strength is kept while the magnet is off
+        this.store.setMagnet(true, 'weak');
+        this.store.setMagnet(false);
+        expect(this.stx.preferences.magnet).to.equal(false);
+        this.store.setMagnet(true);
+        expect(this.stx.preferences.magnet).to.equal(75);
+    });
+
+    it('Test the magnet is saved and restored', async function () {
+        this.store.toggleMagnet(true);
+        this.store.setMagnetStrength('weak');
+        expect(await this.storage.load('cq-magnet')).to.deep.equal({ isOn: true, strength: 'weak' });
+
+        // e.g. another chart sharing the storage
+        const store = new DrawToolsStore(createMainStore(this.storage));
+        await store.restoreMagnet();
+        expect(store.isMagnetOn).to.equal(true);
+        expect(store.magnetStrength).to.equal('weak');
+        expect(store.stx.preferences.magnet).to.equal(75);
+        store.destructor();
+    });
+
+    it('Test the crosshair follows the magnet until it is turned off', function () {
+        this.store.setMagnet(true);
+        this.stx.currentPanel = {};
+        this.stx.magnetizedPrice = 1.5;
+        this.store.showMagnetOnCrosshair();
+        expect(this.stx.container.classList.contains('sc-magnetized')).to.equal(true);
+        expect(this.stx.crossYActualPos).to.equal(80);
+        expect(this.stx.controls.crossY.style.top).to.equal('80px');
+
+        this.store.setMagnet(false);
+        expect(this.stx.container.classList.contains('sc-magnetized')).to.equal(false);
+        // back to the pointer
+        expect(this.stx.crossYActualPos).to.equal(120);
+    });
+});
@@ -0,0 +1,113 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import EventStore from '../EventStore';
+import { getUTCEpoch } from '../../utils';
+
+chai.use(sinonChai);
+
+const START = 1560000000;
+
+// a bar per minute from START; `barWidth` pixels per bar
+const createStx = () => {
+    const stx = {
+        barWidth: 10,
+        chart: { dataSet: new Array(100), panel: { left: 0 }, yAxis: { left: 500 } },
+        append: (method, callback) => { stx.relayout = callback; return method; },
+        removeInjection: sinon.fake(),
+        tickFromDate: sinon.fake(date => (getUTCEpoch(date) - START) / 60),
+        pixelFromTick: tick => tick * stx.barWidth,
+    };
+    return stx;
+};
+
+const events = [
+    { epoch: START + 60, type: 'news', importance: 1 },
+    { epoch: START + 120, type: 'earnings', importance: 3 },
+    { epoch: START + 600, type: 'news', importance: 2 },
+    // out of view
+    { epoch: START + 60000, type: 'news', importance: 3 },
+];
+
+describe('EventStore test', function () {
+    beforeEach(function () {
+        global.CIQ = { strToDateTime: str => new Date(str) };
+        this.stx = createStx();
+        this.store = new EventStore({ chart: { context: { stx: this.stx } } });
+    });
+
+    afterEach(function () {
+        delete global.CIQ;
+    });
+
+    const keysOf = clusters => clusters.map(cluster => cluster.key);
+
+    it('Test events within the distance of the first of a cluster are clustered', function () {
+        const position = (x, id) => ({ x, event: { id } });
+        const clusters = EventStore.cluster([
+            position(0, 'a'), position(15, 'b'), position(30, 'c'), position(100, 'd'),
+        ], 20);
+        expect(clusters).to.deep.equal([
+            { key: 'a,b', x: 7.5, events: [{ id: 'a' }, { id: 'b' }] },
+            { key: 'c', x: 30, events: [{ id: 'c' }] },
+            { key: 'd', x: 100, events: [{ id: 'd' }] },
+        ]);
+        expect(EventStore.cluster([], 20)).to.deep.equal([]);
+    });
+
+    it('Test events are normalized', function () {
+        expect(EventStore.normalize({ id: 'e', epoch: '1560000000' })).to.deep.equal({
+            id: 'e', epoch: 1560000000, type: 'other', importance: EventStore.IMPORTANCE.LOW,
+        });
+    });
+
+    it('Test events are filtered by type and importance', function () {
+        this.store.updateProps({ events });
+        expect(this.store.events).to.have.lengthOf(4);
+        this.store.updateProps({ events, eventFilter: { types: ['news'] } });
+        expect(this.store.events.map(event => event.epoch)).to.deep.equal([START + 60, START + 600, START + 60000]);
+        this.store.updateProps({ events, eventFilter: { types: ['news'], importance: 2 } });
+        expect(this.store.events.map(event => event.epoch)).to.deep.equal([START + 600, START + 60000]);
+    });
+
+    it('Test the clusters follow the layout of the x axis', function () {
+        this.store.updateProps({ events });
+        // 10 and 20 pixels are clustered; the last event is out of view
+        expect(keysOf(this.store.clusters)).to.deep.equal(['event-0,event-1', 'event-2']);
+
+        // zooming in splits the cluster
+        this.stx.barWidth = 30;
+        this.stx.relayout();
+        expect(keysOf(this.store.clusters)).to.deep.equal(['event-0', 'event-1', 'event-2']);
+
+        // zooming out merges them
+        this.stx.barWidth = 2;
+        this.stx.relayout();
+        expect(keysOf(this.store.clusters)).to.deep.equal(['event-0,event-1,event-2']);
+    });
+
+    it('Test the clusters are only recomputed when the events or the filter change', function () {
+        const onEventClick = sinon.fake();
+        this.store.updateProps({ events, eventFilter: { importance: 2 } });
+        const callCount = this.stx.tickFromDate.callCount;
+        this.store.updateProps({ events, eventFilter: { importance: 2 }, onEventClick });
+        expect(this.stx.tickFromDate).to.have.callCount(callCount);
+
+        this.store.updateProps({ events: events.slice(0, 2), eventFilter: { importance: 2 }, onEventClick });
+        expect(keysOf(this.store.clusters)).to.deep.equal(['event-1']);
+        this.store.updateProps({ events: events.slice(0, 2), eventFilter: {}, onEventClick });
+        expect(keysOf(this.store.clusters)).to.deep.equal(['event-0,event-1']);
+    });
+
+    it('Test clicking an event calls onEventClick', function () {
+        const onEventClick = sinon.fake();
+        this.store.updateProps({ events, onEventClick });
+        const [event] = this.store.events;
+        this.store.onClick(event);
+        expect(onEventClick).to.have.been.calledWith(event);
+
+        this.store.updateProps({ events });
+        expect(() => this.store.onClick(event)).to.not.throw();
+    });
+});
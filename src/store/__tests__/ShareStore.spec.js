@@ -0,0 +1,65 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import ShareStore from '../ShareStore';
+
+chai.use(sinonChai);
+
+const SHARE_URL = 'https://example.com/#chart=R_50';
+
+const createMainStore = () => ({
+    chart: {},
+    notifier: { notify: sinon.fake() },
+    routing: { getShareUrl: () => SHARE_URL, updateRoute: sinon.fake() },
+});
+
+describe('ShareStore test', function () {
+    beforeEach(function () {
+        global.window = {};
+        global.navigator = {};
+        this.mainStore = createMainStore();
+        this.store = new ShareStore(this.mainStore);
+        this.notify = this.mainStore.notifier.notify;
+    });
+
+    afterEach(function () {
+        delete global.window;
+        delete global.navigator;
+    });
+
+    // the notification is sent once the clipboard is done
+    const copyLink = async (store) => {
+        store.copyLink();
+        await new Promise(resolve => setTimeout(resolve));
+    };
+
+    it('Test the link to the chart is copied', async function () {
+        navigator.clipboard = { writeText: sinon.fake.resolves() };
+        await copyLink(this.store);
+        expect(navigator.clipboard.writeText).to.have.been.calledWith(SHARE_URL);
+        expect(this.notify).to.have.been.calledWith({ text: 'Link to the chart copied.', type: 'success' });
+    });
+
+    it('Test the link is shown without a clipboard', async function () {
+        await copyLink(this.store);
+        expect(this.notify).to.have.been.calledWith({
+            text: `The link to the chart could not be copied: ${SHARE_URL}`,
+            type: 'error',
+        });
+    });
+
+    it('Test the link is shown when the clipboard is denied', async function () {
+        navigator.clipboard = { writeText: sinon.fake.rejects(new Error('Write permission denied.')) };
+        const consoleError = sinon.stub(console, 'error');
+        try {
+            await copyLink(this.store);
+        } finally {
+            consoleError.restore();
+        }
+        expect(this.notify).to.have.been.calledWith({
+            text: `The link to the chart could not be copied: ${SHARE_URL}`,
+            type: 'error',
+        });
+    });
+});
@@ -0,0 +1,151 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import StudyLegendStore from '../StudyLegendStore';
+
+chai.use(sinonChai);
+
+const createStudy = (type, period) => {
+    const id = `${type} (${period})`;
+    return { type, name: id, panel: id, inputs: { id, display: `${type.toUpperCase()} (${period})` } };
+};
+
+const createMainStore = (studies) => {
+    const stx = {
+        callbacks: {},
+        panels: {},
+        layout: { studies },
+        append: sinon.fake(),
+        prepend: sinon.fake(),
+        draw: sinon.fake(),
+    };
+    return {
+        chart: {
+            context: { stx },
+            feed: { onMasterDataReinitialize: sinon.fake() },
+            isMobile: false,
+        },
+        notifier: { notify: sinon.fake() },
+        routing: { registerDialog: sinon.fake() },
+        state: { setShouldMinimiseLastDigit: sinon.fake() },
+    };
+};
+
+describe('StudyLegendStore test', function () {
+    beforeEach(function () {
+        global.CIQ = {
+            objLength: obj => Object.keys(obj || {}).length,
+            shallowClone: obj => ({ ...obj }),
+            Studies: { removeStudy: sinon.fake((stx, sd) => { delete stx.layout.studies[sd.inputs.id]; }) },
+        };
+        this.clock = sinon.useFakeTimers();
+        this.studies = {};
+        [createStudy('rsi', 14), createStudy('macd', 12), createStudy('ma', 20)].forEach((sd) => {
+            this.studies[sd.inputs.id] = sd;
+        });
+        this.mainStore = createMainStore(this.studies);
+        this.store = new StudyLegendStore(this.mainStore);
+        this.stx = this.mainStore.chart.context.stx;
+        this.notify = this.mainStore.notifier.notify;
+    });
+
+    afterEach(function () {
+        this.clock.restore();
+        delete global.CIQ;
+    });
+
+    const activeDisabled = store => store.activeItems.map(item => item.disabled);
+    // one frame of the draw loop, with the given draw time of each study
+    const drawFrame = (store, times) => {
+        store.resetDrawTimes();
+        Object.assign(store.stx.studyDrawTimes, times);
+        store.checkDrawBudget();
+    };
+
+    it('Test the studies of a restored layout beyond the limit are removed', function () {
+        this.store.updateProps({ maxStudies: 2 });
+        this.store.removeExtraStudies();
+        this.clock.tick(0);
+        expect(Object.keys(this.studies)).to.deep.equal(['rsi (14)', 'macd (12)']);
+        expect(this.notify).to.have.been.calledWith({ text: 'Only the first 2 indicators were restored.' });
+    });
+
+    it('Test lowering the limit disables the studies beyond it until it is raised', function () {
+        this.store.updateProps({ maxStudies: 2 });
+        this.clock.tick(0);
+        expect(CIQ.Studies.removeStudy).to.have.callCount(0);
+        expect(this.studies['ma (20)'].disabled).to.equal(true);
+        expect(activeDisabled(this.store)).to.deep.equal([false, false, true]);
+        expect(this.notify).to.have.been.calledWith({ text: 'Indicators beyond the limit of 2 were disabled.' });
+
+        // the limit is reached, so no study can be added
+        expect(this.store.addStudy('Awesome')).to.equal(undefined);
+
+        this.store.updateProps({ maxStudies: 1 });
+        expect(activeDisabled(this.store)).to.deep.equal([false, true, true]);
+        // only the newly disabled study is reported
+        expect(this.notify).to.have.callCount(2);
+
+        this.store.updateProps({ maxStudies: 5 });
+        expect(activeDisabled(this.store)).to.deep.equal([false, false, false]);
+        expect(this.notify).to.have.callCount(2);
+    });
+
+    it('Test the slowest study is reported once after a few frames over the budget', function () {
+        this.store.updateProps({ studyDrawBudget: 10 });
+        drawFrame(this.store, { 'rsi (14)': 2, 'macd (12)': 12 });
+        drawFrame(this.store, { 'rsi (14)': 2, 'macd (12)': 12 });
+        // a frame within the budget starts the count again
+        drawFrame(this.store, { 'rsi (14)': 2, 'macd (12)': 4 });
+        drawFrame(this.store, { 'rsi (14)': 2, 'macd (12)': 12 });
+        drawFrame(this.store, { 'rsi (14)': 2, 'macd (12)': 12 });
+        expect(this.notify).to.have.callCount(0);
+
+        drawFrame(this.store, { 'rsi (14)': 2, 'macd (12)': 12 });
+        expect(this.notify).to.have.been.calledWith({ text: 'MACD (12) slows down the chart.' });
+        for (let i = 0; i < 3; i++) { drawFrame(this.store, { 'rsi (14)': 2, 'macd (12)': 12 }); }
+        expect(this.notify).to.have.callCount(1);
+        expect(this.studies['macd (12)'].disabled).to.equal(undefined);
+    });
+
+    it('Test the slowest study is disabled with disableSlowStudies', function () {
+        this.store.updateProps({ studyDrawBudget: 10, disableSlowStudies: true });
+        for (let i = 0; i < 3; i++) { drawFrame(this.store, { 'rsi (14)': 8, 'macd (12)': 4 }); }
+        expect(this.notify).to.have.been.calledWith({ text: 'RSI (14) was disabled as it slows down the chart.' });
+        expect(this.studies['rsi (14)'].disabled).to.equal(true);
+        expect(activeDisabled(this.store)).to.deep.equal([true, false, false]);
+        expect(CIQ.Studies.removeStudy).to.have.callCount(0);
+    });
+
+    it('Test the volume studies are kept while a symbol without volume is loaded', function () {
+        const vwap = createStudy('VWAP', 0);
+        this.studies[vwap.inputs.id] = vwap;
+        this.stx.masterData = [{ Close: 1, Volume: 10 }];
+        this.store.updateHasVolume();
+        expect(this.store.hasVolume).to.equal(true);
+
+        // e.g. a forex symbol
+        this.stx.masterData = [{ Close: 1 }, { Close: 1.1, Volume: 0 }];
+        this.store.updateHasVolume();
+        expect(this.store.hasVolume).to.equal(false);
+        expect(CIQ.Studies.removeStudy).to.have.callCount(0);
+        expect(vwap.disabled).to.equal(true);
+        expect(activeDisabled(this.store)).to.deep.equal([false, false, false, true]);
+
+        this.stx.masterData = [{ Close: 1, Volume: 10 }];
+        this.store.updateHasVolume();
+        expect(this.studies[vwap.inputs.id]).to.equal(vwap);
+        expect(vwap.disabled).to.equal(false);
+        expect(activeDisabled(this.store)).to.deep.equal([false, false, false, false]);
+    });
+
+    it('Test the draw times are only collected with a budget', function () {
+        this.store.updateProps({});
+        this.store.resetDrawTimes();
+        expect(this.stx.studyDrawTimes).to.equal(null);
+        this.store.updateProps({ studyDrawBudget: 10 });
+        this.store.resetDrawTimes();
+        expect(this.stx.studyDrawTimes).to.deep.equal({});
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import { observable, runInAction } from 'mobx';
+import WatchlistStore from '../WatchlistStore';
+
+chai.use(sinonChai);
+
+const FAVORITES_ID = 'chartTitle&Comparison';
+
+const createMainStore = () => {
+    const isOpen = { R_50: true, R_100: true, frxEURUSD: false };
+    return {
+        favorites: observable({ favoritesMap: { [FAVORITES_ID]: { R_50: true, R_100: true, frxEURUSD: true } } }),
+        chart: {
+            context: {},
+            activeSymbols: { getSymbolObj: symbol => (symbol in isOpen ? { symbol, exchange_is_open: isOpen[symbol] } : undefined) },
+            api: {
+                subscribe: sinon.fake(),
+                forget: sinon.fake(),
+                forgetStream: sinon.fake(),
+                getHistory: sinon.fake.resolves({ history: { prices: ['1.5', '2'] } }),
+            },
+            feed: {
+                onMasterDataUpdate: sinon.fake(),
+                offMasterDataUpdate: sinon.fake(),
+                onStreamChange: sinon.fake(),
+                offStreamChange: sinon.fake(),
+            },
+            tradingTimes: { onMarketOpenCloseChanged: sinon.fake() },
+        },
+        comparison: { comparisonSymbols: [] },
+        state: { isConnectionOpened: true },
+    };
+};
+
+describe('WatchlistStore test', function () {
+    beforeEach(function () {
+        this.mainStore = createMainStore();
+        this.api = this.mainStore.chart.api;
+        this.store = new WatchlistStore(this.mainStore);
+    });
+
+    afterEach(function () {
+        this.store.destructor();
+    });
+
+    const streamedSymbols = store => Object.keys(store._streams);
+    const subscribedSymbols = api => api.subscribe.args.map(([params]) => params.symbol);
+    const forgottenSymbols = api => api.forget.args.map(([params]) => params.symbol);
+
+    it('Test the change is against the first price', function () {
+        expect(WatchlistStore.createQuote([2, 2.5, 3])).to.deep.equal({ prices: [2, 2.5, 3], last: 3, change: 1, changePercent: 50 });
+        // there is no percent change from zero
+        expect(WatchlistStore.createQuote([0, 2])).to.deep.equal({ prices: [0, 2], last: 2, change: 2, changePercent: undefined });
+        expect(WatchlistStore.createQuote([])).to.deep.equal({ prices: [], last: undefined, change: undefined, changePercent: undefined });
+    });
+
+    it('Test open symbols are streamed and closed ones show their last price', async function () {
+        expect(subscribedSymbols(this.api)).to.deep.equal(['R_50', 'R_100']);
+        expect(this.api.getHistory).to.have.been.calledWith({ symbol: 'frxEURUSD', granularity: 0, count: 60 });
+        await this.api.getHistory.lastCall.returnValue;
+        expect(this.store.quotes.get('frxEURUSD')).to.include({ last: 2, change: 0.5 });
+
+        // the stream gives the history, then the ticks
+        const callback = this.api.subscribe.firstCall.args[1];
+        callback({ history: { prices: ['10', '11'] } });
+        callback({ tick: { quote: '12' } });
+        expect(this.store.quotes.get('R_50').prices).to.deep.equal([10, 11, 12]);
+
+        // a market that closes is no longer streamed
+        this.store.onMarketOpenCloseChanged({ R_100: false });
+        expect(forgottenSymbols(this.api)).to.deep.equal(['R_100']);
+    });
+
+    it('Test the symbols streamed by the chart are not streamed again', function () {
+        this.store.onChartStreamStart('R_50');
+        expect(forgottenSymbols(this.api)).to.deep.equal(['R_50']);
+        // e.g. the main symbol is also a comparison
+        this.store.onChartStreamStart('R_50');
+        this.store.onChartStreamEnd('R_50');
+        expect(streamedSymbols(this.store)).to.deep.equal(['R_100']);
+
+        this.store.onChartStreamEnd('R_50');
+        expect(streamedSymbols(this.store)).to.deep.equal(['R_100', 'R_50']);
+        // an end without a start is ignored
+        this.store.onChartStreamEnd('R_50');
+        expect(subscribedSymbols(this.api)).to.deep.equal(['R_50', 'R_100', 'R_50']);
+    });
+
+    it('Test removed favourites are forgotten', function () {
+        this.store.addPrice('R_100', 5);
+        runInAction(() => { this.mainStore.favorites.favoritesMap[FAVORITES_ID].R_100 = false; });
+        expect(forgottenSymbols(this.api)).to.deep.equal(['R_100']);
+        expect(this.store.quotes.has('R_100')).to.equal(false);
+        expect(this.store.items.map(item => item.symbolObj.symbol)).to.deep.equal(['R_50', 'frxEURUSD']);
+    });
+
+    it('Test a history that fails to load is logged', async function () {
+        const error = new Error('Rate limit reached');
+        this.api.getHistory = sinon.fake.rejects(error);
+        const consoleError = sinon.stub(console, 'error');
+        try {
+            await this.store.loadHistory('frxEURUSD');
+            expect(consoleError).to.have.been.calledWith('Error loading the watchlist history of frxEURUSD:', error);
+        } finally {
+            consoleError.restore();
+        }
+    });
+});
@@ -26,6 +26,13 @@ import NavigationWidgetStore from './NavigationWidgetStore';
 import HighestLowestStore from './HighestLowestStore';
 import PaginationLoaderStore from './PaginationLoaderStore';
 import ToolbarWidgetStore from './ToolbarWidgetStore';
+import ReplayStore from './ReplayStore';
+import AlertStore from './AlertStore';
+import EventStore from './EventStore';
+import WatchlistStore from './WatchlistStore';
+import TradingSessionsStore from './TradingSessionsStore';
+import SessionCalendarStore from './SessionCalendarStore';
+import FeedHealthStore from './FeedHealthStore';
 
 export default class MainStore {
     notifier = new Notifier();
@@ -56,4 +63,11 @@ export default class MainStore {
     highestLowest = new HighestLowestStore(this);
     paginationLoader = new PaginationLoaderStore(this);
     toolbarWidget = new ToolbarWidgetStore(this);
+    replay = new ReplayStore(this);
+    alerts = new AlertStore(this);
+    events = new EventStore(this);
+    watchlist = new WatchlistStore(this);
+    tradingSessions = new TradingSessionsStore(this);
+    sessionCalendar = new SessionCalendarStore(this);
+    feedHealth = new FeedHealthStore(this);
 }
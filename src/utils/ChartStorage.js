@@ -0,0 +1,107 @@
+import LocalStorage from './LocalStorage';
+
+const defaultBackend = new LocalStorage();
+const instances = new WeakMap();
+
+// Migrations of the stored values; MIGRATIONS[n] converts the value of a key
+// from schema version n to n + 1.
+const MIGRATIONS = [
+    // Values saved before versioning are the plain JSON the chart wrote to localStorage
+    value => value,
+];
+
+/*
+ * Saves the layouts, drawings, alerts, templates and favourites of the chart
+ * to the `storage` prop: any object with async `get(key)`, `set(key, value)` and
+ * `remove(key)`. Values are stored as `{ schemaVersion, updatedAt, data }`, and
+ * older values are migrated to the current schema as they are loaded.
+ *
+ * A value that was changed elsewhere (e.g. on another device) after it was
+ * loaded here is a conflict; `storage.resolveConflict({ key, local, remote })`
+ * is then called (if defined) to return the value to save, otherwise the local
+ * value is saved. Errors of the storage are logged, so that they do not break the chart.
+ */
+class ChartStorage {
+    static get SCHEMA_VERSION() { return MIGRATIONS.length; }
+
+    // Returns the ChartStorage of a storage backend, so that charts sharing a backend share their revisions
+    static getInstance(backend = defaultBackend) {
+        if (!instances.has(backend)) {
+            instances.set(backend, new ChartStorage(backend));
+        }
+        return instances.get(backend);
+    }
+
+    // `updatedAt` of the values as they were last loaded or saved, by key
+    _revisions = {};
+    // pending operation of each key; operations on a key are run in order
+    _queues = {};
+
+    constructor(backend = defaultBackend) {
+        this.backend = backend;
+    }
+
+    // Returns the stored value of `key`, or undefined if there is none
+    load(key) {
+        return this._enqueue(key, async () => {
+            const record = await this._read(key);
+            if (!record) { return; }
+            this._revisions[key] = record.updatedAt;
+            return record.data;
+        });
+    }
+
+    save(key, data) {
+        return this._enqueue(key, async () => {
+            const remote = await this._read(key);
+            let value = data;
+            let updatedAt = Date.now();
+            if (remote) {
+                if (remote.updatedAt > (this._revisions[key] || 0) && this.backend.resolveConflict) {
+                    value = await this.backend.resolveConflict({ key, local: data, remote: remote.data });
+                }
+                // keep the revisions increasing when the clocks of the devices differ
+                updatedAt = Math.max(updatedAt, remote.updatedAt + 1);
+            }
+            await this.backend.set(key, { schemaVersion: ChartStorage.SCHEMA_VERSION, updatedAt, data: value });
+            this._revisions[key] = updatedAt;
+        });
+    }
+
+    remove(key) {
+        return this._enqueue(key, async () => {
+            await this.backend.remove(key);
+            delete this._revisions[key];
+        });
+    }
+
+    async _read(key) {
+        const stored = await this.backend.get(key);
+        if (stored === undefined || stored === null) { return; }
+        return ChartStorage.migrate(key, stored);
+    }
+
+    _enqueue(key, run) {
+        const previous = this._queues[key] || Promise.resolve();
+        const promise = previous
+            .then(run)
+            .catch((error) => {
+                console.error(`Failed to access the chart storage (${key}):`, error);
+            });
+        this._queues[key] = promise;
+        return promise;
+    }
+
+    // Returns the stored value as a record of the current schema version
+    static migrate(key, stored) {
+        const isRecord = typeof stored === 'object' && !Array.isArray(stored) && 'schemaVersion' in stored;
+        const record = isRecord ? { ...stored } : { schemaVersion: 0, updatedAt: 0, data: stored };
+        for (let version = record.schemaVersion; version < ChartStorage.SCHEMA_VERSION; version++) {
+            record.data = MIGRATIONS[version](record.data, key);
+        }
+        record.schemaVersion = Math.max(record.schemaVersion, ChartStorage.SCHEMA_VERSION);
+        return record;
+    }
+}
+
+export default ChartStorage;
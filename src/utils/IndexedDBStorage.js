@@ -0,0 +1,51 @@
+// Asynchronous key-value storage backed by IndexedDB; values are stored
+// as structured clones, so they do not need to be serialised.
+class IndexedDBStorage {
+    static get STORE_NAME() { return 'keyvalue'; }
+
+    constructor(dbName = 'smartcharts') {
+        this._dbName = dbName;
+    }
+
+    _open() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+                const request = indexedDB.open(this._dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(IndexedDBStorage.STORE_NAME);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this._dbPromise;
+    }
+
+    async _request(mode, run) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(IndexedDBStorage.STORE_NAME, mode);
+            const request = run(transaction.objectStore(IndexedDBStorage.STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    get(key) {
+        return this._request('readonly', store => store.get(key));
+    }
+
+    set(key, value) {
+        return this._request('readwrite', store => store.put(value, key));
+    }
+
+    remove(key) {
+        return this._request('readwrite', store => store.delete(key));
+    }
+}
+
+export default IndexedDBStorage;
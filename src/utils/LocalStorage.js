@@ -0,0 +1,19 @@
+import { createObjectFromLocalStorage } from '.';
+
+// Asynchronous key-value storage backed by localStorage; values are saved as JSON.
+// This is the default `storage` of the chart.
+class LocalStorage {
+    async get(key) {
+        return createObjectFromLocalStorage(key);
+    }
+
+    async set(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+export default LocalStorage;
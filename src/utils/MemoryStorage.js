@@ -0,0 +1,20 @@
+// Asynchronous key-value storage that keeps the values in memory, e.g. for tests.
+// Values are copied on the way in and out, like a persistent storage would.
+class MemoryStorage {
+    _values = {};
+
+    async get(key) {
+        const value = this._values[key];
+        return value === undefined ? undefined : JSON.parse(value);
+    }
+
+    async set(key, value) {
+        this._values[key] = JSON.stringify(value);
+    }
+
+    async remove(key) {
+        delete this._values[key];
+    }
+}
+
+export default MemoryStorage;
@@ -22,6 +22,7 @@ class ServerTime {
 
     async requestTime() {
         this.clientTimeAtRequest = getUTCEpoch(new Date());
+        this._requestedAt = Date.now();
         await this._api.getServerTime().then(this._timeResponse);
         this.clockStartedPromise.resolve();
     }
@@ -39,6 +40,9 @@ class ServerTime {
         const serverTime = response.time;
         const clientTimeAtResponse = getUTCEpoch(new Date());
         this.serverTimeAtResponse = serverTime + ((clientTimeAtResponse - this.clientTimeAtRequest) / 2);
+        // offset of the server clock from the client clock, in milliseconds
+        const respondedAt = Date.now();
+        this.clockOffset = (serverTime * 1000) + ((respondedAt - this._requestedAt) / 2) - respondedAt;
 
         const updateTime = () => {
             this.serverTimeAtResponse += 1;
@@ -60,6 +64,15 @@ class ServerTime {
         throw new Error('Server time is undefined!');
     }
 
+    // Server epoch with a sub-second precision, e.g. to measure the latency of ticks
+    getPreciseEpoch() {
+        if (this.clockOffset !== undefined) {
+            return (Date.now() + this.clockOffset) / 1000;
+        }
+
+        throw new Error('Server time is undefined!');
+    }
+
     getLocalDate() {
         return getLocalDate(this.getEpoch());
     }
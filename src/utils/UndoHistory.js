@@ -0,0 +1,37 @@
+// Undo and redo stacks of the states of something, e.g. of the drawings of a chart
+export default class UndoHistory {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get canUndo() { return this.undoStack.length > 0; }
+    get canRedo() { return this.redoStack.length > 0; }
+
+    // Records the state before a change; the changes that were undone can no longer be redone
+    push(before) {
+        this.undoStack.push(before);
+        if (this.undoStack.length > this.limit) { this.undoStack.shift(); }
+        this.redoStack = [];
+    }
+
+    // Returns the state to restore to undo the last change, or undefined if there is none
+    undo(current) {
+        if (!this.canUndo) { return; }
+        this.redoStack.push(current);
+        return this.undoStack.pop();
+    }
+
+    // Returns the state to restore to redo the last undone change, or undefined if there is none
+    redo(current) {
+        if (!this.canRedo) { return; }
+        this.undoStack.push(current);
+        return this.redoStack.pop();
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
@@ -0,0 +1,71 @@
+import { describe, it, beforeEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import ChartStorage from '../ChartStorage';
+import MemoryStorage from '../MemoryStorage';
+
+chai.use(sinonChai);
+
+describe('ChartStorage test', function () {
+    beforeEach(function () {
+        this.backend = new MemoryStorage();
+        this.storage = new ChartStorage(this.backend);
+    });
+
+    it('Test saved values are loaded', async function () {
+        await this.storage.save('layout-1', { symbols: ['R_50'] });
+        expect(await this.storage.load('layout-1')).to.deep.equal({ symbols: ['R_50'] });
+
+        const record = await this.backend.get('layout-1');
+        expect(record.schemaVersion).to.equal(ChartStorage.SCHEMA_VERSION);
+        expect(record.data).to.deep.equal({ symbols: ['R_50'] });
+
+        await this.storage.remove('layout-1');
+        expect(await this.storage.load('layout-1')).to.equal(undefined);
+    });
+
+    it('Test values saved before versioning are migrated', async function () {
+        await this.backend.set('cq-views', [{ name: 'template' }]);
+        expect(await this.storage.load('cq-views')).to.deep.equal([{ name: 'template' }]);
+        expect(ChartStorage.migrate('cq-favorites', { indicators: [] })).to.deep.equal({
+            schemaVersion: ChartStorage.SCHEMA_VERSION,
+            updatedAt: 0,
+            data: { indicators: [] },
+        });
+    });
+
+    it('Test conflicts are resolved by the storage', async function () {
+        this.backend.resolveConflict = sinon.fake(({ local, remote }) => [...remote, ...local]);
+        await this.storage.save('cq-views', ['a']);
+        await this.storage.save('cq-views', ['b']);
+        expect(this.backend.resolveConflict).to.have.callCount(0);
+
+        // saved from another device after it was loaded here
+        const other = new ChartStorage(this.backend);
+        await other.load('cq-views');
+        await other.save('cq-views', ['c']);
+        await this.storage.save('cq-views', ['d']);
+        expect(this.backend.resolveConflict).to.have.callCount(1);
+        expect(this.backend.resolveConflict).to.have.been.calledWith({ key: 'cq-views', local: ['d'], remote: ['c'] });
+        expect(await other.load('cq-views')).to.deep.equal(['c', 'd']);
+    });
+
+    it('Test local values are kept without a conflict resolver', async function () {
+        await this.storage.save('layout-1', { local: false });
+        await new ChartStorage(this.backend).save('layout-1', { remote: true });
+        await this.storage.save('layout-1', { local: true });
+        expect(await this.storage.load('layout-1')).to.deep.equal({ local: true });
+    });
+
+    it('Test storage errors do not reject', async function () {
+        this.backend.get = sinon.fake.rejects(new Error('offline'));
+        const consoleError = sinon.stub(console, 'error');
+        try {
+            expect(await this.storage.load('layout-1')).to.equal(undefined);
+            expect(consoleError).to.have.callCount(1);
+        } finally {
+            consoleError.restore();
+        }
+    });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import UndoHistory from '../UndoHistory';
+
+describe('UndoHistory test', function () {
+    it('Test changes are undone and redone', function () {
+        const history = new UndoHistory();
+        expect(history.canUndo).to.equal(false);
+        expect(history.undo(['a'])).to.equal(undefined);
+
+        history.push([]);
+        history.push(['a']);
+        expect(history.undo(['a', 'b'])).to.deep.equal(['a']);
+        expect(history.undo(['a'])).to.deep.equal([]);
+        expect(history.canUndo).to.equal(false);
+        expect(history.redo([])).to.deep.equal(['a']);
+        expect(history.redo(['a'])).to.deep.equal(['a', 'b']);
+        expect(history.canRedo).to.equal(false);
+        expect(history.undo(['a', 'b'])).to.deep.equal(['a']);
+    });
+
+    it('Test new changes cannot be redone past', function () {
+        const history = new UndoHistory();
+        history.push([]);
+        history.undo(['a']);
+        expect(history.canRedo).to.equal(true);
+        history.push([]);
+        expect(history.canRedo).to.equal(false);
+
+        history.clear();
+        expect(history.canUndo).to.equal(false);
+    });
+
+    it('Test the oldest changes are forgotten past the limit', function () {
+        const history = new UndoHistory(2);
+        history.push(1);
+        history.push(2);
+        history.push(3);
+        expect(history.undo(4)).to.equal(3);
+        expect(history.undo(3)).to.equal(2);
+        expect(history.undo(2)).to.equal(undefined);
+    });
+});
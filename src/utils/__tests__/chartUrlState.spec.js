@@ -0,0 +1,102 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { encodeBase64Url } from '..';
+import {
+    encodeChartState,
+    decodeChartState,
+    MAX_DRAWINGS_LENGTH,
+    createLayout,
+    getQueryParam,
+    setQueryParam,
+} from '../chartUrlState';
+
+const state = {
+    symbol: 'R_50',
+    granularity: 300,
+    chartType: 'candle',
+    startEpoch: 1560000000,
+    endEpoch: 1560030000,
+    studies: [{ type: 'rsi', inputs: { id: 'rsi (14)', Period: 14 }, outputs: { RSI: '#ff0000' }, panel: 'rsi (14)' }],
+    comparisons: [{ symbol: 'R_100', color: '#00ff00' }],
+    drawings: [{ name: 'horizontal', pnl: 'chart', v0: 100 }],
+};
+
+describe('chartUrlState test', function () {
+    it('Test the chart state is encoded and decoded', function () {
+        const value = encodeChartState(state);
+        expect(value).to.match(/^[\w-]+$/);
+        expect(decodeChartState(value)).to.deep.equal(state);
+    });
+
+    it('Test the visible range and empty lists are optional', function () {
+        const decoded = decodeChartState(encodeChartState({ symbol: 'R_50', granularity: 0, chartType: 'mountain' }));
+        expect(decoded).to.deep.equal({
+            symbol: 'R_50',
+            granularity: 0,
+            chartType: 'mountain',
+            startEpoch: undefined,
+            endEpoch: undefined,
+            studies: [],
+            comparisons: [],
+            drawings: [],
+        });
+    });
+
+    it('Test drawings are rounded and empty fields are left out', function () {
+        const drawing = {
+            name: 'segment', pnl: 'chart', col: 'auto', ptrn: '', lw: undefined, d0: '20190608133000000', v0: 1.2345678912345, v1: [12345.678912345],
+        };
+        const { drawings } = decodeChartState(encodeChartState({ ...state, drawings: [drawing] }));
+        expect(drawings).to.deep.equal([{
+            name: 'segment', pnl: 'chart', col: 'auto', d0: '20190608133000000', v0: 1.2345679, v1: [12345.679],
+        }]);
+    });
+
+    it('Test drawings are left out past the length limit', function () {
+        const drawing = { name: 'horizontal', pnl: 'chart', v0: 100 };
+        const count = Math.floor(MAX_DRAWINGS_LENGTH / JSON.stringify(drawing).length);
+        const withDrawings = length => decodeChartState(encodeChartState({ ...state, drawings: Array(length).fill(drawing) }));
+
+        expect(withDrawings(count - 1).drawings).to.have.lengthOf(count - 1);
+        expect(withDrawings(count + 1).drawings).to.deep.equal([]);
+        expect(withDrawings(count + 1).symbol).to.equal('R_50');
+    });
+
+    it('Test invalid chart states', function () {
+        expect(() => decodeChartState('%%')).to.throw('the chart link is invalid');
+        expect(() => decodeChartState(encodeBase64Url('{"g":60}'))).to.throw('the chart link is invalid');
+        expect(() => decodeChartState(encodeBase64Url('{"v":2,"s":"R_50"}'))).to.throw('the chart link was made by a newer version');
+
+        // invalid items are left out
+        const decoded = decodeChartState(encodeBase64Url(JSON.stringify({
+            s: 'R_50',
+            r: [10, 5],
+            i: [['rsi', {}], [1, { id: 'ma' }], ['ma', { id: 'ma (20)' }]],
+            c: [[1], ['R_100']],
+            d: [1, { name: 'line' }],
+        })));
+        expect(decoded.startEpoch).to.equal(undefined);
+        expect(decoded.studies).to.deep.equal([{ type: 'ma', inputs: { id: 'ma (20)' }, outputs: {}, panel: 'ma (20)' }]);
+        expect(decoded.comparisons).to.deep.equal([{ symbol: 'R_100', color: undefined }]);
+        expect(decoded.drawings).to.deep.equal([{ name: 'line' }]);
+    });
+
+    it('Test layouts are created from the chart state', function () {
+        const layout = createLayout({ ...state, chartType: 'spline' });
+        expect(layout.chartType).to.equal('mountain');
+        expect(layout.tension).to.equal(0.5);
+        expect(layout).to.include({ interval: 5, timeUnit: 'minute', periodicity: 1 });
+        expect(layout.studies['rsi (14)']).to.include({ type: 'rsi', panel: 'rsi (14)' });
+        expect(Object.keys(layout.panels)).to.deep.equal(['chart', 'rsi (14)']);
+        expect(layout.symbols.map(({ symbol }) => symbol)).to.deep.equal(['R_50', 'R_100']);
+        expect(layout.symbols[1].parameters).to.include({ isComparison: true, color: '#00ff00' });
+    });
+
+    it('Test query parameters', function () {
+        const url = setQueryParam('https://charts.binary.com/?lang=en#download', 'chart', 'abc');
+        expect(url).to.equal('https://charts.binary.com/?lang=en&chart=abc#download');
+        expect(getQueryParam(new URL(url).search, 'chart')).to.equal('abc');
+        expect(setQueryParam(url, 'chart')).to.equal('https://charts.binary.com/?lang=en#download');
+        expect(getQueryParam('?lang=en', 'chart')).to.equal(undefined);
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'chai-sinon';
+import { copyToClipboard } from '../clipboard';
+
+chai.use(sinonChai);
+
+describe('clipboard test', function () {
+    beforeEach(function () {
+        global.navigator = {};
+    });
+
+    afterEach(function () {
+        delete global.navigator;
+    });
+
+    it('Test the text is copied', async function () {
+        navigator.clipboard = { writeText: sinon.fake.resolves() };
+        expect(await copyToClipboard('https://example.com')).to.equal(true);
+        expect(navigator.clipboard.writeText).to.have.been.calledWith('https://example.com');
+    });
+
+    it('Test nothing is copied without a clipboard', async function () {
+        expect(await copyToClipboard('https://example.com')).to.equal(false);
+    });
+
+    it('Test a denied write is logged', async function () {
+        const error = new Error('Write permission denied.');
+        navigator.clipboard = { writeText: sinon.fake.rejects(error) };
+        const consoleError = sinon.stub(console, 'error');
+        try {
+            expect(await copyToClipboard('https://example.com')).to.equal(false);
+            expect(consoleError).to.have.been.calledWith('Error copying to the clipboard:', error);
+        } finally {
+            consoleError.restore();
+        }
+    });
+});
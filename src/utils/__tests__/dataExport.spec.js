@@ -0,0 +1,70 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import moment from 'moment';
+import { getExportRange, getExportColumns, toCSV, toJSON } from '../dataExport';
+
+// DT of a quote holds the UTC time as local time
+const quoteAt = (utc, fields) => ({ DT: new Date(utc.replace('Z', '')), ...fields });
+const epoch = str => Date.parse(str) / 1000;
+const valuesOf = (columns, quote) => columns.map(column => column.getValue(quote));
+
+describe('dataExport test', function () {
+    it('Test the export range in UTC and local time', function () {
+        expect(getExportRange('2018-08-24', '2018-08-25', true)).to.deep.equal({
+            start: epoch('2018-08-24T00:00:00Z'),
+            end: epoch('2018-08-25T23:59:59Z'),
+        });
+        expect(getExportRange('2018-08-24', '', false)).to.deep.equal({
+            start: moment('2018-08-24', 'YYYY-MM-DD').unix(),
+            end: undefined,
+        });
+        expect(getExportRange('', '', true)).to.deep.equal({ start: undefined, end: undefined });
+    });
+
+    it('Test the date and time are in UTC or local time', function () {
+        const quote = quoteAt('2018-08-24T23:30:15Z', { Close: 1.5 });
+        const local = moment(epoch('2018-08-24T23:30:15Z') * 1000);
+        const options = { isTick: true, symbolName: 'Volatility 50 Index', decimalPlaces: 2 };
+
+        expect(valuesOf(getExportColumns({ ...options, isUTC: true }), quote))
+            .to.deep.equal(['2018-08-24', '23:30:15', '1.50']);
+        expect(valuesOf(getExportColumns({ ...options, isUTC: false }), quote))
+            .to.deep.equal([local.format('YYYY-MM-DD'), local.format('HH:mm:ss'), '1.50']);
+    });
+
+    it('Test the columns of candles, comparisons and studies', function () {
+        const columns = getExportColumns({
+            isTick: false,
+            isUTC: true,
+            decimalPlaces: 2,
+            comparisons: [{ field: 'R_100', name: 'Volatility 100 Index', decimalPlaces: 3 }, { field: 'R_25' }],
+            studyFields: ['ma (50,C,ma,0)'],
+        });
+        expect(columns.map(column => column.title)).to.deep.equal([
+            'Date', 'Time', 'Open', 'High', 'Low', 'Close', 'Volatility 100 Index', 'R_25', 'ma (50,C,ma,0)',
+        ]);
+
+        const quote = quoteAt('2018-08-24T10:05:00Z', {
+            Open: 1, High: 2, Low: 0.5, Close: 1.5, R_100: { Close: 10.1234 }, 'ma (50,C,ma,0)': 1.25,
+        });
+        expect(valuesOf(columns, quote)).to.deep.equal([
+            '2018-08-24', '10:05', '1.00', '2.00', '0.50', '1.50', '10.123', '', '1.25',
+        ]);
+    });
+
+    it('Test CSV escapes commas, quotes and new lines', function () {
+        const columns = [{ title: 'Date' }, { title: 'ma (50,C,ma,0)' }, { title: 'Note' }];
+        expect(toCSV(columns, [['2018-08-24', '1.25', 'say "hi"\nagain']])).to.equal([
+            'Date,"ma (50,C,ma,0)",Note',
+            '2018-08-24,1.25,"say ""hi""',
+            'again"',
+        ].join('\n'));
+    });
+
+    it('Test JSON has numbers and leaves out empty values', function () {
+        const columns = [{ title: 'Date' }, { title: 'Close', isNumeric: true }, { title: 'R_100', isNumeric: true }];
+        expect(JSON.parse(toJSON(columns, [['2018-08-24', '1.50', '']]))).to.deep.equal([
+            { Date: '2018-08-24', Close: 1.5 },
+        ]);
+    });
+});
@@ -0,0 +1,25 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { getExpectedSpacing, findGaps } from '../dataGaps';
+
+describe('dataGaps test', function () {
+    it('Test the expected spacing of candles and ticks', function () {
+        expect(getExpectedSpacing([0, 60, 180], 60)).to.equal(60);
+        // five times the median spacing of the ticks
+        expect(getExpectedSpacing([0, 2, 4, 6, 8, 100], 0)).to.equal(10);
+        expect(getExpectedSpacing([0, 3, 6, 9, 12, 100], 0)).to.equal(15);
+        // but at least 10 seconds
+        expect(getExpectedSpacing([0, 1, 2, 3], 0)).to.equal(10);
+        expect(getExpectedSpacing([], 0)).to.equal(10);
+    });
+
+    it('Test holes between bars', function () {
+        expect(findGaps([0, 60, 120, 300, 360, 600], 60)).to.deep.equal([
+            { start: 120, end: 300 },
+            { start: 360, end: 600 },
+        ]);
+        expect(findGaps([0, 60, 120], 60)).to.deep.equal([]);
+        expect(findGaps([0], 60)).to.deep.equal([]);
+        expect(findGaps([0, 2, 5, 30, 31], 10)).to.deep.equal([{ start: 5, end: 30 }]);
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { countBars, formatPriceChange, formatDuration, measurePosition } from '../drawingMeasures';
+
+describe('drawingMeasures test', function () {
+    it('Test bars are counted with both ends', function () {
+        expect(countBars(10, 14)).to.equal(5);
+        expect(countBars(14, 10)).to.equal(5);
+        expect(countBars(10, 10)).to.equal(1);
+    });
+
+    it('Test price changes', function () {
+        expect(formatPriceChange(100, 101.5)).to.equal('+1.50 (+1.50%)');
+        expect(formatPriceChange(200, 150, 3)).to.equal('-50.000 (-25.00%)');
+        expect(formatPriceChange(0, 1, 0)).to.equal('+1');
+    });
+
+    it('Test durations', function () {
+        expect(formatDuration(30)).to.equal('30s');
+        expect(formatDuration(330)).to.equal('5m 30s');
+        expect(formatDuration(2 * 86400 + 4 * 3600 + 60)).to.equal('2d 4h');
+        expect(formatDuration(86400 + 60)).to.equal('1d');
+        expect(formatDuration(-3600)).to.equal('1h');
+        expect(formatDuration(0)).to.equal('0s');
+    });
+
+    it('Test the risk and reward of positions', function () {
+        expect(measurePosition({ entry: 100, target: 106, stop: 98 })).to.deep.equal({
+            reward: 6,
+            risk: 2,
+            ratio: 3,
+            rewardPercent: 6,
+            riskPercent: 2,
+        });
+        // short position
+        expect(measurePosition({ entry: 100, target: 95, stop: 105 }).ratio).to.equal(1);
+        expect(measurePosition({ entry: 100, target: 95, stop: 100 }).ratio).to.equal(undefined);
+    });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { getFeedStatus, FeedStatus } from '../feedHealth';
+
+const feed = {
+    isStreaming: true,
+    isConnected: true,
+    isDelayed: false,
+    sinceLastTick: 1,
+    latency: 0.3,
+};
+
+describe('feedHealth test', function () {
+    it('Test a streaming feed is live', function () {
+        expect(getFeedStatus(feed)).to.equal(FeedStatus.LIVE);
+        // no tick measured yet
+        expect(getFeedStatus({ ...feed, latency: undefined })).to.equal(FeedStatus.LIVE);
+    });
+
+    it('Test a feed that is not streaming or disconnected', function () {
+        expect(getFeedStatus({ ...feed, isStreaming: false, isConnected: false })).to.equal(FeedStatus.INACTIVE);
+        expect(getFeedStatus({ ...feed, isConnected: false, sinceLastTick: 100 })).to.equal(FeedStatus.OFFLINE);
+    });
+
+    it('Test a feed without recent ticks is stale', function () {
+        expect(getFeedStatus({ ...feed, sinceLastTick: 30 })).to.equal(FeedStatus.STALE);
+        expect(getFeedStatus({ ...feed, sinceLastTick: 30, isDelayed: true })).to.equal(FeedStatus.STALE);
+        expect(getFeedStatus({ ...feed, sinceLastTick: 10 }, { stale: 10, latency: 2 })).to.equal(FeedStatus.STALE);
+    });
+
+    it('Test a delayed or slow feed', function () {
+        expect(getFeedStatus({ ...feed, isDelayed: true })).to.equal(FeedStatus.DELAYED);
+        expect(getFeedStatus({ ...feed, latency: 2.5 })).to.equal(FeedStatus.SLOW);
+        expect(getFeedStatus({ ...feed, latency: 2.5 }, { stale: 30, latency: 5 })).to.equal(FeedStatus.LIVE);
+    });
+});
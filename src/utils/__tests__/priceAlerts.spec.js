@@ -0,0 +1,87 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+    AlertTypes, normalizeAlert, isValidAlert, isAlertTriggered,
+} from '../priceAlerts';
+
+const crossAbove = { type: AlertTypes.CROSS_ABOVE, price: 10 };
+const crossBelow = { type: AlertTypes.CROSS_BELOW, price: 10 };
+const enterChannel = { type: AlertTypes.ENTER_CHANNEL, high: 12, low: 8 };
+const exitChannel = { type: AlertTypes.EXIT_CHANNEL, high: 12, low: 8 };
+const percentMove = { type: AlertTypes.PERCENT_MOVE, percent: 2, minutes: 5 };
+
+describe('priceAlerts test', function () {
+    it('Test alerts are normalized', function () {
+        expect(normalizeAlert({ type: AlertTypes.CROSS_ABOVE, price: '10.5' })).to.deep.equal({ type: AlertTypes.CROSS_ABOVE, price: 10.5 });
+        expect(normalizeAlert({ ...enterChannel, high: '8', low: '12' })).to.deep.equal(enterChannel);
+        expect(normalizeAlert({ ...percentMove, percent: '2', minutes: '5' })).to.deep.equal(percentMove);
+    });
+
+    it('Test alerts are validated', function () {
+        [crossAbove, crossBelow, enterChannel, exitChannel, percentMove]
+            .forEach(alert => expect(isValidAlert(alert)).to.equal(true));
+        expect(isValidAlert({ type: AlertTypes.CROSS_ABOVE, price: NaN })).to.equal(false);
+        expect(isValidAlert({ type: AlertTypes.ENTER_CHANNEL, high: 12 })).to.equal(false);
+        expect(isValidAlert({ ...percentMove, percent: 0 })).to.equal(false);
+        expect(isValidAlert({ ...percentMove, minutes: -1 })).to.equal(false);
+        expect(isValidAlert({ type: 'unknown', price: 10 })).to.equal(false);
+    });
+
+    it('Test cross above and below', function () {
+        expect(isAlertTriggered(crossAbove, { prevClose: 9, close: 11 })).to.equal(true);
+        expect(isAlertTriggered(crossAbove, { prevClose: 11, close: 12 })).to.equal(false);
+        expect(isAlertTriggered(crossBelow, { prevClose: 11, close: 9 })).to.equal(true);
+        expect(isAlertTriggered(crossBelow, { prevClose: 9, close: 8 })).to.equal(false);
+        // no previous quote to cross from
+        expect(isAlertTriggered(crossAbove, { close: 11 })).to.equal(false);
+    });
+
+    it('Test a price exactly at the level', function () {
+        // reaching the level is a cross...
+        expect(isAlertTriggered(crossAbove, { prevClose: 9, close: 10 })).to.equal(true);
+        expect(isAlertTriggered(crossBelow, { prevClose: 11, close: 10 })).to.equal(true);
+        // ...but leaving it is not a second one
+        expect(isAlertTriggered(crossAbove, { prevClose: 10, close: 11 })).to.equal(false);
+        expect(isAlertTriggered(crossBelow, { prevClose: 10, close: 9 })).to.equal(false);
+        // the channel includes its bounds
+        expect(isAlertTriggered(enterChannel, { prevClose: 13, close: 12 })).to.equal(true);
+        expect(isAlertTriggered(exitChannel, { prevClose: 8, close: 7.9 })).to.equal(true);
+        expect(isAlertTriggered(exitChannel, { prevClose: 9, close: 8 })).to.equal(false);
+    });
+
+    it('Test enter and exit channel', function () {
+        expect(isAlertTriggered(enterChannel, { prevClose: 7, close: 9 })).to.equal(true);
+        expect(isAlertTriggered(enterChannel, { prevClose: 9, close: 10 })).to.equal(false);
+        expect(isAlertTriggered(enterChannel, { prevClose: 7, close: 13 })).to.equal(false);
+        expect(isAlertTriggered(exitChannel, { prevClose: 9, close: 13 })).to.equal(true);
+        expect(isAlertTriggered(exitChannel, { prevClose: 7, close: 6 })).to.equal(false);
+    });
+
+    it('Test percent move within the last minutes', function () {
+        const quotes = [
+            { epoch: 0, close: 100 },
+            { epoch: 100, close: 101 },
+            { epoch: 200, close: 100.5 },
+        ];
+        // against the quote at 100, the first within 5 minutes of 400
+        expect(isAlertTriggered(percentMove, { close: 103.1, epoch: 400 }, quotes)).to.equal(true);
+        expect(isAlertTriggered(percentMove, { close: 102.5, epoch: 400 }, quotes)).to.equal(false);
+        expect(isAlertTriggered(percentMove, { close: 98.9, epoch: 400 }, quotes)).to.equal(true);
+        // against the quote at 0
+        expect(isAlertTriggered(percentMove, { close: 102, epoch: 300 }, quotes)).to.equal(true);
+        // no quote within the period
+        expect(isAlertTriggered(percentMove, { close: 110, epoch: 1000 }, quotes)).to.equal(false);
+    });
+
+    it('Test percent move only considers quotes since it was last triggered', function () {
+        const quotes = [
+            { epoch: 0, close: 100 },
+            { epoch: 100, close: 103 },
+            { epoch: 200, close: 103.5 },
+        ];
+        expect(isAlertTriggered(percentMove, { close: 103.5, epoch: 200 }, quotes)).to.equal(true);
+        // triggered at 100: the move is against the quote at 100
+        expect(isAlertTriggered(percentMove, { close: 103.5, epoch: 200 }, quotes, 100)).to.equal(false);
+        expect(isAlertTriggered(percentMove, { close: 105.1, epoch: 200 }, quotes, 100)).to.equal(true);
+    });
+});
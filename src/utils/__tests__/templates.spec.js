@@ -0,0 +1,76 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+    validateLayout,
+    exportTemplates,
+    parseTemplates,
+    getUniqueName,
+    describeLayout,
+    encodeTemplatesFragment,
+    decodeTemplatesFragment,
+    removeTemplatesFragment,
+} from '../templates';
+
+const layout = {
+    chartType: 'candle',
+    interval: 5,
+    timeUnit: 'minute',
+    periodicity: 5,
+    studies: { 'rsi (14)': { type: 'rsi', inputs: { Period: 14 } } },
+    panels: { chart: {}, 'rsi (14)': {} },
+};
+
+describe('templates test', function () {
+    it('Test layouts are validated', function () {
+        expect(validateLayout(layout)).to.equal(undefined);
+        expect(validateLayout({ ...layout, interval: 'year' })).to.equal('the interval is invalid');
+        expect(validateLayout({ ...layout, studies: { ma: { type: 1 } } })).to.equal('the study ma is invalid');
+        expect(validateLayout([])).to.equal('the layout is not an object');
+    });
+
+    it('Test exported templates are imported without their symbols', function () {
+        const json = exportTemplates([{ name: 'RSI', layout: { ...layout, symbols: [{ symbol: 'R_50' }] } }]);
+        const { templates, errors } = parseTemplates(json);
+        expect(errors).to.deep.equal([]);
+        expect(templates).to.deep.equal([{ name: 'RSI', layout }]);
+    });
+
+    it('Test invalid templates are reported', function () {
+        const { templates, errors } = parseTemplates(JSON.stringify([
+            { name: 'valid', layout },
+            { name: 'invalid', layout: { ...layout, periodicity: '5' } },
+            { layout },
+        ]));
+        expect(templates.map(({ name }) => name)).to.deep.equal(['valid']);
+        expect(errors).to.deep.equal([
+            { name: 'invalid', error: 'the periodicity is invalid' },
+            { name: '#3', error: 'the template has no name' },
+        ]);
+        expect(() => parseTemplates('{')).to.throw('the file is not valid JSON');
+        expect(() => parseTemplates(JSON.stringify({ type: 'smartcharts-templates', version: 2, templates: [] })))
+            .to.throw('the templates were exported by a newer version');
+    });
+
+    it('Test unique names', function () {
+        const templates = [{ name: 'RSI' }, { name: 'rsi (2)' }];
+        expect(getUniqueName('MACD', templates)).to.equal('MACD');
+        expect(getUniqueName('RSI', templates)).to.equal('RSI (3)');
+    });
+
+    it('Test layouts are described', function () {
+        expect(describeLayout(layout)).to.deep.equal({ chartType: 'candle', granularity: 300, studies: ['rsi (14)'] });
+        expect(describeLayout({ chartType: 'mountain', tension: 0.5, interval: 1, timeUnit: 'second' }))
+            .to.deep.equal({ chartType: 'spline', granularity: 0, studies: [] });
+    });
+
+    it('Test templates are shared in the URL fragment', function () {
+        const fragment = encodeTemplatesFragment([{ name: 'Ünïcode', layout }]);
+        expect(fragment).to.match(/^templates=[\w-]+$/);
+
+        const hash = `#lang=en&${fragment}`;
+        expect(parseTemplates(decodeTemplatesFragment(hash)).templates).to.deep.equal([{ name: 'Ünïcode', layout }]);
+        expect(removeTemplatesFragment(hash)).to.equal('#lang=en');
+        expect(decodeTemplatesFragment('#lang=en')).to.equal(undefined);
+        expect(() => decodeTemplatesFragment('#templates=%%')).to.throw('the link is invalid');
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+    getDatesBetween, parseSessions, getDayEvents, mergeSessions, getSessionGaps, getNextChange,
+} from '../tradingSessions';
+
+const epoch = str => Date.parse(`${str}Z`) / 1000;
+
+describe('tradingSessions test', function () {
+    it('Test dates between two epochs', function () {
+        expect(getDatesBetween(epoch('2018-08-24T10:00:00'), epoch('2018-08-26T01:00:00')))
+            .to.deep.equal(['2018-08-24', '2018-08-25', '2018-08-26']);
+        expect(getDatesBetween(epoch('2018-08-24T10:00:00'), epoch('2018-08-24T11:00:00')))
+            .to.deep.equal(['2018-08-24']);
+    });
+
+    it('Test sessions are parsed from trading times', function () {
+        expect(parseSessions('2018-08-24', { open: ['01:00:00', '05:00:00'], close: ['04:00:00', '09:00:00'] }))
+            .to.deep.equal([
+                { open: epoch('2018-08-24T01:00:00'), close: epoch('2018-08-24T04:00:00') },
+                { open: epoch('2018-08-24T05:00:00'), close: epoch('2018-08-24T09:00:00') },
+            ]);
+        expect(parseSessions('2018-08-24', { open: ['00:00:00'], close: ['23:59:59'] }))
+            .to.deep.equal([{ open: epoch('2018-08-24T00:00:00'), close: epoch('2018-08-25T00:00:00') }]);
+        expect(parseSessions('2018-08-24', { open: ['22:00:00'], close: ['02:00:00'] }))
+            .to.deep.equal([{ open: epoch('2018-08-24T22:00:00'), close: epoch('2018-08-25T02:00:00') }]);
+        expect(parseSessions('2018-08-25', { open: ['--'], close: ['--'] })).to.deep.equal([]);
+    });
+
+    it('Test the events of a day', function () {
+        const events = [
+            { dates: 'Fridays', descrip: 'Closes early (at 21:00)' },
+            { dates: '2018-09-12, 2018-09-13', descrip: 'Ganesh Chaturthi' },
+        ];
+        expect(getDayEvents(events, '2018-08-24')).to.deep.equal(['Closes early (at 21:00)']);
+        expect(getDayEvents(events, '2018-09-13')).to.deep.equal(['Ganesh Chaturthi']);
+        expect(getDayEvents(events, '2018-09-11')).to.deep.equal([]);
+        expect(getDayEvents(undefined, '2018-09-11')).to.deep.equal([]);
+    });
+
+    it('Test adjacent sessions are merged', function () {
+        expect(mergeSessions([{ open: 30, close: 40 }, { open: 0, close: 10 }, { open: 10, close: 20 }]))
+            .to.deep.equal([{ open: 0, close: 20 }, { open: 30, close: 40 }]);
+    });
+
+    it('Test the gaps between sessions', function () {
+        const sessions = [{ open: 10, close: 20 }, { open: 30, close: 40 }];
+        expect(getSessionGaps(sessions, 0, 50)).to.deep.equal([
+            { start: 0, end: 10 },
+            { start: 20, end: 30 },
+            { start: 40, end: 50 },
+        ]);
+        expect(getSessionGaps(sessions, 15, 35)).to.deep.equal([{ start: 20, end: 30 }]);
+        expect(getSessionGaps([], 0, 10)).to.deep.equal([{ start: 0, end: 10 }]);
+    });
+
+    it('Test the next open or close', function () {
+        const sessions = [{ open: 10, close: 20 }, { open: 30, close: 40 }];
+        expect(getNextChange(sessions, 5, 50)).to.deep.equal({ isOpening: true, epoch: 10 });
+        expect(getNextChange(sessions, 15, 50)).to.deep.equal({ isOpening: false, epoch: 20 });
+        expect(getNextChange(sessions, 20, 50)).to.deep.equal({ isOpening: true, epoch: 30 });
+        expect(getNextChange(sessions, 45, 50)).to.equal(undefined);
+        // open until the end of the known sessions
+        expect(getNextChange([{ open: 0, close: 50 }], 5, 50)).to.equal(undefined);
+    });
+});
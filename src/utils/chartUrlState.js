@@ -0,0 +1,148 @@
+import { calculateTimeUnitInterval, encodeBase64Url, decodeBase64Url } from '.';
+
+const CHART_STATE_VERSION = 1;
+// Values of drawings are kept to this many significant digits
+const DRAWING_PRECISION = 8;
+// Drawings are left out of the URL when their JSON is longer than this
+export const MAX_DRAWINGS_LENGTH = 2000;
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Returns `value` of a drawing with its numbers rounded and empty fields left out
+function compactDrawingValue(value) {
+    if (typeof value === 'number') { return +value.toPrecision(DRAWING_PRECISION); }
+    if (Array.isArray(value)) { return value.map(compactDrawingValue); }
+    if (!isObject(value)) { return value; }
+    const compact = {};
+    Object.keys(value).forEach((key) => {
+        if (value[key] !== undefined && value[key] !== null && value[key] !== '') {
+            compact[key] = compactDrawingValue(value[key]);
+        }
+    });
+    return compact;
+}
+
+/*
+ * The chart state in the URL is the URL safe base64 of compact JSON:
+ * { v: version, s: symbol, g: granularity, t: chart type, r: [start epoch, end epoch],
+ *   i: studies as [type, inputs, outputs, panel], c: comparisons as [symbol, color], d: drawings }
+ * Drawings are serialised with their values rounded; they are left out when they
+ * are longer than MAX_DRAWINGS_LENGTH, so that the URL stays short enough to share.
+ */
+export function encodeChartState({
+    symbol,
+    granularity,
+    chartType,
+    startEpoch,
+    endEpoch,
+    studies = [],
+    comparisons = [],
+    drawings = [],
+}) {
+    const compact = { v: CHART_STATE_VERSION, s: symbol, g: granularity, t: chartType };
+    if (startEpoch && endEpoch) { compact.r = [startEpoch, endEpoch]; }
+    if (studies.length) {
+        compact.i = studies.map(({ type, inputs, outputs, panel }) => [type, inputs, outputs, panel]);
+    }
+    if (comparisons.length) {
+        compact.c = comparisons.map(comparison => [comparison.symbol, comparison.color]);
+    }
+    const compactDrawings = drawings.map(compactDrawingValue);
+    if (drawings.length && JSON.stringify(compactDrawings).length <= MAX_DRAWINGS_LENGTH) {
+        compact.d = compactDrawings;
+    }
+    return encodeBase64Url(JSON.stringify(compact));
+}
+
+// Returns the chart state encoded by `encodeChartState`, or throws if it is invalid
+export function decodeChartState(value) {
+    let compact;
+    try {
+        compact = JSON.parse(decodeBase64Url(value));
+    } catch (e) {
+        throw new Error('the chart link is invalid');
+    }
+    if (!isObject(compact) || typeof compact.s !== 'string') {
+        throw new Error('the chart link is invalid');
+    }
+    if (compact.v > CHART_STATE_VERSION) {
+        throw new Error('the chart link was made by a newer version');
+    }
+
+    const { s: symbol, g: granularity, t: chartType, r: range, i: studies, c: comparisons, d: drawings } = compact;
+    const hasRange = Array.isArray(range) && isNumber(range[0]) && isNumber(range[1]) && range[0] < range[1];
+    return {
+        symbol,
+        granularity: isNumber(granularity) ? granularity : undefined,
+        chartType: typeof chartType === 'string' ? chartType : undefined,
+        startEpoch: hasRange ? range[0] : undefined,
+        endEpoch: hasRange ? range[1] : undefined,
+        // items that are not valid are left out
+        studies: (Array.isArray(studies) ? studies : [])
+            .filter(study => Array.isArray(study) && typeof study[0] === 'string' && isObject(study[1]) && study[1].id)
+            .map(([type, inputs, outputs, panel]) => ({
+                type,
+                inputs,
+                outputs: isObject(outputs) ? outputs : {},
+                panel: typeof panel === 'string' ? panel : inputs.id,
+            })),
+        comparisons: (Array.isArray(comparisons) ? comparisons : [])
+            .filter(comparison => Array.isArray(comparison) && typeof comparison[0] === 'string')
+            .map(([comparisonSymbol, color]) => ({ symbol: comparisonSymbol, color })),
+        drawings: (Array.isArray(drawings) ? drawings : []).filter(isObject),
+    };
+}
+
+// Returns the ChartIQ layout of a chart state; symbol objects and panel heights are set when it is restored
+export function createLayout({ symbol, granularity, chartType, studies, comparisons }) {
+    const layout = {
+        chartType,
+        periodicity: 1,
+        ...calculateTimeUnitInterval(granularity || 0),
+        studies: {},
+        panels: { chart: { percent: 1, display: symbol } },
+        symbols: [
+            { symbol },
+            ...comparisons.map(comparison => ({
+                symbol: comparison.symbol,
+                parameters: {
+                    isComparison: true,
+                    color: comparison.color || 'auto',
+                    width: 1,
+                    data: { useDefaultQuoteFeed: true },
+                    forceData: true,
+                },
+            })),
+        ],
+    };
+    // spline charts are mountain charts with a tension
+    if (chartType === 'spline') {
+        layout.chartType = 'mountain';
+        layout.tension = 0.5;
+    }
+    studies.forEach(({ type, inputs, outputs, panel }) => {
+        layout.studies[inputs.id] = { type, inputs, outputs, panel, parameters: {} };
+        if (panel !== 'chart' && !layout.panels[panel]) {
+            layout.panels[panel] = { percent: 0, display: panel };
+        }
+    });
+    return layout;
+}
+
+// Returns the value of the query parameter `name`, or undefined if there is none
+export function getQueryParam(search, name) {
+    const value = new URLSearchParams(search).get(name);
+    return value === null ? undefined : value;
+}
+
+// Returns `url` with the query parameter `name` set to `value`, or removed if `value` is undefined
+export function setQueryParam(url, name, value) {
+    const result = new URL(url);
+    if (value === undefined) {
+        result.searchParams.delete(name);
+    } else {
+        result.searchParams.set(name, value);
+    }
+    return result.toString();
+}
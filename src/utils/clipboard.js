@@ -0,0 +1,14 @@
+/*
+ * Copies the text to the clipboard. Resolves to whether it was copied: the
+ * clipboard is not available on insecure pages or in frames without the
+ * permission, and the write can be denied.
+ */
+export function copyToClipboard(text) {
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+        return Promise.resolve(false);
+    }
+    return navigator.clipboard.writeText(text).then(() => true, (error) => {
+        console.error('Error copying to the clipboard:', error);
+        return false;
+    });
+}
@@ -0,0 +1,83 @@
+import moment from 'moment';
+import { getUTCEpoch } from './index';
+
+// Export of the chart data to CSV or JSON
+
+/*
+ * Epochs of the export range from `startDate` and `endDate` (YYYY-MM-DD, or empty
+ * for the loaded range), in UTC or local time depending on `isUTC`; the end date
+ * is inclusive.
+ */
+export function getExportRange(startDate, endDate, isUTC) {
+    const parse = date => (isUTC ? moment.utc(date, 'YYYY-MM-DD') : moment(date, 'YYYY-MM-DD'));
+    return {
+        start: startDate ? parse(startDate).unix() : undefined,
+        end: endDate ? parse(endDate).add(1, 'day').unix() - 1 : undefined,
+    };
+}
+
+/*
+ * Columns ([{ title, isNumeric, getValue(quote) }]) of the exported quotes: the date
+ * and time, the price (ticks) or OHLC (candles) of `symbolName`, then the close of
+ * each of the `comparisons` ([{ field, name, decimalPlaces }]) and the value of each
+ * of the `studyFields`.
+ */
+export function getExportColumns({
+    isTick, isUTC, symbolName, decimalPlaces, comparisons = [], studyFields = [],
+}) {
+    const format = (value, places) => (typeof value === 'number' ? value.toFixed(places) : '');
+    const getDate = (quote) => {
+        // DT holds the UTC time as local time; see getUTCDate
+        const epoch = getUTCEpoch(quote.DT);
+        return isUTC ? moment.utc(epoch * 1000) : moment(epoch * 1000);
+    };
+
+    const columns = [
+        { title: 'Date', getValue: quote => getDate(quote).format('YYYY-MM-DD') },
+        { title: 'Time', getValue: quote => getDate(quote).format(isTick ? 'HH:mm:ss' : 'HH:mm') },
+    ];
+    if (isTick) {
+        columns.push({ title: symbolName, isNumeric: true, getValue: quote => format(quote.Close, decimalPlaces) });
+    } else {
+        for (const field of ['Open', 'High', 'Low', 'Close']) {
+            columns.push({ title: field, isNumeric: true, getValue: quote => format(quote[field], decimalPlaces) });
+        }
+    }
+    for (const comparison of comparisons) {
+        columns.push({
+            title: comparison.name || comparison.field,
+            isNumeric: true,
+            getValue: quote => format(
+                quote[comparison.field] && quote[comparison.field].Close,
+                comparison.decimalPlaces || decimalPlaces,
+            ),
+        });
+    }
+    for (const field of studyFields) {
+        columns.push({ title: field, isNumeric: true, getValue: quote => format(quote[field], decimalPlaces) });
+    }
+    return columns;
+}
+
+export function toCSV(columns, rows) {
+    const escape = (value) => {
+        const text = `${value}`;
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map(c => escape(c.title)).join(',')];
+    for (const row of rows) {
+        lines.push(row.map(escape).join(','));
+    }
+    return lines.join('\n');
+}
+
+export function toJSON(columns, rows) {
+    return JSON.stringify(rows.map((row) => {
+        const item = {};
+        columns.forEach(({ title, isNumeric }, idx) => {
+            // empty values (e.g. before a comparison starts) are left out
+            if (row[idx] !== '') { item[title] = isNumeric ? +row[idx] : row[idx]; }
+        });
+        return item;
+    }), null, 2);
+}
@@ -0,0 +1,26 @@
+// Holes in the data of a chart, e.g. ticks missed while the connection was closed; epochs are in seconds
+
+// Ticks do not come at a fixed rate, so a hole in ticks is a spacing this many
+// times their median spacing...
+const TICK_SPACING_FACTOR = 5;
+// ...and of at least this many seconds
+const MIN_TICK_SPACING = 10;
+
+// Longest spacing expected between bars of `granularity` (0 for ticks), from their sorted `epochs`
+export function getExpectedSpacing(epochs, granularity) {
+    if (granularity) { return granularity; }
+    const spacings = epochs.slice(1).map((epoch, idx) => epoch - epochs[idx]).sort((a, b) => a - b);
+    const median = spacings.length ? spacings[spacings.length >> 1] : 0;
+    return Math.max(median * TICK_SPACING_FACTOR, MIN_TICK_SPACING);
+}
+
+// Holes ([{ start, end }]) longer than `spacing` between the sorted `epochs`; a hole starts and ends at the bars around it
+export function findGaps(epochs, spacing) {
+    const gaps = [];
+    for (let idx = 1; idx < epochs.length; idx++) {
+        if (epochs[idx] - epochs[idx - 1] > spacing) {
+            gaps.push({ start: epochs[idx - 1], end: epochs[idx] });
+        }
+    }
+    return gaps;
+}
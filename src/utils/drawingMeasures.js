@@ -0,0 +1,40 @@
+// Measurements shown by the price range, date range and position drawings
+
+// Number of bars between two ticks, both included (as in the measure sticky)
+export function countBars(tick0, tick1) {
+    return Math.round(Math.abs(tick1 - tick0)) + 1;
+}
+
+// Change from `price0` to `price1`, e.g. `+1.25 (+0.52%)`
+export function formatPriceChange(price0, price1, decimalPlaces = 2) {
+    const change = price1 - price0;
+    const sign = change > 0 ? '+' : '';
+    const percent = price0 ? ` (${sign}${((change / price0) * 100).toFixed(2)}%)` : '';
+    return `${sign}${change.toFixed(decimalPlaces)}${percent}`;
+}
+
+// Duration of `seconds` in its two largest units, e.g. `2d 4h` or `5m 30s`
+export function formatDuration(seconds) {
+    const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    let rest = Math.round(Math.abs(seconds));
+    const parts = [];
+    units.forEach(([unit, size]) => {
+        const value = Math.floor(rest / size);
+        rest -= value * size;
+        if ((value || parts.length) && parts.length < 2) { parts.push(`${value}${unit}`); }
+    });
+    return parts.filter(part => !part.startsWith('0')).join(' ') || '0s';
+}
+
+// Reward and risk of a position opened at `entry`, closed at `target` or `stop`
+export function measurePosition({ entry, target, stop }) {
+    const reward = Math.abs(target - entry);
+    const risk = Math.abs(stop - entry);
+    return {
+        reward,
+        risk,
+        ratio: risk ? reward / risk : undefined,
+        rewardPercent: entry ? (reward / entry) * 100 : undefined,
+        riskPercent: entry ? (risk / entry) * 100 : undefined,
+    };
+}
@@ -0,0 +1,32 @@
+// Health of the feed of the main chart; times are in seconds
+
+export const FeedStatus = {
+    // not streaming, e.g. the market is closed or a replay is playing
+    INACTIVE: 'inactive',
+    // the connection is closed
+    OFFLINE: 'offline',
+    // no data for longer than the stale threshold
+    STALE: 'stale',
+    // the market is streamed with a delay
+    DELAYED: 'delayed',
+    // ticks arrive later than the latency threshold
+    SLOW: 'slow',
+    LIVE: 'live',
+};
+
+export const DEFAULT_FEED_HEALTH_THRESHOLDS = { stale: 30, latency: 2 };
+
+/*
+ * Status of the feed from `isStreaming`, `isConnected`, `isDelayed`, the time
+ * since the last tick (`sinceLastTick`) and the `latency` of the last tick.
+ */
+export function getFeedStatus({
+    isStreaming, isConnected, isDelayed, sinceLastTick, latency,
+}, thresholds = DEFAULT_FEED_HEALTH_THRESHOLDS) {
+    if (!isStreaming) { return FeedStatus.INACTIVE; }
+    if (!isConnected) { return FeedStatus.OFFLINE; }
+    if (sinceLastTick >= thresholds.stale) { return FeedStatus.STALE; }
+    if (isDelayed) { return FeedStatus.DELAYED; }
+    if (latency >= thresholds.latency) { return FeedStatus.SLOW; }
+    return FeedStatus.LIVE;
+}
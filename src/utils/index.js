@@ -23,7 +23,8 @@ export const getTimeUnit = ({ timeUnit, interval }) => {
         return 'hour';
     }
     if (timeUnit === 'second') {
-        return 'tick';
+        // a period of 1 second is used for ticks
+        return interval > 1 ? 'second' : 'tick';
     }
     return timeUnit;
 };
@@ -131,6 +132,8 @@ export function calculateTimeUnitInterval(granularity) {
     } else if (granularity > 59) {
         interval = granularity / 60;
         timeUnit = 'minute';
+    } else if (granularity > 1) {
+        interval = granularity;
     }
 
     return { interval, timeUnit };
@@ -143,6 +146,10 @@ export function calculateGranularity(period, interval) {
         day: 24 * 60 * 60,
     };
 
+    if (interval === 'second' && period > 1) {
+        // second candles; a period of 1 second is used for ticks
+        return +period;
+    }
     return toSeconds[interval] * period;
 }
 
@@ -238,6 +245,27 @@ export function patchPixelFromChart(stx) {
     };
 }
 
+// Returns the x pixel of `date`. ChartIQ doesn't support placing markers in
+// the middle of ticks, so we interpolate the pixel distance between two adjacent ticks.
+export function pixelFromDate(stx, date, chart = stx.chart) {
+    const tickIdx = stx.tickFromDate(date, chart);
+    let x = stx.pixelFromTick(tickIdx, chart);
+
+    const bar = chart.dataSet[tickIdx];
+    if (bar && bar.DT < date) {
+        const barNext = chart.dataSet[tickIdx + 1];
+        const barPrev = tickIdx > 0 ? chart.dataSet[tickIdx - 1] : null;
+        if (barNext && barNext.Close && barNext.DT > date) {
+            const pixelToNextBar = stx.pixelFromTick(tickIdx + 1, chart) - x;
+            x +=  (date - bar.DT) / (barNext.DT - bar.DT) * pixelToNextBar;
+        } else if (barPrev && barPrev.Close) {
+            const pixelFromPrevBar = x - stx.pixelFromTick(tickIdx - 1, chart);
+            x +=  (date - bar.DT) / (bar.DT - barPrev.DT) * pixelFromPrevBar;
+        }
+    }
+    return x;
+}
+
 export const ARROW_HEIGHT = 39;
 
 export const ARROW_COLORS = Object.freeze({
@@ -254,3 +282,18 @@ export const formatCamelCase = (s) => {
     const capitalized = s.charAt(0).toUpperCase() + s.slice(1);
     return capitalized.replace(/([a-z](?=[A-Z]))/g, '$1 ');
 };
+
+// Base64 of the UTF-8 bytes of `text`, safe for URLs (RFC 4648 §5, without padding)
+export function encodeBase64Url(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Throws if `base64` is not the URL safe base64 of UTF-8 text
+export function decodeBase64Url(base64) {
+    const bytes = Uint8Array.from(atob(base64.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
@@ -0,0 +1,80 @@
+// Price alerts: their types, and whether a new quote triggers them
+
+export const AlertTypes = {
+    CROSS_ABOVE: 'cross_above',
+    CROSS_BELOW: 'cross_below',
+    ENTER_CHANNEL: 'enter_channel',
+    EXIT_CHANNEL: 'exit_channel',
+    PERCENT_MOVE: 'percent_move',
+};
+
+export const ALERT_TYPES = [
+    AlertTypes.CROSS_ABOVE,
+    AlertTypes.CROSS_BELOW,
+    AlertTypes.ENTER_CHANNEL,
+    AlertTypes.EXIT_CHANNEL,
+    AlertTypes.PERCENT_MOVE,
+];
+
+export function getPriceFields(type) {
+    switch (type) {
+    case AlertTypes.CROSS_ABOVE:
+    case AlertTypes.CROSS_BELOW:
+        return ['price'];
+    case AlertTypes.ENTER_CHANNEL:
+    case AlertTypes.EXIT_CHANNEL:
+        return ['high', 'low'];
+    default:
+        return [];
+    }
+}
+
+// Converts numeric strings and keeps `high` above `low`
+export function normalizeAlert(alert) {
+    const result = { ...alert };
+    for (const field of ['price', 'high', 'low', 'percent', 'minutes']) {
+        if (result[field] !== undefined) { result[field] = +result[field]; }
+    }
+    if (result.high < result.low) {
+        [result.high, result.low] = [result.low, result.high];
+    }
+    return result;
+}
+
+export function isValidAlert(alert) {
+    const isNumber = value => typeof value === 'number' && !Number.isNaN(value);
+    if (alert.type === AlertTypes.PERCENT_MOVE) {
+        return isNumber(alert.percent) && alert.percent > 0 && isNumber(alert.minutes) && alert.minutes > 0;
+    }
+    return ALERT_TYPES.includes(alert.type)
+        && getPriceFields(alert.type).every(field => isNumber(alert[field]));
+}
+
+/*
+ * Returns whether the alert is triggered by a new quote { close, prevClose, epoch }.
+ * `quotes` are the recent { epoch, close } used for percent moves, which only
+ * consider quotes after `since` (the epoch the alert was last triggered).
+ */
+export function isAlertTriggered(alert, { close, prevClose, epoch }, quotes = [], since = 0) {
+    const hasPrev = typeof prevClose === 'number';
+    const isInside = value => value >= alert.low && value <= alert.high;
+    switch (alert.type) {
+    case AlertTypes.CROSS_ABOVE:
+        return hasPrev && prevClose < alert.price && close >= alert.price;
+    case AlertTypes.CROSS_BELOW:
+        return hasPrev && prevClose > alert.price && close <= alert.price;
+    case AlertTypes.ENTER_CHANNEL:
+        return hasPrev && !isInside(prevClose) && isInside(close);
+    case AlertTypes.EXIT_CHANNEL:
+        return hasPrev && isInside(prevClose) && !isInside(close);
+    case AlertTypes.PERCENT_MOVE: {
+        const from = Math.max(epoch - alert.minutes * 60, since);
+        const reference = quotes.find(q => q.epoch >= from);
+        if (!reference || !reference.close) { return false; }
+        const change = ((close - reference.close) / reference.close) * 100;
+        return Math.abs(change) >= alert.percent;
+    }
+    default:
+        return false;
+    }
+}
@@ -0,0 +1,138 @@
+import { getIntervalInSeconds, encodeBase64Url, decodeBase64Url } from '.';
+
+// Type of the files the templates are exported to
+export const TEMPLATES_FILE_TYPE = 'smartcharts-templates';
+const TEMPLATES_FILE_VERSION = 1;
+// URL fragment parameter that templates are shared with, e.g. `#templates=...`
+const FRAGMENT_PARAM = 'templates';
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Returns why `layout` is not a layout exported by the chart, or undefined if it is valid
+export function validateLayout(layout) {
+    if (!isObject(layout)) { return 'the layout is not an object'; }
+    if (layout.chartType !== undefined && typeof layout.chartType !== 'string') {
+        return 'the chart type is invalid';
+    }
+    const { interval, timeUnit, periodicity } = layout;
+    if (interval !== undefined && typeof interval !== 'number' && interval !== 'day' && interval !== 'week' && interval !== 'month') {
+        return 'the interval is invalid';
+    }
+    if (timeUnit !== undefined && timeUnit !== null && typeof timeUnit !== 'string') {
+        return 'the time unit is invalid';
+    }
+    if (periodicity !== undefined && typeof periodicity !== 'number') {
+        return 'the periodicity is invalid';
+    }
+    if (layout.studies !== undefined) {
+        if (!isObject(layout.studies)) { return 'the studies are invalid'; }
+        const invalid = Object.keys(layout.studies)
+            .find(id => !isObject(layout.studies[id]) || typeof layout.studies[id].type !== 'string');
+        if (invalid) { return `the study ${invalid} is invalid`; }
+    }
+    if (layout.panels !== undefined) {
+        if (!isObject(layout.panels)) { return 'the panels are invalid'; }
+        const invalid = Object.keys(layout.panels).find(name => !isObject(layout.panels[name]));
+        if (invalid) { return `the panel ${invalid} is invalid`; }
+    }
+}
+
+// Returns a copy of the template with only the known fields, or throws if it is invalid
+export function normalizeTemplate(template) {
+    if (!isObject(template)) { throw new Error('the template is not an object'); }
+    const name = typeof template.name === 'string' ? template.name.trim() : '';
+    if (!name) { throw new Error('the template has no name'); }
+    const error = validateLayout(template.layout);
+    if (error) { throw new Error(error); }
+
+    // templates do not change the symbols of the chart
+    const { symbols, ...layout } = template.layout; // eslint-disable-line no-unused-vars
+    return { name, layout, ...(template.isDefault ? { isDefault: true } : {}) };
+}
+
+export function exportTemplates(templates) {
+    return JSON.stringify({
+        type: TEMPLATES_FILE_TYPE,
+        version: TEMPLATES_FILE_VERSION,
+        templates: templates.map(({ name, layout }) => ({ name, layout })),
+    }, null, 2);
+}
+
+// Parses exported templates; a single template or a list of them is accepted too.
+// Returns the valid templates, and the reasons why the others are invalid.
+export function parseTemplates(json) {
+    let content;
+    try {
+        content = JSON.parse(json);
+    } catch (e) {
+        throw new Error('the file is not valid JSON');
+    }
+    let list = content;
+    if (isObject(content) && content.type === TEMPLATES_FILE_TYPE) {
+        if (content.version > TEMPLATES_FILE_VERSION) {
+            throw new Error('the templates were exported by a newer version');
+        }
+        list = content.templates;
+    }
+    if (!Array.isArray(list)) { list = [list]; }
+
+    const templates = [];
+    const errors = [];
+    list.forEach((template, idx) => {
+        try {
+            templates.push(normalizeTemplate(template));
+        } catch (error) {
+            const name = (isObject(template) && typeof template.name === 'string' && template.name) || `#${idx + 1}`;
+            errors.push({ name, error: error.message });
+        }
+    });
+    return { templates, errors };
+}
+
+// Returns `name`, or `name (n)` with the lowest n that no template has
+export function getUniqueName(name, templates) {
+    const names = templates.map(template => template.name.toLowerCase());
+    let result = name;
+    for (let n = 2; names.includes(result.toLowerCase()); n++) {
+        result = `${name} (${n})`;
+    }
+    return result;
+}
+
+// Summary of a template layout: { chartType, granularity (in seconds), studies }
+export function describeLayout(layout) {
+    let chartType = layout.chartType;
+    // spline and line charts are both of type mountain, with different tensions
+    if (chartType === 'mountain' && layout.tension === 0.5) {
+        chartType = 'spline';
+    }
+    const granularity = layout.interval !== undefined ? getIntervalInSeconds(layout) : undefined;
+    return {
+        chartType,
+        // ticks are stored as an interval of 1 second
+        granularity: (layout.timeUnit === 'second' && layout.interval === 1) ? 0 : granularity,
+        studies: Object.keys(layout.studies || {}),
+    };
+}
+
+export function encodeTemplatesFragment(templates) {
+    return `${FRAGMENT_PARAM}=${encodeBase64Url(exportTemplates(templates))}`;
+}
+
+// Returns the templates JSON in a URL fragment (e.g. `#templates=...`), or undefined if there is none
+export function decodeTemplatesFragment(hash) {
+    const param = hash.replace(/^#/, '').split('&').find(item => item.startsWith(`${FRAGMENT_PARAM}=`));
+    if (!param) { return; }
+    try {
+        return decodeBase64Url(param.slice(FRAGMENT_PARAM.length + 1));
+    } catch (e) {
+        throw new Error('the link is invalid');
+    }
+}
+
+// Removes the templates from a URL fragment, keeping its other parameters
+export function removeTemplatesFragment(hash) {
+    const params = hash.replace(/^#/, '').split('&')
+        .filter(item => item && !item.startsWith(`${FRAGMENT_PARAM}=`));
+    return params.length ? `#${params.join('&')}` : '';
+}
@@ -0,0 +1,84 @@
+// Trading sessions of a symbol and the non-trading periods between them; epochs are in seconds
+
+const DAY = 86400;
+const WEEKDAYS = ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'];
+
+// Dates (YYYY-MM-DD, UTC) of the days from epoch `start` to epoch `end`, both included
+export function getDatesBetween(start, end) {
+    const dates = [];
+    for (let day = start - (start % DAY); day <= end; day += DAY) {
+        dates.push(new Date(day * 1000).toISOString().substring(0, 10));
+    }
+    return dates;
+}
+
+/*
+ * Sessions ([{ open, close }]) on `date` (YYYY-MM-DD) from the trading times of
+ * a symbol (`{ open: ['HH:mm:ss'], close: ['HH:mm:ss'] }`, '--' when closed).
+ */
+export function parseSessions(date, { open, close }) {
+    if (!open || open[0] === '--') { return []; }
+    const dayStart = Date.parse(`${date}T00:00:00Z`) / 1000;
+    const toEpoch = time => Date.parse(`${date}T${time}Z`) / 1000;
+    return open.map((openTime, idx) => {
+        const session = { open: toEpoch(openTime), close: toEpoch(close[idx]) };
+        // 23:59:59 closes at the end of the day
+        if (session.close === dayStart + DAY - 1) { session.close += 1; }
+        // a session closing before it opens closes on the following day
+        if (session.close <= session.open) { session.close += DAY; }
+        return session;
+    });
+}
+
+/*
+ * Descriptions of the trading times events (e.g. holidays and early closes) on
+ * `date` (YYYY-MM-DD); the `dates` of an event are either a list of dates
+ * ('2018-09-12, 2018-09-13') or a day of the week ('Fridays').
+ */
+export function getDayEvents(events, date) {
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    return (events || [])
+        .filter(({ dates }) => dates === weekday || dates.split(',').some(item => item.trim() === date))
+        .map(({ descrip }) => descrip);
+}
+
+// Sessions sorted by open, with the overlapping or adjacent ones (e.g. across midnight) merged
+export function mergeSessions(sessions) {
+    const merged = [];
+    [...sessions].sort((a, b) => a.open - b.open).forEach((session) => {
+        const last = merged[merged.length - 1];
+        if (last && session.open <= last.close) {
+            last.close = Math.max(last.close, session.close);
+        } else {
+            merged.push({ ...session });
+        }
+    });
+    return merged;
+}
+
+// Periods ([{ start, end }]) between `start` and `end` that are out of the sessions
+export function getSessionGaps(sessions, start, end) {
+    const gaps = [];
+    let from = start;
+    for (const { open, close } of mergeSessions(sessions)) {
+        if (open >= end) { break; }
+        if (close > from) {
+            if (open > from) { gaps.push({ start: from, end: open }); }
+            from = close;
+        }
+    }
+    if (from < end) { gaps.push({ start: from, end }); }
+    return gaps;
+}
+
+/*
+ * The next open or close ({ isOpening, epoch }) after `epoch`, from sessions that
+ * are known until `end`; undefined if there is no change before `end`.
+ */
+export function getNextChange(sessions, epoch, end) {
+    for (const { open, close } of mergeSessions(sessions)) {
+        if (open > epoch) { return open < end ? { isOpening: true, epoch: open } : undefined; }
+        if (close > epoch) { return close < end ? { isOpening: false, epoch: close } : undefined; }
+    }
+    return undefined;
+}